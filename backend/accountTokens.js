@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Tokens sent by email.
+// Email verification links carry a signed JWT: verifying the same address twice is harmless,
+// so there is nothing to store. Password reset links are single use, so those tokens are random
+// strings whose hash is kept in the database and marked as used when redeemed.
+
+const EMAIL_VERIFICATION_TTL = '24h';
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createAccountTokens = ({ PasswordResetToken, secret }) => {
+    // The email is part of the payload so a link stops working once the address changes.
+    const signEmailVerificationToken = (user) => jwt.sign(
+        { userId: user._id, email: user.email, purpose: 'verify_email' },
+        secret,
+        { expiresIn: EMAIL_VERIFICATION_TTL }
+    );
+
+    // Resolves with the decoded payload, or null if the token is invalid, expired or not a verification token.
+    const verifyEmailVerificationToken = (token) => new Promise((resolve) => {
+        if (!token) return resolve(null);
+        jwt.verify(token, secret, (err, payload) => {
+            resolve(!err && payload.purpose === 'verify_email' ? payload : null);
+        });
+    });
+
+    // Asking for a new reset link invalidates any earlier one that hasn't been used yet.
+    const issuePasswordResetToken = async (userId) => {
+        await PasswordResetToken.updateMany({ user_id: userId, usedAt: null }, { $set: { usedAt: new Date() } });
+
+        const token = crypto.randomBytes(32).toString('hex');
+        await PasswordResetToken.create({
+            user_id: userId,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS),
+        });
+        return token;
+    };
+
+    // Marks the token as used and returns its record, or null if it is unknown, expired or already used.
+    // Done in a single update so two concurrent requests can't both redeem the same token.
+    const consumePasswordResetToken = async (token) => {
+        if (!token) return null;
+        return PasswordResetToken.findOneAndUpdate(
+            { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { usedAt: new Date() } },
+            { new: true }
+        );
+    };
+
+    return {
+        signEmailVerificationToken,
+        verifyEmailVerificationToken,
+        issuePasswordResetToken,
+        consumePasswordResetToken,
+    };
+};
+
+module.exports = createAccountTokens;
@@ -0,0 +1,71 @@
+// The amenity catalogue. Properties store amenity keys, so search filters can match them exactly;
+// the labels are what people see. `aliases` are other ways landlords used to write the same thing
+// in the old free-text field and are used to map those strings onto keys.
+
+const AMENITIES = [
+    { key: 'wifi', label: 'Wi-Fi', aliases: ['wi-fi', 'wi fi', 'internet', 'broadband', 'wireless'] },
+    { key: 'ac', label: 'Air conditioning', aliases: ['a/c', 'air conditioning', 'air conditioner', 'air-conditioning', 'aircon'] },
+    { key: 'laundry', label: 'Laundry', aliases: ['washing machine', 'washer', 'laundry room', 'dryer'] },
+    { key: 'parking', label: 'Parking', aliases: ['car parking', 'bike parking', 'garage'] },
+    { key: 'furnished', label: 'Furnished', aliases: ['fully furnished', 'semi furnished', 'semi-furnished', 'furniture'] },
+    { key: 'pets_allowed', label: 'Pets allowed', aliases: ['pets', 'pet friendly', 'pet-friendly', 'pets allowed'] },
+    { key: 'meals_included', label: 'Meals included', aliases: ['meals', 'food', 'food included', 'mess', 'tiffin'] },
+    { key: 'kitchen', label: 'Kitchen', aliases: ['shared kitchen', 'kitchenette'] },
+    { key: 'hot_water', label: 'Hot water', aliases: ['geyser', 'water heater'] },
+    { key: 'power_backup', label: 'Power backup', aliases: ['inverter', 'generator', 'backup'] },
+    { key: 'security', label: '24/7 security', aliases: ['cctv', 'guard', 'security guard', '24x7 security'] },
+    { key: 'housekeeping', label: 'Housekeeping', aliases: ['cleaning', 'room cleaning', 'maid'] },
+    { key: 'gym', label: 'Gym', aliases: ['fitness', 'fitness centre', 'fitness center'] },
+    { key: 'study_area', label: 'Study area', aliases: ['study room', 'library', 'desk', 'study table'] },
+    { key: 'tv', label: 'TV', aliases: ['television', 'cable tv', 'smart tv'] },
+    { key: 'lift', label: 'Lift', aliases: ['elevator'] },
+];
+
+const AMENITY_KEYS = AMENITIES.map(amenity => amenity.key);
+
+const normalizeName = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Every key, label and alias, lowercased, pointing at its amenity key.
+const LOOKUP = new Map();
+for (const { key, label, aliases } of AMENITIES) {
+    for (const name of [key, key.replace(/_/g, ' '), label, ...aliases]) LOOKUP.set(normalizeName(name), key);
+}
+
+// Splits the old comma-separated string (or an array, or a mix of both) into
+// { amenities: [known keys], extraAmenities: [anything not in the catalogue] }.
+// Nothing is thrown away, so a landlord's "rooftop terrace" still shows up on the listing.
+const parseAmenities = (input) => {
+    const values = [].concat(input ?? [])
+        .flatMap(value => String(value).split(','))
+        .map(value => value.trim())
+        .filter(Boolean);
+
+    const amenities = new Set();
+    const extraAmenities = [];
+    for (const value of values) {
+        const key = LOOKUP.get(normalizeName(value));
+        if (key) amenities.add(key);
+        else if (!extraAmenities.some(extra => normalizeName(extra) === normalizeName(value))) extraAmenities.push(value);
+    }
+    return { amenities: [...amenities], extraAmenities };
+};
+
+// Parses the `amenities=wifi,ac` search param. Returns the keys, or null when one of them is unknown.
+const parseAmenityFilter = (value) => {
+    const keys = String(value).split(',').map(key => key.trim()).filter(Boolean);
+    return keys.every(key => AMENITY_KEYS.includes(key)) ? [...new Set(keys)] : null;
+};
+
+// Human-readable list of a property's amenities, e.g. for the AI assistant's context.
+const describeAmenities = (property) => {
+    const labels = (property.amenities || []).map(key => (AMENITIES.find(a => a.key === key) || {}).label || key);
+    return [...labels, ...(property.extraAmenities || [])].join(', ');
+};
+
+module.exports = {
+    AMENITIES,
+    AMENITY_KEYS,
+    parseAmenities,
+    parseAmenityFilter,
+    describeAmenities,
+};
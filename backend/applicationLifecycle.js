@@ -0,0 +1,99 @@
+// The rental application state machine.
+//
+//   (forming ->) pending -> shortlisted -> offered -> accepted -> lease_signed
+//                                                 \-> declined
+// The landlord can reject and the student can withdraw at any point before an offer is answered,
+// and applications that sit untouched for too long expire. An accepted offer can still be withdrawn,
+// or expire, until its tenancy starts; that gives its units back.
+// Group applications start in 'forming' while the invited students answer; the landlord only
+// sees them once every invitation has been answered and the system moves them to 'pending'.
+//
+// TRANSITIONS[from][to] lists who may make that move: 'landlord', 'student' or 'system'
+// (the expiry job, a group whose invitations have all been answered, or a lease the last party has
+// just signed in the app). Anything not listed is refused.
+
+const APPLICATION_STATUSES = [
+    'forming', 'pending', 'shortlisted', 'offered', 'accepted', 'declined',
+    'lease_signed', 'rejected', 'withdrawn', 'expired',
+];
+
+const TRANSITIONS = {
+    forming: {
+        pending: ['system'],
+        withdrawn: ['student'],
+        expired: ['system'],
+    },
+    pending: {
+        shortlisted: ['landlord'],
+        offered: ['landlord'],
+        rejected: ['landlord'],
+        withdrawn: ['student'],
+        expired: ['system'],
+    },
+    shortlisted: {
+        offered: ['landlord'],
+        rejected: ['landlord'],
+        withdrawn: ['student'],
+        expired: ['system'],
+    },
+    offered: {
+        accepted: ['student'],
+        declined: ['student'],
+        expired: ['system'],
+    },
+    accepted: {
+        lease_signed: ['landlord', 'system'],
+        withdrawn: ['student'],
+        expired: ['system'],
+    },
+};
+
+// Statuses an application can't leave again.
+const FINAL_STATUSES = APPLICATION_STATUSES.filter(status => !TRANSITIONS[status]);
+
+// How long an application may wait in each status before the expiry job closes it.
+const EXPIRY_DAYS = {
+    forming: parseInt(process.env.GROUP_INVITE_EXPIRY_DAYS) || 7,
+    pending: parseInt(process.env.APPLICATION_EXPIRY_DAYS) || 30,
+    shortlisted: parseInt(process.env.APPLICATION_EXPIRY_DAYS) || 30,
+    offered: parseInt(process.env.OFFER_EXPIRY_DAYS) || 7,
+    accepted: parseInt(process.env.ACCEPTED_EXPIRY_DAYS) || 30, // Only while no tenancy has started
+};
+
+const canTransition = (from, to, role) => {
+    const allowed = TRANSITIONS[from] && TRANSITIONS[from][to];
+    return Boolean(allowed && allowed.includes(role));
+};
+
+// Statuses the given role can move an application to from its current status.
+const allowedNextStatuses = (from, role) => Object.keys(TRANSITIONS[from] || {})
+    .filter(to => canTransition(from, to, role));
+
+// Applies a transition to an Application document and records it in the history.
+// Throws an error with a `status` code when the move isn't allowed; the caller saves the document.
+const transitionApplication = (application, to, { actorId = null, role, note = '' }) => {
+    const from = application.status;
+    if (!APPLICATION_STATUSES.includes(to)) {
+        const error = new Error(`Unknown status '${to}'.`);
+        error.status = 400;
+        throw error;
+    }
+    if (!canTransition(from, to, role)) {
+        const error = new Error(`A ${role} can't move an application from '${from}' to '${to}'.`);
+        error.status = 409;
+        throw error;
+    }
+
+    application.status = to;
+    application.history.push({ from, to, actor_id: actorId, actor_role: role, note, at: new Date() });
+    return application;
+};
+
+module.exports = {
+    APPLICATION_STATUSES,
+    FINAL_STATUSES,
+    EXPIRY_DAYS,
+    canTransition,
+    allowedNextStatuses,
+    transitionApplication,
+};
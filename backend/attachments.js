@@ -0,0 +1,51 @@
+// Files attached to chat messages: photos of rooms, ID scans, documents.
+//
+// They are stored with the fileStorage.js backend in use, like verification documents, and are
+// only ever handed out through the API to members of the conversation. Images and PDFs get a
+// preview-sized thumbnail where the backend can make one; otherwise the original is sent.
+
+const path = require('path');
+
+const ATTACHMENT_MIME_TYPES = {
+    'image/jpeg': 'image',
+    'image/png': 'image',
+    'image/webp': 'image',
+    'image/gif': 'image',
+    'application/pdf': 'document',
+    'text/plain': 'document',
+    'application/msword': 'document',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'document',
+};
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+
+const attachmentError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// multer fileFilter: images and common document formats only
+const attachmentFileFilter = (req, file, callback) => {
+    if (ATTACHMENT_MIME_TYPES[file.mimetype]) callback(null, true);
+    else callback(attachmentError(`'${file.originalname}' can't be sent. Attach images, PDFs or Word and text documents.`));
+};
+
+const isImage = (mimetype) => ATTACHMENT_MIME_TYPES[mimetype] === 'image';
+// Whether the storage backend may be able to render a preview image of the file
+const hasPreview = (mimetype) => isImage(mimetype) || mimetype === 'application/pdf';
+
+// The files multer collected (req.files from upload.array), with names safe to store and send back
+const collectAttachments = (files = []) => files.map(file => ({ ...file, originalname: path.basename(file.originalname) }));
+
+module.exports = {
+    ATTACHMENT_MIME_TYPES,
+    MAX_ATTACHMENTS,
+    MAX_ATTACHMENT_BYTES,
+    THUMBNAIL_SIZE,
+    attachmentFileFilter,
+    isImage,
+    hasPreview,
+    collectAttachments,
+};
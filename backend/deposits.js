@@ -0,0 +1,70 @@
+// Security deposits of tenancies.
+//
+//   held -> proposed -> accepted
+//                   \-> disputed -> resolved
+//
+// The landlord proposes itemised deductions once the tenant has moved out, i.e. the landlord recorded
+// the move-out or the tenancy's end date has passed (an empty list refunds everything), and may
+// revise them until the tenant answers. The tenant accepts them or disputes them, and an admin
+// settles a dispute by approving an amount for each item.
+
+const DEPOSIT_STATUSES = ['held', 'proposed', 'accepted', 'disputed', 'resolved'];
+const MAX_DEDUCTIONS = 20;
+const MAX_PHOTOS_PER_DEDUCTION = 5;
+const MAX_PHOTOS_PER_UPLOAD = 20;
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const PHOTO_FIELD_PATTERN = /^photos_\d+$/;
+
+const depositError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// multer fileFilter: images sent as photos_<item index> only
+const photoFileFilter = (req, file, callback) => {
+    if (!PHOTO_FIELD_PATTERN.test(file.fieldname)) callback(depositError(`Unexpected file field '${file.fieldname}'.`));
+    else if (!file.mimetype.startsWith('image/')) callback(depositError('Evidence must be uploaded as images.'));
+    else callback(null, true);
+};
+
+const hasMovedOut = (tenancy, now = new Date()) => tenancy.status === 'ended' || tenancy.endDate <= now;
+
+// Validates the deduction items [{ description, amount }] sent by the landlord.
+// Their total can't be more than the deposit.
+const parseDeductions = (items, depositAmount) => {
+    if (!Array.isArray(items)) throw depositError('Deductions must be a list.');
+    if (items.length > MAX_DEDUCTIONS) throw depositError(`At most ${MAX_DEDUCTIONS} deductions can be listed.`);
+
+    const deductions = items.map((item, index) => {
+        const description = String(item?.description ?? '').trim();
+        const amount = Number(item?.amount);
+        if (!description) throw depositError(`Deduction ${index + 1} needs a description.`);
+        if (!Number.isFinite(amount) || amount <= 0) throw depositError(`Deduction ${index + 1} needs an amount above zero.`);
+        return { description: description.slice(0, 300), amount: Math.round(amount * 100) / 100 };
+    });
+
+    const total = deductions.reduce((sum, item) => sum + item.amount, 0);
+    if (total > depositAmount) throw depositError('The deductions add up to more than the deposit.');
+    return deductions;
+};
+
+// What is kept and what goes back to the tenant. Once an admin has resolved a dispute the
+// approved amounts count instead of the proposed ones.
+const depositTotals = (deposit) => {
+    const resolved = deposit.status === 'resolved';
+    const deducted = (deposit.deductions || [])
+        .reduce((sum, item) => sum + (resolved ? item.approvedAmount ?? 0 : item.amount), 0);
+    return { deducted, refund: Math.max(0, deposit.amount - deducted) };
+};
+
+module.exports = {
+    DEPOSIT_STATUSES,
+    MAX_PHOTOS_PER_DEDUCTION,
+    MAX_PHOTOS_PER_UPLOAD,
+    MAX_PHOTO_BYTES,
+    photoFileFilter,
+    hasMovedOut,
+    parseDeductions,
+    depositTotals,
+};
@@ -0,0 +1,133 @@
+// Where uploaded files that aren't public listing photos are kept (verification documents, chat
+// attachments...). Each backend implements
+//
+//   save(buffer, { folder, mimetype, filename }) -> { key, url }
+//   remove(key)
+//   createReadStream(key)   (only backends without signedUrl)
+//   signedUrl(key, { expiresInSeconds, attachment }) (optional) -> a URL that stops working soon after
+//   createThumbnailStream(key, size) (optional) -> a preview image at most size x size, or null
+//
+// These files are private: nothing can be fetched without going through an access-checked route.
+// `url` is always null for new files; files saved before that may still have a public one. The
+// backend in use comes from FILE_STORAGE ('cloudinary' by default, or 'local'); others are added
+// with registerFileStorage.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const { PassThrough } = require('stream');
+const path = require('path');
+const cloudinary = require('cloudinary').v2;
+
+// Uses the account configured in server.js. Files are uploaded as 'authenticated' assets, which
+// Cloudinary only serves from signed URLs. Keys are '<resource type>/authenticated/<public id>.<format>'
+// because Cloudinary needs all of them to find a file again ('raw' public ids keep their own
+// extension). Older keys are '<resource type>/<public id>' of public uploads.
+const DELIVERY_TYPES = ['upload', 'authenticated', 'private'];
+
+const parseCloudinaryKey = (key) => {
+    const [resourceType, ...rest] = key.split('/');
+    const type = DELIVERY_TYPES.includes(rest[0]) ? rest.shift() : 'upload';
+    let publicId = rest.join('/');
+    let format = '';
+    if (type !== 'upload' && resourceType !== 'raw') {
+        const dot = publicId.lastIndexOf('.');
+        if (dot > publicId.lastIndexOf('/')) [publicId, format] = [publicId.slice(0, dot), publicId.slice(dot + 1)];
+    }
+    return { resourceType, type, publicId, format };
+};
+
+// The key of an upload result (from upload_stream, rename...)
+const cloudinaryKey = (result) => {
+    const extension = result.resource_type !== 'raw' && result.format ? `.${result.format}` : '';
+    return `${result.resource_type}/${result.type}/${result.public_id}${extension}`;
+};
+
+const createCloudinaryStorage = () => ({
+    name: 'cloudinary',
+    save: (buffer, { folder }) => new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream({ folder, resource_type: 'auto', type: 'authenticated' }, (error, result) => {
+            if (error) reject(error);
+            else resolve({ key: cloudinaryKey(result), url: null });
+        });
+        uploadStream.end(buffer);
+    }),
+    remove: async (key) => {
+        const { resourceType, type, publicId } = parseCloudinaryKey(key);
+        await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type });
+    },
+    // A download through Cloudinary's API that expires after expiresInSeconds
+    signedUrl: (key, { expiresInSeconds = 60, attachment = false } = {}) => {
+        const { resourceType, type, publicId, format } = parseCloudinaryKey(key);
+        return cloudinary.utils.private_download_url(publicId, format, {
+            resource_type: resourceType,
+            type,
+            attachment,
+            expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+        });
+    },
+    // Cloudinary renders images and the first page of PDFs; 'raw' files have no preview. The signed
+    // URL of a transformation doesn't expire, so it is fetched here and never handed out.
+    createThumbnailStream: (key, size) => {
+        const { resourceType, type, publicId } = parseCloudinaryKey(key);
+        if (resourceType !== 'image') return null;
+        const url = cloudinary.url(publicId, { resource_type: 'image', type, sign_url: type !== 'upload', format: 'jpg', width: size, height: size, crop: 'limit', secure: true });
+        const stream = new PassThrough();
+        https.get(url, (response) => {
+            if (response.statusCode !== 200) {
+                response.resume();
+                stream.destroy(new Error(`Cloudinary answered ${response.statusCode} for a thumbnail.`));
+            } else {
+                response.pipe(stream);
+            }
+        }).on('error', error => stream.destroy(error));
+        return stream;
+    },
+});
+
+// Files on the server's disk under FILE_STORAGE_DIR, never served statically
+const createLocalStorage = () => {
+    const root = path.resolve(process.env.FILE_STORAGE_DIR || path.join(__dirname, 'uploads'));
+    const resolveKey = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep)) throw new Error('Invalid storage key.');
+        return file;
+    };
+
+    return {
+        name: 'local',
+        save: async (buffer, { folder, filename = '' }) => {
+            const key = path.posix.join(folder, `${crypto.randomBytes(16).toString('hex')}${path.extname(filename).toLowerCase()}`);
+            await fs.promises.mkdir(path.dirname(resolveKey(key)), { recursive: true });
+            await fs.promises.writeFile(resolveKey(key), buffer);
+            return { key, url: null };
+        },
+        remove: (key) => fs.promises.rm(resolveKey(key), { force: true }),
+        createReadStream: (key) => fs.createReadStream(resolveKey(key)),
+    };
+};
+
+const factories = new Map([['cloudinary', createCloudinaryStorage], ['local', createLocalStorage]]);
+const instances = new Map();
+
+const registerFileStorage = (name, factory) => {
+    factories.set(name, factory);
+    instances.delete(name);
+};
+
+// Files remember the backend they were saved with, so switching FILE_STORAGE keeps old files readable
+const getFileStorage = (name = process.env.FILE_STORAGE || 'cloudinary') => {
+    if (!instances.has(name)) {
+        const factory = factories.get(name);
+        if (!factory) throw new Error(`Unknown file storage '${name}'.`);
+        instances.set(name, factory());
+    }
+    return instances.get(name);
+};
+
+module.exports = {
+    cloudinaryKey,
+    parseCloudinaryKey,
+    registerFileStorage,
+    getFileStorage,
+};
@@ -0,0 +1,79 @@
+// Helpers for the geospatial property search.
+// MongoDB stores GeoJSON points as [longitude, latitude], the reverse of how people usually
+// write coordinates, so everything that builds a point goes through here.
+
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_RADIUS_KM = 2; // "within 2 km of my college" is the common search
+const MAX_RADIUS_KM = 100;
+
+const isValidLatLng = (lat, lng) => Number.isFinite(lat) && Number.isFinite(lng)
+    && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+// Builds a GeoJSON point, or returns null when the coordinates are missing or out of range.
+const toGeoPoint = (lat, lng) => {
+    if (lat === null || lat === undefined || lat === '' || lng === null || lng === undefined || lng === '') return null;
+    const latNum = Number(lat);
+    const lngNum = Number(lng);
+    return isValidLatLng(latNum, lngNum) ? { type: 'Point', coordinates: [lngNum, latNum] } : null;
+};
+
+// Parses "lat,lng" into a GeoJSON point.
+const parseNear = (value) => {
+    const [lat, lng] = String(value).split(',');
+    return toGeoPoint(lat, lng);
+};
+
+// Parses a radius in km, falling back to the default and capping it so one query can't scan everything.
+const parseRadiusKm = (value) => {
+    const radius = parseFloat(value);
+    if (!Number.isFinite(radius) || radius <= 0) return DEFAULT_RADIUS_KM;
+    return Math.min(radius, MAX_RADIUS_KM);
+};
+
+// Parses "minLng,minLat,maxLng,maxLat" (the usual bbox order, as used by map libraries)
+// into a GeoJSON polygon, or returns null when it isn't a valid box.
+const parseBbox = (value) => {
+    const parts = String(value).split(',').map(Number);
+    if (parts.length !== 4) return null;
+    const [minLng, minLat, maxLng, maxLat] = parts;
+    if (!isValidLatLng(minLat, minLng) || !isValidLatLng(maxLat, maxLng)) return null;
+    if (minLat >= maxLat || minLng >= maxLng) return null;
+    return {
+        type: 'Polygon',
+        coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]],
+    };
+};
+
+// A $geoWithin filter matching everything within `radiusKm` of `point`.
+const withinRadius = (point, radiusKm) => ({
+    $geoWithin: { $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM] },
+});
+
+// Aggregation expression for the great-circle (haversine) distance in km between `point`
+// and the GeoJSON point stored in `field`. Used instead of $geoNear when the search also
+// has a $text clause, since MongoDB doesn't allow the two together.
+const distanceKmExpression = (point, field = '$location') => {
+    const [lng, lat] = point.coordinates;
+    const toRadians = (value) => ({ $degreesToRadians: value });
+    const docLng = { $arrayElemAt: [`${field}.coordinates`, 0] };
+    const docLat = { $arrayElemAt: [`${field}.coordinates`, 1] };
+    const halfDLat = { $divide: [{ $subtract: [toRadians(docLat), toRadians(lat)] }, 2] };
+    const halfDLng = { $divide: [{ $subtract: [toRadians(docLng), toRadians(lng)] }, 2] };
+    const a = {
+        $add: [
+            { $pow: [{ $sin: halfDLat }, 2] },
+            { $multiply: [Math.cos(lat * Math.PI / 180), { $cos: toRadians(docLat) }, { $pow: [{ $sin: halfDLng }, 2] }] },
+        ],
+    };
+    return { $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: a } }] };
+};
+
+module.exports = {
+    DEFAULT_RADIUS_KM,
+    toGeoPoint,
+    parseNear,
+    parseRadiusKm,
+    parseBbox,
+    withinRadius,
+    distanceKmExpression,
+};
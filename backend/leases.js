@@ -0,0 +1,137 @@
+// Lease agreements generated from landlord templates and signed in the app.
+//
+// A template is free text with {{placeholders}}. Generating a lease for an accepted application
+// fills them in and freezes the result; its SHA-256 hash is recorded with every signature, so a
+// signature always refers to the exact text that was shown. Once the landlord and every tenant
+// have typed their signature, the PDF with the signature page and audit trail is stored.
+
+const crypto = require('crypto');
+const { Writable } = require('stream');
+const PDFDocument = require('pdfkit');
+
+const LEASE_PLACEHOLDERS = {
+    tenant_name: 'Names of all tenants',
+    landlord_name: "Landlord's name",
+    property_title: 'Listing title',
+    property_address: 'Full property address',
+    rent: 'Monthly rent per tenant',
+    deposit: 'Security deposit per tenant',
+    start_date: 'Move-in date',
+    end_date: 'End of the tenancy',
+};
+
+const DEFAULT_LEASE_TEMPLATE = `RESIDENTIAL LEASE AGREEMENT
+
+This agreement is made between {{landlord_name}} ("the Landlord") and {{tenant_name}} ("the Tenant") for the property {{property_title}} at {{property_address}}.
+
+1. Term. The tenancy begins on {{start_date}} and ends on {{end_date}}.
+
+2. Rent. The Tenant pays {{rent}} per month, on the due date set out in the rent schedule.
+
+3. Deposit. The Tenant pays a security deposit of {{deposit}}, held for the duration of the tenancy and returned at move-out less any itemised deductions for damage beyond fair wear and tear.
+
+4. Use. The property is let as a private residence for the Tenant only. The Tenant keeps it clean and in good condition and reports repairs promptly.
+
+5. Notice. Either party may end this agreement early by giving one month's written notice.`;
+
+const MAX_TEMPLATE_LENGTH = 20000;
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+const leaseError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// Validates { name, body } of a template. Unknown placeholders are refused so typos don't end up
+// in a signed document.
+const parseLeaseTemplate = (input = {}) => {
+    const name = String(input.name ?? '').trim();
+    const body = String(input.body ?? '').trim();
+    if (!name) throw leaseError('Please give the template a name.');
+    if (!body) throw leaseError('The template text is empty.');
+    if (body.length > MAX_TEMPLATE_LENGTH) throw leaseError(`Templates can be at most ${MAX_TEMPLATE_LENGTH} characters long.`);
+
+    const unknown = [...new Set([...body.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))]
+        .filter(key => !LEASE_PLACEHOLDERS[key]);
+    if (unknown.length) throw leaseError(`Unknown placeholders: ${unknown.map(key => `{{${key}}}`).join(', ')}.`);
+    return { name: name.slice(0, 80), body };
+};
+
+const formatAmount = (amount) => `INR ${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+const joinNames = (names) => (names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names.at(-1)}` : names[0] || '');
+
+// The placeholder values for a lease. `terms` is { startDate, endDate, monthlyRent, deposit }.
+const leaseValues = ({ tenants, landlord, property, terms }) => ({
+    tenant_name: joinNames(tenants.map(tenant => tenant.username)),
+    landlord_name: landlord.username,
+    property_title: property.title,
+    property_address: [property.address, property.city].filter(Boolean).join(', '),
+    rent: formatAmount(terms.monthlyRent),
+    deposit: formatAmount(terms.deposit),
+    start_date: formatDate(terms.startDate),
+    end_date: formatDate(terms.endDate),
+});
+
+const fillLeaseTemplate = (body, values) => body.replace(PLACEHOLDER_PATTERN, (match, key) => values[key] ?? match);
+
+const documentHash = (text) => crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+
+// Writes the lease to `stream`. Until everyone has signed it is marked as a draft.
+// `lease` has signatures.user_id and audit.actor_id populated.
+const writeLeasePdf = (lease, stream) => {
+    const signed = lease.status === 'signed';
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Lease agreement ${lease._id}` } });
+    doc.pipe(stream);
+
+    doc.fontSize(10).fillColor('#777777').text(`Housing Hub lease ${lease._id}`, { align: 'right' });
+    if (!signed) doc.fillColor('#cc0000').text('DRAFT - not yet signed by all parties', { align: 'right' });
+    doc.moveDown(1.5);
+    doc.fillColor('#000000').font('Helvetica').fontSize(11).text(lease.body, { align: 'justify' });
+
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(16).text('Signatures');
+    doc.moveDown();
+    for (const signature of lease.signatures) {
+        doc.font('Times-Italic').fontSize(20).text(signature.name);
+        doc.font('Helvetica').fontSize(9).fillColor('#555555')
+            .text(`${signature.role === 'landlord' ? 'Landlord' : 'Tenant'} (${signature.user_id?.username || 'deleted user'}), signed ${new Date(signature.signedAt).toISOString()} from ${signature.ip || 'unknown IP'}`);
+        doc.fillColor('#000000').moveDown();
+    }
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text('Audit trail');
+    doc.font('Helvetica').fontSize(8).fillColor('#555555');
+    doc.text(`Document fingerprint (SHA-256): ${lease.documentHash}`);
+    for (const entry of lease.audit) {
+        doc.text(`${new Date(entry.at).toISOString()}  ${entry.event}${entry.actor_id?.username ? ` by ${entry.actor_id.username}` : ''}  IP ${entry.ip || '-'}  ${entry.userAgent || ''}`);
+    }
+    doc.end();
+};
+
+// The PDF as a Buffer, for storing the signed copy
+const leasePdfBuffer = (lease) => new Promise((resolve, reject) => {
+    const chunks = [];
+    const sink = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        },
+    });
+    sink.on('finish', () => resolve(Buffer.concat(chunks)));
+    sink.on('error', reject);
+    writeLeasePdf(lease, sink);
+});
+
+module.exports = {
+    LEASE_PLACEHOLDERS,
+    DEFAULT_LEASE_TEMPLATE,
+    parseLeaseTemplate,
+    leaseValues,
+    fillLeaseTemplate,
+    documentHash,
+    writeLeasePdf,
+    leasePdfBuffer,
+};
@@ -0,0 +1,83 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing email. The transport is picked from MAIL_TRANSPORT:
+//   'smtp'   - real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   'json'   - nothing is sent, the message is serialized to JSON (handy for tests)
+//   'stream' - nothing is sent, the raw RFC822 message is built in memory
+// Without MAIL_TRANSPORT we use SMTP when SMTP_HOST is set. Anything else stops the server from
+// starting: a server that silently doesn't send verification and reset emails is worse than one
+// that doesn't start. Local development sets MAIL_TRANSPORT=json explicitly.
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const MAIL_FROM = process.env.MAIL_FROM || 'Housing Hub <no-reply@housinghub.local>';
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const transportFromEnv = () => {
+    const type = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null);
+    if (type === 'json') return { jsonTransport: true };
+    if (type === 'stream') return { streamTransport: true, buffer: true };
+    if (type !== 'smtp' || !process.env.SMTP_HOST) {
+        throw new Error('Email is not configured: set SMTP_HOST (and SMTP_PORT / SMTP_USER / SMTP_PASS), or MAIL_TRANSPORT=json to only log outgoing emails.');
+    }
+    return {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    };
+};
+
+// `transport` may be a nodemailer transport options object or an already created transporter.
+const createMailer = (transport = transportFromEnv()) => {
+    const transporter = typeof transport.sendMail === 'function' ? transport : nodemailer.createTransport(transport);
+
+    const sendMail = async ({ to, subject, text, html }) => {
+        const info = await transporter.sendMail({ from: MAIL_FROM, to, subject, text, html });
+        if (transporter.options && transporter.options.jsonTransport) {
+            // Nothing was delivered. The body isn't printed: it holds live sign-in and reset links.
+            console.log(`Email to ${to} not sent (JSON transport): "${subject}"`);
+        }
+        return info;
+    };
+
+    const sendVerificationEmail = (user, token) => {
+        const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+        return sendMail({
+            to: user.email,
+            subject: 'Verify your Housing Hub email',
+            text: `Hi ${user.username},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link is valid for 24 hours.`,
+            html: `<p>Hi ${escapeHtml(user.username)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${link}">Verify my email</a></p><p>The link is valid for 24 hours.</p>`,
+        });
+    };
+
+    const sendPasswordResetEmail = (user, token) => {
+        const link = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+        return sendMail({
+            to: user.email,
+            subject: 'Reset your Housing Hub password',
+            text: `Hi ${user.username},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour and can only be used once. If you didn't ask for this, you can ignore this email.`,
+            html: `<p>Hi ${escapeHtml(user.username)},</p><p>Someone asked to reset your password. If it was you, click the link below:</p><p><a href="${link}">Reset my password</a></p><p>The link expires in 1 hour and can only be used once. If you didn't ask for this, you can ignore this email.</p>`,
+        });
+    };
+
+    // `sections` is a list of { name, properties } with one entry per saved search that had new matches.
+    const sendSavedSearchDigest = (user, sections) => {
+        const count = sections.reduce((total, section) => total + section.properties.length, 0);
+        const listingLink = (property) => `${FRONTEND_URL}/properties/${property._id}`;
+        const text = sections.map(section => `${section.name}:\n` + section.properties
+            .map(p => `- ${p.title}, ${p.city}, ₹${p.price}/mo: ${listingLink(p)}`).join('\n')).join('\n\n');
+        const html = sections.map(section => `<h3>${escapeHtml(section.name)}</h3><ul>` + section.properties
+            .map(p => `<li><a href="${listingLink(p)}">${escapeHtml(p.title)}</a>, ${escapeHtml(p.city)}, ₹${escapeHtml(p.price)}/mo</li>`).join('') + '</ul>').join('');
+        return sendMail({
+            to: user.email,
+            subject: `${count} new ${count === 1 ? 'listing matches' : 'listings match'} your saved searches`,
+            text: `Hi ${user.username},\n\nHere is what was listed since your last digest:\n\n${text}\n\nYou can turn these emails off from the Saved Searches tab of your profile.`,
+            html: `<p>Hi ${escapeHtml(user.username)},</p><p>Here is what was listed since your last digest:</p>${html}<p>You can turn these emails off from the Saved Searches tab of your profile.</p>`,
+        });
+    };
+
+    return { transporter, sendMail, sendVerificationEmail, sendPasswordResetEmail, sendSavedSearchDigest };
+};
+
+module.exports = createMailer;
@@ -0,0 +1,85 @@
+// Maintenance tickets raised by tenants.
+//
+//   open -> in_progress -> resolved
+//      \------------------/    |
+//   resolved -> open (the tenant reopens it when the fix didn't hold)
+//
+// Every priority comes with two service-level targets, counted from when the ticket was opened:
+// the landlord should respond (start work or leave a note) within `respondHours` and resolve the
+// problem within `resolveHours`.
+
+const MAINTENANCE_CATEGORIES = [
+    'plumbing', 'electrical', 'appliances', 'heating_cooling', 'internet',
+    'pest_control', 'furniture', 'structural', 'cleaning', 'other',
+];
+
+const PRIORITY_SLA = {
+    urgent: { respondHours: 4, resolveHours: 24 },
+    high: { respondHours: 24, resolveHours: 72 },
+    medium: { respondHours: 48, resolveHours: 7 * 24 },
+    low: { respondHours: 72, resolveHours: 14 * 24 },
+};
+const MAINTENANCE_PRIORITIES = Object.keys(PRIORITY_SLA);
+const MAINTENANCE_STATUSES = ['open', 'in_progress', 'resolved'];
+
+// TRANSITIONS[from][to] lists who may make that move
+const TRANSITIONS = {
+    open: { in_progress: ['landlord'], resolved: ['landlord'] },
+    in_progress: { resolved: ['landlord'] },
+    resolved: { open: ['student'] },
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const maintenanceError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const allowedTicketStatuses = (from, role) => Object.keys(TRANSITIONS[from] || {})
+    .filter(to => TRANSITIONS[from][to].includes(role));
+
+// Moves a ticket to `to` and records it; throws with a `status` code when the move isn't allowed.
+// Reopening restarts the SLA clock.
+const transitionTicket = (ticket, to, { actorId, role, note = '' }) => {
+    const from = ticket.status;
+    if (!MAINTENANCE_STATUSES.includes(to)) throw maintenanceError(`Unknown status '${to}'.`);
+    if (!allowedTicketStatuses(from, role).includes(to)) {
+        throw maintenanceError(`A ${role} can't move a ticket from '${from}' to '${to}'.`, 409);
+    }
+
+    const now = new Date();
+    ticket.status = to;
+    if (to !== 'open' && !ticket.respondedAt) ticket.respondedAt = now;
+    if (to === 'resolved') ticket.resolvedAt = now;
+    if (to === 'open') {
+        Object.assign(ticket, { openedAt: now, respondedAt: null, resolvedAt: null, slaAlerts: [] });
+    }
+    ticket.history.push({ from, to, actor_id: actorId, actor_role: role, note, at: now });
+    return ticket;
+};
+
+// The SLA deadlines of a ticket and whether they were missed.
+const slaFor = (ticket, now = new Date()) => {
+    const sla = PRIORITY_SLA[ticket.priority] || PRIORITY_SLA.medium;
+    const openedAt = new Date(ticket.openedAt || ticket.createdAt);
+    const respondBy = new Date(openedAt.getTime() + sla.respondHours * HOUR_MS);
+    const resolveBy = new Date(openedAt.getTime() + sla.resolveHours * HOUR_MS);
+    return {
+        respondBy,
+        resolveBy,
+        responseBreached: (ticket.respondedAt ? new Date(ticket.respondedAt) : now) > respondBy,
+        resolutionBreached: (ticket.resolvedAt ? new Date(ticket.resolvedAt) : now) > resolveBy,
+    };
+};
+
+module.exports = {
+    MAINTENANCE_CATEGORIES,
+    MAINTENANCE_PRIORITIES,
+    MAINTENANCE_STATUSES,
+    PRIORITY_SLA,
+    allowedTicketStatuses,
+    transitionTicket,
+    slaFor,
+};
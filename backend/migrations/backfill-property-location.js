@@ -0,0 +1,33 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../db');
+
+// One-off migration: copies the old lat/lng fields of existing properties into the GeoJSON
+// `location` field used by the geospatial search, then builds the 2dsphere index.
+// Safe to run more than once; properties that already have a location are left alone.
+// Run with: npm run migrate:locations
+const run = async () => {
+    await connectDB();
+    const properties = mongoose.connection.collection('properties');
+
+    // Only in-range coordinates can go into a 2dsphere index
+    const result = await properties.updateMany(
+        {
+            location: { $exists: false },
+            lat: { $type: 'number', $gte: -90, $lte: 90 },
+            lng: { $type: 'number', $gte: -180, $lte: 180 },
+        },
+        [{ $set: { location: { type: 'Point', coordinates: ['$lng', '$lat'] } } }]
+    );
+    console.log(`Backfilled location on ${result.modifiedCount} properties.`);
+
+    await properties.createIndex({ location: '2dsphere' });
+    console.log('2dsphere index on properties.location is in place.');
+
+    await mongoose.disconnect();
+};
+
+run().catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,23 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../db');
+
+// One-off migration: saved searches used to store the price slider's defaults (0 and 100000) as if
+// the user had picked them, so new listings above 100000 never matched. Those values become "any".
+// Safe to run more than once.
+// Run with: npm run migrate:saved-search-prices
+const run = async () => {
+    await connectDB();
+    const savedSearches = mongoose.connection.collection('savedsearches');
+
+    const max = await savedSearches.updateMany({ 'criteria.maxPrice': 100000 }, { $set: { 'criteria.maxPrice': null } });
+    const min = await savedSearches.updateMany({ 'criteria.minPrice': 0 }, { $set: { 'criteria.minPrice': null } });
+    console.log(`Cleared the default maximum price on ${max.modifiedCount} and the default minimum on ${min.modifiedCount} saved searches.`);
+
+    await mongoose.disconnect();
+};
+
+run().catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+});
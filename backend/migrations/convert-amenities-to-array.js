@@ -0,0 +1,34 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../db');
+const { parseAmenities } = require('../amenities');
+
+// One-off migration: turns the old comma-separated `amenities` string of existing properties into
+// the `amenities` array of catalogue keys, keeping anything unrecognised in `extraAmenities`.
+// Safe to run more than once; properties that already store an array are left alone.
+// Run with: npm run migrate:amenities
+const run = async () => {
+    await connectDB();
+    const properties = mongoose.connection.collection('properties');
+
+    const cursor = properties.find({ amenities: { $not: { $type: 'array' } } }, { projection: { amenities: 1 } });
+    let operations = [];
+    let converted = 0;
+    for await (const property of cursor) {
+        const { amenities, extraAmenities } = parseAmenities(property.amenities || '');
+        operations.push({ updateOne: { filter: { _id: property._id }, update: { $set: { amenities, extraAmenities } } } });
+        if (operations.length === 500) {
+            converted += (await properties.bulkWrite(operations)).modifiedCount;
+            operations = [];
+        }
+    }
+    if (operations.length) converted += (await properties.bulkWrite(operations)).modifiedCount;
+    console.log(`Converted amenities on ${converted} properties.`);
+
+    await mongoose.disconnect();
+};
+
+run().catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+});
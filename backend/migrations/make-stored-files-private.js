@@ -0,0 +1,50 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const cloudinary = require('cloudinary').v2;
+const connectDB = require('../db');
+const { cloudinaryKey, parseCloudinaryKey } = require('../fileStorage');
+
+// One-off migration: verification documents and chat attachments used to be public Cloudinary
+// uploads that anyone with the URL could open. This turns them into 'authenticated' assets, which are only served through
+// signed links, and forgets the old URLs.
+// Safe to run more than once; files that are already private are left alone.
+// Run with: npm run migrate:private-files
+const makePrivate = async (file) => {
+    if (file.storage !== 'cloudinary' || !file.url) return file;
+    const { resourceType, type, publicId } = parseCloudinaryKey(file.key);
+    if (type !== 'upload') return { ...file, url: null };
+    const result = await cloudinary.uploader.rename(publicId, publicId, { resource_type: resourceType, type, to_type: 'authenticated', invalidate: true });
+    return { ...file, key: cloudinaryKey({ ...result, type: 'authenticated' }), url: null };
+};
+
+const run = async () => {
+    await connectDB();
+    cloudinary.config({ cloud_name: process.env.CLOUDINARY_CLOUD_NAME, api_key: process.env.CLOUDINARY_API_KEY, api_secret: process.env.CLOUDINARY_API_SECRET, secure: true });
+    const requests = mongoose.connection.collection('verificationrequests');
+
+    let moved = 0;
+    for await (const request of requests.find({ 'documents.url': { $type: 'string' } }, { projection: { documents: 1 } })) {
+        const documents = [];
+        for (const document of request.documents) documents.push(await makePrivate(document));
+        await requests.updateOne({ _id: request._id }, { $set: { documents } });
+        moved += request.documents.filter(document => document.url).length;
+    }
+    console.log(`Made ${moved} verification documents private.`);
+
+    const messages = mongoose.connection.collection('messages');
+    moved = 0;
+    for await (const message of messages.find({ 'attachments.url': { $type: 'string' } }, { projection: { attachments: 1 } })) {
+        const attachments = [];
+        for (const attachment of message.attachments) attachments.push(await makePrivate(attachment));
+        await messages.updateOne({ _id: message._id }, { $set: { attachments } });
+        moved += message.attachments.filter(attachment => attachment.url).length;
+    }
+    console.log(`Made ${moved} chat attachments private.`);
+
+    await mongoose.disconnect();
+};
+
+run().catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+});
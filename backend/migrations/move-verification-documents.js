@@ -0,0 +1,58 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const cloudinary = require('cloudinary').v2;
+const connectDB = require('../db');
+const { getFileStorage } = require('../fileStorage');
+const { expiryFrom } = require('../verification');
+
+// One-off migration: moves the base64 ID images that landlords used to upload into `verificationDocument`
+// to file storage, as a verification request per landlord. Approved landlords get a fresh validity
+// period so nobody is unverified the day this runs.
+// Safe to run more than once; users whose document has been moved are left alone.
+// Run with: npm run migrate:verifications
+const run = async () => {
+    await connectDB();
+    cloudinary.config({ cloud_name: process.env.CLOUDINARY_CLOUD_NAME, api_key: process.env.CLOUDINARY_API_KEY, api_secret: process.env.CLOUDINARY_API_SECRET, secure: true });
+    const users = mongoose.connection.collection('users');
+    const requests = mongoose.connection.collection('verificationrequests');
+    const fileStorage = getFileStorage();
+
+    const cursor = users.find({ verificationDocument: /^data:/ }, { projection: { verificationDocument: 1, verificationStatus: 1, isVerified: 1 } });
+    let moved = 0;
+    for await (const user of cursor) {
+        const match = /^data:([^;]+);base64,(.*)$/s.exec(user.verificationDocument);
+        if (!match) continue;
+        const [, mimetype, data] = match;
+        const extension = mimetype.split('/')[1] || 'bin';
+        const { key, url } = await fileStorage.save(Buffer.from(data, 'base64'), { folder: `verification/${user._id}`, mimetype, filename: `id.${extension}` });
+
+        const now = new Date();
+        const status = ['approved', 'rejected'].includes(user.verificationStatus) ? user.verificationStatus : 'pending';
+        const expiresAt = status === 'approved' ? expiryFrom(now) : null;
+        await requests.insertOne({
+            user_id: user._id,
+            kind: 'landlord',
+            documents: [{ _id: new mongoose.Types.ObjectId(), type: 'government_id', storage: fileStorage.name, key, url, mimetype, originalName: `id.${extension}`, size: Buffer.byteLength(data, 'base64') }],
+            status,
+            reviewedBy: null,
+            reviewedAt: status === 'pending' ? null : now,
+            reviewerNotes: 'Moved from the old single-document upload.',
+            rejectionReason: status === 'rejected' ? 'Rejected before rejection reasons were recorded.' : '',
+            expiresAt,
+            createdAt: now,
+            updatedAt: now,
+        });
+        await users.updateOne({ _id: user._id }, {
+            $set: { verificationDocument: '', ...(expiresAt && user.isVerified && { verificationExpiresAt: expiresAt }) },
+        });
+        moved++;
+    }
+    console.log(`Moved the verification documents of ${moved} users.`);
+
+    await mongoose.disconnect();
+};
+
+run().catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,53 @@
+// Reports of fraudulent or misleading listings and the admin moderation of them.
+//
+//   visible -> hidden -> (appeal pending) -> visible again
+//                                        \-> appeal rejected
+//
+// Students report a listing with a reason, once each. A listing is hidden automatically once
+// AUTO_HIDE_REPORTS different students have open reports on it, or by an admin from the
+// moderation queue. A hidden listing is left out of every search and only its landlord and admins
+// can open it. The landlord can appeal once per takedown; an admin then makes the listing visible
+// again (dismissing the open reports) or rejects the appeal. Admins can also delete a listing.
+
+const REPORT_REASONS = {
+    scam: 'Scam or fraud (asks for money before a viewing...)',
+    fake_photos: 'Fake or misleading photos',
+    not_available: "The property doesn't exist or isn't for rent",
+    wrong_price: 'Wrong price or hidden fees',
+    offensive: 'Offensive or inappropriate content',
+    other: 'Something else',
+};
+const MODERATION_ACTIONS = ['hide', 'unhide', 'dismiss', 'reject_appeal', 'delete'];
+
+const AUTO_HIDE_REPORTS = parseInt(process.env.LISTING_AUTO_HIDE_REPORTS) || 3;
+const MAX_DETAILS_LENGTH = 1000;
+
+const moderationError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// Validates { reason, details } of a report. "Something else" needs an explanation.
+const parseReport = (input = {}) => {
+    const reason = String(input.reason ?? '');
+    const details = String(input.details ?? '').trim();
+    if (!REPORT_REASONS[reason]) throw moderationError(`Please pick a reason: ${Object.keys(REPORT_REASONS).join(', ')}.`);
+    if (reason === 'other' && !details) throw moderationError('Please tell us what is wrong with this listing.');
+    return { reason, details: details.slice(0, MAX_DETAILS_LENGTH) };
+};
+
+// The text of an appeal or of an admin's reason. Throws when it is empty.
+const parseStatement = (text, emptyMessage) => {
+    const statement = String(text ?? '').trim();
+    if (!statement) throw moderationError(emptyMessage);
+    return statement.slice(0, MAX_DETAILS_LENGTH);
+};
+
+module.exports = {
+    REPORT_REASONS,
+    MODERATION_ACTIONS,
+    AUTO_HIDE_REPORTS,
+    parseReport,
+    parseStatement,
+};
@@ -0,0 +1,46 @@
+// Payment providers take the money for rent payments. Each provider implements
+//
+//   charge({ amount, currency, description, source, metadata })
+//     -> { status: 'succeeded' | 'failed', reference, failureMessage }
+//
+// where `source` is whatever the provider's checkout gave the client (a card token, a UPI reference...).
+// The provider in use comes from PAYMENT_PROVIDER; real gateways are added with registerPaymentProvider.
+
+const crypto = require('crypto');
+
+// Accepts every charge except the `fake_decline` source, so both outcomes can be tried locally.
+// Nothing leaves the server and no money moves.
+const createFakeProvider = () => {
+    const charges = new Map();
+
+    const charge = async ({ amount, currency, description, source, metadata = {} }) => {
+        const reference = `fake_${crypto.randomBytes(8).toString('hex')}`;
+        const declined = source === 'fake_decline';
+        const result = {
+            status: declined ? 'failed' : 'succeeded',
+            reference,
+            failureMessage: declined ? 'The card was declined.' : null,
+        };
+        charges.set(reference, { ...result, amount, currency, description, metadata, createdAt: new Date() });
+        return result;
+    };
+
+    return { name: 'fake', charge, getCharge: (reference) => charges.get(reference) || null };
+};
+
+const factories = new Map([['fake', createFakeProvider]]);
+
+const registerPaymentProvider = (name, factory) => {
+    factories.set(name, factory);
+};
+
+const createPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+    const factory = factories.get(name);
+    if (!factory) throw new Error(`Unknown payment provider '${name}'.`);
+    return factory();
+};
+
+module.exports = {
+    registerPaymentProvider,
+    createPaymentProvider,
+};
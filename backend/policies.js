@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Reusable authorization policies for the REST routes.
+// Every policy runs after authenticateToken, so req.user holds the decoded JWT payload
+// ({ userId, username, userType }) and the role always comes from the signed token.
+
+// Only let the request through if the user's role is one of the allowed roles.
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user) return res.status(401).json({ message: 'Authentication required' });
+    if (!roles.includes(req.user.userType)) {
+        return res.status(403).json({ message: 'Access denied.' });
+    }
+    next();
+};
+
+const requireAdmin = requireRole('admin');
+
+// Load the document named by a route param and make sure the current user owns it
+// through `ownerField` (e.g. 'landlord_id'), or through any of them when given an array.
+// A field may also hold an array of ids (e.g. 'participants'); being in it is enough.
+// The loaded document is saved on req.resource so the route handler doesn't fetch it twice.
+const requireOwner = (Model, ownerField, options = {}) => {
+    const { param = 'id', notFoundMessage = 'Not found', allowAdmin = false } = options;
+
+    return async (req, res, next) => {
+        if (!req.user) return res.status(401).json({ message: 'Authentication required' });
+
+        const id = req.params[param];
+        if (!mongoose.isValidObjectId(id)) return res.status(404).json({ message: notFoundMessage });
+
+        try {
+            const doc = await Model.findById(id);
+            if (!doc) return res.status(404).json({ message: notFoundMessage });
+
+            const ownerIds = [].concat(ownerField).flatMap(field => [].concat(doc[field] ?? []));
+            const isOwner = ownerIds.some(ownerId => String(ownerId) === String(req.user.userId));
+            const isAdmin = allowAdmin && req.user.userType === 'admin';
+            if (!isOwner && !isAdmin) {
+                return res.status(403).json({ message: 'User not authorized' });
+            }
+
+            req.resource = doc;
+            next();
+        } catch (error) {
+            console.error('Authorization error:', error);
+            res.status(500).json({ message: 'Server error checking permissions.' });
+        }
+    };
+};
+
+// Shorthands for the two ownership relations used across the app.
+const requireLandlordOwner = (Model, options) => requireOwner(Model, 'landlord_id', options);
+const requireStudentOwner = (Model, options) => requireOwner(Model, 'student_id', options);
+// Either side of a landlord/student relation, e.g. both parties of an application.
+const requireParticipant = (Model, options) => requireOwner(Model, ['landlord_id', 'student_id'], options);
+// Either side of an application, plus the students invited to it when it is a group application.
+const requireApplicationParty = (Model, options) => requireOwner(Model, ['landlord_id', 'student_id', 'memberIds'], options);
+// The landlord or one of the tenants of a tenancy.
+const requireTenancyParty = (Model, options) => requireOwner(Model, ['landlord_id', 'tenant_ids'], options);
+// Anyone in a conversation: the student and landlord of a property chat, or the members of a roommate chat.
+const requireConversationParticipant = (Model, options) => requireOwner(Model, ['landlord_id', 'student_id', 'participants'], options);
+
+module.exports = {
+    requireRole,
+    requireAdmin,
+    requireOwner,
+    requireLandlordOwner,
+    requireStudentOwner,
+    requireParticipant,
+    requireApplicationParty,
+    requireTenancyParty,
+    requireConversationParticipant,
+};
@@ -0,0 +1,139 @@
+// Real-time delivery to users' WebSocket connections.
+//
+// A user can be connected from several devices at once (a laptop and a phone, a few tabs...) and
+// every event sent to them goes to all of those sockets. The sockets can be held by different
+// backend instances, so events go through a pub/sub adapter that each instance listens to. An
+// adapter implements
+//
+//   publish(channel, message)
+//   subscribe(channel, handler)
+//   setPresence(userId, key, info, ttlMs)   the entry is dropped after ttlMs unless set again
+//   removePresence(userId, key)
+//   listPresence(userId) -> [info]
+//
+// Presence is kept per device; the heartbeat in server.js refreshes it, so an instance that
+// crashes doesn't leave its users online for long. The adapter in use comes from REALTIME_ADAPTER
+// ('memory' by default, which only works within a single process); others (Redis...) are added
+// with registerPubSubAdapter.
+
+const crypto = require('crypto');
+
+const USER_EVENTS_CHANNEL = 'user-events';
+const PRESENCE_TTL_MS = 90 * 1000; // Three missed heartbeats
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// Everything in this process's memory. Messages are copied through JSON like a networked adapter
+// would, so nothing comes to depend on sharing objects.
+const createMemoryAdapter = () => {
+    const handlers = new Map(); // channel -> Set of handlers
+    const presence = new Map(); // userId -> Map of key -> { info, expiresAt }
+
+    return {
+        name: 'memory',
+        publish: async (channel, message) => {
+            const text = JSON.stringify(message);
+            for (const handler of handlers.get(channel) || []) handler(JSON.parse(text));
+        },
+        subscribe: async (channel, handler) => {
+            if (!handlers.has(channel)) handlers.set(channel, new Set());
+            handlers.get(channel).add(handler);
+        },
+        setPresence: async (userId, key, info, ttlMs) => {
+            if (!presence.has(userId)) presence.set(userId, new Map());
+            presence.get(userId).set(key, { info: JSON.parse(JSON.stringify(info)), expiresAt: Date.now() + ttlMs });
+        },
+        removePresence: async (userId, key) => {
+            presence.get(userId)?.delete(key);
+            if (!presence.get(userId)?.size) presence.delete(userId);
+        },
+        listPresence: async (userId) => [...(presence.get(userId)?.values() || [])]
+            .filter(entry => entry.expiresAt > Date.now())
+            .map(entry => entry.info),
+    };
+};
+
+const factories = new Map([['memory', createMemoryAdapter]]);
+
+const registerPubSubAdapter = (name, factory) => {
+    factories.set(name, factory);
+};
+
+const createPubSubAdapter = (name = process.env.REALTIME_ADAPTER || 'memory') => {
+    const factory = factories.get(name);
+    if (!factory) throw new Error(`Unknown pub/sub adapter '${name}'.`);
+    return factory();
+};
+
+// "Chrome on Windows" and the like, from a User-Agent header
+const describeDevice = (userAgent = '') => {
+    const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+        .find(([token]) => userAgent.includes(token))?.[1];
+    const os = [['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']]
+        .find(([token]) => userAgent.includes(token))?.[1];
+    if (!browser && !os) return 'Unknown device';
+    return [browser || 'Browser', os].filter(Boolean).join(' on ');
+};
+
+// The id the client keeps for its device, or a new one for this connection when it sent none
+const parseDeviceId = (deviceId) => (DEVICE_ID_PATTERN.test(String(deviceId ?? '')) ? String(deviceId) : crypto.randomUUID());
+
+// Sockets are registered once authenticated, with ws.userId, ws.deviceId, ws.deviceLabel and
+// ws.connectedAt set.
+const createRealtime = ({ adapter = createPubSubAdapter(), instanceId = crypto.randomUUID() } = {}) => {
+    const sockets = new Map(); // userId -> Set of the sockets this instance holds
+
+    // Two tabs on one device count once per instance
+    const presenceKey = (ws) => `${instanceId}/${ws.deviceId}`;
+    const presenceInfo = (ws) => ({ deviceId: ws.deviceId, label: ws.deviceLabel, connectedAt: ws.connectedAt, lastSeenAt: new Date() });
+
+    adapter.subscribe(USER_EVENTS_CHANNEL, ({ userId, event }) => {
+        const text = JSON.stringify(event);
+        for (const ws of sockets.get(userId) || []) if (ws.readyState === 1) ws.send(text);
+    });
+
+    const addSocket = async (ws) => {
+        if (!sockets.has(ws.userId)) sockets.set(ws.userId, new Set());
+        sockets.get(ws.userId).add(ws);
+        await adapter.setPresence(ws.userId, presenceKey(ws), presenceInfo(ws), PRESENCE_TTL_MS);
+    };
+
+    const removeSocket = async (ws) => {
+        const userSockets = sockets.get(ws.userId);
+        if (!userSockets?.delete(ws)) return;
+        if (!userSockets.size) sockets.delete(ws.userId);
+        if (![...userSockets].some(other => other.deviceId === ws.deviceId)) await adapter.removePresence(ws.userId, presenceKey(ws));
+    };
+
+    // Called on every heartbeat for the sockets still answering
+    const refreshPresence = (ws) => adapter.setPresence(ws.userId, presenceKey(ws), presenceInfo(ws), PRESENCE_TTL_MS);
+
+    // The user's connected devices, oldest connection first
+    const devicesOf = async (userId) => {
+        const devices = new Map();
+        for (const info of await adapter.listPresence(String(userId))) {
+            const known = devices.get(info.deviceId);
+            devices.set(info.deviceId, known ? {
+                ...known,
+                connectedAt: known.connectedAt < info.connectedAt ? known.connectedAt : info.connectedAt,
+                lastSeenAt: known.lastSeenAt > info.lastSeenAt ? known.lastSeenAt : info.lastSeenAt,
+            } : info);
+        }
+        return [...devices.values()].sort((a, b) => (a.connectedAt < b.connectedAt ? -1 : 1));
+    };
+
+    const isOnline = async (userId) => (await adapter.listPresence(String(userId))).length > 0;
+
+    // Sends the event to every socket the user has open, on any instance
+    const pushToUser = (userId, event) => adapter.publish(USER_EVENTS_CHANNEL, { userId: String(userId), event })
+        .catch(error => console.error('Realtime publish error:', error));
+
+    return { addSocket, removeSocket, refreshPresence, devicesOf, isOnline, pushToUser };
+};
+
+module.exports = {
+    registerPubSubAdapter,
+    createPubSubAdapter,
+    createRealtime,
+    describeDevice,
+    parseDeviceId,
+};
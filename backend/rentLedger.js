@@ -0,0 +1,114 @@
+// Rent schedules, overdue detection and receipts for tenancies.
+// Every tenant of a tenancy owes Property.price each month; one RentPayment document is created per
+// tenant and month when the tenancy starts, and the ledger is those documents.
+
+const PDFDocument = require('pdfkit');
+
+const DEFAULT_TENANCY_MONTHS = 12;
+const MAX_TENANCY_MONTHS = 36;
+const GRACE_DAYS = parseInt(process.env.RENT_GRACE_DAYS) || 5;
+// A charge still 'processing' after this long was interrupted (a crash, a lost connection...)
+const PROCESSING_TIMEOUT_MINUTES = parseInt(process.env.RENT_PROCESSING_TIMEOUT_MINUTES) || 15;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ledgerError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// Validates { startDate, months, dueDay } from a request body. The due day defaults to the day of the
+// month the tenancy starts on and is capped at 28 so every month has it.
+const parseTenancyTerms = (body = {}) => {
+    const startDate = body.startDate ? new Date(body.startDate) : new Date();
+    if (isNaN(startDate)) throw ledgerError('The start date is invalid.');
+    startDate.setUTCHours(0, 0, 0, 0);
+
+    const months = body.months === undefined || body.months === '' ? DEFAULT_TENANCY_MONTHS : Number(body.months);
+    if (!Number.isInteger(months) || months < 1 || months > MAX_TENANCY_MONTHS) {
+        throw ledgerError(`A tenancy must last between 1 and ${MAX_TENANCY_MONTHS} months.`);
+    }
+
+    const dueDay = body.dueDay === undefined || body.dueDay === '' ? Math.min(startDate.getUTCDate(), 28) : Number(body.dueDay);
+    if (!Number.isInteger(dueDay) || dueDay < 1 || dueDay > 28) throw ledgerError('The due day must be between 1 and 28.');
+
+    const endDate = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + months, startDate.getUTCDate()));
+    return { startDate, endDate, months, dueDay };
+};
+
+// One entry per month of the tenancy: { period: 'YYYY-MM', dueDate, amount }.
+// The first month is never due before the tenancy starts.
+const buildRentSchedule = ({ startDate, months, dueDay, monthlyRent }) => Array.from({ length: months }, (_, i) => {
+    const due = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + i, dueDay));
+    const dueDate = i === 0 && due < startDate ? new Date(startDate) : due;
+    const period = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + i, 1)).toISOString().slice(0, 7);
+    return { period, dueDate, amount: monthlyRent };
+});
+
+// Mongo filter for unpaid payments past their grace period that haven't been flagged yet
+const overdueFilter = (now = new Date()) => ({
+    status: 'due',
+    dueDate: { $lt: new Date(now.getTime() - GRACE_DAYS * DAY_MS) },
+});
+
+// Mongo filter for payments whose charge was claimed too long ago to still be running
+const stuckProcessingFilter = (now = new Date()) => ({
+    status: 'processing',
+    processingSince: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT_MINUTES * 60 * 1000) },
+});
+
+// The status an unpaid payment goes back to when its charge is given up
+const unpaidStatus = (payment, now = new Date()) => (payment.dueDate < new Date(now.getTime() - GRACE_DAYS * DAY_MS) ? 'overdue' : 'due');
+
+const receiptNumber = (payment) => `RCPT-${payment.period.replace('-', '')}-${String(payment._id).slice(-6).toUpperCase()}`;
+
+const formatAmount = (amount) => `INR ${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+// Writes the PDF receipt for a paid payment to `stream` (e.g. the response).
+// `payment` has property_id, tenant_id and landlord_id populated.
+const writeReceiptPdf = (payment, stream) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Rent receipt ${receiptNumber(payment)}` } });
+    doc.pipe(stream);
+
+    doc.fontSize(22).text('Housing Hub');
+    doc.fontSize(14).fillColor('#555555').text('Rent receipt');
+    doc.moveDown(1.5);
+
+    const property = payment.property_id || {};
+    const rows = [
+        ['Receipt number', receiptNumber(payment)],
+        ['Paid on', formatDate(payment.paidAt)],
+        ['Rent for', new Date(`${payment.period}-01T00:00:00Z`).toLocaleDateString('en-IN', { month: 'long', year: 'numeric', timeZone: 'UTC' })],
+        ['Property', [property.title, property.address, property.city].filter(Boolean).join(', ') || 'Deleted property'],
+        ['Tenant', payment.tenant_id?.username || 'Deleted user'],
+        ['Landlord', payment.landlord_id?.username || 'Deleted user'],
+        ['Payment method', payment.method === 'provider' ? `Online (${payment.provider}, ref. ${payment.providerReference})` : 'Recorded by the landlord'],
+    ];
+    doc.fillColor('#000000').fontSize(11);
+    for (const [label, value] of rows) {
+        const y = doc.y;
+        doc.font('Helvetica-Bold').text(label, 50, y, { width: 150 });
+        doc.font('Helvetica').text(value, 200, y, { width: 345 });
+        doc.moveDown(0.5);
+    }
+
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(16).text(`Amount paid: ${formatAmount(payment.amount)}`, 50);
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(9).fillColor('#777777')
+        .text('This receipt was generated by Housing Hub from the rent ledger of the tenancy.');
+    doc.end();
+};
+
+module.exports = {
+    GRACE_DAYS,
+    PROCESSING_TIMEOUT_MINUTES,
+    parseTenancyTerms,
+    buildRentSchedule,
+    overdueFilter,
+    stuckProcessingFilter,
+    unpaidStatus,
+    receiptNumber,
+    writeReceiptPdf,
+};
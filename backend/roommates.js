@@ -0,0 +1,126 @@
+// Roommate profiles and compatibility scoring between students.
+// Each factor scores 0..1 and is weighted; the weights add up to 100, so the total reads as a percentage.
+// A factor one of the two students left blank scores 0.5: it neither helps nor rules the match out.
+
+const HABIT_OPTIONS = {
+    smoking: ['no', 'outside_only', 'yes'],
+    sleepSchedule: ['early_bird', 'night_owl', 'flexible'],
+    diet: ['vegetarian', 'vegan', 'eggetarian', 'non_vegetarian', 'no_preference'],
+    guests: ['rarely', 'sometimes', 'often'],
+};
+
+const WEIGHTS = {
+    budget: 25,
+    city: 15,
+    moveIn: 15,
+    smoking: 15,
+    sleepSchedule: 10,
+    diet: 10,
+    cleanliness: 5,
+    guests: 5,
+};
+
+const UNKNOWN = 0.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// How much the two budget ranges overlap, relative to the narrower one.
+const budgetScore = (a, b) => {
+    if (isBlank(a.budgetMax) || isBlank(b.budgetMax)) return UNKNOWN;
+    const overlap = Math.min(a.budgetMax, b.budgetMax) - Math.max(a.budgetMin || 0, b.budgetMin || 0);
+    if (overlap < 0) return 0;
+    const narrowest = Math.min(a.budgetMax - (a.budgetMin || 0), b.budgetMax - (b.budgetMin || 0));
+    return narrowest > 0 ? Math.min(1, overlap / narrowest) : 1;
+};
+
+const cityScore = (a, b) => {
+    if (!a.city || !b.city) return UNKNOWN;
+    return a.city.trim().toLowerCase() === b.city.trim().toLowerCase() ? 1 : 0;
+};
+
+// Full marks within two weeks of each other, nothing once they are three months apart.
+const moveInScore = (a, b) => {
+    if (!a.moveInDate || !b.moveInDate) return UNKNOWN;
+    const days = Math.abs(new Date(a.moveInDate) - new Date(b.moveInDate)) / DAY_MS;
+    if (days <= 14) return 1;
+    return Math.max(0, 1 - (days - 14) / 76);
+};
+
+// Position on an ordered scale: neighbours are half compatible, opposite ends not at all.
+const scaleScore = (options) => (x, y) => {
+    if (isBlank(x) || isBlank(y)) return UNKNOWN;
+    const distance = Math.abs(options.indexOf(x) - options.indexOf(y));
+    return Math.max(0, 1 - distance / (options.length - 1));
+};
+
+const sleepScore = (x, y) => {
+    if (isBlank(x) || isBlank(y)) return UNKNOWN;
+    return x === y || x === 'flexible' || y === 'flexible' ? 1 : 0;
+};
+
+// Sharing a kitchen mostly matters between meat eaters and vegetarians/vegans.
+const DIET_GROUP = { vegan: 0, vegetarian: 1, eggetarian: 2, non_vegetarian: 3 };
+const dietScore = (x, y) => {
+    if (isBlank(x) || isBlank(y)) return UNKNOWN;
+    if (x === y || x === 'no_preference' || y === 'no_preference') return 1;
+    return Math.max(0, 1 - Math.abs(DIET_GROUP[x] - DIET_GROUP[y]) / 3);
+};
+
+const cleanlinessScore = (x, y) => {
+    if (isBlank(x) || isBlank(y)) return UNKNOWN;
+    return 1 - Math.abs(x - y) / 4;
+};
+
+const FACTORS = {
+    budget: budgetScore,
+    city: cityScore,
+    moveIn: moveInScore,
+    smoking: (a, b) => scaleScore(HABIT_OPTIONS.smoking)(a.habits?.smoking, b.habits?.smoking),
+    sleepSchedule: (a, b) => sleepScore(a.habits?.sleepSchedule, b.habits?.sleepSchedule),
+    diet: (a, b) => dietScore(a.habits?.diet, b.habits?.diet),
+    cleanliness: (a, b) => cleanlinessScore(a.habits?.cleanliness, b.habits?.cleanliness),
+    guests: (a, b) => scaleScore(HABIT_OPTIONS.guests)(a.habits?.guests, b.habits?.guests),
+};
+
+// Returns { score: 0..100, breakdown: { factor: 0..1 } } for two roommate profiles.
+const scoreCompatibility = (a, b) => {
+    const breakdown = {};
+    let score = 0;
+    for (const [factor, weight] of Object.entries(WEIGHTS)) {
+        breakdown[factor] = Math.round(FACTORS[factor](a, b) * 100) / 100;
+        score += breakdown[factor] * weight;
+    }
+    return { score: Math.round(score), breakdown };
+};
+
+// Picks the editable fields out of a request body. Invalid habit values are dropped rather than
+// rejected, so an outdated client can still save the rest of the profile.
+const normalizeRoommateProfile = (body = {}) => {
+    const toNumber = (value) => (isBlank(value) || !Number.isFinite(Number(value)) ? null : Number(value));
+    const habits = {};
+    for (const [habit, options] of Object.entries(HABIT_OPTIONS)) {
+        const value = body.habits?.[habit];
+        habits[habit] = options.includes(value) ? value : null;
+    }
+    const cleanliness = toNumber(body.habits?.cleanliness);
+    habits.cleanliness = cleanliness && cleanliness >= 1 && cleanliness <= 5 ? Math.round(cleanliness) : null;
+
+    const moveInDate = body.moveInDate ? new Date(body.moveInDate) : null;
+    return {
+        budgetMin: toNumber(body.budgetMin),
+        budgetMax: toNumber(body.budgetMax),
+        city: isBlank(body.city) ? '' : String(body.city).trim(),
+        moveInDate: moveInDate && !isNaN(moveInDate) ? moveInDate : null,
+        habits,
+        bio: isBlank(body.bio) ? '' : String(body.bio).trim(),
+        lookingForRoommate: body.lookingForRoommate === undefined ? true : Boolean(body.lookingForRoommate),
+    };
+};
+
+module.exports = {
+    HABIT_OPTIONS,
+    WEIGHTS,
+    scoreCompatibility,
+    normalizeRoommateProfile,
+};
@@ -0,0 +1,147 @@
+// Saved searches and the alerts for new listings that match them.
+// A saved search stores the same criteria the property Filters send to GET /api/properties.
+// When a landlord posts a property, notifyMatches finds the searches it satisfies and notifies
+// their owners right away; searches with the email digest on also queue the listing for sendDigests.
+
+const { tokenize, buildSnippet } = require('./textSearch');
+
+const MAX_SAVED_SEARCHES = 20;
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Filter values that mean "no restriction", as sent by the frontend Filters.
+const ANY_VALUES = ['', 'All', 'Any'];
+
+const textOrNull = (value) => {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    return ANY_VALUES.includes(text) ? null : text;
+};
+
+const numberOrNull = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+// Keeps only the supported criteria, dropping empty and "any" values.
+const normalizeCriteria = (input = {}) => {
+    const criteria = {
+        search: textOrNull(input.search),
+        city: textOrNull(input.city),
+        minPrice: numberOrNull(input.minPrice),
+        maxPrice: numberOrNull(input.maxPrice),
+        bedrooms: textOrNull(input.bedrooms),
+        propertyType: textOrNull(input.propertyType),
+    };
+    if (criteria.minPrice === 0) criteria.minPrice = null;
+    return criteria;
+};
+
+// Approximates the text search of GET /api/properties: any word of the search found at the
+// start of a word in one of the indexed fields.
+const matchesText = (search, property) => {
+    const terms = tokenize(search);
+    return !terms.length || Boolean(buildSnippet(property, terms));
+};
+
+// Mongo filter for the saved searches whose structured criteria accept `property`.
+// Missing criteria match anything; the free text is checked afterwards with matchesText.
+// Run it with CASE_INSENSITIVE so a city saved before any listing had it ("delhi") still matches.
+const savedSearchFilterFor = (property) => {
+    const bedroomValues = [null, String(property.bedrooms)];
+    if (property.bedrooms >= 4) bedroomValues.push('4+');
+
+    return {
+        alertsEnabled: true,
+        user_id: { $ne: property.landlord_id },
+        'criteria.city': { $in: [null, property.city] },
+        'criteria.propertyType': { $in: [null, property.property_type] },
+        'criteria.bedrooms': { $in: bedroomValues },
+        $and: [
+            { $or: [{ 'criteria.minPrice': null }, { 'criteria.minPrice': { $lte: property.price } }] },
+            { $or: [{ 'criteria.maxPrice': null }, { 'criteria.maxPrice': { $gte: property.price } }] },
+        ],
+    };
+};
+
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+const createSavedSearchAlerts = ({ SavedSearch, sendNotification, mailer }) => {
+    // One notification per user, however many of their searches match.
+    const notifyMatches = async (property) => {
+        const candidates = await SavedSearch.find(savedSearchFilterFor(property)).collation(CASE_INSENSITIVE);
+        const matches = candidates.filter(search => matchesText(search.criteria.search, property));
+
+        const byUser = new Map();
+        for (const search of matches) {
+            const userId = String(search.user_id);
+            if (!byUser.has(userId)) byUser.set(userId, []);
+            byUser.get(userId).push(search);
+        }
+
+        for (const [userId, searches] of byUser) {
+            const names = searches.map(search => `"${search.name}"`).join(', ');
+            await sendNotification({
+                recipientId: userId,
+                senderId: property.landlord_id,
+                message: `New listing matching your saved search ${names}: ${property.title} in ${property.city}.`,
+                link: `/properties/${property._id}`,
+            });
+        }
+
+        const digestIds = matches.filter(search => search.emailDigest).map(search => search._id);
+        if (digestIds.length) {
+            await SavedSearch.updateMany({ _id: { $in: digestIds } }, { $addToSet: { pendingDigest: property._id } });
+        }
+        return matches.length;
+    };
+
+    // Emails every user one summary of the listings queued on their searches, then clears the queues.
+    // Listings deleted in the meantime are left out. Only searches whose last digest is at least a day
+    // old are due, so this can run often and a restart doesn't skip or repeat a day.
+    const sendDigests = async (now = new Date()) => {
+        const searches = await SavedSearch.find({
+            emailDigest: true,
+            'pendingDigest.0': { $exists: true },
+            $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: new Date(now.getTime() - DIGEST_INTERVAL_MS) } }],
+        })
+            .populate('user_id', 'username email')
+            .populate('pendingDigest', 'title city price');
+
+        const byUser = new Map();
+        for (const search of searches) {
+            if (!search.user_id) continue;
+            const userId = String(search.user_id._id);
+            if (!byUser.has(userId)) byUser.set(userId, { user: search.user_id, sections: [], searchIds: [] });
+            const entry = byUser.get(userId);
+            entry.searchIds.push(search._id);
+            const properties = search.pendingDigest.filter(Boolean);
+            if (properties.length) entry.sections.push({ name: search.name, properties });
+        }
+
+        let sent = 0;
+        for (const { user, sections, searchIds } of byUser.values()) {
+            try {
+                if (sections.length) {
+                    await mailer.sendSavedSearchDigest(user, sections);
+                    sent++;
+                }
+                await SavedSearch.updateMany({ _id: { $in: searchIds } }, { $set: { pendingDigest: [], lastDigestAt: now } });
+            } catch (error) {
+                // Keep the queue so the listings go out with the next digest
+                console.error(`Saved search digest for user ${user._id} failed:`, error);
+            }
+        }
+        return sent;
+    };
+
+    return { notifyMatches, sendDigests };
+};
+
+module.exports = {
+    MAX_SAVED_SEARCHES,
+    normalizeCriteria,
+    matchesText,
+    savedSearchFilterFor,
+    createSavedSearchAlerts,
+};
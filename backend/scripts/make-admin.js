@@ -0,0 +1,28 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../db');
+
+// Gives an existing account admin rights. Signup only creates students and landlords, so this is the
+// only way to get an admin; the user signs in again to pick up the new role.
+// Run with: npm run make-admin -- <email>
+const run = async () => {
+    const email = String(process.argv[2] || '').trim().toLowerCase();
+    if (!email) {
+        console.error('Usage: npm run make-admin -- <email>');
+        process.exit(1);
+    }
+    await connectDB();
+    const users = mongoose.connection.collection('users');
+
+    const result = await users.updateOne({ email }, { $set: { user_type: 'admin' } });
+    if (!result.matchedCount) console.error(`No account is registered with ${email}.`);
+    else console.log(`${email} is now an admin.`);
+
+    await mongoose.disconnect();
+    if (!result.matchedCount) process.exit(1);
+};
+
+run().catch((error) => {
+    console.error('Making the admin failed:', error);
+    process.exit(1);
+});
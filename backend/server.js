@@ -5,33 +5,31 @@ const { WebSocketServer } = require('ws');
 const bodyParser = require('body-parser');
 const cors = require('cors'); // <-- Correctly required
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const mongoose = require('mongoose');
 const fetch = require('node-fetch');
-
-// --- SECURITY MIDDLEWARE (Paste this near the top) --- // Ensure this is imported
-
-const requireAuth = (req, res, next) => {
-    // 1. Get the token from the header (Bearer <token>)
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    // 2. If no token, kick them out
-    if (token == null) return res.status(401).json({ message: "Authentication required" });
-
-    // 3. Verify the token
-    // IMPORTANT: Make sure 'your_secret_key' matches what you used in /api/login
-    jwt.verify(token, process.env.JWT_SECRET || 'your_secret_key', (err, user) => {
-        if (err) return res.status(403).json({ message: "Token invalid or expired" });
-        
-        // 4. Token is good! Save user info and let them in
-        req.user = user;
-        next();
-    });
-};
-// ---------------------------------------------------
+const { requireRole, requireAdmin, requireOwner, requireLandlordOwner, requireParticipant, requireApplicationParty, requireTenancyParty, requireConversationParticipant } = require('./policies');
+const { APPLICATION_STATUSES, FINAL_STATUSES, EXPIRY_DAYS, allowedNextStatuses, transitionApplication } = require('./applicationLifecycle');
+const createSessions = require('./sessions');
+const createAccountTokens = require('./accountTokens');
+const createMailer = require('./mailer');
+const { toGeoPoint, parseNear, parseRadiusKm, parseBbox, withinRadius, distanceKmExpression } = require('./geo');
+const { tokenize, createCityResolver, buildSnippet } = require('./textSearch');
+const { AMENITIES, AMENITY_KEYS, parseAmenities, parseAmenityFilter, describeAmenities } = require('./amenities');
+const { HABIT_OPTIONS, scoreCompatibility, normalizeRoommateProfile } = require('./roommates');
+const { MAX_SAVED_SEARCHES, normalizeCriteria, createSavedSearchAlerts } = require('./savedSearches');
+const { REMINDER_HOURS, parseSlot, overlapping, toICalendar, viewingToEvent } = require('./viewings');
+const { parseTenancyTerms, buildRentSchedule, overdueFilter, stuckProcessingFilter, unpaidStatus, writeReceiptPdf, receiptNumber } = require('./rentLedger');
+const { createPaymentProvider } = require('./paymentProviders');
+const { DEPOSIT_STATUSES, MAX_PHOTOS_PER_DEDUCTION, MAX_PHOTOS_PER_UPLOAD, MAX_PHOTO_BYTES, photoFileFilter, hasMovedOut, parseDeductions, depositTotals } = require('./deposits');
+const { MAINTENANCE_CATEGORIES, MAINTENANCE_PRIORITIES, MAINTENANCE_STATUSES, allowedTicketStatuses, transitionTicket, slaFor } = require('./maintenance');
+const { getFileStorage } = require('./fileStorage');
+const { DOCUMENT_TYPES, REQUIRED_DOCUMENT_TYPES, PROPERTY_DOCUMENT_TYPES, REQUIRED_PROPERTY_DOCUMENT_TYPES, MAX_DOCUMENT_BYTES, REMINDER_DAYS, DAY_MS, documentFileFilter, documentFields, collectDocuments, assertCanSubmit, expiryFrom } = require('./verification');
+const { MAX_ATTACHMENTS, MAX_ATTACHMENT_BYTES, THUMBNAIL_SIZE, attachmentFileFilter, hasPreview, collectAttachments } = require('./attachments');
+const { REPORT_REASONS, MODERATION_ACTIONS, AUTO_HIDE_REPORTS, parseReport, parseStatement } = require('./moderation');
+const { createRealtime, describeDevice, parseDeviceId } = require('./realtime');
+const { LEASE_PLACEHOLDERS, DEFAULT_LEASE_TEMPLATE, parseLeaseTemplate, leaseValues, fillLeaseTemplate, documentHash, writeLeasePdf, leasePdfBuffer } = require('./leases');
 
 // --- Database Connection ---
 const connectDB = async () => {
@@ -49,10 +47,13 @@ const connectDB = async () => {
 };
 
 const app = express();
+// Render puts one proxy in front of the app, so the client's address is the last one it adds to
+// X-Forwarded-For. Set TRUST_PROXY=0 when the server is reached directly, or to the number of proxies.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY ?? '1') || false);
 connectDB();
 
 const PORT = process.env.PORT || 3001;
-const JWT_SECRET = process.env.JWT_SECRET || "super-secret-key-change-this";
+const JWT_SECRET = process.env.JWT_SECRET;
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 
 const server = http.createServer(app);
@@ -63,9 +64,37 @@ const ApplicationSchema = new mongoose.Schema({
     property_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
     student_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     landlord_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    status: { type: String, enum: ['pending', 'accepted', 'rejected'], default: 'pending' },
+    status: { type: String, enum: APPLICATION_STATUSES, default: 'pending' },
     message: { type: String, default: '' }, // Student's note
+    // Group applications: the other students the applicant (student_id, the group lead) invited.
+    // The application stays 'forming' until every invitation has been answered.
+    members: [{
+        student_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        status: { type: String, enum: ['invited', 'accepted', 'declined'], default: 'invited' },
+        invitedAt: { type: Date, default: Date.now },
+        respondedAt: { type: Date, default: null },
+    }],
+    // Every status change, oldest first. `from` is null for the entry created on submission.
+    history: [{
+        from: { type: String, default: null },
+        to: { type: String, required: true },
+        actor_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null for system changes
+        actor_role: { type: String, enum: ['student', 'landlord', 'system'], required: true },
+        note: { type: String, default: '' },
+        at: { type: Date, default: Date.now },
+    }],
 }, { timestamps: true });
+ApplicationSchema.index({ status: 1, updatedAt: 1 }); // Used by the expiry job
+ApplicationSchema.index({ 'members.student_id': 1 });
+
+// Invited and accepted members, i.e. everyone who may see the application besides the lead and landlord
+ApplicationSchema.virtual('memberIds').get(function () {
+    return (this.members || []).filter(member => member.status !== 'declined').map(member => member.student_id);
+});
+// The number of students moving in: the lead plus everyone who accepted
+ApplicationSchema.virtual('groupSize').get(function () {
+    return 1 + (this.members || []).filter(member => member.status === 'accepted').length;
+});
 
 const Application = mongoose.model('Application', ApplicationSchema);
 
@@ -84,6 +113,7 @@ const UserSchema = new mongoose.Schema({
     
     profilePictureUrl: { type: String, default: '' },
     bio: { type: String, default: '', maxLength: 250 },
+    emailVerified: { type: Boolean, default: false },
 
     // --- NEW VERIFICATION FIELDS (Start) ---
     isVerified: { 
@@ -92,12 +122,14 @@ const UserSchema = new mongoose.Schema({
     },
     verificationStatus: {
         type: String,
-        enum: ['none', 'pending', 'approved', 'rejected'],
+        enum: ['none', 'pending', 'approved', 'rejected', 'expired'],
         default: 'none'
     },
+    verificationExpiresAt: { type: Date, default: null }, // Landlords verify again after this
+    verificationReminderSentAt: { type: Date, default: null },
     verificationDocument: { 
         type: String, 
-        default: '' // We will save the image URL here later
+        default: '' // Legacy base64 upload; documents now live on VerificationRequest
     },
     // --- NEW VERIFICATION FIELDS (End) ---
 
@@ -110,21 +142,110 @@ const PropertySchema = new mongoose.Schema({
     address: { type: String, required: true },
     city: { type: String, required: true },
     price: { type: Number, required: true },
+    deposit: { type: Number, default: 0, min: 0 }, // Security deposit per tenant
     property_type: { type: String, enum: ['apartment', 'house', 'room'], required: true },
     bedrooms: Number,
     bathrooms: Number,
-    amenities: String,
+    amenities: [{ type: String, enum: AMENITY_KEYS }], // Keys from the amenity catalogue
+    extraAmenities: [String], // Anything the landlord listed that isn't in the catalogue
     image_url: String,
     images: [String],
     lat: { type: Number },
     lng: { type: Number },
+    // GeoJSON copy of lat/lng for geospatial queries, kept in sync by the pre-validate hook below
+    location: {
+        type: { type: String, enum: ['Point'] },
+        coordinates: { type: [Number], default: undefined }, // [lng, lat]
+    },
     virtual_tour_url: { type: String, default: '' },
+    // --- Availability ---
+    availableFrom: { type: Date, default: null }, // null means available right away
+    availableUntil: { type: Date, default: null }, // null means open-ended
+    totalUnits: { type: Number, default: 1, min: 1 }, // Rooms let separately; 1 for a whole flat/house
+    occupiedUnits: { type: Number, default: 0, min: 0 },
+    // --- Listing verification (an admin has seen proof the landlord owns this property) ---
+    isVerified: { type: Boolean, default: false },
+    verificationStatus: { type: String, enum: ['none', 'pending', 'approved', 'rejected'], default: 'none' },
+    // --- Moderation (see moderation.js) ---
+    isHidden: { type: Boolean, default: false },
+    hiddenAt: { type: Date, default: null },
+    hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null when hidden automatically
+    hiddenReason: { type: String, default: '' },
+    appealStatus: { type: String, enum: ['none', 'pending', 'accepted', 'rejected'], default: 'none' },
+    appealMessage: { type: String, default: '' },
+    appealedAt: { type: Date, default: null },
+    appealResponse: { type: String, default: '' },
+}, { timestamps: true });
+
+PropertySchema.index({ location: '2dsphere' });
+// Full-text search; a word in the title counts for more than the same word deep in the description
+PropertySchema.index(
+    { title: 'text', description: 'text', address: 'text', city: 'text', amenities: 'text' },
+    { name: 'property_text_search', weights: { title: 10, city: 5, address: 3, amenities: 2, description: 1 } }
+);
+PropertySchema.pre('validate', function (next) {
+    const point = toGeoPoint(this.lat, this.lng);
+    this.location = point || undefined;
+    next();
+});
+
+const CampusSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    city: { type: String, required: true, trim: true },
+    location: {
+        type: { type: String, enum: ['Point'], required: true },
+        coordinates: { type: [Number], required: true }, // [lng, lat]
+    },
 }, { timestamps: true });
+CampusSchema.index({ location: '2dsphere' });
 
 const FavoriteSchema = new mongoose.Schema({ user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, property_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true }, }, { timestamps: true });
 FavoriteSchema.index({ user_id: 1, property_id: 1 }, { unique: true });
-const ConversationSchema = new mongoose.Schema({ property_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true }, student_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, landlord_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, }, { timestamps: true });
-const MessageSchema = new mongoose.Schema({ conversation_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true }, sender_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, content: { type: String, required: true }, }, { timestamps: true });
+// A conversation is either about a property (one student and its landlord) or between students
+// looking for roommates. `participants` lists everyone in it; older property conversations predate
+// the field, so membership checks also look at student_id/landlord_id.
+const isPropertyConversation = function () { return this.kind === 'property'; };
+const ConversationSchema = new mongoose.Schema({
+    kind: { type: String, enum: ['property', 'roommate'], default: 'property' },
+    property_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: isPropertyConversation },
+    student_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: isPropertyConversation },
+    landlord_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: isPropertyConversation },
+    participants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+}, { timestamps: true });
+ConversationSchema.index({ participants: 1 });
+// A file attached to a chat message (see attachments.js). Clients only fetch it through
+// GET /api/messages/:id/attachments/:attachmentId, so where it is stored is never sent to them.
+const MessageAttachmentSchema = new mongoose.Schema({
+    storage: { type: String, required: true }, // The fileStorage.js backend holding the file
+    key: { type: String, required: true },
+    url: { type: String, default: null }, // Only on files saved while they were public (see fileStorage.js)
+    mimetype: { type: String, required: true },
+    originalName: { type: String, default: '' },
+    size: { type: Number, default: 0 },
+    hasPreview: { type: Boolean, default: false },
+}, {
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.storage;
+            delete ret.key;
+            delete ret.url;
+            return ret;
+        },
+    },
+});
+const MessageSchema = new mongoose.Schema({
+    conversation_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+    sender_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    content: { type: String, default: '', required: function () { return !this.attachments?.length; } },
+    attachments: [MessageAttachmentSchema],
+    // Receipts from the other member (every chat has two): delivered once it reached one of their
+    // open connections, read once they had the chat open
+    deliveredAt: { type: Date, default: null },
+    readAt: { type: Date, default: null },
+}, { timestamps: true });
+MessageSchema.index({ conversation_id: 1, createdAt: 1 });
+MessageSchema.index({ conversation_id: 1, sender_id: 1, readAt: 1 }); // Unread counts
+MessageSchema.index({ content: 'text', 'attachments.originalName': 'text' }); // Message search
 const PropertyViewSchema = new mongoose.Schema({ property_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true }, }, { timestamps: true });
 const NotificationSchema = new mongoose.Schema({ recipient_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, sender_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, message: { type: String, required: true }, link: { type: String }, isRead: { type: Boolean, default: false }, }, { timestamps: true });
 const ReviewSchema = new mongoose.Schema({
@@ -134,6 +255,277 @@ const ReviewSchema = new mongoose.Schema({
     comment: { type: String, required: true, maxLength: 1000 },
 }, { timestamps: true });
 ReviewSchema.index({ property_id: 1, user_id: 1 }, { unique: true });
+const RefreshTokenSchema = new mongoose.Schema({
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    replacedBy: { type: String, default: null }, // Hash of the token issued when this one was rotated
+}, { timestamps: true });
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB clean up expired sessions
+const PasswordResetTokenSchema = new mongoose.Schema({
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+}, { timestamps: true });
+PasswordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const RoommateProfileSchema = new mongoose.Schema({
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    budgetMin: { type: Number, default: null, min: 0 },
+    budgetMax: { type: Number, default: null, min: 0 },
+    city: { type: String, default: '', trim: true },
+    moveInDate: { type: Date, default: null },
+    habits: {
+        smoking: { type: String, enum: HABIT_OPTIONS.smoking, default: null },
+        sleepSchedule: { type: String, enum: HABIT_OPTIONS.sleepSchedule, default: null },
+        diet: { type: String, enum: HABIT_OPTIONS.diet, default: null },
+        guests: { type: String, enum: HABIT_OPTIONS.guests, default: null },
+        cleanliness: { type: Number, min: 1, max: 5, default: null }, // 1 relaxed ... 5 spotless
+    },
+    bio: { type: String, default: '', maxLength: 500 },
+    lookingForRoommate: { type: Boolean, default: true }, // Hidden from matches when false
+}, { timestamps: true });
+RoommateProfileSchema.index({ lookingForRoommate: 1, city: 1 });
+
+// A time a landlord is available to show a property. `bookedCount` counts the active bookings
+// and is only changed with guarded $inc updates, so two students can't take the last place.
+const ViewingSlotSchema = new mongoose.Schema({
+    property_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+    landlord_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    capacity: { type: Number, default: 1, min: 1 },
+    bookedCount: { type: Number, default: 0, min: 0 },
+    cancelled: { type: Boolean, default: false },
+}, { timestamps: true });
+ViewingSlotSchema.index({ property_id: 1, start: 1 });
+ViewingSlotSchema.index({ landlord_id: 1, start: 1 });
+
+// A student's booking of a viewing slot
+const ViewingSchema = new mongoose.Schema({
+    slot_id: { type: mongoose.Schema.Types.ObjectId, ref: 'ViewingSlot', required: true },
+    property_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+    landlord_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    student_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    start: { type: Date, required: true }, // Copied from the slot
+    end: { type: Date, required: true },
+    status: { type: String, enum: ['booked', 'cancelled'], default: 'booked' },
+    cancelledBy: { type: String, enum: ['student', 'landlord', null], default: null },
+    reminderSentAt: { type: Date, default: null },
+}, { timestamps: true });
+ViewingSchema.index({ student_id: 1, start: 1 });
+ViewingSchema.index({ landlord_id: 1, start: 1 });
+ViewingSchema.index({ status: 1, reminderSentAt: 1, start: 1 }); // Used by the reminder job
+
+// A tenancy starts from an accepted application. Its tenants are the applicant and, for a group
+// application, the members who joined.
+const TenancySchema = new mongoose.Schema({
+    application_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Application', required: true, unique: true },
+    property_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+    landlord_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tenant_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true }],
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    monthlyRent: { type: Number, required: true }, // Per tenant, Property.price when the tenancy started
+    depositAmount: { type: Number, default: 0 }, // Per tenant, Property.deposit when the tenancy started
+    dueDay: { type: Number, min: 1, max: 28, required: true },
+    status: { type: String, enum: ['active', 'ended'], default: 'active' },
+    movedOutAt: { type: Date, default: null }, // Set when the landlord records the move-out
+    lease_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Lease', default: null }, // The lease signed in the app, if any
+}, { timestamps: true });
+
+// One month of rent owed by one tenant (see rentLedger.js)
+const RentPaymentSchema = new mongoose.Schema({
+    tenancy_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenancy', required: true },
+    tenant_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    landlord_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    property_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+    period: { type: String, required: true }, // 'YYYY-MM'
+    dueDate: { type: Date, required: true },
+    amount: { type: Number, required: true },
+    status: { type: String, enum: ['due', 'overdue', 'processing', 'paid'], default: 'due' }, // processing: a charge is under way
+    processingSince: { type: Date, default: null }, // When the payment was claimed for settling
+    paidAt: { type: Date, default: null },
+    method: { type: String, enum: ['manual', 'provider', null], default: null },
+    provider: { type: String, default: null },
+    providerReference: { type: String, default: null },
+    note: { type: String, default: '' }, // Landlord's note when marking paid by hand
+}, { timestamps: true });
+RentPaymentSchema.index({ tenancy_id: 1, tenant_id: 1, period: 1 }, { unique: true });
+RentPaymentSchema.index({ status: 1, dueDate: 1 }); // Used by the overdue job
+
+// One tenant's security deposit and what happens to it at move-out (see deposits.js)
+const DepositSchema = new mongoose.Schema({
+    tenancy_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenancy', required: true },
+    tenant_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    landlord_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    property_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+    amount: { type: Number, required: true },
+    status: { type: String, enum: DEPOSIT_STATUSES, default: 'held' },
+    deductions: [{
+        description: { type: String, required: true },
+        amount: { type: Number, required: true },
+        photos: [String], // Cloudinary URLs of the evidence
+        approvedAmount: { type: Number, default: null }, // Set by an admin when resolving a dispute
+    }],
+    proposedAt: { type: Date, default: null },
+    respondedAt: { type: Date, default: null },
+    disputeReason: { type: String, default: '' },
+    resolution: {
+        note: { type: String, default: '' },
+        resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        resolvedAt: { type: Date, default: null },
+    },
+}, { timestamps: true });
+DepositSchema.index({ tenancy_id: 1, tenant_id: 1 }, { unique: true });
+DepositSchema.index({ status: 1, updatedAt: 1 }); // The admin dispute queue
+
+// A repair request from a tenant (see maintenance.js for the workflow and SLA targets)
+const MaintenanceTicketSchema = new mongoose.Schema({
+    tenancy_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenancy', required: true },
+    property_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+    landlord_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    student_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    title: { type: String, required: true, trim: true, maxLength: 120 },
+    description: { type: String, default: '', maxLength: 2000 },
+    category: { type: String, enum: MAINTENANCE_CATEGORIES, required: true },
+    priority: { type: String, enum: MAINTENANCE_PRIORITIES, default: 'medium' },
+    photos: [String], // Cloudinary URLs
+    status: { type: String, enum: MAINTENANCE_STATUSES, default: 'open' },
+    assignee: { type: String, default: '' }, // Who the landlord has put on it, e.g. a plumber
+    notes: [{
+        author_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        author_role: { type: String, enum: ['student', 'landlord'] },
+        text: { type: String, required: true },
+        at: { type: Date, default: Date.now },
+    }],
+    openedAt: { type: Date, default: Date.now }, // Start of the SLA clock; reset when reopened
+    respondedAt: { type: Date, default: null },
+    resolvedAt: { type: Date, default: null },
+    slaAlerts: [{ type: String, enum: ['response', 'resolution'] }], // Breaches already reported
+    history: [{
+        from: { type: String, default: null },
+        to: { type: String, required: true },
+        actor_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        actor_role: { type: String, enum: ['student', 'landlord'], required: true },
+        note: { type: String, default: '' },
+        at: { type: Date, default: Date.now },
+    }],
+}, { timestamps: true });
+MaintenanceTicketSchema.index({ status: 1, openedAt: 1 }); // Used by the SLA job
+
+// A landlord's lease text with {{placeholders}} (see leases.js)
+const LeaseTemplateSchema = new mongoose.Schema({
+    landlord_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    name: { type: String, required: true, trim: true, maxLength: 80 },
+    body: { type: String, required: true },
+}, { timestamps: true });
+
+// The lease of one accepted application. `body` is the filled-in template and never changes once
+// generated; every signature records the hash of the text it was given for.
+const LeaseSchema = new mongoose.Schema({
+    application_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Application', required: true, unique: true },
+    tenancy_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenancy', default: null },
+    template_id: { type: mongoose.Schema.Types.ObjectId, ref: 'LeaseTemplate', default: null },
+    property_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+    landlord_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tenant_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true }],
+    terms: {
+        startDate: { type: Date, required: true },
+        endDate: { type: Date, required: true },
+        months: { type: Number, required: true },
+        monthlyRent: { type: Number, required: true },
+        deposit: { type: Number, default: 0 },
+    },
+    body: { type: String, required: true },
+    documentHash: { type: String, required: true }, // SHA-256 of `body`
+    status: { type: String, enum: ['awaiting_signatures', 'signed'], default: 'awaiting_signatures' },
+    signatures: [{
+        user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        role: { type: String, enum: ['landlord', 'student'], required: true },
+        name: { type: String, required: true }, // The typed signature
+        documentHash: { type: String, required: true },
+        signedAt: { type: Date, default: Date.now },
+        ip: { type: String, default: null },
+        userAgent: { type: String, default: '' },
+    }],
+    audit: [{
+        event: { type: String, enum: ['generated', 'viewed', 'signed', 'completed'], required: true },
+        actor_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        ip: { type: String, default: null },
+        userAgent: { type: String, default: '' },
+        at: { type: Date, default: Date.now },
+    }],
+    signedAt: { type: Date, default: null },
+    signedPdf: { type: Buffer, select: false }, // The signed copy, stored once everyone has signed
+}, { timestamps: true });
+
+// One submission of verification documents by a landlord, for themselves or for one of their
+// listings (see verification.js)
+const VerificationRequestSchema = new mongoose.Schema({
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    kind: { type: String, enum: ['landlord', 'property'], default: 'landlord' },
+    property_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', default: null, index: true },
+    documents: [{
+        type: { type: String, enum: Object.keys(DOCUMENT_TYPES), required: true },
+        storage: { type: String, required: true }, // The fileStorage.js backend holding the file
+        key: { type: String, required: true },
+        url: { type: String, default: null },
+        mimetype: String,
+        originalName: String,
+        size: Number,
+    }],
+    status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+    reviewerNotes: { type: String, default: '' }, // Only shown to admins
+    rejectionReason: { type: String, default: '' }, // Shown to the landlord
+    expiresAt: { type: Date, default: null }, // Set on approval
+}, { timestamps: true });
+VerificationRequestSchema.index({ status: 1, createdAt: 1 }); // The admin review queue
+
+// Every verification decision, by an admin or by the expiry job. Kept when requests are deleted.
+const VerificationAuditSchema = new mongoose.Schema({
+    request_id: { type: mongoose.Schema.Types.ObjectId, ref: 'VerificationRequest', default: null },
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    property_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', default: null }, // Set for listing decisions
+    admin_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null for the expiry job
+    action: { type: String, enum: ['approved', 'rejected', 'expired'], required: true },
+    reason: { type: String, default: '' },
+    notes: { type: String, default: '' },
+}, { timestamps: true });
+// A student's report of a listing; one per student and listing (see moderation.js)
+const ListingReportSchema = new mongoose.Schema({
+    property_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+    reporter_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reason: { type: String, enum: Object.keys(REPORT_REASONS), required: true },
+    details: { type: String, default: '' },
+    // open until an admin acts on the listing: actioned when it is taken down, dismissed when it stays up
+    status: { type: String, enum: ['open', 'actioned', 'dismissed'], default: 'open' },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    resolvedAt: { type: Date, default: null },
+}, { timestamps: true });
+ListingReportSchema.index({ property_id: 1, reporter_id: 1 }, { unique: true });
+ListingReportSchema.index({ status: 1, property_id: 1 });
+const SavedSearchSchema = new mongoose.Schema({
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    name: { type: String, required: true, trim: true, maxLength: 80 },
+    // Same meaning as the GET /api/properties params; null means "any"
+    criteria: {
+        search: { type: String, default: null },
+        city: { type: String, default: null },
+        minPrice: { type: Number, default: null },
+        maxPrice: { type: Number, default: null },
+        bedrooms: { type: String, default: null }, // '1'...'3' or '4+'
+        propertyType: { type: String, default: null },
+    },
+    alertsEnabled: { type: Boolean, default: true },
+    emailDigest: { type: Boolean, default: false },
+    pendingDigest: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Property' }], // Matches not emailed yet
+    lastDigestAt: { type: Date, default: null },
+}, { timestamps: true });
+SavedSearchSchema.index({ alertsEnabled: 1, 'criteria.city': 1 });
 
 // --- Mongoose Models ---
 const User = mongoose.model('User', UserSchema);
@@ -144,12 +536,63 @@ const Message = mongoose.model('Message', MessageSchema);
 const PropertyView = mongoose.model('PropertyView', PropertyViewSchema);
 const Notification = mongoose.model('Notification', NotificationSchema);
 const Review = mongoose.model('Review', ReviewSchema);
+const Campus = mongoose.model('Campus', CampusSchema);
+
+// Matches properties that still have at least `units` free units. Older listings have no unit
+// fields yet and count as a single, free unit.
+const hasFreeUnits = (units) => ({
+    $expr: { $lte: [{ $add: [{ $ifNull: ['$occupiedUnits', 0] }, units] }, { $ifNull: ['$totalUnits', 1] }] },
+});
+const HAS_FREE_UNITS = hasFreeUnits(1);
+// Gives back units taken by an accepted offer, never going below zero
+const releaseUnits = (propertyId, units) => Property.updateOne(
+    { _id: propertyId },
+    [{ $set: { occupiedUnits: { $max: [0, { $subtract: [{ $ifNull: ['$occupiedUnits', 0] }, units] }] } } }]
+);
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+const PasswordResetToken = mongoose.model('PasswordResetToken', PasswordResetTokenSchema);
+const SavedSearch = mongoose.model('SavedSearch', SavedSearchSchema);
+const RoommateProfile = mongoose.model('RoommateProfile', RoommateProfileSchema);
+const ViewingSlot = mongoose.model('ViewingSlot', ViewingSlotSchema);
+const Viewing = mongoose.model('Viewing', ViewingSchema);
+const Tenancy = mongoose.model('Tenancy', TenancySchema);
+const RentPayment = mongoose.model('RentPayment', RentPaymentSchema);
+const Deposit = mongoose.model('Deposit', DepositSchema);
+const MaintenanceTicket = mongoose.model('MaintenanceTicket', MaintenanceTicketSchema);
+const LeaseTemplate = mongoose.model('LeaseTemplate', LeaseTemplateSchema);
+const Lease = mongoose.model('Lease', LeaseSchema);
+const VerificationRequest = mongoose.model('VerificationRequest', VerificationRequestSchema);
+const VerificationAudit = mongoose.model('VerificationAudit', VerificationAuditSchema);
+const ListingReport = mongoose.model('ListingReport', ListingReportSchema);
+
+// Listings taken down by moderation are left out of everything students can browse
+const NOT_HIDDEN = { isHidden: { $ne: true } };
+
+// Corrects misspelt city names in searches against the cities that have listings
+const cityResolver = createCityResolver(() => Property.distinct('city'));
+
+// --- Sessions & Account Emails ---
+const sessions = createSessions({ RefreshToken, secret: JWT_SECRET });
+const { authenticateToken } = sessions;
+// The signed-in user on public routes that show more to some users, or null for guests
+const optionalUser = (req) => sessions.verifyAccessToken(req.headers['authorization']?.split(' ')[1]);
+const accountTokens = createAccountTokens({ PasswordResetToken, secret: JWT_SECRET });
+const mailer = createMailer();
 
 // --- Middleware & Config ---
 cloudinary.config({ cloud_name: process.env.CLOUDINARY_CLOUD_NAME, api_key: process.env.CLOUDINARY_API_KEY, api_secret: process.env.CLOUDINARY_API_SECRET, secure: true });
 const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
 
+// Uploads a file buffer from multer to Cloudinary and resolves to its secure URL
+const uploadToCloudinary = (buffer, folder) => new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream({ folder }, (error, result) => {
+        if (error) reject(error);
+        else resolve(result.secure_url);
+    });
+    uploadStream.end(buffer);
+});
+
 // ⬇️ THIS IS THE SECURE CORS CONFIGURATION ⬇️
 const corsOptions = {
     origin: [
@@ -167,81 +610,196 @@ app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.json({ limit: '10mb' })); 
 app.use(express.urlencoded({ limit: '10mb', extended: true })); // This was in your original file, good to have.
 
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-    if (token == null) return res.sendStatus(401);
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) return res.sendStatus(403);
-        req.user = user;
-        next();
-    });
+// --- WebSocket Server Logic ---
+// pushToUser sends an event to every device the user is connected on right now (see realtime.js)
+const realtime = createRealtime();
+const { pushToUser, isOnline } = realtime;
+
+// Saves a notification and pushes it to the recipient if they're connected right now.
+const sendNotification = async ({ recipientId, senderId, message, link }) => {
+    const notification = new Notification({ recipient_id: recipientId, sender_id: senderId, message, link });
+    await notification.save();
+    pushToUser(recipientId, { type: 'newNotification', payload: notification });
+    return notification;
+};
+const savedSearchAlerts = createSavedSearchAlerts({ SavedSearch, sendNotification, mailer });
+const paymentProvider = createPaymentProvider();
+
+// Conversations the user takes part in, old property chats included (see ConversationSchema).
+const conversationFilterFor = (userId) => ({ $or: [{ student_id: userId }, { landlord_id: userId }, { participants: userId }] });
+const conversationMemberIds = (conversation) => [...new Set(
+    [conversation.student_id, conversation.landlord_id, ...(conversation.participants || [])]
+        .filter(Boolean)
+        .map(member => String(member._id || member))
+)];
+// Sends a WebSocket event to every connected member of the conversation.
+const pushToConversation = (conversation, event) => {
+    for (const memberId of conversationMemberIds(conversation)) pushToUser(memberId, event);
 };
 
-// --- WebSocket Server Logic ---
-const clients = new Map();
-wss.on('connection', (ws) => {
+// Saves a chat message and pushes it to everyone in the conversation, the sender included.
+// It counts as delivered straight away when the other member is connected.
+const postMessage = async (conversation, { sender_id, content, attachments = [] }) => {
+    const message = new Message({ conversation_id: conversation._id, sender_id, content, attachments });
+    const recipientIds = conversationMemberIds(conversation).filter(memberId => memberId !== String(sender_id));
+    if ((await Promise.all(recipientIds.map(isOnline))).some(Boolean)) message.deliveredAt = new Date();
+    await message.save();
+    pushToConversation(conversation, { type: 'newMessage', payload: message });
+    return message;
+};
+
+// Marks what was sent to the user while they were offline as delivered and tells the senders.
+const deliverPendingMessages = async (userId) => {
+    const conversations = await Conversation.find(conversationFilterFor(userId)).select('student_id landlord_id participants');
+    const pending = await Message.find({ conversation_id: { $in: conversations.map(c => c._id) }, sender_id: { $ne: userId }, deliveredAt: null }).select('conversation_id');
+    if (!pending.length) return;
+
+    const deliveredAt = new Date();
+    await Message.updateMany({ _id: { $in: pending.map(message => message._id) } }, { deliveredAt });
+    for (const conversation of conversations) {
+        const messageIds = pending.filter(message => String(message.conversation_id) === String(conversation._id)).map(message => message._id);
+        if (messageIds.length) pushToConversation(conversation, { type: 'delivered', payload: { conversation_id: conversation._id, messageIds, deliveredAt } });
+    }
+};
+
+// Marks everything the other member sent in the conversation as read, and tells both members.
+const markConversationRead = async (conversation, userId) => {
+    const readAt = new Date();
+    const { modifiedCount } = await Message.updateMany(
+        { conversation_id: conversation._id, sender_id: { $ne: userId }, readAt: null },
+        [{ $set: { readAt, deliveredAt: { $ifNull: ['$deliveredAt', readAt] } } }]
+    );
+    if (modifiedCount) pushToConversation(conversation, { type: 'read', payload: { conversation_id: conversation._id, reader_id: userId, readAt } });
+};
+
+// Closing code for a socket whose auth token was missing, invalid or expired. The client refreshes
+// its session and connects again.
+const WS_AUTH_FAILED = 4001;
+
+// Resuming after a dropped connection:
+//   client -> { type: 'auth', token, resume: { lastMessageId, lastNotificationId } }
+//   server -> the newMessage / newNotification events it missed, oldest first, marked `replayed`
+//   server -> { type: 'ready', payload: { lastMessageId, lastNotificationId, replayed, complete } }
+// Without `resume` nothing is replayed; the ids in `ready` are where the client resumes from next
+// time. When more than REPLAY_LIMIT events were missed `complete` is false and the client reloads.
+const REPLAY_LIMIT = 100;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+const replayMissedEvents = async (ws, { lastMessageId, lastNotificationId } = {}) => {
+    const send = (event) => ws.send(JSON.stringify(event));
+    const conversationIds = await Conversation.find(conversationFilterFor(ws.userId)).distinct('_id');
+    const [messages, notifications] = await Promise.all([
+        mongoose.isValidObjectId(lastMessageId)
+            ? Message.find({ conversation_id: { $in: conversationIds }, _id: { $gt: lastMessageId } }).sort({ _id: 1 }).limit(REPLAY_LIMIT + 1)
+            : [],
+        mongoose.isValidObjectId(lastNotificationId)
+            ? Notification.find({ recipient_id: ws.userId, _id: { $gt: lastNotificationId } }).sort({ _id: 1 }).limit(REPLAY_LIMIT + 1)
+            : [],
+    ]);
+    for (const message of messages.slice(0, REPLAY_LIMIT)) send({ type: 'newMessage', payload: message, replayed: true });
+    for (const notification of notifications.slice(0, REPLAY_LIMIT)) send({ type: 'newNotification', payload: notification, replayed: true });
+
+    // The newest ids overall, so a client that missed nothing still gets a cursor
+    const [latestMessage, latestNotification] = await Promise.all([
+        Message.findOne({ conversation_id: { $in: conversationIds } }).sort({ _id: -1 }).select('_id'),
+        Notification.findOne({ recipient_id: ws.userId }).sort({ _id: -1 }).select('_id'),
+    ]);
+    send({ type: 'ready', payload: {
+        lastMessageId: latestMessage?._id || null,
+        lastNotificationId: latestNotification?._id || null,
+        replayed: Math.min(messages.length, REPLAY_LIMIT) + Math.min(notifications.length, REPLAY_LIMIT),
+        complete: messages.length <= REPLAY_LIMIT && notifications.length <= REPLAY_LIMIT,
+    } });
+};
+
+// Sockets that didn't answer the last ping (a laptop that went to sleep, a dropped mobile
+// connection...) are closed, so they don't count as online and their users can reconnect.
+// The ones that did keep their device's presence alive.
+const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+        if (ws.isAlive === false) {
+            ws.terminate();
+            continue;
+        }
+        if (ws.userId) realtime.refreshPresence(ws).catch(error => console.error('WebSocket error:', error));
+        ws.isAlive = false;
+        ws.ping();
+    }
+}, HEARTBEAT_INTERVAL_MS);
+wss.on('close', () => clearInterval(heartbeat));
+
+// A user can have any number of sockets open, one per tab or device. `device` in the auth message
+// is an id the client keeps, so that tabs of one browser show up as a single device.
+wss.on('connection', (ws, request) => {
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
     ws.on('message', async (message) => {
         try {
             const data = JSON.parse(message);
-            if (data.type === 'auth' && data.token) {
-                jwt.verify(data.token, JWT_SECRET, (err, user) => {
-                    if (!err && user) {
-                        clients.set(user.userId, ws);
-                        ws.userId = user.userId;
-                        ws.userType = user.userType;
-                        console.log(`User ${ws.userId} (${ws.userType}) connected via WebSocket.`);
-                    } else { ws.close(); }
-                });
-            } else if (data.type === 'message' && ws.userId) {
-                const { conversation_id, content } = data.payload;
-                const conversation = await Conversation.findById(conversation_id);
-                if (!conversation) return;
-
-                const newMessage = new Message({ conversation_id, sender_id: ws.userId, content });
-                await newMessage.save();
-
-                const recipientId = String(conversation.student_id) === ws.userId 
-                    ? String(conversation.landlord_id) 
-                    : String(conversation.student_id);
-                
-                const senderId = ws.userId;
-
-                // Send new message to both parties in the conversation
-                [senderId, recipientId].forEach(id => {
-                    const clientWs = clients.get(id);
-                    if (clientWs && clientWs.readyState === ws.OPEN) {
-                        clientWs.send(JSON.stringify({ type: 'newMessage', payload: newMessage }));
-                    }
-                });
-                
+            if (data.type === 'auth' && !ws.userId) {
+                const user = await sessions.verifyAccessToken(data.token);
+                if (user) {
+                    if (ws.readyState !== ws.OPEN) return; // Gone while the token was checked
+                    ws.userId = String(user.userId);
+                    ws.userType = user.userType;
+                    ws.username = user.username;
+                    ws.deviceId = parseDeviceId(data.device);
+                    ws.deviceLabel = describeDevice(request.headers['user-agent']);
+                    ws.connectedAt = new Date();
+                    await realtime.addSocket(ws);
+                    console.log(`User ${ws.userId} (${ws.userType}) connected via WebSocket from ${ws.deviceLabel}.`);
+                    pushToUser(ws.userId, { type: 'devicesChanged' });
+                    await deliverPendingMessages(user.userId);
+                    await replayMissedEvents(ws, data.resume);
+                } else { ws.close(WS_AUTH_FAILED, 'invalid_token'); }
+            } else if (data.type === 'ping') {
+                // Browsers can't see protocol-level pings, so clients check the connection with these
+                ws.send(JSON.stringify({ type: 'pong' }));
+            } else if (['message', 'typing', 'read'].includes(data.type) && ws.userId) {
+                const { conversation_id } = data.payload || {};
+                const conversation = mongoose.isValidObjectId(conversation_id) && await Conversation.findById(conversation_id);
+                if (!conversation || !conversationMemberIds(conversation).includes(ws.userId)) return;
+
+                if (data.type === 'typing') {
+                    // Only the other member needs to know; `at` keeps repeated events distinct for the client
+                    const event = { type: 'typing', payload: { conversation_id, user_id: ws.userId, username: ws.username, isTyping: data.payload.isTyping !== false, at: Date.now() } };
+                    for (const memberId of conversationMemberIds(conversation)) if (memberId !== ws.userId) pushToUser(memberId, event);
+                    return;
+                }
+                if (data.type === 'read') return markConversationRead(conversation, ws.userId);
+
+                const content = String(data.payload.content ?? '').trim();
+                if (!content) return;
+                await postMessage(conversation, { sender_id: ws.userId, content });
+
                 // Simplified bot reply logic, main logic moved to API
-                if (ws.userType === 'student' && content.toLowerCase().includes('help')) {
-                    setTimeout(async () => {
-                        const botMessage = new Message({
-                            conversation_id,
+                if (conversation.kind === 'property' && ws.userType === 'student' && content.toLowerCase().includes('help')) {
+                    setTimeout(() => {
+                        postMessage(conversation, {
                             sender_id: conversation.landlord_id,
                             content: "This is an automated reply. The landlord will get back to you soon. For quick questions about the property, try the 'Ask AI' button!",
-                        });
-                        await botMessage.save();
-                        [senderId, recipientId].forEach(id => {
-                            const clientWs = clients.get(id);
-                            if (clientWs && clientWs.readyState === ws.OPEN) {
-                                clientWs.send(JSON.stringify({ type: 'newMessage', payload: botMessage }));
-                            }
-                        });
+                        }).catch(error => console.error('WebSocket error:', error));
                     }, 1500);
                 }
             }
         } catch (error) { console.error('WebSocket error:', error); }
     });
-    ws.on('close', () => { if(ws.userId) { clients.delete(ws.userId); } });
+    ws.on('close', () => {
+        if (!ws.userId) return;
+        realtime.removeSocket(ws)
+            .then(() => pushToUser(ws.userId, { type: 'devicesChanged' }))
+            .catch(error => console.error('WebSocket error:', error));
+    });
 });
 
 
 // --- REST API Routes ---
+const SIGNUP_USER_TYPES = ['student', 'landlord'];
+
 app.post('/api/signup', async (req, res) => {
     const { email, password, userType, username } = req.body;
+    // Admins are made with `npm run make-admin`, never through signup
+    if (!SIGNUP_USER_TYPES.includes(userType)) return res.status(400).json({ message: `userType must be one of: ${SIGNUP_USER_TYPES.join(', ')}.` });
     try {
         let existingUser = await User.findOne({ email });
         if (existingUser) return res.status(409).json({ message: 'Email already registered.' });
@@ -252,48 +810,188 @@ app.post('/api/signup', async (req, res) => {
         const newUser = new User({ username, email, password: hashedPassword, user_type: userType });
         await newUser.save();
 
-        const token = jwt.sign({ userId: newUser._id, username: newUser.username, userType: newUser.user_type }, JWT_SECRET, { expiresIn: "1h" });
+        // A mail outage shouldn't block signup; the user can ask for a new link later
+        mailer.sendVerificationEmail(newUser, accountTokens.signEmailVerificationToken(newUser))
+            .catch(err => console.error("Verification email error:", err.message));
+
+        const { token, refreshToken } = await sessions.startSession(newUser);
         
-        res.status(201).json({ token, userId: newUser._id, userType: newUser.user_type, username: newUser.username, email: newUser.email, profilePictureUrl: newUser.profilePictureUrl, bio: newUser.bio });
+        res.status(201).json({ token, refreshToken, userId: newUser._id, userType: newUser.user_type, username: newUser.username, email: newUser.email, profilePictureUrl: newUser.profilePictureUrl, bio: newUser.bio, emailVerified: newUser.emailVerified });
     } catch (error) { res.status(500).json({ message: 'Server error during signup.' }); }
 });
 
-// --- VERIFICATION ROUTE ---
+// --- VERIFICATION ROUTES ---
 
-// Landlord uploads ID proof
-app.post('/api/upload-verification', async (req, res) => {
+// Verification documents are checked before anything is stored
+const documentUpload = multer({ storage, limits: { fileSize: MAX_DOCUMENT_BYTES }, fileFilter: documentFileFilter }).fields(documentFields);
+const receiveDocuments = (req, res, next) => documentUpload(req, res, (uploadError) => {
+    if (!uploadError) return next();
+    const message = uploadError.code === 'LIMIT_FILE_SIZE' ? `Each document can be at most ${MAX_DOCUMENT_BYTES / (1024 * 1024)}MB.` : uploadError.message;
+    res.status(uploadError.status || 400).json({ message });
+});
+
+// A request as its landlord sees it: without the admin's internal notes
+const requestForLandlord = (request) => {
+    const { reviewerNotes, ...rest } = request.toObject ? request.toObject() : request;
+    return rest;
+};
+
+// 1. Landlord: submit documents for verification, one form field per document type
+app.post('/api/upload-verification', authenticateToken, requireRole('landlord'), receiveDocuments, async (req, res) => {
     try {
-        const { userId, documentImage } = req.body;
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ message: "User not found" });
 
-        if (!userId || !documentImage) {
-            return res.status(400).json({ message: "Missing user ID or document" });
+        let documents;
+        try {
+            assertCanSubmit(user);
+            documents = collectDocuments(req.files);
+        } catch (validationError) {
+            return res.status(validationError.status || 400).json({ message: validationError.message });
         }
 
-        // Find the user and update their status
-        const updatedUser = await User.findByIdAndUpdate(
-            userId,
-            {
-                verificationStatus: 'pending',   // Change status to 'Pending'
-                verificationDocument: documentImage // Save the image string
-            },
-            { new: true } // Return the updated user
-        );
+        // The guard stops two submissions racing each other
+        const { modifiedCount } = await User.updateOne({ _id: user._id, verificationStatus: { $ne: 'pending' } }, { verificationStatus: 'pending' });
+        if (!modifiedCount) return res.status(409).json({ message: "Your documents are already being reviewed." });
 
-        if (!updatedUser) {
-            return res.status(404).json({ message: "User not found" });
+        let request;
+        try {
+            const fileStorage = getFileStorage();
+            const stored = await Promise.all(documents.map(async ({ type, file }) => ({
+                type,
+                storage: fileStorage.name,
+                ...(await fileStorage.save(file.buffer, { folder: `verification/${user._id}`, mimetype: file.mimetype, filename: file.originalname })),
+                mimetype: file.mimetype,
+                originalName: file.originalname,
+                size: file.size,
+            })));
+            request = await VerificationRequest.create({ user_id: user._id, kind: 'landlord', documents: stored });
+        } catch (storageError) {
+            await User.updateOne({ _id: user._id }, { verificationStatus: user.verificationStatus });
+            throw storageError;
         }
 
-        res.json({ 
-            message: "Verification submitted successfully! Please wait for Admin approval.", 
-            user: updatedUser 
+        res.status(201).json({
+            message: "Verification submitted successfully! Please wait for Admin approval.",
+            request: requestForLandlord(request),
         });
-
     } catch (error) {
         console.error("Verification Error:", error);
         res.status(500).json({ message: "Server error during upload" });
     }
 });
 
+// 2. Landlord: my verification status and past submissions
+app.get('/api/verification', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const [user, requests] = await Promise.all([
+            User.findById(req.user.userId).select('isVerified verificationStatus verificationExpiresAt'),
+            // Requests from before `kind` existed are landlord requests too
+            VerificationRequest.find({ user_id: req.user.userId, kind: { $ne: 'property' } }).sort({ createdAt: -1 }).limit(10),
+        ]);
+        let canSubmit = true;
+        try {
+            assertCanSubmit(user);
+        } catch (submitError) {
+            canSubmit = false;
+        }
+        res.json({
+            isVerified: user.isVerified,
+            verificationStatus: user.verificationStatus,
+            verificationExpiresAt: user.verificationExpiresAt,
+            canSubmit,
+            documentTypes: DOCUMENT_TYPES,
+            requiredDocumentTypes: REQUIRED_DOCUMENT_TYPES,
+            requests: requests.map(requestForLandlord),
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Error fetching verification status" });
+    }
+});
+
+// 3. The landlord who uploaded it, or an admin: one verification document, through a link that
+// expires within a minute or streamed from storage.
+app.get('/api/verification/:requestId/documents/:documentId', authenticateToken, async (req, res) => {
+    try {
+        const request = mongoose.isValidObjectId(req.params.requestId) && await VerificationRequest.findById(req.params.requestId);
+        if (!request) return res.status(404).json({ message: "Document not found" });
+        if (req.user.userType !== 'admin' && String(request.user_id) !== req.user.userId) {
+            return res.status(403).json({ message: "Access denied." });
+        }
+        const document = request.documents.id(req.params.documentId);
+        if (!document) return res.status(404).json({ message: "Document not found" });
+
+        const fileStorage = getFileStorage(document.storage);
+        if (fileStorage.signedUrl) return res.redirect(fileStorage.signedUrl(document.key));
+        res.setHeader('Content-Type', document.mimetype);
+        res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(document.originalName || 'document')}"`);
+        fileStorage.createReadStream(document.key)
+            .on('error', () => res.headersSent ? res.end() : res.status(404).json({ message: "Document not found" }))
+            .pipe(res);
+    } catch (error) {
+        console.error("Verification document error:", error);
+        res.status(500).json({ message: "Error fetching document" });
+    }
+});
+
+// 4. Landlord: ask for one of their listings to be verified, with proof they own it
+app.post('/api/properties/:id/verification', authenticateToken, requireLandlordOwner(Property, { notFoundMessage: 'Property not found' }), receiveDocuments, async (req, res) => {
+    try {
+        const property = req.resource;
+        if (['pending', 'approved'].includes(property.verificationStatus)) {
+            return res.status(409).json({ message: property.isVerified ? "This listing is already verified." : "This listing is already being reviewed." });
+        }
+
+        let documents;
+        try {
+            documents = collectDocuments(req.files, { types: PROPERTY_DOCUMENT_TYPES, required: REQUIRED_PROPERTY_DOCUMENT_TYPES });
+        } catch (validationError) {
+            return res.status(validationError.status || 400).json({ message: validationError.message });
+        }
+
+        const { modifiedCount } = await Property.updateOne({ _id: property._id, verificationStatus: { $in: ['none', 'rejected'] } }, { verificationStatus: 'pending' });
+        if (!modifiedCount) return res.status(409).json({ message: "This listing is already being reviewed." });
+
+        let request;
+        try {
+            const fileStorage = getFileStorage();
+            const stored = await Promise.all(documents.map(async ({ type, file }) => ({
+                type,
+                storage: fileStorage.name,
+                ...(await fileStorage.save(file.buffer, { folder: `verification/${req.user.userId}/${property._id}`, mimetype: file.mimetype, filename: file.originalname })),
+                mimetype: file.mimetype,
+                originalName: file.originalname,
+                size: file.size,
+            })));
+            request = await VerificationRequest.create({ user_id: req.user.userId, kind: 'property', property_id: property._id, documents: stored });
+        } catch (storageError) {
+            await Property.updateOne({ _id: property._id }, { verificationStatus: property.verificationStatus });
+            throw storageError;
+        }
+
+        res.status(201).json({ message: "Listing submitted for verification.", request: requestForLandlord(request) });
+    } catch (error) {
+        console.error("Listing verification error:", error);
+        res.status(500).json({ message: "Server error during upload" });
+    }
+});
+
+// 5. Landlord: the verification submissions for one of their listings
+app.get('/api/properties/:id/verification', authenticateToken, requireLandlordOwner(Property, { notFoundMessage: 'Property not found' }), async (req, res) => {
+    try {
+        const requests = await VerificationRequest.find({ kind: 'property', property_id: req.resource._id }).sort({ createdAt: -1 }).limit(10);
+        res.json({
+            isVerified: req.resource.isVerified,
+            verificationStatus: req.resource.verificationStatus,
+            documentTypes: Object.fromEntries(PROPERTY_DOCUMENT_TYPES.map(type => [type, DOCUMENT_TYPES[type]])),
+            requiredDocumentTypes: REQUIRED_PROPERTY_DOCUMENT_TYPES,
+            requests: requests.map(requestForLandlord),
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Error fetching verification status" });
+    }
+});
+
 app.post("/api/login", async (req, res) => {
     const { email, password } = req.body;
     try {
@@ -301,42 +999,218 @@ app.post("/api/login", async (req, res) => {
         if (!user || !(await bcrypt.compare(password, user.password))) {
             return res.status(401).json({ message: "Invalid email or password." });
         }
-        const token = jwt.sign({ userId: user._id, username: user.username, userType: user.user_type }, JWT_SECRET, { expiresIn: "1h" });
-        res.json({ token, userId: user._id, userType: user.user_type, username: user.username, email: user.email, profilePictureUrl: user.profilePictureUrl, bio: user.bio,isVerified: user.isVerified,
+        const { token, refreshToken } = await sessions.startSession(user);
+        res.json({ token, refreshToken, userId: user._id, userType: user.user_type, username: user.username, email: user.email, profilePictureUrl: user.profilePictureUrl, bio: user.bio, emailVerified: user.emailVerified, isVerified: user.isVerified,
     verificationStatus: user.verificationStatus});
     } catch (err) { res.status(500).json({ message: "Server error." }); }
 });
 
+// --- SESSION ROUTES ---
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const session = await sessions.rotateSession(req.body.refreshToken, (userId) => User.findById(userId));
+        if (!session) return res.status(401).json({ message: "Session expired. Please log in again." });
+        res.json({ token: session.token, refreshToken: session.refreshToken });
+    } catch (error) {
+        console.error("Token refresh error:", error);
+        res.status(500).json({ message: "Server error refreshing session." });
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await sessions.revokeSession(req.body.refreshToken);
+        res.json({ message: "Logged out." });
+    } catch (error) {
+        res.status(500).json({ message: "Server error during logout." });
+    }
+});
+
+// --- EMAIL VERIFICATION & PASSWORD RESET ROUTES ---
+app.post('/api/auth/verify-email', async (req, res) => {
+    try {
+        const payload = await accountTokens.verifyEmailVerificationToken(req.body.token);
+        if (!payload) return res.status(400).json({ message: "This verification link is invalid or has expired." });
+
+        const user = await User.findById(payload.userId);
+        if (!user || user.email !== payload.email) {
+            return res.status(400).json({ message: "This verification link is invalid or has expired." });
+        }
+
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            await user.save();
+        }
+        res.json({ message: "Email verified successfully!" });
+    } catch (error) {
+        console.error("Email verification error:", error);
+        res.status(500).json({ message: "Server error verifying email." });
+    }
+});
+
+app.post('/api/auth/resend-verification', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ message: "User not found." });
+        if (user.emailVerified) return res.status(400).json({ message: "Your email is already verified." });
+
+        await mailer.sendVerificationEmail(user, accountTokens.signEmailVerificationToken(user));
+        res.json({ message: "Verification email sent. Please check your inbox." });
+    } catch (error) {
+        console.error("Resend verification error:", error);
+        res.status(500).json({ message: "Server error sending verification email." });
+    }
+});
+
+app.post('/api/auth/forgot-password', async (req, res) => {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ message: "Email is required." });
+
+    // Same answer whether or not the account exists, so this can't be used to probe for emails
+    const genericResponse = { message: "If an account exists for that email, a password reset link has been sent." };
+    try {
+        const user = await User.findOne({ email: String(email).toLowerCase() });
+        if (!user) return res.json(genericResponse);
+
+        const token = await accountTokens.issuePasswordResetToken(user._id);
+        await mailer.sendPasswordResetEmail(user, token);
+        res.json(genericResponse);
+    } catch (error) {
+        console.error("Forgot password error:", error);
+        res.status(500).json({ message: "Server error sending reset email." });
+    }
+});
+
+app.post('/api/auth/reset-password', async (req, res) => {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) return res.status(400).json({ message: "All fields are required." });
+    if (newPassword.length < 6) return res.status(400).json({ message: "Password must be at least 6 characters long." });
+
+    try {
+        const resetToken = await accountTokens.consumePasswordResetToken(token);
+        if (!resetToken) return res.status(400).json({ message: "This reset link is invalid or has expired." });
+
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        // Receiving the link proves ownership of the inbox, so the email counts as verified too
+        await User.updateOne({ _id: resetToken.user_id }, { $set: { password: hashedPassword, emailVerified: true } });
+        await sessions.revokeAllSessions(resetToken.user_id);
+
+        res.json({ message: "Password reset successfully! You can now log in." });
+    } catch (error) {
+        console.error("Reset password error:", error);
+        res.status(500).json({ message: "Server error resetting password." });
+    }
+});
+
+const searchError = (status, message) => Object.assign(new Error(message), { status });
+
+// Adds `landlordVerified` to plain property objects for the "verified landlord" badge
+const withLandlordVerification = async (properties) => {
+    const verified = await User.find({ _id: { $in: properties.map(property => property.landlord_id) }, isVerified: true }).distinct('_id');
+    return properties.map(property => ({ ...property, landlordVerified: verified.some(id => String(id) === String(property.landlord_id)) }));
+};
+
+// Builds the Mongo filter shared by the listing search and the map view from the query string.
+// Returns the filter, the text actually searched for (after city typo correction) and the
+// centre point and radius when searching around a point.
+// Throws an error with a `status` code when a parameter is invalid.
+const buildPropertySearch = async ({ search, city, minPrice, maxPrice, bedrooms, propertyType, amenities, amenitiesMatch, moveIn, includeLet, verified, near, lat, lng, campus, radius, bbox }) => {
+    const query = {};
+    const conditions = [NOT_HIDDEN];
+
+    // Free text goes through the text index, so user input is never compiled into a regex
+    let textSearch = null;
+    if (search && String(search).trim()) {
+        textSearch = await cityResolver.correctSearch(String(search).trim());
+        query.$text = { $search: textSearch };
+    }
+    if (city && city !== 'All') query.city = await cityResolver.resolveCity(String(city));
+    if (minPrice || maxPrice) {
+        query.price = {};
+        if (minPrice) query.price.$gte = parseInt(minPrice);
+        if (maxPrice) query.price.$lte = parseInt(maxPrice);
+    }
+    if (bedrooms && bedrooms !== 'Any') {
+         if (bedrooms === '4+') { query.bedrooms = { $gte: 4 }; } 
+         else { query.bedrooms = parseInt(bedrooms); }
+    }
+    if (propertyType && propertyType !== 'All') query.property_type = propertyType;
+    if (amenities) {
+        const keys = parseAmenityFilter(amenities);
+        if (!keys) throw searchError(400, `Unknown amenity. Use any of: ${AMENITY_KEYS.join(', ')}.`);
+        // All of them by default; amenitiesMatch=any for listings with at least one
+        if (keys.length) query.amenities = amenitiesMatch === 'any' ? { $in: keys } : { $all: keys };
+    }
+
+    // verified=listing for listings an admin has verified, verified=landlord for listings of verified landlords
+    if (verified === 'listing') query.isVerified = true;
+    else if (verified === 'landlord') {
+        conditions.push({ landlord_id: { $in: await User.distinct('_id', { user_type: 'landlord', isVerified: true }) } });
+    } else if (verified) throw searchError(400, 'Invalid verified filter. Use verified=listing or verified=landlord.');
+
+    // Fully let listings are hidden unless asked for (landlords still want to see theirs)
+    if (includeLet !== 'true') conditions.push(HAS_FREE_UNITS);
+    if (moveIn) {
+        const moveInDate = new Date(moveIn);
+        if (isNaN(moveInDate)) throw searchError(400, 'Invalid move-in date.');
+        conditions.push({ $or: [{ availableFrom: null }, { availableFrom: { $lte: moveInDate } }] });
+        conditions.push({ $or: [{ availableUntil: null }, { availableUntil: { $gte: moveInDate } }] });
+    }
+
+    // Geospatial filters. Centre point: an explicit "lat,lng", the older separate lat/lng params, or a campus
+    let center = null;
+    if (near) {
+        center = parseNear(near);
+        if (!center) throw searchError(400, 'Invalid near point. Use near=lat,lng.');
+    } else if (lat && lng) {
+        center = toGeoPoint(lat, lng);
+        if (!center) throw searchError(400, 'Invalid latitude/longitude.');
+    } else if (campus) {
+        const campusDoc = mongoose.isValidObjectId(campus) && await Campus.findById(campus);
+        if (!campusDoc) throw searchError(404, 'Campus not found.');
+        center = campusDoc.location;
+    }
+    const radiusKm = parseRadiusKm(radius);
+    if (center) conditions.push({ location: withinRadius(center, radiusKm) });
+
+    if (bbox) {
+        const box = parseBbox(bbox);
+        if (!box) throw searchError(400, 'Invalid bbox. Use bbox=minLng,minLat,maxLng,maxLat.');
+        conditions.push({ location: { $geoWithin: { $geometry: box } } });
+    }
+
+    query.$and = conditions;
+    return { query, textSearch, center, radiusKm };
+};
+
 app.get('/api/properties', async (req, res) => {
     try {
-        const { search, page = 1, limit = 6, city, minPrice, maxPrice, bedrooms, propertyType } = req.query;
+        const { page = 1, limit = 6, sort } = req.query;
         const pageNum = parseInt(page);
         const limitNum = parseInt(limit);
         const skip = (pageNum - 1) * limitNum;
 
-        let query = {};
-        if (search) {
-            query.$or = [
-                { title: { $regex: search, $options: 'i' } },
-                { address: { $regex: search, $options: 'i' } },
-                { city: { $regex: search, $options: 'i' } }
-            ];
-        }
-        if (city && city !== 'All') query.city = city;
-        if (minPrice || maxPrice) {
-            query.price = {};
-            if (minPrice) query.price.$gte = parseInt(minPrice);
-            if (maxPrice) query.price.$lte = parseInt(maxPrice);
-        }
-        if (bedrooms && bedrooms !== 'Any') {
-             if (bedrooms === '4+') { query.bedrooms = { $gte: 4 }; } 
-             else { query.bedrooms = parseInt(bedrooms); }
-        }
-        if (propertyType && propertyType !== 'All') query.property_type = propertyType;
+        const { query, textSearch, center } = await buildPropertySearch(req.query);
+
+        const SORTS = {
+            relevance: { relevance: -1, createdAt: -1 },
+            distance: { distanceKm: 1, createdAt: -1 },
+            newest: { createdAt: -1 },
+            price_asc: { price: 1, createdAt: -1 },
+            price_desc: { price: -1, createdAt: -1 },
+        };
+        // Relevance needs a text search and distance needs a centre point. Without an explicit
+        // choice, results come best match first, then nearest first, then newest first.
+        const available = (key) => SORTS[key] && (key !== 'relevance' || textSearch) && (key !== 'distance' || center);
+        const sortKey = available(sort) ? sort : textSearch ? 'relevance' : center ? 'distance' : 'newest';
 
+        // The centre point is already a $geoWithin filter; MongoDB doesn't allow $geoNear together
+        // with $text, so the distance is computed here instead. Distances are in km, rounded to 10 m.
         const properties = await Property.aggregate([
             { $match: query },
-            { $sort: { createdAt: -1 } },
+            ...(textSearch ? [{ $addFields: { relevance: { $meta: 'textScore' } } }] : []),
+            ...(center ? [{ $addFields: { distanceKm: { $round: [distanceKmExpression(center), 2] } } }] : []),
+            { $sort: SORTS[sortKey] },
             { $skip: skip },
             { $limit: limitNum },
             {
@@ -359,17 +1233,91 @@ app.get('/api/properties', async (req, res) => {
         const totalProperties = await Property.countDocuments(query);
         const totalPages = Math.ceil(totalProperties / limitNum);
 
+        if (textSearch) {
+            const terms = tokenize(textSearch);
+            for (const property of properties) property.snippet = buildSnippet(property, terms);
+        }
+
         res.json({
-            properties,
+            properties: await withLandlordVerification(properties),
             currentPage: pageNum,
             totalPages,
+            // Set when a misspelt city in the search text was corrected, so the UI can say so
+            correctedSearch: textSearch && textSearch !== String(req.query.search).trim() ? textSearch : null,
         });
     } catch (error) {
+        if (error.status) return res.status(error.status).json({ message: error.message });
         console.error("Error fetching properties:", error);
         res.status(500).json({ message: 'Server error fetching properties.' });
     }
 });
 
+// --- CAMPUS ROUTES ---
+// Campuses are reference points for "near my college" searches; admins maintain the list.
+app.get('/api/campuses', async (req, res) => {
+    try {
+        const filter = req.query.city ? { city: req.query.city } : {};
+        const campuses = await Campus.find(filter).sort({ name: 1 });
+        res.json(campuses);
+    } catch (error) {
+        res.status(500).json({ message: 'Server error fetching campuses.' });
+    }
+});
+
+app.post('/api/campuses', authenticateToken, requireAdmin, async (req, res) => {
+    const { name, city, lat, lng } = req.body;
+    const location = toGeoPoint(lat, lng);
+    if (!name || !city || !location) {
+        return res.status(400).json({ message: 'Name, city and valid coordinates are required.' });
+    }
+    try {
+        const campus = await Campus.create({ name, city, location });
+        res.status(201).json(campus);
+    } catch (error) {
+        res.status(500).json({ message: 'Server error adding campus.' });
+    }
+});
+
+app.delete('/api/campuses/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const campus = mongoose.isValidObjectId(req.params.id) && await Campus.findByIdAndDelete(req.params.id);
+        if (!campus) return res.status(404).json({ message: 'Campus not found.' });
+        res.json({ message: 'Campus removed' });
+    } catch (error) {
+        res.status(500).json({ message: 'Server error removing campus.' });
+    }
+});
+
+// Every matching listing with a location, in the lightweight shape the map needs.
+// Takes the same filters as /api/properties; the map sends its viewport as `bbox`.
+// Capped so a zoomed-out map can't pull the whole collection; `truncated` tells the client to zoom in.
+const MAP_MARKER_LIMIT = 500;
+
+app.get('/api/properties/map', async (req, res) => {
+    try {
+        const { query, center, radiusKm } = await buildPropertySearch(req.query);
+        const filter = { ...query, $and: [...(query.$and || []), { location: { $exists: true } }] };
+
+        const markers = await Property.find(filter)
+            .select('title price city property_type bedrooms location image_url')
+            .sort({ createdAt: -1 })
+            .limit(MAP_MARKER_LIMIT + 1)
+            .lean();
+
+        res.json({
+            markers: markers.slice(0, MAP_MARKER_LIMIT),
+            truncated: markers.length > MAP_MARKER_LIMIT,
+            // Lets the map draw the search circle, including for a campus the client only knows by id
+            center,
+            radiusKm: center ? radiusKm : null,
+        });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ message: error.message });
+        console.error("Error fetching map markers:", error);
+        res.status(500).json({ message: 'Server error fetching map markers.' });
+    }
+});
+
 app.get('/api/properties/featured', async (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 3;
@@ -379,22 +1327,28 @@ app.get('/api/properties/featured', async (req, res) => {
             { $limit: limit },
             { $lookup: { from: 'properties', localField: '_id', foreignField: '_id', as: 'propertyDetails' } },
             { $unwind: '$propertyDetails' },
-            { $replaceRoot: { newRoot: '$propertyDetails' } }
+            { $replaceRoot: { newRoot: '$propertyDetails' } },
+            { $match: NOT_HIDDEN },
         ]);
 
         if (popularProperties.length < limit) {
             const recentProperties = await Property.find({
-                _id: { $nin: popularProperties.map(p => p._id) }
-            }).sort({ createdAt: -1 }).limit(limit - popularProperties.length);
-            res.json([...popularProperties, ...recentProperties]);
+                _id: { $nin: popularProperties.map(p => p._id) },
+                ...NOT_HIDDEN,
+            }).sort({ createdAt: -1 }).limit(limit - popularProperties.length).lean();
+            res.json(await withLandlordVerification([...popularProperties, ...recentProperties]));
         } else {
-            res.json(popularProperties);
+            res.json(await withLandlordVerification(popularProperties));
         }
     } catch (error) {
         res.status(500).json({ message: 'Server error fetching featured properties.' });
     }
 });
 
+app.get('/api/properties/amenities', (req, res) => {
+    res.json(AMENITIES.map(({ key, label }) => ({ key, label })));
+});
+
 app.get('/api/properties/cities', async (req, res) => {
     try {
         const cities = await Property.distinct('city');
@@ -406,74 +1360,149 @@ app.get('/api/properties/cities', async (req, res) => {
 
 app.get('/api/properties/:id', async (req, res) => {
     try {
-        const property = await Property.findById(req.params.id);
+        const property = await Property.findById(req.params.id).lean();
         if (!property) return res.status(404).json({ message: 'Property not found' });
-        res.json(property);
+        // A hidden listing is only shown to its landlord (who can appeal) and to admins
+        if (property.isHidden) {
+            const viewer = await optionalUser(req);
+            const canSee = viewer && (viewer.userType === 'admin' || String(viewer.userId) === String(property.landlord_id));
+            if (!canSee) return res.status(404).json({ message: 'Property not found' });
+        }
+        const [withBadge] = await withLandlordVerification([property]);
+        res.json(withBadge);
     } catch (error) {
         res.status(500).json({ message: 'Server error fetching property' });
     }
 });
 
-app.post('/api/properties', authenticateToken, upload.array('images', 5), async (req, res) => {
+// What a landlord can change on a listing. Ownership, verification and moderation are only ever
+// set by the server. Plain objects are dropped so update operators like $set can't be smuggled in.
+const EDITABLE_PROPERTY_FIELDS = [
+    'title', 'description', 'address', 'city', 'price', 'deposit', 'property_type', 'bedrooms', 'bathrooms',
+    'amenities', 'extraAmenities', 'lat', 'lng', 'virtual_tour_url', 'availableFrom', 'availableUntil', 'totalUnits', 'occupiedUnits',
+];
+const editablePropertyFields = (body = {}) => Object.fromEntries(EDITABLE_PROPERTY_FIELDS
+    .filter(field => body[field] !== undefined && (body[field] === null || typeof body[field] !== 'object' || Array.isArray(body[field])))
+    .map(field => [field, body[field]]));
+
+// { totalUnits, occupiedUnits } as whole numbers; a blank field keeps `current`. Throws with a
+// `status` when a count isn't a whole number or more units are occupied than there are.
+const parseUnitCounts = (input, current = { totalUnits: 1, occupiedUnits: 0 }) => {
+    const count = (value, fallback, min, label) => {
+        if (value === undefined || value === null || value === '') return fallback;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min) {
+            const error = new Error(`${label} must be a whole number of at least ${min}.`);
+            error.status = 400;
+            throw error;
+        }
+        return number;
+    };
+    const totalUnits = count(input.totalUnits, current.totalUnits ?? 1, 1, 'Total units');
+    const occupiedUnits = count(input.occupiedUnits, current.occupiedUnits ?? 0, 0, 'Occupied units');
+    if (occupiedUnits > totalUnits) {
+        const error = new Error('Occupied units cannot exceed total units.');
+        error.status = 400;
+        throw error;
+    }
+    return { totalUnits, occupiedUnits };
+};
+
+app.post('/api/properties', authenticateToken, requireRole('landlord'), upload.array('images', 5), async (req, res) => {
     try { 
-        const user = await User.findById(req.user.userId);
+        const user = await User.findById(req.user.userId).select('isVerified');
 
-        // 2. THE GATEKEEPER CHECK
-        if (user.userType === 'landlord' && !user.isVerified) {
+        // 2. THE GATEKEEPER CHECK (requireRole has already made sure this is a landlord)
+        if (!user || !user.isVerified) {
             return res.status(403).json({ 
                 message: "⛔ Access Denied: You must be a Verified Landlord to post properties. Please upload your ID in the Profile section." 
             });
         }
 
+        let units;
+        try {
+            units = parseUnitCounts(req.body);
+        } catch (validationError) {
+            return res.status(validationError.status || 400).json({ message: validationError.message });
+        }
+
         let imageUrls = [];
         if (req.files) {
             for(const file of req.files) {
-                const result = await new Promise((resolve, reject) => {
-                    const uploadStream = cloudinary.uploader.upload_stream({ folder: 'housing_hub_properties' }, (error, result) => {
-                        if (error) reject(error);
-                        else resolve(result);
-                    });
-                    uploadStream.end(file.buffer);
-                });
-                imageUrls.push(result.secure_url);
+                imageUrls.push(await uploadToCloudinary(file.buffer, 'housing_hub_properties'));
             }
         }
         const newProperty = new Property({ 
-            ...req.body, 
+            ...editablePropertyFields(req.body), 
             image_url: imageUrls[0] || '',
             images: imageUrls,
             landlord_id: req.user.userId,
             lat: req.body.lat || null,
             lng: req.body.lng || null,
-            virtual_tour_url: req.body.virtual_tour_url || ''
+            virtual_tour_url: req.body.virtual_tour_url || '',
+            availableFrom: req.body.availableFrom || null,
+            availableUntil: req.body.availableUntil || null,
+            ...units,
+            deposit: Number(req.body.deposit) || 0,
+            ...parseAmenities([].concat(req.body.amenities ?? [], req.body.extraAmenities ?? [])),
         });
         await newProperty.save();
         res.status(201).json(newProperty);
+
+        // Alert students with matching saved searches; the landlord doesn't wait for it
+        savedSearchAlerts.notifyMatches(newProperty)
+            .catch(err => console.error("Saved search matching failed:", err));
     } catch (error) {
         res.status(500).json({ message: 'Server error adding property' });
     }
 });
 
-app.put('/api/properties/:id', authenticateToken, async (req, res) => {
+app.put('/api/properties/:id', authenticateToken, requireLandlordOwner(Property, { notFoundMessage: 'Property not found' }), async (req, res) => {
     try {
-        const property = await Property.findById(req.params.id);
-        if (!property) return res.status(404).json({ message: 'Property not found' });
-        if (property.landlord_id.toString() !== req.user.userId) return res.status(403).json({ message: 'User not authorized' });
-        
-        const updatedData = { ...req.body };
-        const updatedProperty = await Property.findByIdAndUpdate(req.params.id, updatedData, { new: true });
+        const updatedData = editablePropertyFields(req.body);
+        // The ownership proof was for the old address
+        const moved = ['address', 'city'].some(field => updatedData[field] !== undefined && updatedData[field] !== req.resource[field]);
+        if (moved && req.resource.verificationStatus !== 'none') {
+            Object.assign(updatedData, { isVerified: false, verificationStatus: 'none' });
+        }
+        if (updatedData.deposit !== undefined) updatedData.deposit = Number(updatedData.deposit) || 0;
+
+        // findByIdAndUpdate skips the pre-validate hook, so keep the GeoJSON location in sync here
+        if (updatedData.lat !== undefined || updatedData.lng !== undefined) {
+            const point = toGeoPoint(updatedData.lat ?? req.resource.lat, updatedData.lng ?? req.resource.lng);
+            if (point) updatedData.location = point;
+            else updatedData.$unset = { location: 1 };
+        }
+
+        // Catalogue names typed in as extras are moved over to the matching key
+        if (updatedData.amenities !== undefined || updatedData.extraAmenities !== undefined) {
+            Object.assign(updatedData, parseAmenities([].concat(
+                updatedData.amenities ?? req.resource.amenities,
+                updatedData.extraAmenities ?? req.resource.extraAmenities
+            )));
+        }
+
+        try {
+            Object.assign(updatedData, parseUnitCounts(updatedData, req.resource));
+        } catch (validationError) {
+            return res.status(validationError.status || 400).json({ message: validationError.message });
+        }
+
+        const updatedProperty = await Property.findByIdAndUpdate(req.params.id, updatedData, { new: true, runValidators: true });
+        if (moved) {
+            await VerificationRequest.updateMany(
+                { kind: 'property', property_id: req.resource._id, status: 'pending' },
+                { status: 'rejected', reviewedAt: new Date(), rejectionReason: 'The address of the listing changed during the review.' }
+            );
+        }
         res.json(updatedProperty);
     } catch (error) {
         res.status(500).json({ message: 'Server error updating property' });
     }
 });
 
-app.delete('/api/properties/:id', authenticateToken, async (req, res) => {
+app.delete('/api/properties/:id', authenticateToken, requireLandlordOwner(Property, { notFoundMessage: 'Property not found' }), async (req, res) => {
     try {
-        const property = await Property.findById(req.params.id);
-        if (!property) return res.status(404).json({ message: 'Property not found' });
-        if (property.landlord_id.toString() !== req.user.userId) return res.status(403).json({ message: 'User not authorized' });
-
         await Property.findByIdAndDelete(req.params.id);
         res.json({ message: 'Property removed' });
     } catch (error) {
@@ -497,8 +1526,8 @@ app.get('/api/favorites', authenticateToken, async (req, res) => {
         if(limit) {
             query = query.limit(limit);
         }
-        const favorites = await query;
-        res.json(favorites.map(fav => fav.property_id).filter(p => p));
+        const favorites = await query.lean();
+        res.json(await withLandlordVerification(favorites.map(fav => fav.property_id).filter(p => p && !p.isHidden)));
     } catch (error) {
         res.status(500).json({ message: 'Server error fetching favorites.' });
     }
@@ -513,18 +1542,12 @@ app.post('/api/favorites', authenticateToken, async (req, res) => {
         
         const property = await Property.findById(property_id);
         if (property && String(property.landlord_id) !== userId) {
-            const notification = new Notification({
-                recipient_id: property.landlord_id,
-                sender_id: userId,
+            await sendNotification({
+                recipientId: property.landlord_id,
+                senderId: userId,
                 message: `Your property '${property.title}' has a new favorite!`,
                 link: `/properties/${property_id}`
             });
-            await notification.save();
-            
-            const landlordWs = clients.get(String(property.landlord_id));
-            if (landlordWs && landlordWs.readyState === 1) {
-                landlordWs.send(JSON.stringify({ type: 'newNotification', payload: notification }));
-            }
         }
         res.status(201).json(favorite);
     } catch (err) {
@@ -541,28 +1564,82 @@ app.delete('/api/favorites/:propertyId', authenticateToken, async (req, res) =>
     }
 });
 
+// The user's chats, most recent activity first, each with its latest message and how many of the
+// other member's messages are still unread
 app.get('/api/conversations', authenticateToken, async (req, res) => {
     try {
-        const conversations = await Conversation.find({ $or: [{ student_id: req.user.userId }, { landlord_id: req.user.userId }]})
+        const userId = new mongoose.Types.ObjectId(req.user.userId);
+        const conversations = await Conversation.find(conversationFilterFor(req.user.userId))
             .populate('student_id', 'username email')
             .populate('landlord_id', 'username email')
-            .populate('property_id', 'title');
-        res.json(conversations);
+            .populate('participants', 'username profilePictureUrl')
+            .populate('property_id', 'title')
+            .lean();
+        const activity = await Message.aggregate([
+            { $match: { conversation_id: { $in: conversations.map(c => c._id) } } },
+            { $sort: { createdAt: -1 } },
+            { $group: {
+                _id: '$conversation_id',
+                lastMessage: { $first: { _id: '$_id', sender_id: '$sender_id', content: '$content', attachmentCount: { $size: { $ifNull: ['$attachments', []] } }, createdAt: '$createdAt' } },
+                // Messages from before read receipts have no readAt at all and count as read
+                unreadCount: { $sum: { $cond: [{ $and: [{ $ne: ['$sender_id', userId] }, { $eq: ['$readAt', null] }] }, 1, 0] } },
+            } },
+        ]);
+
+        const withActivity = conversations.map(conversation => {
+            const stats = activity.find(entry => String(entry._id) === String(conversation._id));
+            return {
+                ...conversation,
+                lastMessage: stats?.lastMessage || null,
+                unreadCount: stats?.unreadCount || 0,
+                lastActivityAt: stats?.lastMessage.createdAt || conversation.createdAt,
+            };
+        });
+        withActivity.sort((a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt));
+        res.json(withActivity);
     } catch (error) {
         res.status(500).json({ message: 'Error fetching conversations' });
     }
 });
 
+// Starts (or reopens) a chat. With `roommate_id` it is a student-to-student roommate chat,
+// otherwise a student asking the landlord about `property_id`.
 app.post('/api/conversations', authenticateToken, async (req, res) => {
-    const { property_id, landlord_id } = req.body;
+    const { property_id, roommate_id } = req.body;
     const student_id = req.user.userId;
 
     try {
-        let convo = await Conversation.findOne({ property_id, student_id });
+        if (roommate_id) {
+            if (req.user.userType !== 'student') return res.status(403).json({ message: 'Only students can message roommates.' });
+            if (String(roommate_id) === String(student_id)) return res.status(400).json({ message: "You can't start a chat with yourself." });
+            const roommateProfile = mongoose.isValidObjectId(roommate_id) && await RoommateProfile.findOne({ user_id: roommate_id, lookingForRoommate: true });
+            if (!roommateProfile) return res.status(404).json({ message: 'This student is not looking for a roommate.' });
+
+            const members = [student_id, roommate_id];
+            const existing = await Conversation.findOne({ kind: 'roommate', participants: { $all: members, $size: 2 } });
+            if (existing) return res.status(200).json({ conversationId: existing._id });
+
+            const roommateConvo = await Conversation.create({ kind: 'roommate', participants: members });
+            await sendNotification({
+                recipientId: roommate_id,
+                senderId: student_id,
+                message: `${req.user.username} wants to chat about being roommates.`,
+                link: `/messages/${roommateConvo._id}`,
+            });
+            return res.status(201).json({ conversationId: roommateConvo._id });
+        }
+
+        // The landlord is whoever owns the listing, not whatever the client sent
+        const property = mongoose.isValidObjectId(property_id) && await Property.findOne({ _id: property_id, ...NOT_HIDDEN }).select('landlord_id');
+        if (!property) return res.status(404).json({ message: 'Property not found.' });
+        if (String(property.landlord_id) === String(student_id)) return res.status(400).json({ message: "You can't start a chat about your own listing." });
+
+        // Chats from before `kind` existed are property chats too
+        let convo = await Conversation.findOne({ kind: { $ne: 'roommate' }, property_id: property._id, student_id });
         if (convo) {
             return res.status(200).json({ conversationId: convo._id });
         }
-        const newConvo = new Conversation({ property_id, student_id, landlord_id });
+        const newConvo = new Conversation({ kind: 'property', property_id: property._id, student_id, landlord_id: property.landlord_id, participants: [student_id, property.landlord_id] });
         await newConvo.save();
         res.status(201).json({ conversationId: newConvo._id });
     } catch (error) {
@@ -571,17 +1648,169 @@ app.post('/api/conversations', authenticateToken, async (req, res) => {
     }
 });
 
+const MESSAGE_PAGE_SIZE = 30;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+const MESSAGE_SEARCH_LIMIT = 30;
+
+// Messages strictly before or after `cursor` in (createdAt, _id) order, nearest first
+const messagesBeside = (conversationId, cursor, direction, limit) => {
+    const op = direction === 'before' ? '$lt' : '$gt';
+    const order = direction === 'before' ? -1 : 1;
+    return Message.find({
+        conversation_id: conversationId,
+        $or: [{ createdAt: { [op]: cursor.createdAt } }, { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }],
+    }).sort({ createdAt: order, _id: order }).limit(limit + 1);
+};
+
+// One page of a chat, oldest first, as { messages, hasOlder, hasNewer }. Without a cursor it is the
+// latest page; `before` / `after` (message ids) page backwards and forwards, and `around` returns the
+// page a message sits in the middle of, for jumping to a search result.
 app.get('/api/conversations/:id/messages', authenticateToken, async (req, res) => {
     try {
-        const convo = await Conversation.findOne({ _id: req.params.id, $or: [{ student_id: req.user.userId }, { landlord_id: req.user.userId }] });
+        const convo = mongoose.isValidObjectId(req.params.id) && await Conversation.findOne({ _id: req.params.id, ...conversationFilterFor(req.user.userId) });
         if (!convo) return res.status(403).json({ message: 'Unauthorized.' });
-        const messages = await Message.find({ conversation_id: req.params.id }).sort({ createdAt: 'asc' });
-        res.json(messages);
+
+        const limit = Math.min(parseInt(req.query.limit) || MESSAGE_PAGE_SIZE, MAX_MESSAGE_PAGE_SIZE);
+        const { before, after, around } = req.query;
+        const cursorId = before || after || around;
+        let cursor = null;
+        if (cursorId) {
+            cursor = mongoose.isValidObjectId(cursorId) && await Message.findOne({ _id: cursorId, conversation_id: convo._id }).select('createdAt');
+            if (!cursor) return res.status(404).json({ message: 'Message not found.' });
+        }
+
+        if (around) {
+            const [older, newer] = await Promise.all([
+                messagesBeside(convo._id, cursor, 'before', Math.floor(limit / 2)),
+                messagesBeside(convo._id, cursor, 'after', Math.ceil(limit / 2) - 1),
+            ]);
+            const target = await Message.findById(cursor._id);
+            return res.json({
+                messages: [...older.slice(0, Math.floor(limit / 2)).reverse(), target, ...newer.slice(0, Math.ceil(limit / 2) - 1)],
+                hasOlder: older.length > Math.floor(limit / 2),
+                hasNewer: newer.length > Math.ceil(limit / 2) - 1,
+            });
+        }
+        if (after) {
+            const newer = await messagesBeside(convo._id, cursor, 'after', limit);
+            return res.json({ messages: newer.slice(0, limit), hasOlder: true, hasNewer: newer.length > limit });
+        }
+
+        const older = cursor
+            ? await messagesBeside(convo._id, cursor, 'before', limit)
+            : await Message.find({ conversation_id: convo._id }).sort({ createdAt: -1, _id: -1 }).limit(limit + 1);
+        res.json({ messages: older.slice(0, limit).reverse(), hasOlder: older.length > limit, hasNewer: Boolean(before) });
     } catch (error) {
         res.status(500).json({ message: 'Server error fetching messages.' });
     }
 });
 
+// Searches the messages of all the user's chats, newest first, with a highlighted snippet of each
+app.get('/api/messages/search', authenticateToken, async (req, res) => {
+    try {
+        const q = String(req.query.q ?? '').trim();
+        if (!q) return res.status(400).json({ message: 'Please enter something to search for.' });
+
+        const conversationIds = await Conversation.find(conversationFilterFor(req.user.userId)).distinct('_id');
+        const messages = await Message.find({ conversation_id: { $in: conversationIds }, $text: { $search: q } })
+            .sort({ createdAt: -1 })
+            .limit(MESSAGE_SEARCH_LIMIT)
+            .lean();
+
+        const terms = tokenize(q);
+        res.json(messages.map(({ _id, conversation_id, sender_id, content, attachments = [], createdAt }) => ({
+            _id,
+            conversation_id,
+            sender_id,
+            createdAt,
+            snippet: buildSnippet({ content, attachments: attachments.map(attachment => attachment.originalName) }, terms, ['content', 'attachments'])
+                || { field: 'content', text: (content || '').slice(0, 120), matches: [] },
+        })));
+    } catch (error) {
+        console.error("Message search error:", error);
+        res.status(500).json({ message: 'Server error searching messages.' });
+    }
+});
+
+// Chat attachments are checked before anything is stored
+const attachmentUpload = multer({ storage, limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENTS }, fileFilter: attachmentFileFilter }).array('attachments', MAX_ATTACHMENTS);
+const receiveAttachments = (req, res, next) => attachmentUpload(req, res, (uploadError) => {
+    if (!uploadError) return next();
+    let message = uploadError.message;
+    if (uploadError.code === 'LIMIT_FILE_SIZE') message = `Each attachment can be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)}MB.`;
+    else if (['LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(uploadError.code)) message = `You can attach at most ${MAX_ATTACHMENTS} files to a message.`;
+    res.status(uploadError.status || 400).json({ message });
+});
+
+// Sends a message with attachments (multipart: `attachments` files and an optional `content`).
+// Text-only messages go over the WebSocket.
+app.post('/api/conversations/:id/messages', authenticateToken, requireConversationParticipant(Conversation, { notFoundMessage: "Conversation not found." }), receiveAttachments, async (req, res) => {
+    try {
+        const files = collectAttachments(req.files);
+        const content = String(req.body.content ?? '').trim();
+        if (!files.length && !content) return res.status(400).json({ message: "A message needs some text or an attachment." });
+
+        const fileStorage = getFileStorage();
+        const attachments = await Promise.all(files.map(async (file) => ({
+            storage: fileStorage.name,
+            ...(await fileStorage.save(file.buffer, { folder: `chat/${req.resource._id}`, mimetype: file.mimetype, filename: file.originalname })),
+            mimetype: file.mimetype,
+            originalName: file.originalname,
+            size: file.size,
+            hasPreview: hasPreview(file.mimetype),
+        })));
+
+        let message;
+        try {
+            message = await postMessage(req.resource, { sender_id: req.user.userId, content, attachments });
+        } catch (saveError) {
+            await Promise.all(attachments.map(attachment => fileStorage.remove(attachment.key).catch(() => {})));
+            throw saveError;
+        }
+        res.status(201).json(message);
+    } catch (error) {
+        console.error("Attachment message error:", error);
+        res.status(500).json({ message: "Server error sending the attachments." });
+    }
+});
+
+// An attachment, for members of the conversation only, through a link that expires within a minute
+// or streamed from storage. ?thumbnail=1 asks for a preview-sized image, which falls back to the
+// original when the storage backend can't make one.
+app.get('/api/messages/:id/attachments/:attachmentId', authenticateToken, async (req, res) => {
+    try {
+        const message = mongoose.isValidObjectId(req.params.id) && await Message.findById(req.params.id);
+        if (!message) return res.status(404).json({ message: "Attachment not found" });
+        const isMember = await Conversation.exists({ _id: message.conversation_id, ...conversationFilterFor(req.user.userId) });
+        if (!isMember) return res.status(403).json({ message: "Access denied." });
+        const attachment = message.attachments.id(req.params.attachmentId);
+        if (!attachment) return res.status(404).json({ message: "Attachment not found" });
+
+        const fileStorage = getFileStorage(attachment.storage);
+        const inline = attachment.hasPreview;
+        const thumbnail = req.query.thumbnail && attachment.hasPreview && fileStorage.createThumbnailStream?.(attachment.key, THUMBNAIL_SIZE);
+        if (thumbnail) {
+            res.setHeader('Content-Type', 'image/jpeg');
+            res.setHeader('Cache-Control', 'private, max-age=3600');
+            return thumbnail
+                .on('error', () => res.headersSent ? res.end() : res.status(404).json({ message: "Attachment not found" }))
+                .pipe(res);
+        }
+        if (fileStorage.signedUrl) return res.redirect(fileStorage.signedUrl(attachment.key, { attachment: !inline }));
+
+        res.setHeader('Content-Type', attachment.mimetype);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+        res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${encodeURIComponent(attachment.originalName || 'attachment')}"`);
+        fileStorage.createReadStream(attachment.key)
+            .on('error', () => res.headersSent ? res.end() : res.status(404).json({ message: "Attachment not found" }))
+            .pipe(res);
+    } catch (error) {
+        console.error("Attachment error:", error);
+        res.status(500).json({ message: "Error fetching attachment" });
+    }
+});
+
 // --- REVIEW ROUTES ---
 app.get('/api/properties/:propertyId/reviews', async (req, res) => {
     try {
@@ -694,6 +1923,16 @@ app.get('/api/profile/stats', authenticateToken, async (req, res) => {
     }
 });
 
+// The devices the user is connected on right now, across every backend instance
+app.get('/api/profile/devices', authenticateToken, async (req, res) => {
+    try {
+        res.json(await realtime.devicesOf(req.user.userId));
+    } catch (error) {
+        console.error("Devices error:", error);
+        res.status(500).json({ message: 'Server error fetching your devices.' });
+    }
+});
+
 app.post('/api/profile/change-password', authenticateToken, async (req, res) => {
     const { currentPassword, newPassword } = req.body;
     const { userId } = req.user;
@@ -716,7 +1955,11 @@ app.post('/api/profile/change-password', authenticateToken, async (req, res) =>
         const hashedNewPassword = await bcrypt.hash(newPassword, 10);
         await User.updateOne({ _id: userId }, { $set: { password: hashedNewPassword } });
 
-        res.json({ message: 'Password updated successfully!' });
+        // Sign out every other device; this one gets a fresh session
+        await sessions.revokeAllSessions(userId);
+        const { token, refreshToken } = await sessions.startSession(user);
+
+        res.json({ message: 'Password updated successfully!', token, refreshToken });
     } catch (error) {
         console.error("Change password error:", error);
         res.status(500).json({ message: 'Server error changing password.' });
@@ -741,7 +1984,7 @@ app.put('/api/profile/update-username', authenticateToken, async (req, res) => {
         
         const updatedUser = await User.findById(userId);
 
-        const newToken = jwt.sign({ userId: updatedUser._id, username: updatedUser.username, userType: updatedUser.user_type }, JWT_SECRET, { expiresIn: "1h" });
+        const newToken = sessions.signAccessToken(updatedUser);
 
         res.json({ 
             message: 'Username updated successfully!', 
@@ -760,15 +2003,7 @@ app.put('/api/profile/upload-picture', authenticateToken, upload.single('profile
     }
 
     try {
-        const result = await new Promise((resolve, reject) => {
-            const uploadStream = cloudinary.uploader.upload_stream({ folder: 'housing_hub_profiles' }, (error, result) => {
-                if (error) reject(error);
-                else resolve(result);
-            });
-            uploadStream.end(req.file.buffer);
-        });
-
-        const profilePictureUrl = result.secure_url;
+        const profilePictureUrl = await uploadToCloudinary(req.file.buffer, 'housing_hub_profiles');
 
         await User.updateOne({ _id: req.user.userId }, { $set: { profilePictureUrl } });
 
@@ -821,12 +2056,32 @@ app.post('/api/profile/delete-account', authenticateToken, async (req, res) => {
             await Favorite.deleteMany({ property_id: { $in: propertyIds } });
             await Conversation.deleteMany({ property_id: { $in: propertyIds } });
             await PropertyView.deleteMany({ property_id: { $in: propertyIds } });
+            await ListingReport.deleteMany({ property_id: { $in: propertyIds } });
+            await ViewingSlot.deleteMany({ landlord_id: userId });
+            await LeaseTemplate.deleteMany({ landlord_id: userId });
+            // The identity documents go; the audit log of decisions stays
+            const verificationRequests = await VerificationRequest.find({ user_id: userId });
+            await Promise.all(verificationRequests.flatMap(request => request.documents.map(document => getFileStorage(document.storage).remove(document.key)
+                .catch(removeError => console.error("Verification document cleanup error:", removeError)))));
+            await VerificationRequest.deleteMany({ user_id: userId });
+            await Viewing.deleteMany({ landlord_id: userId });
         }
         else if (userType === 'student') {
             await Favorite.deleteMany({ user_id: userId });
             await Conversation.deleteMany({ student_id: userId });
+            // Free the places the student had booked
+            const booked = await Viewing.find({ student_id: userId, status: 'booked' }).select('slot_id');
+            for (const viewing of booked) {
+                await ViewingSlot.updateOne({ _id: viewing.slot_id, bookedCount: { $gt: 0 } }, { $inc: { bookedCount: -1 } });
+            }
+            await Viewing.deleteMany({ student_id: userId });
         }
 
+        await RefreshToken.deleteMany({ user_id: userId });
+        await PasswordResetToken.deleteMany({ user_id: userId });
+        await SavedSearch.deleteMany({ user_id: userId });
+        await RoommateProfile.deleteOne({ user_id: userId });
+        await Conversation.deleteMany({ kind: 'roommate', participants: userId });
         await User.findByIdAndDelete(userId);
 
         res.json({ message: 'Your account has been permanently deleted.' });
@@ -837,10 +2092,7 @@ app.post('/api/profile/delete-account', authenticateToken, async (req, res) => {
 });
 
 // --- DASHBOARD & NOTIFICATION ROUTES ---
-app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
-    if (req.user.userType !== 'landlord') {
-        return res.status(403).json({ message: 'Access denied.' });
-    }
+app.get('/api/dashboard/stats', authenticateToken, requireRole('landlord'), async (req, res) => {
     try {
         const landlordId = new mongoose.Types.ObjectId(req.user.userId);
         
@@ -938,7 +2190,7 @@ app.post('/api/properties/generate-description', authenticateToken, async (req,
     }
 });
 
-app.post('/api/conversations/:id/ask-ai', authenticateToken, async (req, res) => {
+app.post('/api/conversations/:id/ask-ai', authenticateToken, requireConversationParticipant(Conversation, { notFoundMessage: "Conversation not found." }), async (req, res) => {
     const { question } = req.body;
     const { id } = req.params;
 
@@ -950,10 +2202,11 @@ app.post('/api/conversations/:id/ask-ai', authenticateToken, async (req, res) =>
     }
 
     try {
-        const conversation = await Conversation.findById(id).populate('property_id');
-        if (!conversation) {
-            return res.status(404).json({ message: "Conversation not found." });
+        const conversation = req.resource;
+        if (conversation.kind !== 'property') {
+            return res.status(400).json({ message: "The AI assistant only answers questions about a property." });
         }
+        await conversation.populate('property_id');
         
         const property = conversation.property_id;
         if (!property) {
@@ -968,7 +2221,7 @@ app.post('/api/conversations/:id/ask-ai', authenticateToken, async (req, res) =>
             Price: ₹${property.price}/month
             Bedrooms: ${property.bedrooms || 'Not specified'}
             Bathrooms: ${property.bathrooms || 'Not specified'}
-            Amenities: ${property.amenities || 'Not specified'}
+            Amenities: ${describeAmenities(property) || 'Not specified'}
         `;
 
         const model = "gemini-2.5-flash-preview-09-2025";
@@ -1004,19 +2257,7 @@ Here are the rules:
         const answer = result.candidates?.[0]?.content?.parts?.[0]?.text;
 
         if (answer) {
-            const botMessage = new Message({
-                conversation_id: id,
-                sender_id: conversation.landlord_id,
-                content: answer,
-            });
-            await botMessage.save();
-
-            [String(conversation.student_id), String(conversation.landlord_id)].forEach(userId => {
-                const clientWs = clients.get(userId);
-                if (clientWs && clientWs.readyState === 1) {
-                    clientWs.send(JSON.stringify({ type: 'newMessage', payload: botMessage }));
-                }
-            });
+            await postMessage(conversation, { sender_id: conversation.landlord_id, content: answer });
 
             res.json({ message: "AI response sent." });
         } else {
@@ -1030,104 +2271,2022 @@ Here are the rules:
 
 // --- ADMIN ROUTES ---
 
-// 1. Get all pending verification requests
-app.get('/api/admin/verifications', async (req, res) => {
+// 1. Get all pending verification requests, oldest first, with the landlord's earlier decisions
+app.get('/api/admin/verifications', authenticateToken, requireAdmin, async (req, res) => {
     try {
-        // Fetch all users who are waiting for approval
-        const pendingUsers = await User.find({ verificationStatus: 'pending' });
-        res.json(pendingUsers);
+        const pending = await VerificationRequest.find({ status: 'pending' })
+            .populate('user_id', 'username email profilePictureUrl isVerified verificationExpiresAt createdAt')
+            .populate('property_id', 'title address city image_url')
+            .sort({ createdAt: 1 })
+            .lean();
+        const audit = await VerificationAudit.find({ user_id: { $in: pending.map(request => request.user_id?._id) } })
+            .populate('admin_id', 'username')
+            .sort({ createdAt: -1 })
+            .lean();
+        // Listing requests show the decisions about that listing, landlord requests those about the landlord
+        // (lean skips the schema default, so requests from before `kind` existed have none)
+        res.json(pending.filter(request => request.user_id && (request.kind !== 'property' || request.property_id)).map(request => ({
+            ...request,
+            previousDecisions: audit.filter(entry => String(entry.user_id) === String(request.user_id._id)
+                && String(entry.property_id) === String(request.property_id?._id ?? null)),
+        })));
     } catch (error) {
         res.status(500).json({ message: "Error fetching requests" });
     }
 });
 
-// 2. Approve or Reject a Landlord
-app.post('/api/admin/verify-action', async (req, res) => {
+// 2. Approve or reject a verification request. A rejection needs a reason for the landlord;
+// notes stay with the admins.
+app.post('/api/admin/verify-action', authenticateToken, requireAdmin, async (req, res) => {
     try {
-        const { userId, action } = req.body; // action will be 'approve' or 'reject'
+        const { requestId, action } = req.body; // action will be 'approve' or 'reject'
+        const notes = String(req.body.notes ?? '').trim().slice(0, 1000);
+        const reason = String(req.body.reason ?? '').trim().slice(0, 500);
 
         if (!['approve', 'reject'].includes(action)) {
             return res.status(400).json({ message: "Invalid action" });
         }
+        if (action === 'reject' && !reason) {
+            return res.status(400).json({ message: "Please tell the landlord why the documents were rejected." });
+        }
+        if (!mongoose.isValidObjectId(requestId)) return res.status(404).json({ message: "Request not found" });
 
         const status = action === 'approve' ? 'approved' : 'rejected';
-        const isVerified = action === 'approve'; // True only if approved
-
-        const updatedUser = await User.findByIdAndUpdate(userId, {
-            verificationStatus: status,
-            isVerified: isVerified
-        }, { new: true });
+        const now = new Date();
+        const expiresAt = action === 'approve' ? expiryFrom(now) : null;
+        const request = await VerificationRequest.findOneAndUpdate(
+            { _id: requestId, status: 'pending' },
+            { status, reviewedBy: req.user.userId, reviewedAt: now, reviewerNotes: notes, rejectionReason: reason, expiresAt },
+            { new: true }
+        );
+        if (!request) return res.status(409).json({ message: "This request was already reviewed." });
+
+        if (request.kind === 'property') {
+            const property = await Property.findOneAndUpdate(
+                { _id: request.property_id, verificationStatus: 'pending' },
+                { isVerified: action === 'approve', verificationStatus: status },
+                { new: true }
+            );
+            if (!property) {
+                // Put the request back so the listing can still be reviewed
+                await VerificationRequest.updateOne(
+                    { _id: request._id, status },
+                    { status: 'pending', reviewedBy: null, reviewedAt: null, reviewerNotes: '', rejectionReason: '', expiresAt: null }
+                );
+                return res.status(404).json({ message: "Property not found" });
+            }
+            await VerificationAudit.create({ request_id: request._id, user_id: request.user_id, property_id: property._id, admin_id: req.user.userId, action: status, reason, notes });
+            await sendNotification({
+                recipientId: request.user_id,
+                senderId: req.user.userId,
+                message: action === 'approve'
+                    ? `Your listing '${property.title}' is now verified.`
+                    : `The verification of your listing '${property.title}' was rejected: ${reason}`,
+                link: `/properties/${property._id}`
+            });
+            return res.json({ message: `Listing ${status} successfully!`, request });
+        }
 
-        res.json({ message: `User ${status} successfully!`, user: updatedUser });
+        // A rejected renewal leaves a still valid verification in place until it expires
+        const user = await User.findById(request.user_id);
+        if (!user) return res.status(404).json({ message: "User not found" });
+        if (action === 'approve') {
+            Object.assign(user, { isVerified: true, verificationStatus: 'approved', verificationExpiresAt: expiresAt, verificationReminderSentAt: null });
+        } else {
+            user.verificationStatus = user.isVerified ? 'approved' : 'rejected';
+        }
+        await user.save();
+        await VerificationAudit.create({ request_id: request._id, user_id: user._id, admin_id: req.user.userId, action: status, reason, notes });
+
+        await sendNotification({
+            recipientId: user._id,
+            senderId: req.user.userId,
+            message: action === 'approve'
+                ? `You're now a verified landlord until ${expiresAt.toDateString()}.`
+                : `Your verification documents were rejected: ${reason}`,
+            link: '/profile'
+        });
+        res.json({ message: `User ${status} successfully!`, request });
 
     } catch (error) {
         res.status(500).json({ message: "Error updating status" });
     }
 });
 
+// 3. The log of verification decisions, newest first, optionally for one landlord
+app.get('/api/admin/verification-audit', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        if (req.query.userId && !mongoose.isValidObjectId(req.query.userId)) return res.status(404).json({ message: "User not found" });
+        const entries = await VerificationAudit.find(req.query.userId ? { user_id: req.query.userId } : {})
+            .populate('user_id', 'username email')
+            .populate('property_id', 'title')
+            .populate('admin_id', 'username')
+            .sort({ createdAt: -1 })
+            .limit(200);
+        res.json(entries);
+    } catch (error) {
+        res.status(500).json({ message: "Error fetching the audit log" });
+    }
+});
+
+// --- MODERATION ROUTES ---
+
+const MODERATION_FIELDS = 'isHidden hiddenAt hiddenReason appealStatus appealMessage appealedAt appealResponse';
+const MODERATION_RESULTS = {
+    hide: 'Listing hidden.',
+    unhide: 'Listing is visible again.',
+    dismiss: 'Reports dismissed.',
+    reject_appeal: 'Appeal rejected.',
+    delete: 'Listing deleted.',
+};
+
+// Takes a listing down and tells its landlord. `adminId` is null when the reports hid it.
+// Returns false when the listing was hidden already.
+const hideListing = async (property, { adminId = null, reason }) => {
+    const { modifiedCount } = await Property.updateOne(
+        { _id: property._id, isHidden: { $ne: true } },
+        { isHidden: true, hiddenAt: new Date(), hiddenBy: adminId, hiddenReason: reason, appealStatus: 'none', appealMessage: '', appealedAt: null, appealResponse: '' }
+    );
+    if (!modifiedCount) return false;
+    await sendNotification({
+        recipientId: property.landlord_id,
+        senderId: adminId,
+        message: `Your listing '${property.title}' was taken down (${reason}). You can appeal from the listing page.`,
+        link: `/properties/${property._id}`
+    });
+    return true;
+};
+
+const closeReports = (propertyId, status, adminId) => ListingReport.updateMany(
+    { property_id: propertyId, status: 'open' },
+    { status, resolvedBy: adminId, resolvedAt: new Date() }
+);
+
+app.get('/api/report-reasons', (req, res) => {
+    res.json(REPORT_REASONS);
+});
+
+// 1. Student: report a listing. Enough reports from different students hide it until an admin looks at it
+app.post('/api/properties/:id/reports', authenticateToken, requireRole('student'), async (req, res) => {
+    try {
+        const property = mongoose.isValidObjectId(req.params.id) && await Property.findOne({ _id: req.params.id, ...NOT_HIDDEN });
+        if (!property) return res.status(404).json({ message: 'Property not found' });
+
+        let report;
+        try {
+            report = parseReport(req.body);
+        } catch (validationError) {
+            return res.status(validationError.status || 400).json({ message: validationError.message });
+        }
+
+        try {
+            await ListingReport.create({ property_id: property._id, reporter_id: req.user.userId, ...report });
+        } catch (error) {
+            if (error.code === 11000) return res.status(409).json({ message: "You've already reported this listing." });
+            throw error;
+        }
+
+        const openReports = await ListingReport.countDocuments({ property_id: property._id, status: 'open' });
+        if (openReports >= AUTO_HIDE_REPORTS) {
+            await hideListing(property, { reason: `reported by ${openReports} students, hidden until a moderator has reviewed it` });
+        }
+        res.status(201).json({ message: "Thanks, the listing was reported. Our moderators will look into it." });
+    } catch (error) {
+        console.error("Listing report error:", error);
+        res.status(500).json({ message: "Server error reporting the listing." });
+    }
+});
+
+// 2. Landlord: appeal a takedown, once per takedown
+app.post('/api/properties/:id/appeal', authenticateToken, requireLandlordOwner(Property, { notFoundMessage: 'Property not found' }), async (req, res) => {
+    try {
+        let message;
+        try {
+            message = parseStatement(req.body.message, 'Please explain why the listing should be visible again.');
+        } catch (validationError) {
+            return res.status(validationError.status || 400).json({ message: validationError.message });
+        }
+
+        const property = await Property.findOneAndUpdate(
+            { _id: req.resource._id, isHidden: true, appealStatus: 'none' },
+            { appealStatus: 'pending', appealMessage: message, appealedAt: new Date(), appealResponse: '' },
+            { new: true }
+        ).select(MODERATION_FIELDS);
+        if (!property) {
+            return res.status(409).json({ message: req.resource.isHidden ? "This takedown was already appealed." : "This listing isn't hidden." });
+        }
+
+        const admins = await User.find({ user_type: 'admin' }).select('_id');
+        await Promise.all(admins.map(admin => sendNotification({
+            recipientId: admin._id,
+            senderId: req.user.userId,
+            message: `New appeal for the hidden listing '${req.resource.title}'.`,
+            link: '/admin'
+        })));
+        res.json(property);
+    } catch (error) {
+        console.error("Listing appeal error:", error);
+        res.status(500).json({ message: "Server error sending the appeal." });
+    }
+});
+
+// 3. Admin: listings with open reports or a pending appeal; appeals first, then the most reported
+app.get('/api/admin/moderation', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const reports = await ListingReport.find({ status: 'open' })
+            .populate('reporter_id', 'username email')
+            .sort({ createdAt: 1 })
+            .lean();
+        const properties = await Property.find({ $or: [{ _id: { $in: reports.map(report => report.property_id) } }, { appealStatus: 'pending' }] })
+            .select(`title address city image_url landlord_id hiddenBy ${MODERATION_FIELDS}`)
+            .populate('landlord_id', 'username email isVerified')
+            .populate('hiddenBy', 'username')
+            .lean();
+
+        const queue = properties.map(property => ({
+            ...property,
+            reports: reports.filter(report => String(report.property_id) === String(property._id)),
+        }));
+        queue.sort((a, b) => (b.appealStatus === 'pending') - (a.appealStatus === 'pending') || b.reports.length - a.reports.length);
+        res.json(queue);
+    } catch (error) {
+        res.status(500).json({ message: "Error fetching the moderation queue" });
+    }
+});
+
+// 4. Admin: act on a listing. hide and delete need a reason for the landlord; reject_appeal a response
+app.post('/api/admin/listings/:id/moderate', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { action } = req.body;
+        if (!MODERATION_ACTIONS.includes(action)) {
+            return res.status(400).json({ message: `Invalid action. Use one of: ${MODERATION_ACTIONS.join(', ')}.` });
+        }
+        const property = mongoose.isValidObjectId(req.params.id) && await Property.findById(req.params.id);
+        if (!property) return res.status(404).json({ message: 'Property not found' });
+
+        let reason = '';
+        if (['hide', 'delete', 'reject_appeal'].includes(action)) {
+            try {
+                reason = parseStatement(req.body.reason, action === 'reject_appeal' ? 'Please tell the landlord why the appeal was rejected.' : 'Please give the landlord a reason.');
+            } catch (validationError) {
+                return res.status(validationError.status || 400).json({ message: validationError.message });
+            }
+        }
+        const notifyLandlord = (message) => sendNotification({ recipientId: property.landlord_id, senderId: req.user.userId, message, link: `/properties/${property._id}` });
+
+        if (action === 'hide') {
+            if (!await hideListing(property, { adminId: req.user.userId, reason })) return res.status(409).json({ message: "This listing is already hidden." });
+            await closeReports(property._id, 'actioned', req.user.userId);
+        } else if (action === 'unhide') {
+            const { modifiedCount } = await Property.updateOne(
+                { _id: property._id, isHidden: true },
+                { isHidden: false, hiddenAt: null, hiddenBy: null, hiddenReason: '', appealStatus: property.appealStatus === 'pending' ? 'accepted' : 'none', appealMessage: '', appealResponse: '' }
+            );
+            if (!modifiedCount) return res.status(409).json({ message: "This listing isn't hidden." });
+            await closeReports(property._id, 'dismissed', req.user.userId);
+            await notifyLandlord(`Your listing '${property.title}' is visible again.`);
+        } else if (action === 'dismiss') {
+            if (property.isHidden) return res.status(409).json({ message: "Unhide the listing to dismiss its reports." });
+            await closeReports(property._id, 'dismissed', req.user.userId);
+        } else if (action === 'reject_appeal') {
+            const { modifiedCount } = await Property.updateOne(
+                { _id: property._id, appealStatus: 'pending' },
+                { appealStatus: 'rejected', appealResponse: reason }
+            );
+            if (!modifiedCount) return res.status(409).json({ message: "There is no pending appeal for this listing." });
+            await closeReports(property._id, 'actioned', req.user.userId);
+            await notifyLandlord(`Your appeal for '${property.title}' was rejected: ${reason}`);
+        } else {
+            await Property.deleteOne({ _id: property._id });
+            await closeReports(property._id, 'actioned', req.user.userId);
+            await sendNotification({ recipientId: property.landlord_id, senderId: req.user.userId, message: `Your listing '${property.title}' was removed by a moderator: ${reason}`, link: '/' });
+        }
+        res.json({ message: MODERATION_RESULTS[action] });
+    } catch (error) {
+        console.error("Moderation error:", error);
+        res.status(500).json({ message: "Error moderating the listing" });
+    }
+});
+
 // --- APPLICATION ROUTES ---
 
-// 1. Student: Apply for a property
-app.post('/api/applications', requireAuth, async (req, res) => {
+const MAX_GROUP_SIZE = 6; // Including the student who creates the group
+
+// What the other party is told after each status change. Students see their applications
+// on their profile, landlords on their dashboard. For a group application every member hears
+// what the group lead hears, and `group` is what the other members are told when the lead acts.
+const APPLICATION_NOTIFICATIONS = {
+    shortlisted: { notify: 'student', text: (title) => `You've been shortlisted for '${title}'!` },
+    offered: { notify: 'student', text: (title) => `You've received an offer for '${title}'!` },
+    rejected: { notify: 'student', text: (title) => `Your application for '${title}' was not successful.` },
+    lease_signed: { notify: 'student', text: (title) => `The lease for '${title}' has been signed. Welcome home!` },
+    accepted: {
+        notify: 'landlord',
+        text: (title, student) => `${student} accepted your offer for '${title}'!`,
+        group: (title) => `Your group accepted the offer for '${title}'!`,
+    },
+    declined: {
+        notify: 'landlord',
+        text: (title, student) => `${student} declined your offer for '${title}'.`,
+        group: (title) => `Your group declined the offer for '${title}'.`,
+    },
+    withdrawn: {
+        notify: 'landlord',
+        text: (title, student) => `${student} withdrew their application for '${title}'.`,
+        group: (title) => `Your group application for '${title}' was withdrawn.`,
+    },
+};
+
+// The lead and every member who accepted their invitation
+const applicationStudentIds = (application) => [
+    application.student_id,
+    ...application.members.filter(member => member.status === 'accepted').map(member => member.student_id),
+];
+
+const notifyApplicationChange = async (application, actorId) => {
+    const [property, student] = await Promise.all([
+        Property.findById(application.property_id).select('title'),
+        User.findById(application.student_id).select('username'),
+    ]);
+    const title = property?.title || 'a deleted property';
+    const lead = student?.username || 'A student';
+    const studentName = application.groupSize > 1 ? `${lead}'s group of ${application.groupSize}` : lead;
+
+    const links = { student: '/profile', landlord: '/' };
+    const recipients = { student: applicationStudentIds(application), landlord: [application.landlord_id] };
+    const notifySide = (side, message, senderId) => Promise.all(recipients[side]
+        .filter(recipientId => String(recipientId) !== String(senderId))
+        .map(recipientId => sendNotification({ recipientId, senderId, message, link: links[side] })));
+
+    // A group that never finished forming was never shown to the landlord,
+    // so only its members and invitees hear about it
+    if (application.history.at(-1)?.from === 'forming') {
+        recipients.student = [application.student_id, ...application.memberIds];
+        const message = application.status === 'expired'
+            ? `The group application for '${title}' expired before everyone answered.`
+            : `The group application for '${title}' was withdrawn.`;
+        await notifySide('student', message, actorId);
+        return;
+    }
+
+    if (application.status === 'expired') {
+        // Nobody acted, so both sides hear about it
+        await Promise.all(['student', 'landlord'].map(side => notifySide(side, `The application for '${title}' has expired.`, null)));
+        return;
+    }
+
+    const config = APPLICATION_NOTIFICATIONS[application.status];
+    if (!config) return;
+    await notifySide(config.notify, config.text(title, studentName), actorId);
+    if (config.group && application.groupSize > 1) await notifySide('student', config.group(title), actorId);
+};
+
+// Tells the landlord about an application they can now act on
+const notifyNewApplication = async (application, property, username) => {
+    const group = application.groupSize > 1 ? ` with a group of ${application.groupSize}` : '';
+    await sendNotification({
+        recipientId: property.landlord_id,
+        senderId: application.student_id,
+        message: `${username} applied${group} for '${property.title}'.`,
+        link: '/'
+    });
+};
+
+// The open application a student is already part of for a property, as lead or member
+const findOpenApplication = (property_id, studentId, excludeId = null) => Application.findOne({
+    ...(excludeId && { _id: { $ne: excludeId } }),
+    property_id,
+    status: { $nin: FINAL_STATUSES },
+    $or: [
+        { student_id: studentId },
+        { members: { $elemMatch: { student_id: studentId, status: { $ne: 'declined' } } } },
+    ],
+});
+
+// 1. Student: Apply for a property, alone or with a group of invited students
+app.post('/api/applications', authenticateToken, requireRole('student'), async (req, res) => {
     try {
-        const { property_id, landlord_id, message } = req.body;
+        const { property_id, message } = req.body;
+
+        // The landlord always comes from the listing itself, never from the client
+        const property = mongoose.isValidObjectId(property_id) && await Property.findOne({ _id: property_id, ...NOT_HIDDEN });
+        if (!property) return res.status(404).json({ message: "Property not found" });
+
+        // `invite` takes usernames, either as an array or comma-separated
+        const usernames = [...new Set([].concat(req.body.invite ?? [])
+            .flatMap(value => String(value).split(','))
+            .map(value => value.trim())
+            .filter(Boolean))];
+        if (usernames.some(username => username.toLowerCase() === req.user.username.toLowerCase())) {
+            return res.status(400).json({ message: "You don't need to invite yourself." });
+        }
+        if (usernames.length + 1 > MAX_GROUP_SIZE) {
+            return res.status(400).json({ message: `A group can have at most ${MAX_GROUP_SIZE} students.` });
+        }
+
+        const invitees = usernames.length ? await User.find({ username: { $in: usernames }, user_type: 'student' }).select('username') : [];
+        const missing = usernames.filter(username => !invitees.some(user => user.username === username));
+        if (missing.length) {
+            return res.status(400).json({ message: `No student found with the username: ${missing.join(', ')}` });
+        }
+
+        if (await Property.countDocuments({ _id: property._id, ...hasFreeUnits(usernames.length + 1) }) === 0) {
+            return res.status(400).json({
+                message: usernames.length ? "This property doesn't have enough free units for your group." : "Sorry, this property is fully let."
+            });
+        }
 
-        // Prevent double application
-        const existing = await Application.findOne({ property_id, student_id: req.user.userId });
-        if (existing) return res.status(400).json({ message: "You have already applied here!" });
+        // Prevent double application; a closed one (withdrawn, expired...) doesn't count
+        if (await findOpenApplication(property_id, req.user.userId)) {
+            return res.status(400).json({ message: "You have already applied here!" });
+        }
+        for (const invitee of invitees) {
+            if (await findOpenApplication(property_id, invitee._id)) {
+                return res.status(400).json({ message: `${invitee.username} has already applied here.` });
+            }
+        }
 
+        const status = invitees.length ? 'forming' : 'pending';
         const newApp = new Application({
             property_id,
-            landlord_id,
+            landlord_id: property.landlord_id,
             student_id: req.user.userId,
-            message
+            message,
+            status,
+            members: invitees.map(invitee => ({ student_id: invitee._id })),
+            history: [{ from: null, to: status, actor_id: req.user.userId, actor_role: 'student' }]
         });
         await newApp.save();
+
+        if (invitees.length) {
+            // The landlord hears about the group once everyone has answered
+            await Promise.all(invitees.map(invitee => sendNotification({
+                recipientId: invitee._id,
+                senderId: req.user.userId,
+                message: `${req.user.username} invited you to apply together for '${property.title}'.`,
+                link: '/profile'
+            })));
+        } else {
+            await notifyNewApplication(newApp, property, req.user.username);
+        }
         res.json(newApp);
     } catch (error) {
         res.status(500).json({ message: "Application failed" });
     }
 });
 
-// 2. Student: See my applications
-app.get('/api/applications/student', requireAuth, async (req, res) => {
+// 2. Student: See my applications, including the groups I was invited to
+app.get('/api/applications/student', authenticateToken, requireRole('student'), async (req, res) => {
     try {
-        const apps = await Application.find({ student_id: req.user.userId })
+        const apps = await Application.find({ $or: [{ student_id: req.user.userId }, { 'members.student_id': req.user.userId }] })
             .populate('property_id') // Get property details
-            .populate('landlord_id', 'username email'); // Get landlord info
-        res.json(apps);
+            .populate('landlord_id', 'username email') // Get landlord info
+            .populate('student_id', 'username')
+            .populate('members.student_id', 'username')
+            .sort({ updatedAt: -1 })
+            .lean();
+        const started = (await Tenancy.distinct('application_id', { application_id: { $in: apps.map(app => app._id) } })).map(String);
+        res.json(apps.map(app => {
+            const isLead = String(app.student_id?._id) === req.user.userId;
+            const membership = app.members.find(member => String(member.student_id?._id) === req.user.userId);
+            return {
+                ...app,
+                isLead,
+                invitationStatus: isLead ? null : membership?.status || null,
+                // Only the group lead answers offers and withdraws on the group's behalf
+                // and can't withdraw once the tenancy has started
+                nextStatuses: isLead && !started.includes(String(app._id)) ? allowedNextStatuses(app.status, 'student') : [],
+            };
+        }));
     } catch (error) {
         res.status(500).json({ message: "Error fetching applications" });
     }
 });
 
-// 3. Landlord: See who applied to my properties
-app.get('/api/applications/landlord', requireAuth, async (req, res) => {
+// 3. Landlord: See who applied to my properties. Groups show up once they have finished forming,
+// with the members who joined.
+app.get('/api/applications/landlord', authenticateToken, requireRole('landlord'), async (req, res) => {
     try {
-        const apps = await Application.find({ landlord_id: req.user.userId })
+        const apps = await Application.find({ landlord_id: req.user.userId, status: { $ne: 'forming' } })
             .populate('student_id', 'username email profilePictureUrl bio') // Get student profile
-            .populate('property_id', 'title'); // Get property title
-        res.json(apps);
+            .populate('members.student_id', 'username email profilePictureUrl bio')
+            .populate('property_id', 'title') // Get property title
+            .sort({ updatedAt: -1 })
+            .lean();
+        const appIds = apps.map(app => app._id);
+        const [tenancies, leases] = await Promise.all([
+            Tenancy.find({ application_id: { $in: appIds } }).select('application_id'),
+            Lease.find({ application_id: { $in: appIds } }).select('application_id status signatures.user_id'),
+        ]);
+        res.json(apps.map(app => {
+            const lease = leases.find(lease => String(lease.application_id) === String(app._id));
+            return {
+                ...app,
+                members: app.members.filter(member => member.status === 'accepted'),
+                nextStatuses: allowedNextStatuses(app.status, 'landlord'),
+                tenancy_id: tenancies.find(tenancy => String(tenancy.application_id) === String(app._id))?._id || null,
+                lease: lease ? { _id: lease._id, status: lease.status, signatureCount: lease.signatures.length } : null,
+            };
+        }));
     } catch (error) {
         res.status(500).json({ message: "Error fetching applications" });
     }
 });
 
-// 4. Landlord: Accept or Reject
-app.post('/api/applications/:id/status', requireAuth, async (req, res) => {
+// 4. Either party: move the application to its next status (see applicationLifecycle.js).
+// For a group, the lead acts for everyone.
+app.post('/api/applications/:id/status', authenticateToken, requireParticipant(Application, { notFoundMessage: "Application not found" }), async (req, res) => {
     try {
-        const { status } = req.body; // 'accepted' or 'rejected'
-        const updatedApp = await Application.findByIdAndUpdate(
-            req.params.id, 
-            { status }, 
-            { new: true }
-        );
-        res.json(updatedApp);
+        const { status, note } = req.body;
+        const application = req.resource;
+        const role = String(application.landlord_id) === req.user.userId ? 'landlord' : 'student';
+        const wasAccepted = application.status === 'accepted';
+
+        try {
+            transitionApplication(application, status, { actorId: req.user.userId, role, note: note ? String(note) : '' });
+        } catch (transitionError) {
+            return res.status(transitionError.status || 400).json({ message: transitionError.message });
+        }
+        if (wasAccepted && application.status === 'withdrawn' && await Tenancy.exists({ application_id: application._id })) {
+            return res.status(409).json({ message: "The tenancy has already started; ask your landlord to record the move-out." });
+        }
+
+        // An accepted offer takes up one unit per student; the guard keeps a full property from going over
+        if (application.status === 'accepted') {
+            const { modifiedCount } = await Property.updateOne(
+                { _id: application.property_id, ...hasFreeUnits(application.groupSize) },
+                { $inc: { occupiedUnits: application.groupSize } }
+            );
+            if (!modifiedCount) {
+                return res.status(409).json({ message: "The property no longer has enough free units for this application." });
+            }
+        }
+        await application.save();
+        if (wasAccepted && application.status === 'withdrawn') await releaseUnits(application.property_id, application.groupSize);
+
+        await notifyApplicationChange(application, req.user.userId);
+        res.json(application);
     } catch (error) {
+        console.error("Application status error:", error);
         res.status(500).json({ message: "Update failed" });
     }
 });
 
+// 5. Invited student: join or turn down a group application. When the last invitation is answered
+// the group goes to the landlord.
+app.post('/api/applications/:id/invitation', authenticateToken, requireRole('student'), requireOwner(Application, 'memberIds', { notFoundMessage: "Application not found" }), async (req, res) => {
+    try {
+        const application = req.resource;
+        const accept = req.body.accept === true || req.body.accept === 'true';
+        const member = application.members.find(m => String(m.student_id) === req.user.userId);
+
+        if (application.status !== 'forming') {
+            return res.status(409).json({ message: "This group application is no longer open to changes." });
+        }
+        if (member.status !== 'invited') {
+            return res.status(409).json({ message: "You have already answered this invitation." });
+        }
+        if (accept && await findOpenApplication(application.property_id, req.user.userId, application._id)) {
+            return res.status(400).json({ message: "You already have another application for this property." });
+        }
+
+        member.status = accept ? 'accepted' : 'declined';
+        member.respondedAt = new Date();
+
+        const property = await Property.findById(application.property_id).select('title landlord_id');
+        const title = property?.title || 'a deleted property';
+        await sendNotification({
+            recipientId: application.student_id,
+            senderId: req.user.userId,
+            message: `${req.user.username} ${accept ? 'joined' : 'declined'} your group application for '${title}'.`,
+            link: '/profile'
+        });
+
+        const complete = application.members.every(m => m.status !== 'invited');
+        if (complete) {
+            transitionApplication(application, 'pending', { role: 'system', note: `Group complete with ${application.groupSize} student(s)` });
+        }
+        await application.save();
+
+        if (complete && property) {
+            const lead = await User.findById(application.student_id).select('username');
+            await notifyNewApplication(application, property, lead?.username || 'A student');
+        }
+        res.json(application);
+    } catch (error) {
+        console.error("Application invitation error:", error);
+        res.status(500).json({ message: "Error answering the invitation" });
+    }
+});
+
+// 6. Either party or a group member: the full status history of an application
+app.get('/api/applications/:id/history', authenticateToken, requireApplicationParty(Application, { notFoundMessage: "Application not found" }), async (req, res) => {
+    try {
+        await req.resource.populate('history.actor_id', 'username');
+        res.json(req.resource.history);
+    } catch (error) {
+        res.status(500).json({ message: "Error fetching application history" });
+    }
+});
+
+// --- ROOMMATE ROUTES ---
+const MAX_ROOMMATE_CANDIDATES = 500;
+
+app.get('/api/roommates/profile', authenticateToken, requireRole('student'), async (req, res) => {
+    try {
+        const profile = await RoommateProfile.findOne({ user_id: req.user.userId });
+        res.json(profile); // null until the student creates one
+    } catch (error) {
+        res.status(500).json({ message: "Error fetching roommate profile" });
+    }
+});
+
+app.put('/api/roommates/profile', authenticateToken, requireRole('student'), async (req, res) => {
+    const fields = normalizeRoommateProfile(req.body);
+    if (fields.budgetMin !== null && fields.budgetMax !== null && fields.budgetMin > fields.budgetMax) {
+        return res.status(400).json({ message: "Minimum budget can't be more than the maximum." });
+    }
+    try {
+        const profile = await RoommateProfile.findOneAndUpdate(
+            { user_id: req.user.userId },
+            { $set: fields },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+        res.json(profile);
+    } catch (error) {
+        if (error.name === 'ValidationError') return res.status(400).json({ message: error.message });
+        res.status(500).json({ message: "Error saving roommate profile" });
+    }
+});
+
+app.delete('/api/roommates/profile', authenticateToken, requireRole('student'), async (req, res) => {
+    try {
+        await RoommateProfile.deleteOne({ user_id: req.user.userId });
+        res.json({ message: "Roommate profile deleted" });
+    } catch (error) {
+        res.status(500).json({ message: "Error deleting roommate profile" });
+    }
+});
+
+// Other students looking for a roommate, most compatible first.
+// Searches the student's own preferred city unless ?city= names another one (or 'any').
+app.get('/api/roommates/matches', authenticateToken, requireRole('student'), async (req, res) => {
+    try {
+        const me = await RoommateProfile.findOne({ user_id: req.user.userId });
+        if (!me) return res.status(400).json({ message: "Create your roommate profile first." });
+
+        const filter = { user_id: { $ne: me.user_id }, lookingForRoommate: true };
+        const city = req.query.city !== undefined ? String(req.query.city) : me.city;
+        if (city && city !== 'any') filter.city = city;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const minScore = parseInt(req.query.minScore) || 0;
+
+        const candidates = await RoommateProfile.find(filter)
+            .collation({ locale: 'en', strength: 2 }) // City names match regardless of case
+            .sort({ updatedAt: -1 })
+            .limit(MAX_ROOMMATE_CANDIDATES)
+            .populate('user_id', 'username profilePictureUrl bio user_type');
+
+        const matches = candidates
+            .filter(candidate => candidate.user_id && candidate.user_id.user_type === 'student')
+            .map(candidate => ({ profile: candidate, ...scoreCompatibility(me, candidate) }))
+            .filter(match => match.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+        res.json(matches);
+    } catch (error) {
+        console.error("Roommate matching error:", error);
+        res.status(500).json({ message: "Error finding roommates" });
+    }
+});
+
+// --- SAVED SEARCH ROUTES ---
+const pickSavedSearchSettings = ({ alertsEnabled, emailDigest }) => ({
+    ...(alertsEnabled !== undefined ? { alertsEnabled: Boolean(alertsEnabled) } : {}),
+    ...(emailDigest !== undefined ? { emailDigest: Boolean(emailDigest) } : {}),
+});
+
+// The city is stored with the spelling of the listings, as GET /api/properties would resolve it
+const savedSearchCriteria = async (input) => {
+    const criteria = normalizeCriteria(input);
+    if (criteria.city) criteria.city = await cityResolver.resolveCity(criteria.city);
+    return criteria;
+};
+
+app.get('/api/saved-searches', authenticateToken, async (req, res) => {
+    try {
+        const searches = await SavedSearch.find({ user_id: req.user.userId }).select('-pendingDigest').sort({ createdAt: -1 });
+        res.json(searches);
+    } catch (error) {
+        res.status(500).json({ message: "Error fetching saved searches" });
+    }
+});
+
+app.post('/api/saved-searches', authenticateToken, requireRole('student'), async (req, res) => {
+    const name = String(req.body.name || '').trim();
+    if (!name) return res.status(400).json({ message: "Please give the search a name." });
+    try {
+        const count = await SavedSearch.countDocuments({ user_id: req.user.userId });
+        if (count >= MAX_SAVED_SEARCHES) {
+            return res.status(400).json({ message: `You can save up to ${MAX_SAVED_SEARCHES} searches. Delete one to add another.` });
+        }
+        const search = await SavedSearch.create({
+            user_id: req.user.userId,
+            name,
+            criteria: await savedSearchCriteria(req.body.criteria),
+            ...pickSavedSearchSettings(req.body),
+        });
+        res.status(201).json(search);
+    } catch (error) {
+        if (error.name === 'ValidationError') return res.status(400).json({ message: error.message });
+        res.status(500).json({ message: "Error saving search" });
+    }
+});
+
+app.put('/api/saved-searches/:id', authenticateToken, requireOwner(SavedSearch, 'user_id', { notFoundMessage: "Saved search not found" }), async (req, res) => {
+    const search = req.resource;
+    try {
+        if (req.body.name !== undefined) search.name = String(req.body.name).trim();
+        if (req.body.criteria !== undefined) search.criteria = await savedSearchCriteria(req.body.criteria);
+        search.set(pickSavedSearchSettings(req.body));
+        if (!search.emailDigest) search.pendingDigest = [];
+        await search.save();
+        res.json(search);
+    } catch (error) {
+        if (error.name === 'ValidationError') return res.status(400).json({ message: error.message });
+        res.status(500).json({ message: "Error updating saved search" });
+    }
+});
+
+app.delete('/api/saved-searches/:id', authenticateToken, requireOwner(SavedSearch, 'user_id', { notFoundMessage: "Saved search not found" }), async (req, res) => {
+    try {
+        await req.resource.deleteOne();
+        res.json({ message: "Saved search deleted" });
+    } catch (error) {
+        res.status(500).json({ message: "Error deleting saved search" });
+    }
+});
+
+// --- VIEWING ROUTES ---
+
+const VIEWING_PROPERTY_FIELDS = 'title address city';
+
+const formatViewingTime = (date) => new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short', timeZone: process.env.TZ || 'Asia/Kolkata' });
+
+// Sends a calendar file built from the given bookings
+const sendCalendar = (res, viewings, filename) => {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(toICalendar(viewings.map(viewingToEvent)));
+};
+
+// 1. Landlord: publish a viewing slot for one of my properties
+app.post('/api/properties/:id/viewing-slots', authenticateToken, requireRole('landlord'), requireLandlordOwner(Property, { notFoundMessage: 'Property not found' }), async (req, res) => {
+    try {
+        let slot;
+        try {
+            slot = parseSlot(req.body);
+        } catch (slotError) {
+            return res.status(slotError.status || 400).json({ message: slotError.message });
+        }
+
+        // A landlord can't be at two viewings at once, whichever properties they are for
+        const conflict = await ViewingSlot.findOne({ landlord_id: req.user.userId, cancelled: false, ...overlapping(slot.start, slot.end) })
+            .populate('property_id', 'title');
+        if (conflict) {
+            return res.status(409).json({ message: `This overlaps your viewing slot for '${conflict.property_id?.title || 'another property'}' at ${formatViewingTime(conflict.start)}.` });
+        }
+
+        const created = await ViewingSlot.create({ ...slot, property_id: req.resource._id, landlord_id: req.user.userId });
+        res.status(201).json(created);
+    } catch (error) {
+        console.error("Create viewing slot error:", error);
+        res.status(500).json({ message: 'Server error creating viewing slot.' });
+    }
+});
+
+// 2. Upcoming viewing slots of a property. The owner also sees who booked; students see the places
+// left and their own booking.
+app.get('/api/properties/:id/viewing-slots', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Property not found' });
+        const slots = await ViewingSlot.find({ property_id: req.params.id, cancelled: false, end: { $gt: new Date() } })
+            .sort({ start: 1 })
+            .lean();
+
+        const isOwner = slots.length > 0 && String(slots[0].landlord_id) === req.user.userId;
+        const viewings = await Viewing.find({
+            slot_id: { $in: slots.map(slot => slot._id) },
+            status: 'booked',
+            ...(!isOwner && { student_id: req.user.userId }),
+        }).populate('student_id', 'username').lean();
+
+        res.json(slots.map(slot => {
+            const bookings = viewings.filter(viewing => String(viewing.slot_id) === String(slot._id));
+            return {
+                ...slot,
+                spotsLeft: Math.max(0, slot.capacity - slot.bookedCount),
+                ...(isOwner ? { bookings } : { myViewingId: bookings[0]?._id || null }),
+            };
+        }));
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching viewing slots.' });
+    }
+});
+
+// 3. Landlord: all my slots in a date range, with their bookings, for the dashboard calendar
+app.get('/api/viewing-slots', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : new Date();
+        const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+        if (isNaN(from) || isNaN(to)) return res.status(400).json({ message: 'Invalid date range.' });
+
+        const slots = await ViewingSlot.find({ landlord_id: req.user.userId, cancelled: false, ...overlapping(from, to) })
+            .populate('property_id', VIEWING_PROPERTY_FIELDS)
+            .sort({ start: 1 })
+            .lean();
+        const viewings = await Viewing.find({ slot_id: { $in: slots.map(slot => slot._id) }, status: 'booked' })
+            .populate('student_id', 'username email')
+            .lean();
+
+        res.json(slots.map(slot => ({
+            ...slot,
+            bookings: viewings.filter(viewing => String(viewing.slot_id) === String(slot._id)),
+        })));
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching viewing slots.' });
+    }
+});
+
+// 4. Landlord: cancel a slot, along with any bookings of it
+app.delete('/api/viewing-slots/:id', authenticateToken, requireLandlordOwner(ViewingSlot, { notFoundMessage: 'Viewing slot not found' }), async (req, res) => {
+    try {
+        const slot = req.resource;
+        if (slot.cancelled) return res.status(409).json({ message: 'This slot is already cancelled.' });
+
+        const [property, bookings] = await Promise.all([
+            Property.findById(slot.property_id).select('title'),
+            Viewing.find({ slot_id: slot._id, status: 'booked' }),
+        ]);
+        slot.cancelled = true;
+        slot.bookedCount = 0;
+        await slot.save();
+        await Viewing.updateMany({ slot_id: slot._id, status: 'booked' }, { $set: { status: 'cancelled', cancelledBy: 'landlord' } });
+
+        await Promise.all(bookings.map(viewing => sendNotification({
+            recipientId: viewing.student_id,
+            senderId: req.user.userId,
+            message: `Your viewing of '${property?.title || 'a property'}' on ${formatViewingTime(slot.start)} was cancelled by the landlord.`,
+            link: `/properties/${slot.property_id}`
+        })));
+        res.json({ message: 'Viewing slot cancelled.', cancelledBookings: bookings.length });
+    } catch (error) {
+        console.error("Cancel viewing slot error:", error);
+        res.status(500).json({ message: 'Server error cancelling viewing slot.' });
+    }
+});
+
+// 5. Student: book a place on a slot
+app.post('/api/viewing-slots/:id/book', authenticateToken, requireRole('student'), async (req, res) => {
+    try {
+        const slot = mongoose.isValidObjectId(req.params.id) && await ViewingSlot.findById(req.params.id);
+        if (!slot || slot.cancelled) return res.status(404).json({ message: 'Viewing slot not found' });
+        if (slot.start <= new Date()) return res.status(400).json({ message: 'This viewing has already started.' });
+
+        if (await Viewing.exists({ slot_id: slot._id, student_id: req.user.userId, status: 'booked' })) {
+            return res.status(400).json({ message: 'You have already booked this viewing.' });
+        }
+        const clash = await Viewing.findOne({ student_id: req.user.userId, status: 'booked', ...overlapping(slot.start, slot.end) })
+            .populate('property_id', 'title');
+        if (clash) {
+            return res.status(409).json({ message: `You already have a viewing of '${clash.property_id?.title || 'another property'}' at ${formatViewingTime(clash.start)}.` });
+        }
+
+        // Take a place only if one is left
+        const reserved = await ViewingSlot.findOneAndUpdate(
+            { _id: slot._id, cancelled: false, $expr: { $lt: ['$bookedCount', '$capacity'] } },
+            { $inc: { bookedCount: 1 } }
+        );
+        if (!reserved) return res.status(409).json({ message: 'Sorry, this viewing slot is fully booked.' });
+
+        const viewing = await Viewing.create({
+            slot_id: slot._id,
+            property_id: slot.property_id,
+            landlord_id: slot.landlord_id,
+            student_id: req.user.userId,
+            start: slot.start,
+            end: slot.end,
+        });
+
+        const property = await Property.findById(slot.property_id).select('title');
+        await sendNotification({
+            recipientId: slot.landlord_id,
+            senderId: req.user.userId,
+            message: `${req.user.username} booked a viewing of '${property?.title || 'your property'}' on ${formatViewingTime(slot.start)}.`,
+            link: '/'
+        });
+        res.status(201).json(viewing);
+    } catch (error) {
+        console.error("Book viewing error:", error);
+        res.status(500).json({ message: 'Server error booking viewing.' });
+    }
+});
+
+// 6. Either party: my bookings, soonest first. Past ones are left out unless `past=true`.
+app.get('/api/viewings', authenticateToken, async (req, res) => {
+    try {
+        const owner = req.user.userType === 'landlord' ? { landlord_id: req.user.userId } : { student_id: req.user.userId };
+        const filter = req.query.past === 'true' ? owner : { ...owner, end: { $gt: new Date() } };
+        const viewings = await Viewing.find(filter)
+            .populate('property_id', VIEWING_PROPERTY_FIELDS)
+            .populate('student_id', 'username')
+            .populate('landlord_id', 'username')
+            .sort({ start: 1 })
+            .lean();
+        res.json(viewings);
+    } catch (error) {
+        res.status(500).json({ message: 'Error fetching viewings.' });
+    }
+});
+
+// 7. Either party: all my upcoming bookings as an iCalendar file
+app.get('/api/viewings/calendar.ics', authenticateToken, async (req, res) => {
+    try {
+        const owner = req.user.userType === 'landlord' ? { landlord_id: req.user.userId } : { student_id: req.user.userId };
+        const viewings = await Viewing.find({ ...owner, status: 'booked', end: { $gt: new Date() } })
+            .populate('property_id', VIEWING_PROPERTY_FIELDS)
+            .populate('student_id', 'username')
+            .populate('landlord_id', 'username')
+            .sort({ start: 1 });
+        sendCalendar(res, viewings, 'housing-hub-viewings.ics');
+    } catch (error) {
+        res.status(500).json({ message: 'Error exporting viewings.' });
+    }
+});
+
+// 8. Either party: a single booking as an iCalendar file
+app.get('/api/viewings/:id/ics', authenticateToken, requireParticipant(Viewing, { notFoundMessage: 'Viewing not found' }), async (req, res) => {
+    try {
+        await req.resource.populate([
+            { path: 'property_id', select: VIEWING_PROPERTY_FIELDS },
+            { path: 'student_id', select: 'username' },
+            { path: 'landlord_id', select: 'username' },
+        ]);
+        sendCalendar(res, [req.resource], `viewing-${req.resource._id}.ics`);
+    } catch (error) {
+        res.status(500).json({ message: 'Error exporting viewing.' });
+    }
+});
+
+// 9. Either party: cancel a booking before it starts
+app.post('/api/viewings/:id/cancel', authenticateToken, requireParticipant(Viewing, { notFoundMessage: 'Viewing not found' }), async (req, res) => {
+    try {
+        const viewing = req.resource;
+        if (viewing.status !== 'booked') return res.status(409).json({ message: 'This viewing is already cancelled.' });
+        if (viewing.start <= new Date()) return res.status(400).json({ message: 'This viewing has already started.' });
+
+        const role = String(viewing.landlord_id) === req.user.userId ? 'landlord' : 'student';
+        viewing.status = 'cancelled';
+        viewing.cancelledBy = role;
+        await viewing.save();
+        await ViewingSlot.updateOne({ _id: viewing.slot_id, bookedCount: { $gt: 0 } }, { $inc: { bookedCount: -1 } });
+
+        const property = await Property.findById(viewing.property_id).select('title');
+        const title = property?.title || 'a property';
+        await sendNotification({
+            recipientId: role === 'landlord' ? viewing.student_id : viewing.landlord_id,
+            senderId: req.user.userId,
+            message: role === 'landlord'
+                ? `Your viewing of '${title}' on ${formatViewingTime(viewing.start)} was cancelled by the landlord.`
+                : `${req.user.username} cancelled their viewing of '${title}' on ${formatViewingTime(viewing.start)}.`,
+            link: role === 'landlord' ? `/properties/${viewing.property_id}` : '/'
+        });
+        res.json(viewing);
+    } catch (error) {
+        console.error("Cancel viewing error:", error);
+        res.status(500).json({ message: 'Server error cancelling viewing.' });
+    }
+});
+
+// --- TENANCY & RENT ROUTES ---
+
+const TENANCY_STATUSES = ['accepted', 'lease_signed']; // Application statuses a tenancy can start from
+
+const formatRentPeriod = (period) => new Date(`${period}-01T00:00:00Z`).toLocaleDateString('en-IN', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+// Marks a rent payment as paid and tells the other side
+// Claims an unpaid payment for settling, so a manual payment and a charge can't both settle it.
+// Resolves null when it's already paid or being settled.
+const claimRentPayment = (paymentId) => RentPayment.findOneAndUpdate(
+    { _id: paymentId, status: { $in: ['due', 'overdue'] } },
+    { $set: { status: 'processing', processingSince: new Date() } },
+    { new: true }
+);
+
+const settleRentPayment = async (payment, fields, actorId) => {
+    Object.assign(payment, { status: 'paid', paidAt: new Date(), processingSince: null, ...fields });
+    await payment.save();
+
+    const property = await Property.findById(payment.property_id).select('title');
+    const rentFor = `rent for ${formatRentPeriod(payment.period)} ('${property?.title || 'a property'}')`;
+    const byLandlord = String(actorId) === String(payment.landlord_id);
+    await sendNotification({
+        recipientId: byLandlord ? payment.tenant_id : payment.landlord_id,
+        senderId: actorId,
+        message: byLandlord ? `Your landlord recorded your ${rentFor} as paid.` : `You received the ${rentFor}.`,
+        link: byLandlord ? '/profile' : '/'
+    });
+};
+
+// 1. Landlord: start the tenancy for an accepted application and create its rent schedule
+app.post('/api/applications/:id/tenancy', authenticateToken, requireLandlordOwner(Application, { notFoundMessage: "Application not found" }), async (req, res) => {
+    try {
+        const application = req.resource;
+        if (!TENANCY_STATUSES.includes(application.status)) {
+            return res.status(409).json({ message: "A tenancy can only start once the offer has been accepted." });
+        }
+        if (await Tenancy.exists({ application_id: application._id })) {
+            return res.status(409).json({ message: "This application already has a tenancy." });
+        }
+        const property = await Property.findById(application.property_id).select('title price deposit');
+        if (!property) return res.status(404).json({ message: "Property not found" });
+
+        // A lease signed in the app fixes the dates
+        const lease = await Lease.findOne({ application_id: application._id, status: 'signed' }).select('terms');
+        let terms;
+        try {
+            terms = parseTenancyTerms(lease ? { ...req.body, startDate: lease.terms.startDate, months: lease.terms.months } : req.body);
+        } catch (termsError) {
+            return res.status(termsError.status || 400).json({ message: termsError.message });
+        }
+
+        const tenantIds = applicationStudentIds(application);
+        const tenancy = await Tenancy.create({
+            application_id: application._id,
+            property_id: property._id,
+            landlord_id: application.landlord_id,
+            tenant_ids: tenantIds,
+            startDate: terms.startDate,
+            endDate: terms.endDate,
+            monthlyRent: property.price,
+            depositAmount: property.deposit || 0,
+            dueDay: terms.dueDay,
+            lease_id: lease?._id || null,
+        });
+        if (lease) await Lease.updateOne({ _id: lease._id }, { tenancy_id: tenancy._id });
+
+        const schedule = buildRentSchedule({ ...terms, monthlyRent: property.price });
+        await RentPayment.insertMany(tenantIds.flatMap(tenantId => schedule.map(entry => ({
+            ...entry,
+            tenancy_id: tenancy._id,
+            tenant_id: tenantId,
+            landlord_id: tenancy.landlord_id,
+            property_id: property._id,
+        }))));
+        if (tenancy.depositAmount > 0) {
+            await Deposit.insertMany(tenantIds.map(tenantId => ({
+                tenancy_id: tenancy._id,
+                tenant_id: tenantId,
+                landlord_id: tenancy.landlord_id,
+                property_id: property._id,
+                amount: tenancy.depositAmount,
+            })));
+        }
+
+        await Promise.all(tenantIds.map(tenantId => sendNotification({
+            recipientId: tenantId,
+            senderId: req.user.userId,
+            message: `Your tenancy at '${property.title}' starts on ${terms.startDate.toLocaleDateString('en-IN', { timeZone: 'UTC' })}. Your rent schedule is on your profile.`,
+            link: '/profile'
+        })));
+        res.status(201).json(tenancy);
+    } catch (error) {
+        console.error("Create tenancy error:", error);
+        res.status(500).json({ message: "Server error creating tenancy." });
+    }
+});
+
+// 2. Either party: my tenancies, with a summary of the rent ledger (a tenant's own payments only)
+app.get('/api/tenancies', authenticateToken, async (req, res) => {
+    try {
+        const isLandlord = req.user.userType === 'landlord';
+        const tenancies = await Tenancy.find(isLandlord ? { landlord_id: req.user.userId } : { tenant_ids: req.user.userId })
+            .populate('property_id', 'title address city')
+            .populate('tenant_ids', 'username email')
+            .populate('landlord_id', 'username email')
+            .sort({ startDate: -1 })
+            .lean();
+
+        const payments = await RentPayment.find({
+            tenancy_id: { $in: tenancies.map(tenancy => tenancy._id) },
+            ...(!isLandlord && { tenant_id: req.user.userId }),
+        }).select('tenancy_id status dueDate amount').sort({ dueDate: 1 }).lean();
+
+        res.json(tenancies.map(tenancy => {
+            const own = payments.filter(payment => String(payment.tenancy_id) === String(tenancy._id));
+            const open = own.filter(payment => payment.status !== 'paid');
+            return {
+                ...tenancy,
+                summary: {
+                    paid: own.length - open.length,
+                    due: open.filter(payment => payment.status === 'due').length,
+                    overdue: open.filter(payment => payment.status === 'overdue').length,
+                    outstanding: open.filter(payment => payment.dueDate <= new Date()).reduce((sum, payment) => sum + payment.amount, 0),
+                    nextDue: open[0]?.dueDate || null,
+                },
+            };
+        }));
+    } catch (error) {
+        res.status(500).json({ message: "Error fetching tenancies" });
+    }
+});
+
+// 3. Either party: the payments ledger of a tenancy. Tenants see their own payments.
+app.get('/api/tenancies/:id/payments', authenticateToken, requireTenancyParty(Tenancy, { notFoundMessage: "Tenancy not found" }), async (req, res) => {
+    try {
+        const isLandlord = String(req.resource.landlord_id) === req.user.userId;
+        const payments = await RentPayment.find({ tenancy_id: req.resource._id, ...(!isLandlord && { tenant_id: req.user.userId }) })
+            .populate('tenant_id', 'username')
+            .sort({ dueDate: 1, tenant_id: 1 })
+            .lean();
+        res.json(payments.map(payment => ({
+            ...payment,
+            receiptNumber: payment.status === 'paid' ? receiptNumber(payment) : null,
+        })));
+    } catch (error) {
+        res.status(500).json({ message: "Error fetching rent payments" });
+    }
+});
+
+// 4. Landlord: record a payment received outside the app (cash, bank transfer...)
+app.post('/api/rent-payments/:id/mark-paid', authenticateToken, requireLandlordOwner(RentPayment, { notFoundMessage: "Payment not found" }), async (req, res) => {
+    try {
+        const payment = await claimRentPayment(req.resource._id);
+        if (!payment) {
+            const message = req.resource.status === 'paid' ? "This payment is already marked as paid." : "The tenant is paying this right now.";
+            return res.status(409).json({ message });
+        }
+
+        await settleRentPayment(payment, { method: 'manual', note: req.body.note ? String(req.body.note).slice(0, 500) : '' }, req.user.userId);
+        res.json(payment);
+    } catch (error) {
+        console.error("Mark rent paid error:", error);
+        res.status(500).json({ message: "Server error updating payment." });
+    }
+});
+
+// 5. Tenant: pay rent through the payment provider (see paymentProviders.js)
+app.post('/api/rent-payments/:id/pay', authenticateToken, requireRole('student'), requireOwner(RentPayment, 'tenant_id', { notFoundMessage: "Payment not found" }), async (req, res) => {
+    try {
+        const previousStatus = req.resource.status;
+        // Claimed before charging, so two requests at once can't both take the money
+        const payment = await claimRentPayment(req.resource._id);
+        if (!payment) return res.status(409).json({ message: "This payment is already paid or being processed." });
+        const release = () => RentPayment.updateOne({ _id: payment._id, status: 'processing' }, { $set: { status: previousStatus, processingSince: null } });
+
+        let result;
+        try {
+            result = await paymentProvider.charge({
+                amount: payment.amount,
+                currency: 'INR',
+                description: `Rent for ${formatRentPeriod(payment.period)}`,
+                source: req.body.source,
+                metadata: { paymentId: String(payment._id), tenancyId: String(payment.tenancy_id) },
+            });
+        } catch (chargeError) {
+            await release();
+            throw chargeError;
+        }
+        if (result.status !== 'succeeded') {
+            await release();
+            return res.status(402).json({ message: result.failureMessage || "The payment didn't go through." });
+        }
+
+        await settleRentPayment(payment, { method: 'provider', provider: paymentProvider.name, providerReference: result.reference }, req.user.userId);
+        res.json(payment);
+    } catch (error) {
+        console.error("Rent payment error:", error);
+        res.status(500).json({ message: "Server error processing payment." });
+    }
+});
+
+// 6. Either party: PDF receipt of a paid payment
+app.get('/api/rent-payments/:id/receipt', authenticateToken, requireOwner(RentPayment, ['landlord_id', 'tenant_id'], { notFoundMessage: "Payment not found" }), async (req, res) => {
+    try {
+        const payment = req.resource;
+        if (payment.status !== 'paid') return res.status(409).json({ message: "Receipts are only available for paid rent." });
+
+        await payment.populate([
+            { path: 'property_id', select: 'title address city' },
+            { path: 'tenant_id', select: 'username' },
+            { path: 'landlord_id', select: 'username' },
+        ]);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${receiptNumber(payment)}.pdf"`);
+        writeReceiptPdf(payment, res);
+    } catch (error) {
+        console.error("Rent receipt error:", error);
+        res.status(500).json({ message: "Error generating receipt" });
+    }
+});
+
+// 7. Landlord: record that the tenants have moved out, which lets the deposits be settled.
+// Rent that would have fallen due after today is dropped from the ledger.
+app.post('/api/tenancies/:id/move-out', authenticateToken, requireLandlordOwner(Tenancy, { notFoundMessage: "Tenancy not found" }), async (req, res) => {
+    try {
+        const movedOutAt = new Date();
+        const { modifiedCount } = await Tenancy.updateOne({ _id: req.resource._id, status: 'active' }, { $set: { status: 'ended', movedOutAt } });
+        if (!modifiedCount) return res.status(409).json({ message: "The move-out has already been recorded." });
+        await releaseUnits(req.resource.property_id, req.resource.tenant_ids.length);
+        await RentPayment.deleteMany({ tenancy_id: req.resource._id, status: { $in: ['due', 'overdue'] }, dueDate: { $gt: movedOutAt } });
+
+        const property = await Property.findById(req.resource.property_id).select('title');
+        await Promise.all(req.resource.tenant_ids.map(tenantId => sendNotification({
+            recipientId: tenantId,
+            senderId: req.user.userId,
+            message: `Your landlord recorded your move-out from '${property?.title || 'a property'}'. Your deposit will be settled next.`,
+            link: '/profile'
+        })));
+        res.json({ message: "Move-out recorded.", movedOutAt });
+    } catch (error) {
+        console.error("Move-out error:", error);
+        res.status(500).json({ message: "Server error recording the move-out." });
+    }
+});
+
+// --- DEPOSIT ROUTES ---
+
+const formatRupees = (amount) => `₹${Number(amount).toLocaleString('en-IN')}`;
+
+// A deposit with what is kept and refunded (see depositTotals)
+const withDepositTotals = (deposit) => ({ ...deposit, ...depositTotals(deposit) });
+
+// 1. Either party: the deposits of a tenancy. Tenants see their own.
+app.get('/api/tenancies/:id/deposits', authenticateToken, requireTenancyParty(Tenancy, { notFoundMessage: "Tenancy not found" }), async (req, res) => {
+    try {
+        const isLandlord = String(req.resource.landlord_id) === req.user.userId;
+        const deposits = await Deposit.find({ tenancy_id: req.resource._id, ...(!isLandlord && { tenant_id: req.user.userId }) })
+            .populate('tenant_id', 'username')
+            .lean();
+        res.json(deposits.map(withDepositTotals));
+    } catch (error) {
+        res.status(500).json({ message: "Error fetching deposits" });
+    }
+});
+
+// Evidence photos are checked before anything is stored
+const depositPhotoUpload = multer({ storage, limits: { fileSize: MAX_PHOTO_BYTES, files: MAX_PHOTOS_PER_UPLOAD }, fileFilter: photoFileFilter }).any();
+const receiveDepositPhotos = (req, res, next) => depositPhotoUpload(req, res, (uploadError) => {
+    if (!uploadError) return next();
+    let message = uploadError.message;
+    if (uploadError.code === 'LIMIT_FILE_SIZE') message = `Each photo can be at most ${MAX_PHOTO_BYTES / (1024 * 1024)}MB.`;
+    else if (uploadError.code === 'LIMIT_FILE_COUNT') message = `At most ${MAX_PHOTOS_PER_UPLOAD} new photos can be uploaded at once.`;
+    res.status(uploadError.status || 400).json({ message });
+});
+
+// 2. Landlord: propose the move-out deductions, with photo evidence for each item.
+// Multipart form: `deductions` is a JSON list of { description, amount, photos }, where `photos` may
+// keep evidence already uploaded for this deposit; new photos for item i are sent as `photos_<i>`.
+app.post('/api/deposits/:id/deductions', authenticateToken, requireLandlordOwner(Deposit, { notFoundMessage: "Deposit not found" }), receiveDepositPhotos, async (req, res) => {
+    try {
+        const deposit = req.resource;
+        if (!['held', 'proposed'].includes(deposit.status)) {
+            return res.status(409).json({ message: "The deductions can't be changed once the tenant has answered." });
+        }
+        const tenancy = await Tenancy.findById(deposit.tenancy_id).select('status endDate');
+        if (tenancy && !hasMovedOut(tenancy)) {
+            return res.status(409).json({ message: "Deductions can be proposed once the tenant has moved out." });
+        }
+
+        let items;
+        try {
+            items = typeof req.body.deductions === 'string' ? JSON.parse(req.body.deductions) : req.body.deductions ?? [];
+        } catch (parseError) {
+            return res.status(400).json({ message: "Invalid deductions." });
+        }
+        let deductions;
+        try {
+            deductions = parseDeductions(items, deposit.amount);
+        } catch (deductionError) {
+            return res.status(deductionError.status || 400).json({ message: deductionError.message });
+        }
+
+        const files = req.files || [];
+
+        // Only evidence that was uploaded for this deposit can be kept
+        const uploaded = new Set(deposit.deductions.flatMap(item => item.photos));
+        for (const [index, deduction] of deductions.entries()) {
+            const kept = [].concat(items[index].photos ?? []).filter(url => uploaded.has(url));
+            const newFiles = files.filter(file => file.fieldname === `photos_${index}`);
+            if (kept.length + newFiles.length > MAX_PHOTOS_PER_DEDUCTION) {
+                return res.status(400).json({ message: `At most ${MAX_PHOTOS_PER_DEDUCTION} photos per deduction.` });
+            }
+            deduction.photos = kept;
+            for (const file of newFiles) {
+                deduction.photos.push(await uploadToCloudinary(file.buffer, 'housing_hub_deposits'));
+            }
+        }
+
+        deposit.deductions = deductions;
+        deposit.status = 'proposed';
+        deposit.proposedAt = new Date();
+        await deposit.save();
+
+        const property = await Property.findById(deposit.property_id).select('title');
+        const { deducted, refund } = depositTotals(deposit);
+        await sendNotification({
+            recipientId: deposit.tenant_id,
+            senderId: req.user.userId,
+            message: deducted
+                ? `Your landlord proposed ${formatRupees(deducted)} of deductions from your deposit for '${property?.title || 'a property'}'. Please review them.`
+                : `Your landlord proposed a full refund of your ${formatRupees(refund)} deposit for '${property?.title || 'a property'}'. Please confirm.`,
+            link: '/profile'
+        });
+        res.json(withDepositTotals(deposit.toObject()));
+    } catch (error) {
+        console.error("Deposit deductions error:", error);
+        res.status(500).json({ message: "Server error saving deductions." });
+    }
+});
+
+// 3. Tenant: accept the proposed deductions, or dispute them for an admin to settle
+app.post('/api/deposits/:id/respond', authenticateToken, requireRole('student'), requireOwner(Deposit, 'tenant_id', { notFoundMessage: "Deposit not found" }), async (req, res) => {
+    try {
+        const deposit = req.resource;
+        if (deposit.status !== 'proposed') {
+            return res.status(409).json({ message: "There are no deductions waiting for your answer." });
+        }
+        const accept = req.body.accept === true || req.body.accept === 'true';
+        const reason = String(req.body.reason ?? '').trim();
+        if (!accept && !reason) return res.status(400).json({ message: "Please explain why you dispute the deductions." });
+
+        deposit.status = accept ? 'accepted' : 'disputed';
+        deposit.disputeReason = accept ? '' : reason.slice(0, 1000);
+        deposit.respondedAt = new Date();
+        await deposit.save();
+
+        const property = await Property.findById(deposit.property_id).select('title');
+        const title = property?.title || 'your property';
+        await sendNotification({
+            recipientId: deposit.landlord_id,
+            senderId: req.user.userId,
+            message: accept
+                ? `${req.user.username} accepted the deposit deductions for '${title}'.`
+                : `${req.user.username} disputed the deposit deductions for '${title}'. An admin will review them.`,
+            link: '/'
+        });
+        if (!accept) {
+            const admins = await User.find({ user_type: 'admin' }).select('_id');
+            await Promise.all(admins.map(admin => sendNotification({
+                recipientId: admin._id,
+                senderId: req.user.userId,
+                message: `New deposit dispute for '${title}'.`,
+                link: '/admin'
+            })));
+        }
+        res.json(withDepositTotals(deposit.toObject()));
+    } catch (error) {
+        console.error("Deposit response error:", error);
+        res.status(500).json({ message: "Server error saving your answer." });
+    }
+});
+
+// 4. Admin: disputed deposit deductions waiting for a decision, oldest first
+app.get('/api/admin/deposit-disputes', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const disputes = await Deposit.find({ status: 'disputed' })
+            .populate('property_id', 'title address city')
+            .populate('tenant_id', 'username email')
+            .populate('landlord_id', 'username email')
+            .sort({ respondedAt: 1 })
+            .lean();
+        res.json(disputes.map(withDepositTotals));
+    } catch (error) {
+        res.status(500).json({ message: "Error fetching deposit disputes" });
+    }
+});
+
+// 5. Admin: settle a dispute. `approvedAmounts` holds the amount kept for each deduction, in order
+app.post('/api/admin/deposit-disputes/:id/resolve', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const deposit = mongoose.isValidObjectId(req.params.id) && await Deposit.findById(req.params.id);
+        if (!deposit) return res.status(404).json({ message: "Deposit not found" });
+        if (deposit.status !== 'disputed') return res.status(409).json({ message: "This deposit is not in dispute." });
+
+        const approvedAmounts = [].concat(req.body.approvedAmounts ?? []).map(Number);
+        if (approvedAmounts.length !== deposit.deductions.length
+            || approvedAmounts.some((amount, i) => !Number.isFinite(amount) || amount < 0 || amount > deposit.deductions[i].amount)) {
+            return res.status(400).json({ message: "Give an amount between zero and the claimed amount for every deduction." });
+        }
+
+        deposit.deductions.forEach((item, i) => { item.approvedAmount = approvedAmounts[i]; });
+        deposit.status = 'resolved';
+        deposit.resolution = { note: String(req.body.note ?? '').slice(0, 1000), resolvedBy: req.user.userId, resolvedAt: new Date() };
+        await deposit.save();
+
+        const property = await Property.findById(deposit.property_id).select('title');
+        const { deducted, refund } = depositTotals(deposit);
+        const outcome = `The deposit dispute for '${property?.title || 'a property'}' was resolved: ${formatRupees(deducted)} kept, ${formatRupees(refund)} refunded.`;
+        await Promise.all([
+            sendNotification({ recipientId: deposit.tenant_id, senderId: req.user.userId, message: outcome, link: '/profile' }),
+            sendNotification({ recipientId: deposit.landlord_id, senderId: req.user.userId, message: outcome, link: '/' }),
+        ]);
+        res.json(withDepositTotals(deposit.toObject()));
+    } catch (error) {
+        console.error("Deposit resolution error:", error);
+        res.status(500).json({ message: "Error resolving dispute" });
+    }
+});
+
+// --- MAINTENANCE ROUTES ---
+
+const TICKET_POPULATE = [
+    { path: 'property_id', select: 'title address city' },
+    { path: 'student_id', select: 'username' },
+    { path: 'landlord_id', select: 'username' },
+    { path: 'notes.author_id', select: 'username' },
+];
+
+// A ticket as the given side sees it: with its SLA deadlines and the statuses they can move it to
+const ticketFor = (ticket, role) => ({
+    ...(ticket.toObject ? ticket.toObject() : ticket),
+    sla: slaFor(ticket),
+    nextStatuses: allowedTicketStatuses(ticket.status, role),
+});
+
+// Both sides' open lists update live over the WebSocket; the notification is only for the other side
+const publishTicketChange = async (ticket, actorRole, message) => {
+    await ticket.populate(TICKET_POPULATE);
+    const recipient = actorRole === 'student' ? ticket.landlord_id : ticket.student_id;
+    await sendNotification({
+        recipientId: recipient._id,
+        senderId: actorRole === 'student' ? ticket.student_id._id : ticket.landlord_id._id,
+        message,
+        link: actorRole === 'student' ? '/' : '/profile'
+    });
+    pushToUser(ticket.student_id._id, { type: 'maintenanceUpdate', payload: ticketFor(ticket, 'student') });
+    pushToUser(ticket.landlord_id._id, { type: 'maintenanceUpdate', payload: ticketFor(ticket, 'landlord') });
+};
+
+// 1. Tenant: report a problem at the property they rent, with up to 5 photos
+app.post('/api/tenancies/:id/maintenance', authenticateToken, requireRole('student'), requireTenancyParty(Tenancy, { notFoundMessage: "Tenancy not found" }), upload.array('photos', 5), async (req, res) => {
+    try {
+        const tenancy = req.resource;
+        if (tenancy.status !== 'active') return res.status(409).json({ message: "This tenancy has ended." });
+
+        const { title, description = '', category, priority = 'medium' } = req.body;
+        if (!title || !String(title).trim()) return res.status(400).json({ message: "Please describe the problem in a short title." });
+        if (!MAINTENANCE_CATEGORIES.includes(category)) return res.status(400).json({ message: "Please pick a category." });
+        if (!MAINTENANCE_PRIORITIES.includes(priority)) return res.status(400).json({ message: "Invalid priority." });
+        if ((req.files || []).some(file => !file.mimetype.startsWith('image/'))) {
+            return res.status(400).json({ message: "Photos must be images." });
+        }
+
+        const photos = [];
+        for (const file of req.files || []) {
+            photos.push(await uploadToCloudinary(file.buffer, 'housing_hub_maintenance'));
+        }
+
+        const ticket = await MaintenanceTicket.create({
+            tenancy_id: tenancy._id,
+            property_id: tenancy.property_id,
+            landlord_id: tenancy.landlord_id,
+            student_id: req.user.userId,
+            title: String(title).trim().slice(0, 120),
+            description: String(description).slice(0, 2000),
+            category,
+            priority,
+            photos,
+            history: [{ from: null, to: 'open', actor_id: req.user.userId, actor_role: 'student' }],
+        });
+
+        const property = await Property.findById(tenancy.property_id).select('title');
+        await publishTicketChange(ticket, 'student', `${req.user.username} reported a ${priority} maintenance issue at '${property?.title || 'your property'}': ${ticket.title}`);
+        res.status(201).json(ticketFor(ticket, 'student'));
+    } catch (error) {
+        console.error("Create maintenance ticket error:", error);
+        res.status(500).json({ message: "Server error creating maintenance request." });
+    }
+});
+
+// 2. Either party: my tickets, open ones first. `status` narrows the list.
+app.get('/api/maintenance', authenticateToken, requireRole('student', 'landlord'), async (req, res) => {
+    try {
+        const role = req.user.userType;
+        const filter = role === 'landlord' ? { landlord_id: req.user.userId } : { student_id: req.user.userId };
+        if (MAINTENANCE_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+
+        const tickets = await MaintenanceTicket.find(filter).populate(TICKET_POPULATE).sort({ openedAt: -1 });
+        const order = { open: 0, in_progress: 1, resolved: 2 };
+        res.json(tickets
+            .sort((a, b) => order[a.status] - order[b.status])
+            .map(ticket => ticketFor(ticket, role)));
+    } catch (error) {
+        res.status(500).json({ message: "Error fetching maintenance requests" });
+    }
+});
+
+// 3. Either party: move a ticket along its workflow (see maintenance.js)
+app.post('/api/maintenance/:id/status', authenticateToken, requireParticipant(MaintenanceTicket, { notFoundMessage: "Maintenance request not found" }), async (req, res) => {
+    try {
+        const ticket = req.resource;
+        const role = String(ticket.landlord_id) === req.user.userId ? 'landlord' : 'student';
+        const note = req.body.note ? String(req.body.note).slice(0, 1000) : '';
+
+        try {
+            transitionTicket(ticket, req.body.status, { actorId: req.user.userId, role, note });
+        } catch (transitionError) {
+            return res.status(transitionError.status || 400).json({ message: transitionError.message });
+        }
+        await ticket.save();
+
+        const messages = {
+            in_progress: `Work has started on your maintenance request: ${ticket.title}`,
+            resolved: `Your maintenance request was marked resolved: ${ticket.title}`,
+            open: `${req.user.username} reopened a maintenance request: ${ticket.title}`,
+        };
+        await publishTicketChange(ticket, role, messages[ticket.status]);
+        res.json(ticketFor(ticket, role));
+    } catch (error) {
+        console.error("Maintenance status error:", error);
+        res.status(500).json({ message: "Update failed" });
+    }
+});
+
+// 4. Either party: add a note. The landlord can also say who is handling the job, which counts as
+// a response for the SLA.
+app.post('/api/maintenance/:id/notes', authenticateToken, requireParticipant(MaintenanceTicket, { notFoundMessage: "Maintenance request not found" }), async (req, res) => {
+    try {
+        const ticket = req.resource;
+        const role = String(ticket.landlord_id) === req.user.userId ? 'landlord' : 'student';
+        const text = String(req.body.text ?? '').trim().slice(0, 1000);
+        const assignee = role === 'landlord' && req.body.assignee !== undefined ? String(req.body.assignee).trim().slice(0, 120) : null;
+        if (!text && assignee === null) return res.status(400).json({ message: "The note is empty." });
+
+        if (assignee !== null) ticket.assignee = assignee;
+        if (text) ticket.notes.push({ author_id: req.user.userId, author_role: role, text });
+        if (role === 'landlord' && !ticket.respondedAt) ticket.respondedAt = new Date();
+        await ticket.save();
+
+        const update = assignee ? `${assignee} has been assigned to` : `${req.user.username} added a note to`;
+        await publishTicketChange(ticket, role, `${update} the maintenance request: ${ticket.title}`);
+        res.json(ticketFor(ticket, role));
+    } catch (error) {
+        console.error("Maintenance note error:", error);
+        res.status(500).json({ message: "Error saving note" });
+    }
+});
+
+// --- LEASE ROUTES ---
+
+const LEASE_POPULATE = [
+    { path: 'property_id', select: 'title address city' },
+    { path: 'landlord_id', select: 'username' },
+    { path: 'tenant_ids', select: 'username' },
+    { path: 'signatures.user_id', select: 'username' },
+    { path: 'audit.actor_id', select: 'username' },
+];
+
+// Who did it from where, for the audit trail
+const auditEntry = (event, req) => ({ event, actor_id: req.user.userId, ip: req.ip, userAgent: req.get('user-agent') || '', at: new Date() });
+
+// Everyone who has to sign: the landlord and every tenant
+const leaseSigners = (lease) => [lease.landlord_id, ...lease.tenant_ids].map(String);
+
+// 1. Landlord: the placeholders templates can use, and a starting text
+app.get('/api/lease-templates/placeholders', authenticateToken, requireRole('landlord'), (req, res) => {
+    res.json({ placeholders: LEASE_PLACEHOLDERS, defaultBody: DEFAULT_LEASE_TEMPLATE });
+});
+
+// 2. Landlord: my lease templates
+app.get('/api/lease-templates', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        res.json(await LeaseTemplate.find({ landlord_id: req.user.userId }).sort({ updatedAt: -1 }));
+    } catch (error) {
+        res.status(500).json({ message: "Error fetching lease templates" });
+    }
+});
+
+// 3. Landlord: create a template
+app.post('/api/lease-templates', authenticateToken, requireRole('landlord'), async (req, res) => {
+    try {
+        let fields;
+        try {
+            fields = parseLeaseTemplate(req.body);
+        } catch (templateError) {
+            return res.status(templateError.status || 400).json({ message: templateError.message });
+        }
+        const template = await LeaseTemplate.create({ ...fields, landlord_id: req.user.userId });
+        res.status(201).json(template);
+    } catch (error) {
+        console.error("Create lease template error:", error);
+        res.status(500).json({ message: "Server error saving the template." });
+    }
+});
+
+// 4. Landlord: edit a template. Leases already generated from it keep their text.
+app.put('/api/lease-templates/:id', authenticateToken, requireLandlordOwner(LeaseTemplate, { notFoundMessage: "Template not found" }), async (req, res) => {
+    try {
+        let fields;
+        try {
+            fields = parseLeaseTemplate(req.body);
+        } catch (templateError) {
+            return res.status(templateError.status || 400).json({ message: templateError.message });
+        }
+        Object.assign(req.resource, fields);
+        await req.resource.save();
+        res.json(req.resource);
+    } catch (error) {
+        res.status(500).json({ message: "Server error saving the template." });
+    }
+});
+
+// 5. Landlord: delete a template
+app.delete('/api/lease-templates/:id', authenticateToken, requireLandlordOwner(LeaseTemplate, { notFoundMessage: "Template not found" }), async (req, res) => {
+    try {
+        await req.resource.deleteOne();
+        res.json({ message: "Template deleted" });
+    } catch (error) {
+        res.status(500).json({ message: "Server error deleting the template." });
+    }
+});
+
+// 6. Landlord: generate the lease of an accepted application from a template. A lease nobody has
+// signed yet can be generated again, e.g. after fixing the template.
+app.post('/api/applications/:id/lease', authenticateToken, requireLandlordOwner(Application, { notFoundMessage: "Application not found" }), async (req, res) => {
+    try {
+        const application = req.resource;
+        if (application.status !== 'accepted') {
+            return res.status(409).json({ message: "A lease can only be generated once the offer has been accepted." });
+        }
+        const existing = await Lease.findOne({ application_id: application._id });
+        if (existing?.signatures.length) {
+            return res.status(409).json({ message: "Signing of this lease has already started." });
+        }
+
+        const template = mongoose.isValidObjectId(req.body.template_id) && await LeaseTemplate.findOne({ _id: req.body.template_id, landlord_id: req.user.userId });
+        if (!template) return res.status(404).json({ message: "Template not found" });
+
+        const tenantIds = applicationStudentIds(application);
+        const [property, landlord, tenants, tenancy] = await Promise.all([
+            Property.findById(application.property_id).select('title address city price deposit'),
+            User.findById(req.user.userId).select('username'),
+            User.find({ _id: { $in: tenantIds } }).select('username'),
+            Tenancy.findOne({ application_id: application._id }),
+        ]);
+        if (!property) return res.status(404).json({ message: "Property not found" });
+
+        // A tenancy that already runs keeps its terms; otherwise they come from the request
+        let terms;
+        if (tenancy) {
+            terms = {
+                startDate: tenancy.startDate,
+                endDate: tenancy.endDate,
+                months: (tenancy.endDate.getUTCFullYear() - tenancy.startDate.getUTCFullYear()) * 12 + tenancy.endDate.getUTCMonth() - tenancy.startDate.getUTCMonth(),
+                monthlyRent: tenancy.monthlyRent,
+                deposit: tenancy.depositAmount,
+            };
+        } else {
+            try {
+                const { startDate, endDate, months } = parseTenancyTerms(req.body);
+                terms = { startDate, endDate, months, monthlyRent: property.price, deposit: property.deposit || 0 };
+            } catch (termsError) {
+                return res.status(termsError.status || 400).json({ message: termsError.message });
+            }
+        }
+
+        // Tenants are named in the order they applied, the lead first
+        const orderedTenants = tenantIds.map(id => tenants.find(tenant => String(tenant._id) === String(id))).filter(Boolean);
+        const body = fillLeaseTemplate(template.body, leaseValues({ tenants: orderedTenants, landlord, property, terms }));
+        const fields = {
+            tenancy_id: tenancy?._id || null,
+            template_id: template._id,
+            property_id: property._id,
+            landlord_id: application.landlord_id,
+            tenant_ids: tenantIds,
+            terms,
+            body,
+            documentHash: documentHash(body),
+        };
+        // A regenerated lease keeps the audit trail of the earlier versions
+        const lease = existing ? Object.assign(existing, fields) : new Lease({ ...fields, application_id: application._id });
+        lease.audit.push(auditEntry('generated', req));
+        await lease.save();
+
+        await Promise.all(tenantIds.map(tenantId => sendNotification({
+            recipientId: tenantId,
+            senderId: req.user.userId,
+            message: `Your lease for '${property.title}' is ready. Please review and sign it.`,
+            link: '/profile'
+        })));
+        res.status(existing ? 200 : 201).json(lease);
+    } catch (error) {
+        console.error("Generate lease error:", error);
+        res.status(500).json({ message: "Server error generating the lease." });
+    }
+});
+
+// 7. Either party: my leases, with who still has to sign
+app.get('/api/leases', authenticateToken, requireRole('student', 'landlord'), async (req, res) => {
+    try {
+        const leases = await Lease.find(req.user.userType === 'landlord' ? { landlord_id: req.user.userId } : { tenant_ids: req.user.userId })
+            .populate(LEASE_POPULATE)
+            .sort({ updatedAt: -1 })
+            .lean();
+        res.json(leases.map(lease => {
+            const signedBy = lease.signatures.map(signature => String(signature.user_id?._id));
+            return {
+                ...lease,
+                awaiting: [lease.landlord_id, ...lease.tenant_ids].filter(party => party && !signedBy.includes(String(party._id))),
+                needsMySignature: lease.status === 'awaiting_signatures' && !signedBy.includes(req.user.userId),
+            };
+        }));
+    } catch (error) {
+        res.status(500).json({ message: "Error fetching leases" });
+    }
+});
+
+// 8. Either party: download the lease. Once signed this is the stored copy, before that a draft.
+app.get('/api/leases/:id/pdf', authenticateToken, requireTenancyParty(Lease, { notFoundMessage: "Lease not found" }), async (req, res) => {
+    try {
+        await Lease.updateOne({ _id: req.resource._id }, { $push: { audit: auditEntry('viewed', req) } });
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="lease-${req.resource._id}.pdf"`);
+
+        if (req.resource.status === 'signed') {
+            const { signedPdf } = await Lease.findById(req.resource._id).select('+signedPdf');
+            return res.send(signedPdf);
+        }
+        await req.resource.populate(LEASE_POPULATE);
+        writeLeasePdf(req.resource, res);
+    } catch (error) {
+        console.error("Lease PDF error:", error);
+        res.status(500).json({ message: "Server error creating the lease document." });
+    }
+});
+
+// 9. Either party: sign the lease by typing your full name. `documentHash` must be the hash of
+// the text that was shown, so nobody signs a lease that was generated again in the meantime.
+// The last signature stores the signed copy and marks the application as lease signed.
+app.post('/api/leases/:id/sign', authenticateToken, requireTenancyParty(Lease, { notFoundMessage: "Lease not found" }), async (req, res) => {
+    try {
+        const lease = req.resource;
+        const name = String(req.body.signature ?? '').trim();
+        if (!req.body.agree) return res.status(400).json({ message: "Please confirm that you have read and agree to the lease." });
+        if (name.length < 2) return res.status(400).json({ message: "Please type your full name as your signature." });
+        if (req.body.documentHash !== lease.documentHash) {
+            return res.status(409).json({ message: "The lease has changed since you opened it. Please review it again." });
+        }
+
+        const role = String(lease.landlord_id) === req.user.userId ? 'landlord' : 'student';
+        const entry = auditEntry('signed', req);
+        const { modifiedCount } = await Lease.updateOne(
+            { _id: lease._id, status: 'awaiting_signatures', documentHash: lease.documentHash, 'signatures.user_id': { $ne: req.user.userId } },
+            {
+                $push: {
+                    signatures: { user_id: req.user.userId, role, name: name.slice(0, 120), documentHash: lease.documentHash, signedAt: entry.at, ip: entry.ip, userAgent: entry.userAgent },
+                    audit: entry,
+                },
+            }
+        );
+        if (!modifiedCount) return res.status(409).json({ message: "You have already signed this lease, or it is no longer open for signing." });
+
+        const updated = await Lease.findById(lease._id).populate(LEASE_POPULATE);
+        const property = updated.property_id;
+        const signedBy = updated.signatures.map(signature => String(signature.user_id?._id || signature.user_id));
+
+        if (!leaseSigners(lease).every(id => signedBy.includes(id))) {
+            await Promise.all(leaseSigners(lease).filter(id => id !== req.user.userId).map(recipientId => sendNotification({
+                recipientId,
+                senderId: req.user.userId,
+                message: `${req.user.username} signed the lease for '${property?.title || 'a property'}'.`,
+                link: recipientId === String(lease.landlord_id) ? '/' : '/profile'
+            })));
+            return res.json(updated);
+        }
+
+        // Everyone has signed: store the signed copy. The guard makes sure only one request does it.
+        updated.status = 'signed';
+        updated.signedAt = new Date();
+        updated.audit.push({ event: 'completed', at: updated.signedAt });
+        const signedPdf = await leasePdfBuffer(updated);
+        const completed = await Lease.updateOne(
+            { _id: updated._id, status: 'awaiting_signatures' },
+            { status: 'signed', signedAt: updated.signedAt, signedPdf, $push: { audit: { event: 'completed', at: updated.signedAt } } }
+        );
+        if (completed.modifiedCount) {
+            // The signed copy is kept with the tenancy, whether it started before or starts later
+            const tenancy = await Tenancy.findOneAndUpdate({ application_id: updated.application_id }, { lease_id: updated._id });
+            if (tenancy) await Lease.updateOne({ _id: updated._id }, { tenancy_id: tenancy._id });
+            const application = await Application.findById(updated.application_id);
+            if (application?.status === 'accepted') {
+                transitionApplication(application, 'lease_signed', { role: 'system', note: 'Lease signed by all parties in the app' });
+                await application.save();
+                await notifyApplicationChange(application, null);
+            }
+            await sendNotification({
+                recipientId: lease.landlord_id,
+                senderId: req.user.userId,
+                message: `Everyone has signed the lease for '${property?.title || 'a property'}'. The signed copy is on your dashboard.`,
+                link: '/'
+            });
+        }
+        res.json(updated);
+    } catch (error) {
+        console.error("Sign lease error:", error);
+        res.status(500).json({ message: "Server error signing the lease." });
+    }
+});
+
+// --- APPLICATION EXPIRY JOB ---
+// Closes applications that have waited too long in an open status (see EXPIRY_DAYS).
+const expireStaleApplications = async () => {
+    try {
+        for (const [status, days] of Object.entries(EXPIRY_DAYS)) {
+            const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+            // An accepted offer whose tenancy has started is settled, however long ago that was
+            const started = status === 'accepted' ? { _id: { $nin: await Tenancy.distinct('application_id') } } : {};
+            const stale = await Application.find({ status, updatedAt: { $lt: cutoff }, ...started });
+            for (const application of stale) {
+                transitionApplication(application, 'expired', { role: 'system', note: `No activity for ${days} days` });
+                await application.save();
+                if (status === 'accepted') await releaseUnits(application.property_id, application.groupSize);
+                await notifyApplicationChange(application, null);
+            }
+        }
+    } catch (error) {
+        console.error("Application expiry job error:", error);
+    }
+};
+setInterval(expireStaleApplications, 60 * 60 * 1000); // Hourly
+
+// --- SAVED SEARCH DIGEST JOB ---
+// Emails the listings matched by searches that have the daily digest turned on. Each search
+// remembers when its last digest went out, so checking hourly sends them about once a day.
+const sendSavedSearchDigests = async () => {
+    try {
+        const sent = await savedSearchAlerts.sendDigests();
+        if (sent) console.log(`Sent ${sent} saved search digest email(s).`);
+    } catch (error) {
+        console.error("Saved search digest job error:", error);
+    }
+};
+setInterval(sendSavedSearchDigests, 60 * 60 * 1000); // Hourly
+
+// --- VIEWING REMINDER JOB ---
+// Reminds both sides of viewings starting within the next REMINDER_HOURS hours, once per booking.
+const sendViewingReminders = async () => {
+    try {
+        const now = new Date();
+        const due = await Viewing.find({
+            status: 'booked',
+            reminderSentAt: null,
+            start: { $gt: now, $lte: new Date(now.getTime() + REMINDER_HOURS * 60 * 60 * 1000) },
+        }).populate('property_id', VIEWING_PROPERTY_FIELDS).populate('student_id', 'username');
+
+        for (const viewing of due) {
+            if (!viewing.student_id) continue;
+            // Claim the reminder first so an overlapping run can't send it twice
+            const { modifiedCount } = await Viewing.updateOne({ _id: viewing._id, reminderSentAt: null }, { $set: { reminderSentAt: now } });
+            if (!modifiedCount) continue;
+
+            const property = viewing.property_id;
+            const when = formatViewingTime(viewing.start);
+            await sendNotification({
+                recipientId: viewing.student_id?._id,
+                message: `Reminder: your viewing of '${property?.title || 'a property'}' is on ${when} at ${[property?.address, property?.city].filter(Boolean).join(', ')}.`,
+                link: `/properties/${viewing.property_id?._id}`
+            });
+            await sendNotification({
+                recipientId: viewing.landlord_id,
+                message: `Reminder: ${viewing.student_id?.username || 'A student'} is viewing '${property?.title || 'your property'}' on ${when}.`,
+                link: '/'
+            });
+        }
+    } catch (error) {
+        console.error("Viewing reminder job error:", error);
+    }
+};
+setInterval(sendViewingReminders, 15 * 60 * 1000); // Every 15 minutes
+
+// --- OVERDUE RENT JOB ---
+// Flags rent still unpaid after the grace period (see rentLedger.js) and tells both sides once.
+const flagOverdueRent = async () => {
+    try {
+        const overdue = await RentPayment.find(overdueFilter()).populate('property_id', 'title').populate('tenant_id', 'username');
+        for (const payment of overdue) {
+            const { modifiedCount } = await RentPayment.updateOne({ _id: payment._id, status: 'due' }, { $set: { status: 'overdue' } });
+            if (!modifiedCount) continue;
+
+            const rentFor = `rent for ${formatRentPeriod(payment.period)} ('${payment.property_id?.title || 'a property'}')`;
+            if (payment.tenant_id) {
+                await sendNotification({ recipientId: payment.tenant_id._id, message: `Your ${rentFor} is overdue.`, link: '/profile' });
+            }
+            await sendNotification({
+                recipientId: payment.landlord_id,
+                message: `${payment.tenant_id?.username || 'A tenant'}'s ${rentFor} is overdue.`,
+                link: '/'
+            });
+        }
+    } catch (error) {
+        console.error("Overdue rent job error:", error);
+    }
+};
+setInterval(flagOverdueRent, 60 * 60 * 1000); // Hourly
+
+// --- STUCK RENT PAYMENT JOB ---
+// Puts payments back to unpaid when their charge never finished, so they can be paid again.
+// The landlord is told in case the money did arrive and needs to be recorded by hand.
+const releaseStuckRentPayments = async () => {
+    try {
+        const stuck = await RentPayment.find(stuckProcessingFilter()).populate('property_id', 'title');
+        for (const payment of stuck) {
+            const { modifiedCount } = await RentPayment.updateOne(
+                { _id: payment._id, status: 'processing', processingSince: payment.processingSince },
+                { $set: { status: unpaidStatus(payment), processingSince: null } }
+            );
+            if (!modifiedCount) continue;
+            console.warn(`Released rent payment ${payment._id} after its charge didn't finish.`);
+            await sendNotification({
+                recipientId: payment.landlord_id,
+                message: `A payment of the rent for ${formatRentPeriod(payment.period)} ('${payment.property_id?.title || 'a property'}') didn't finish. Check with your payment provider before marking it as paid.`,
+                link: '/'
+            });
+        }
+    } catch (error) {
+        console.error("Stuck rent payment job error:", error);
+    }
+};
+setInterval(releaseStuckRentPayments, 5 * 60 * 1000); // Every 5 minutes
+
+// --- MAINTENANCE SLA JOB ---
+// Tells the landlord, once per target, when a ticket misses its response or resolution SLA.
+const reportMaintenanceBreaches = async () => {
+    try {
+        const tickets = await MaintenanceTicket.find({ status: { $ne: 'resolved' } }).populate('property_id', 'title');
+        for (const ticket of tickets) {
+            const sla = slaFor(ticket);
+            const breaches = [];
+            if (sla.responseBreached && !ticket.respondedAt) breaches.push('response');
+            if (sla.resolutionBreached) breaches.push('resolution');
+
+            for (const breach of breaches.filter(b => !ticket.slaAlerts.includes(b))) {
+                const { modifiedCount } = await MaintenanceTicket.updateOne({ _id: ticket._id, slaAlerts: { $ne: breach } }, { $push: { slaAlerts: breach } });
+                if (!modifiedCount) continue;
+                await sendNotification({
+                    recipientId: ticket.landlord_id,
+                    message: `The ${ticket.priority} maintenance request '${ticket.title}' at '${ticket.property_id?.title || 'your property'}' is past its ${breach} deadline.`,
+                    link: '/'
+                });
+            }
+        }
+    } catch (error) {
+        console.error("Maintenance SLA job error:", error);
+    }
+};
+setInterval(reportMaintenanceBreaches, 15 * 60 * 1000); // Every 15 minutes
+
+// --- VERIFICATION EXPIRY JOB ---
+// Reminds landlords REMINDER_DAYS before their verification runs out, then unverifies them.
+const expireVerifications = async () => {
+    try {
+        const now = new Date();
+        const expiring = await User.find({
+            isVerified: true,
+            verificationReminderSentAt: null,
+            verificationExpiresAt: { $lte: new Date(now.getTime() + REMINDER_DAYS * DAY_MS), $gt: now },
+        }).select('verificationExpiresAt');
+        for (const user of expiring) {
+            const { modifiedCount } = await User.updateOne({ _id: user._id, verificationReminderSentAt: null }, { verificationReminderSentAt: now });
+            if (!modifiedCount) continue;
+            await sendNotification({
+                recipientId: user._id,
+                message: `Your landlord verification expires on ${user.verificationExpiresAt.toDateString()}. Please upload your documents again to stay verified.`,
+                link: '/profile'
+            });
+        }
+
+        const expired = await User.find({ isVerified: true, verificationExpiresAt: { $lte: now } }).select('_id');
+        for (const user of expired) {
+            const { modifiedCount } = await User.updateOne(
+                { _id: user._id, isVerified: true, verificationExpiresAt: { $lte: now } },
+                // A renewal under review keeps its pending status
+                [{ $set: { isVerified: false, verificationStatus: { $cond: [{ $eq: ['$verificationStatus', 'pending'] }, 'pending', 'expired'] } } }]
+            );
+            if (!modifiedCount) continue;
+            await VerificationAudit.create({ user_id: user._id, action: 'expired' });
+            await sendNotification({
+                recipientId: user._id,
+                message: "Your landlord verification has expired. Upload your documents again to keep posting properties.",
+                link: '/profile'
+            });
+        }
+    } catch (error) {
+        console.error("Verification expiry job error:", error);
+    }
+};
+setInterval(expireVerifications, 60 * 60 * 1000); // Hourly
+
 server.listen(PORT, () => {
     console.log(`Backend server with WebSocket running on http://localhost:${PORT}`);
 });
\ No newline at end of file
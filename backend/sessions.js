@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Session handling: short-lived JWT access tokens plus rotating refresh tokens.
+// Refresh tokens are random strings; only their SHA-256 hash is stored in the database,
+// so a leaked database dump can't be used to resume anyone's session.
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createSessions = ({ RefreshToken, secret }) => {
+    // A default secret would be public, letting anyone sign their own tokens
+    if (!secret) throw new Error('Sessions are not configured: set JWT_SECRET to a long random string.');
+
+    // Other JWTs are signed with the same secret (email verification links...); `type` keeps them
+    // from being accepted as access tokens.
+    const signAccessToken = (user) => jwt.sign(
+        { userId: user._id, username: user.username, userType: user.user_type, type: 'access' },
+        secret,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    // Resolves with the decoded payload, or null if the token is missing, invalid, expired or not an access token.
+    const verifyAccessToken = (token) => new Promise((resolve) => {
+        if (!token) return resolve(null);
+        jwt.verify(token, secret, (err, payload) => resolve(!err && payload.type === 'access' ? payload : null));
+    });
+
+    const issueRefreshToken = async (userId) => {
+        const refreshToken = crypto.randomBytes(48).toString('hex');
+        await RefreshToken.create({
+            user_id: userId,
+            tokenHash: hashToken(refreshToken),
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        });
+        return refreshToken;
+    };
+
+    // Starts a new session for a user who just proved who they are (login, signup, password change).
+    const startSession = async (user) => ({
+        token: signAccessToken(user),
+        refreshToken: await issueRefreshToken(user._id),
+    });
+
+    // Exchanges a refresh token for a new access/refresh pair. The old refresh token is revoked,
+    // and presenting an already-revoked token revokes every session of that user, since it means
+    // the token was stolen and used by someone else first.
+    const rotateSession = async (refreshToken, loadUser) => {
+        if (!refreshToken) return null;
+        const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+        if (!stored || stored.expiresAt < new Date()) return null;
+
+        if (stored.revokedAt) {
+            await revokeAllSessions(stored.user_id);
+            return null;
+        }
+
+        const user = await loadUser(stored.user_id);
+        if (!user) return null;
+
+        const session = await startSession(user);
+        stored.revokedAt = new Date();
+        stored.replacedBy = hashToken(session.refreshToken);
+        await stored.save();
+        return { ...session, user };
+    };
+
+    const revokeSession = async (refreshToken) => {
+        if (!refreshToken) return;
+        await RefreshToken.updateOne(
+            { tokenHash: hashToken(refreshToken), revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+    };
+
+    const revokeAllSessions = async (userId) => {
+        await RefreshToken.updateMany(
+            { user_id: userId, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+    };
+
+    // Express middleware: every protected route goes through here.
+    // Answers 401 with code 'invalid_token' for any missing or rejected token, which is how the
+    // client tells a session problem apart from e.g. a wrong password and knows to refresh.
+    const authenticateToken = async (req, res, next) => {
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1];
+        if (!token) return res.status(401).json({ message: 'Authentication required', code: 'invalid_token' });
+
+        const payload = await verifyAccessToken(token);
+        if (!payload) return res.status(401).json({ message: 'Token invalid or expired', code: 'invalid_token' });
+
+        req.user = payload;
+        next();
+    };
+
+    return {
+        signAccessToken,
+        verifyAccessToken,
+        startSession,
+        rotateSession,
+        revokeSession,
+        revokeAllSessions,
+        authenticateToken,
+    };
+};
+
+module.exports = createSessions;
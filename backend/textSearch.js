@@ -0,0 +1,120 @@
+// Helpers for the free-text property and message search.
+// Matching and ranking are done by MongoDB's text index; this module adds what the index can't do:
+// tolerating typos in city names and cutting highlighted snippets out of the matched fields.
+
+// Property fields covered by the text index, in the order snippets are looked for.
+const SNIPPET_FIELDS = ['description', 'title', 'address', 'amenities', 'city'];
+const SNIPPET_RADIUS = 60; // Characters of context on each side of the first match
+const CITY_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Splits a search string into lowercase words, the way the text index sees them.
+const tokenize = (text) => String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length > 1);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Edit distance counting a swap of two neighbouring letters as one edit ("dehli" -> "delhi"),
+// since that is the most common typo.
+const editDistance = (a, b) => {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+};
+
+// Short words need to be spelled closer to count as the same word, otherwise
+// ordinary search words like "room" would be "corrected" into a city.
+const maxEditsFor = (word) => (word.length < 5 ? 0 : word.length < 8 ? 1 : 2);
+
+// The candidate closest to `word` within the allowed number of edits, or null.
+const closestMatch = (word, candidates) => {
+    const lower = word.toLowerCase();
+    let best = null;
+    let bestDistance = maxEditsFor(lower) + 1;
+    for (const candidate of candidates) {
+        const distance = editDistance(lower, candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+};
+
+// Keeps a short-lived list of the cities that have listings and corrects misspelt city names against it.
+// `loadCities` resolves to the distinct city names, e.g. () => Property.distinct('city').
+const createCityResolver = (loadCities, ttlMs = CITY_CACHE_TTL_MS) => {
+    let cache = { cities: [], loadedAt: 0 };
+
+    const knownCities = async () => {
+        if (Date.now() - cache.loadedAt > ttlMs) {
+            cache = { cities: (await loadCities()).filter(Boolean), loadedAt: Date.now() };
+        }
+        return cache.cities;
+    };
+
+    // The canonical spelling of a city filter value, or the value unchanged when nothing is close.
+    const resolveCity = async (name) => {
+        const cities = await knownCities();
+        const exact = cities.find(city => city.toLowerCase() === name.toLowerCase());
+        return exact || closestMatch(name, cities) || name;
+    };
+
+    // Replaces words of the search that look like a misspelt city ("banglore") with the city's spelling.
+    // Words that are already a known city word are left alone.
+    const correctSearch = async (search) => {
+        const cityWords = [...new Set((await knownCities()).flatMap(city => city.split(/\s+/)))];
+        const known = new Set(cityWords.map(word => word.toLowerCase()));
+        return String(search).replace(/[\p{L}]+/gu, (word) => {
+            if (known.has(word.toLowerCase())) return word;
+            return closestMatch(word, cityWords) || word;
+        });
+    };
+
+    return { knownCities, resolveCity, correctSearch };
+};
+
+// A window of text around the first search term found in the document, with the positions of every
+// term inside it so the client can highlight them without trusting any markup from the server.
+// Returns { field, text, matches: [[start, end], ...] } or null when no field contains a term.
+// `fields` are looked at in order; the property fields by default.
+const buildSnippet = (doc, terms, fields = SNIPPET_FIELDS) => {
+    if (!terms.length) return null;
+    // Word-prefix match, close to what the stemmed text index matched
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+
+    for (const field of fields) {
+        const value = [].concat(doc[field] ?? []).join(', ');
+        pattern.lastIndex = 0;
+        const first = pattern.exec(value);
+        if (!first) continue;
+
+        const start = Math.max(0, first.index - SNIPPET_RADIUS);
+        const end = Math.min(value.length, first.index + first[0].length + SNIPPET_RADIUS);
+        const prefix = start > 0 ? '…' : '';
+        const text = prefix + value.slice(start, end) + (end < value.length ? '…' : '');
+
+        const matches = [];
+        pattern.lastIndex = 0;
+        for (const match of value.slice(start, end).matchAll(pattern)) {
+            const from = match.index + prefix.length;
+            matches.push([from, from + match[0].length]);
+        }
+        return { field, text, matches };
+    }
+    return null;
+};
+
+module.exports = {
+    tokenize,
+    editDistance,
+    createCityResolver,
+    buildSnippet,
+};
@@ -0,0 +1,84 @@
+// Landlord verification: a landlord submits documents, an admin approves or rejects the submission,
+// and an approval is valid for VALID_DAYS before the landlord has to verify again.
+//
+//   pending -> approved -> (expired)
+//          \-> rejected
+//
+// A rejected or expired landlord submits a new request; an approved one can renew during the last
+// RENEWAL_WINDOW_DAYS and stays verified while the renewal is reviewed.
+//
+// Listings are verified the same way, one request per listing with proof that the landlord owns
+// that property. A listing verification doesn't expire, but changing the address undoes it.
+
+const path = require('path');
+
+const DOCUMENT_TYPES = {
+    government_id: 'Government ID (Aadhaar, PAN, passport...)',
+    ownership_proof: 'Property ownership proof (sale deed, tax receipt...)',
+    address_proof: 'Address proof (utility bill...)',
+};
+const REQUIRED_DOCUMENT_TYPES = ['government_id', 'ownership_proof'];
+const PROPERTY_DOCUMENT_TYPES = ['ownership_proof', 'address_proof'];
+const REQUIRED_PROPERTY_DOCUMENT_TYPES = ['ownership_proof'];
+const MAX_FILES_PER_TYPE = 3;
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+const DOCUMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+const VALID_DAYS = parseInt(process.env.VERIFICATION_VALID_DAYS) || 365;
+const RENEWAL_WINDOW_DAYS = 30;
+const REMINDER_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const verificationError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// multer fileFilter: only images and PDFs
+const documentFileFilter = (req, file, callback) => {
+    if (DOCUMENT_MIME_TYPES.includes(file.mimetype)) callback(null, true);
+    else callback(verificationError(`'${file.originalname}' is not an image or PDF.`));
+};
+
+// The multer `fields` spec: one form field per document type
+const documentFields = Object.keys(DOCUMENT_TYPES).map(name => ({ name, maxCount: MAX_FILES_PER_TYPE }));
+
+// Checks the files multer collected (req.files from upload.fields) and lists them as
+// [{ type, file }]. Every required type needs at least one file; other fields are ignored.
+const collectDocuments = (files = {}, { types = Object.keys(DOCUMENT_TYPES), required = REQUIRED_DOCUMENT_TYPES } = {}) => {
+    const missing = required.filter(type => !files[type]?.length);
+    if (missing.length) {
+        throw verificationError(`Please upload: ${missing.map(type => DOCUMENT_TYPES[type].replace(/ \(.*\)$/, '')).join(', ')}.`);
+    }
+    return types.flatMap(type => (files[type] || []).map(file => ({
+        type,
+        file: { ...file, originalname: path.basename(file.originalname) },
+    })));
+};
+
+// Whether the user may send a new request now. Throws with a `status` code when they can't.
+const assertCanSubmit = (user, now = new Date()) => {
+    if (user.verificationStatus === 'pending') throw verificationError('Your documents are already being reviewed.', 409);
+    if (user.isVerified && user.verificationExpiresAt && user.verificationExpiresAt - now > RENEWAL_WINDOW_DAYS * DAY_MS) {
+        throw verificationError(`You're verified until ${user.verificationExpiresAt.toDateString()}. You can renew in the last ${RENEWAL_WINDOW_DAYS} days.`, 409);
+    }
+};
+
+const expiryFrom = (approvedAt) => new Date(approvedAt.getTime() + VALID_DAYS * DAY_MS);
+
+module.exports = {
+    DOCUMENT_TYPES,
+    REQUIRED_DOCUMENT_TYPES,
+    PROPERTY_DOCUMENT_TYPES,
+    REQUIRED_PROPERTY_DOCUMENT_TYPES,
+    MAX_DOCUMENT_BYTES,
+    VALID_DAYS,
+    REMINDER_DAYS,
+    DAY_MS,
+    documentFileFilter,
+    documentFields,
+    collectDocuments,
+    assertCanSubmit,
+    expiryFrom,
+};
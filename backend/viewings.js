@@ -0,0 +1,130 @@
+// Viewing appointments: landlords publish time slots for a property and students book them.
+// Times are stored as UTC dates; clients send ISO strings and show them in local time.
+// Bookings copy the slot's start and end, so conflicts can be checked with one query.
+
+const DEFAULT_SLOT_MINUTES = 30;
+const MIN_SLOT_MINUTES = 10;
+const MAX_SLOT_MINUTES = 4 * 60;
+const MAX_SLOT_CAPACITY = 20;
+const MAX_DAYS_AHEAD = 90;
+const REMINDER_HOURS = parseInt(process.env.VIEWING_REMINDER_HOURS) || 24;
+
+const MINUTE_MS = 60 * 1000;
+
+const viewingError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// Validates { start, end, capacity } from a request body. `end` defaults to half an hour after `start`.
+// Throws an error with a `status` code when the slot is unusable.
+const parseSlot = (body = {}, now = new Date()) => {
+    const start = new Date(body.start);
+    if (!body.start || isNaN(start)) throw viewingError('A valid start time is required.');
+    const end = body.end ? new Date(body.end) : new Date(start.getTime() + DEFAULT_SLOT_MINUTES * MINUTE_MS);
+    if (isNaN(end)) throw viewingError('The end time is invalid.');
+
+    const minutes = (end - start) / MINUTE_MS;
+    if (minutes < MIN_SLOT_MINUTES || minutes > MAX_SLOT_MINUTES) {
+        throw viewingError(`A viewing slot must last between ${MIN_SLOT_MINUTES} minutes and ${MAX_SLOT_MINUTES / 60} hours.`);
+    }
+    if (start <= now) throw viewingError('Viewing slots must be in the future.');
+    if (start - now > MAX_DAYS_AHEAD * 24 * 60 * MINUTE_MS) {
+        throw viewingError(`Viewing slots can be published at most ${MAX_DAYS_AHEAD} days ahead.`);
+    }
+
+    const capacity = body.capacity === undefined || body.capacity === '' ? 1 : Number(body.capacity);
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_SLOT_CAPACITY) {
+        throw viewingError(`Capacity must be a whole number between 1 and ${MAX_SLOT_CAPACITY}.`);
+    }
+    return { start, end, capacity };
+};
+
+// Mongo condition for documents whose [start, end) overlaps the given interval.
+// Back-to-back appointments (one ends as the next starts) don't conflict.
+const overlapping = (start, end) => ({ start: { $lt: end }, end: { $gt: start } });
+
+// --- iCalendar (RFC 5545) export ---
+
+const icsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const icsText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+// Builds a calendar from events shaped { uid, start, end, summary, description, location, cancelled, updatedAt }.
+const toICalendar = (events, { name = 'Housing Hub viewings' } = {}) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Housing Hub//Viewings//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(name)}`,
+    ];
+    for (const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${icsDate(event.updatedAt || new Date())}`,
+            `DTSTART:${icsDate(event.start)}`,
+            `DTEND:${icsDate(event.end)}`,
+            `SUMMARY:${icsText(event.summary)}`,
+        );
+        if (event.description) lines.push(`DESCRIPTION:${icsText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${icsText(event.location)}`);
+        lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+        if (!event.cancelled) {
+            // Calendar apps also remind an hour before
+            lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${icsText(event.summary)}`, 'TRIGGER:-PT1H', 'END:VALARM');
+        }
+        lines.push('END:VEVENT');
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// The calendar event for a booking populated with property_id, student_id and landlord_id.
+const viewingToEvent = (viewing) => {
+    const property = viewing.property_id || {};
+    return {
+        uid: `viewing-${viewing._id}@housing-hub`,
+        start: viewing.start,
+        end: viewing.end,
+        summary: `Viewing: ${property.title || 'Property'}`,
+        description: [
+            viewing.student_id?.username && `Student: ${viewing.student_id.username}`,
+            viewing.landlord_id?.username && `Landlord: ${viewing.landlord_id.username}`,
+        ].filter(Boolean).join('\n'),
+        location: [property.address, property.city].filter(Boolean).join(', '),
+        cancelled: viewing.status === 'cancelled',
+        updatedAt: viewing.updatedAt,
+    };
+};
+
+module.exports = {
+    MAX_SLOT_CAPACITY,
+    REMINDER_HOURS,
+    parseSlot,
+    overlapping,
+    toICalendar,
+    viewingToEvent,
+};
@@ -1,13 +1,28 @@
-import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
-import { BrowserRouter, Routes, Route, Link, useNavigate, useParams, Outlet, useLocation } from 'react-router-dom';
-import { LogIn, UserPlus, Building, PlusCircle, Home, MapPin, Search, Edit, Trash2, MessageSquare, Heart, LayoutDashboard, Bell, ArrowLeft, Bed, Bath, Send, Star, User, ShieldCheck, UploadCloud, AlertTriangle, SlidersHorizontal, Sparkles, Video, Brain, Compass, List } from 'lucide-react';
+import React, { createContext, useContext, useState, useEffect, useLayoutEffect, useCallback, useRef } from 'react';
+import { flushSync } from 'react-dom';
+import { BrowserRouter, Routes, Route, Link, useNavigate, useParams, Outlet, useLocation, useSearchParams } from 'react-router-dom';
+import { LogIn, UserPlus, Building, PlusCircle, Home, MapPin, Search, Edit, Trash2, MessageSquare, Heart, LayoutDashboard, Bell, ArrowLeft, Bed, Bath, Send, Star, User, ShieldCheck, UploadCloud, AlertTriangle, SlidersHorizontal, Sparkles, Video, Brain, Compass, List, Map as MapIcon, Bookmark, Users, CalendarDays, Clock, Download, ChevronLeft, ChevronRight, BadgeCheck, Flag, Eye, EyeOff, Paperclip, FileText, X } from 'lucide-react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, RadialBarChart, RadialBar } from 'recharts';
 import toast, { Toaster } from 'react-hot-toast';
+import { MapContainer, TileLayer, Marker, Popup, Circle, useMap, useMapEvents } from 'react-leaflet';
+import MarkerClusterGroup from 'react-leaflet-cluster';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
 import axios from 'axios';
 
 // --- API & WEBSOCKET CONFIGURATION ---
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 export const WEBSOCKET_URL = API_URL.replace(/^http/, 'ws');
+
+// Tells the server which of the user's devices a socket belongs to; every tab of this browser shares it
+const getDeviceId = () => {
+    let deviceId = localStorage.getItem('deviceId');
+    if (!deviceId) {
+        deviceId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+        localStorage.setItem('deviceId', deviceId);
+    }
+    return deviceId;
+};
 const api = axios.create({ baseURL: API_URL });
 
 api.interceptors.request.use(
@@ -19,20 +34,51 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+// Only one refresh call runs at a time; requests that fail together all wait for it.
+let refreshPromise = null;
+const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    // Plain axios, not `api`, so a failed refresh doesn't loop back into this interceptor
+    refreshPromise = axios.post(`${API_URL}/api/auth/refresh`, { refreshToken })
+      .then(({ data }) => {
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        return data.token;
+      })
+      .finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
+};
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('currentUser');
+};
+
 api.interceptors.response.use(
   (response) => response,
-  (error) => 
-    {
-    if (error.response && error.response.status === 401) {
-      console.error("Token rejected by backend:", error.response.data);
-      
-
-      localStorage.removeItem('token');
-      localStorage.removeItem('currentUser');
-      
-      // COMMENT THIS OUT TEMPORARILY:
-      // window.location.href = '/login';  <-- Disable this!
+  async (error) => {
+    const originalRequest = error.config;
+    // Only session problems carry this code; a 401 for e.g. a wrong password must not log anyone out
+    const isSessionError = error.response?.status === 401 && error.response.data?.code === 'invalid_token';
+    if (!isSessionError) return Promise.reject(error);
+
+    if (originalRequest && !originalRequest._retry && localStorage.getItem('refreshToken')) {
+      originalRequest._retry = true;
+      try {
+        const token = await refreshSession();
+        originalRequest.headers['Authorization'] = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        console.error("Session refresh failed:", refreshError.response?.data);
+      }
     }
+
+    // The session can't be recovered: AuthProvider listens for this and sends the user to login
+    clearSession();
+    window.dispatchEvent(new Event('auth:expired'));
     return Promise.reject(error);
   }
 );
@@ -61,8 +107,7 @@ export const AuthProvider = ({ children }) => {
                     setCurrentUser(JSON.parse(storedUser));
                 } else {
                     // If either is missing, clean up to prevent errors
-                    localStorage.removeItem("token");
-                    localStorage.removeItem("currentUser");
+                    clearSession();
                     setCurrentUser(null);
                 }
             } catch (error) {
@@ -75,20 +120,30 @@ export const AuthProvider = ({ children }) => {
         };
 
         initializeAuth();
+
+        // Fired by the axios interceptor when the refresh token is rejected too
+        const handleExpired = () => setCurrentUser(null);
+        window.addEventListener('auth:expired', handleExpired);
+        return () => window.removeEventListener('auth:expired', handleExpired);
     }, []);
 
     // 2. Login Helper: Call this from your Login Page!
     // This ensures data is saved consistently every time.
-    const login = (user, token) => {
+    const login = (user, token, refreshToken) => {
         localStorage.setItem("token", token);
+        localStorage.setItem("refreshToken", refreshToken);
         localStorage.setItem("currentUser", JSON.stringify(user));
         setCurrentUser(user);
     };
 
     // 3. Logout Helper
     const logout = useCallback(() => {
-        localStorage.removeItem("token");
-        localStorage.removeItem("currentUser");
+        // Revoke the refresh token server-side; the local session is cleared either way
+        const refreshToken = localStorage.getItem("refreshToken");
+        if (refreshToken) {
+            api.post('/api/auth/logout', { refreshToken }).catch(() => {});
+        }
+        clearSession();
         setCurrentUser(null);
     }, []);
 
@@ -108,44 +163,125 @@ export const SearchProvider = ({ children }) => {
     );
 };
 
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30 * 1000;
+const PING_INTERVAL_MS = 25 * 1000;
+const PONG_TIMEOUT_MS = 10 * 1000;
+const WS_AUTH_FAILED = 4001; // The server's closing code for an invalid or expired token
+
+// Keeps one socket open while someone is logged in. A dropped connection is reopened with
+// exponential backoff, and the server replays the newMessage / newNotification events missed in
+// between (see the resume protocol in server.js); `ready` says when that is done.
 export const WebSocketProvider = ({ children }) => {
     const { currentUser } = useContext(AuthContext);
+    const userId = currentUser?.uid;
     const ws = useRef(null);
+    const resumeFrom = useRef({}); // { lastMessageId, lastNotificationId } seen so far
     const [lastMessage, setLastMessage] = useState(null);
+    const [connected, setConnected] = useState(false);
 
     useEffect(() => {
-        if (currentUser && !ws.current) {
-            ws.current = new WebSocket(WEBSOCKET_URL);
-            ws.current.onopen = () => {
+        if (!userId) return;
+        let stopped = false;
+        let attempts = 0;
+        let refreshedForAuth = false; // Only one refresh per rejected token, so a bad one can't loop
+        let reconnectTimer, pingTimer, pongTimer;
+
+        const scheduleReconnect = () => {
+            // 1s, 2s, 4s... up to 30s, with jitter so a restarted server isn't hit all at once
+            const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** attempts, RECONNECT_MAX_DELAY_MS);
+            attempts += 1;
+            reconnectTimer = setTimeout(connect, delay / 2 + Math.random() * delay / 2);
+        };
+
+        const connect = () => {
+            clearTimeout(reconnectTimer);
+            const socket = new WebSocket(WEBSOCKET_URL);
+            ws.current = socket;
+            socket.onopen = () => {
+                attempts = 0;
                 const token = localStorage.getItem("token");
-                ws.current.send(JSON.stringify({ type: 'auth', token }));
+                const { lastMessageId, lastNotificationId } = resumeFrom.current;
+                socket.send(JSON.stringify({ type: 'auth', token, device: getDeviceId(), resume: lastMessageId || lastNotificationId ? resumeFrom.current : undefined }));
+                // The browser answers the server's pings itself; these tell us when the server is gone
+                pingTimer = setInterval(() => {
+                    socket.send(JSON.stringify({ type: 'ping' }));
+                    pongTimer = setTimeout(() => socket.close(), PONG_TIMEOUT_MS);
+                }, PING_INTERVAL_MS);
             };
-            ws.current.onmessage = (event) => {
-                setLastMessage(event.data);
-            };
-            ws.current.onclose = () => {
-                ws.current = null;
+            socket.onmessage = (event) => {
+                const data = JSON.parse(event.data);
+                if (data.type === 'pong') {
+                    clearTimeout(pongTimer);
+                    return;
+                }
+                if (data.type === 'newMessage') resumeFrom.current.lastMessageId = data.payload._id;
+                else if (data.type === 'newNotification') resumeFrom.current.lastNotificationId = data.payload._id;
+                else if (data.type === 'ready') {
+                    const { lastMessageId, lastNotificationId } = data.payload;
+                    resumeFrom.current = { lastMessageId, lastNotificationId };
+                    refreshedForAuth = false;
+                    setConnected(true);
+                }
+                // Replayed events come in a burst; render each one so no listener misses any
+                flushSync(() => setLastMessage(event.data));
             };
-            return () => {
-                if (ws.current) {
-                    ws.current.close();
-                    ws.current = null;
+            socket.onclose = (event) => {
+                clearInterval(pingTimer);
+                clearTimeout(pongTimer);
+                if (ws.current === socket) ws.current = null;
+                setConnected(false);
+                if (stopped) return;
+                // The access token outlived the connection; get a new one like the api interceptor does
+                if (event.code === WS_AUTH_FAILED && !refreshedForAuth && localStorage.getItem('refreshToken')) {
+                    refreshedForAuth = true;
+                    refreshSession()
+                        .then(() => { if (!stopped) connect(); })
+                        .catch((refreshError) => {
+                            if (stopped) return;
+                            if (refreshError.response?.status === 401) {
+                                clearSession();
+                                window.dispatchEvent(new Event('auth:expired'));
+                            } else {
+                                scheduleReconnect(); // Offline; try again later
+                            }
+                        });
+                    return;
                 }
+                scheduleReconnect();
             };
-        } else if (!currentUser && ws.current) {
-            ws.current.close();
+        };
+
+        // No point waiting out the backoff once the network is back
+        const handleOnline = () => {
+            if (ws.current) return;
+            attempts = 0;
+            connect();
+        };
+
+        connect();
+        window.addEventListener('online', handleOnline);
+        return () => {
+            stopped = true;
+            clearTimeout(reconnectTimer);
+            window.removeEventListener('online', handleOnline);
+            ws.current?.close();
             ws.current = null;
-        }
-    }, [currentUser]);
+            resumeFrom.current = {}; // The next user starts from scratch
+        };
+    }, [userId]);
 
+    // Returns whether the message went out, so callers can fall back to the REST API
     const sendMessage = useCallback((message) => {
         if (ws.current && ws.current.readyState === WebSocket.OPEN) {
             ws.current.send(message);
+            return true;
         }
+        return false;
     }, []);
 
     return (
-        <WebSocketContext.Provider value={{ lastMessage, sendMessage }}>
+        <WebSocketContext.Provider value={{ lastMessage, sendMessage, connected }}>
             {children}
         </WebSocketContext.Provider>
     );
@@ -157,33 +293,36 @@ export const NotificationProvider = ({ children }) => {
     const [notifications, setNotifications] = useState([]);
     const [unreadCount, setUnreadCount] = useState(0);
 
-    useEffect(() => {
-        if (currentUser) {
-            const fetchNotifications = async () => {
-                try {
-                    const { data } = await api.get('/api/notifications');
-                    setNotifications(data);
-                    setUnreadCount(data.filter(n => !n.isRead).length);
-                } catch (error) {
-                    console.error("Failed to fetch notifications");
-                }
-            };
-            fetchNotifications();
+    const fetchNotifications = useCallback(async () => {
+        try {
+            const { data } = await api.get('/api/notifications');
+            setNotifications(data);
+            setUnreadCount(data.filter(n => !n.isRead).length);
+        } catch (error) {
+            console.error("Failed to fetch notifications");
         }
-    }, [currentUser]);
+    }, []);
+
+    useEffect(() => {
+        if (currentUser) fetchNotifications();
+    }, [currentUser, fetchNotifications]);
 
     useEffect(() => {
         if (lastMessage) {
             const data = JSON.parse(lastMessage);
+            // What was missed while offline gets one toast once it has all arrived
             if (data.type === 'newNotification') {
-                toast.success('You have a new notification!');
+                if (!data.replayed) toast.success('You have a new notification!');
                 setNotifications(prev => [data.payload, ...prev]);
                 setUnreadCount(prev => prev + 1);
-            } else if (data.type === 'newMessage' && !window.location.pathname.includes('/messages/')) {
+            } else if (data.type === 'newMessage' && !data.replayed && !window.location.pathname.includes('/messages/')) {
                 toast.success('You have a new message!');
+            } else if (data.type === 'ready') {
+                if (!data.payload.complete) fetchNotifications();
+                if (data.payload.replayed) toast.success(`Back online: ${data.payload.replayed} update${data.payload.replayed === 1 ? '' : 's'} while you were away.`);
             }
         }
-    }, [lastMessage]);
+    }, [lastMessage, fetchNotifications]);
 
     const markAllAsRead = async () => {
         try {
@@ -202,27 +341,30 @@ export const NotificationProvider = ({ children }) => {
     );
 };
 
+// The filters before the user touches anything; the price slider's ends mean "no limit"
+const DEFAULT_FILTERS = {
+    city: 'All',
+    minPrice: '0',
+    maxPrice: '100000',
+    bedrooms: 'Any',
+    propertyType: 'All',
+    moveIn: '',
+    campus: '',
+    radius: '2',
+    sort: '',
+    amenities: [],
+    amenitiesMatch: 'all',
+    verified: '',
+    bbox: '',
+    lat: null,
+    lng: null,
+};
+
 export const FilterProvider = ({ children }) => {
-    const [filters, setFilters] = useState({
-        city: 'All',
-        minPrice: '0',
-        maxPrice: '100000',
-        bedrooms: 'Any',
-        propertyType: 'All',
-        lat: null,
-        lng: null,
-    });
+    const [filters, setFilters] = useState(DEFAULT_FILTERS);
 
     const resetFilters = () => {
-        setFilters({
-            city: 'All',
-            minPrice: '0',
-            maxPrice: '100000',
-            bedrooms: 'Any',
-            propertyType: 'All',
-            lat: null,
-            lng: null,
-        });
+        setFilters(DEFAULT_FILTERS);
     };
 
     return (
@@ -291,6 +433,9 @@ const Sidebar = () => {
         currentUser.userType === 'landlord' 
             ? { icon: List, label: "My Properties", path: "/my-properties" }
             : { icon: Heart, label: "My Favorites", path: "/favorites" },
+        ...(currentUser.userType === 'student'
+            ? [{ icon: Users, label: "Find Roommates", path: "/roommates" }]
+            : []),
         { icon: User, label: "Profile", path: "/profile"},
     ];
 
@@ -356,6 +501,7 @@ const Header = () => {
         if (location.pathname.startsWith('/messages')) return 'Your Messages';
         if (location.pathname.startsWith('/my-properties')) return 'My Properties';
         if (location.pathname.startsWith('/favorites')) return 'My Favorites';
+        if (location.pathname.startsWith('/roommates')) return 'Find Roommates';
         switch (location.pathname) {
             case '/': return 'Dashboard';
             case '/properties': return 'All Properties';
@@ -420,6 +566,88 @@ const StarRating = ({ rating }) => {
     );
 };
 
+// Badge text and colour describing whether a listing can still be rented, and from when.
+// Listings created before units existed count as one free unit.
+const getAvailability = (property) => {
+    const totalUnits = property.totalUnits ?? 1;
+    const freeUnits = Math.max(0, totalUnits - (property.occupiedUnits ?? 0));
+    if (freeUnits === 0) return { label: 'Let', className: 'bg-red-600/80', isLet: true };
+
+    const unitsLabel = totalUnits > 1 ? `${freeUnits} of ${totalUnits} rooms free` : null;
+    const availableFrom = property.availableFrom ? new Date(property.availableFrom) : null;
+    if (availableFrom && availableFrom > new Date()) {
+        return { label: [`From ${availableFrom.toLocaleDateString()}`, unitsLabel].filter(Boolean).join(' · '), className: 'bg-amber-600/80' };
+    }
+    return { label: unitsLabel || 'Available now', className: 'bg-green-600/80' };
+};
+
+const AvailabilityBadge = ({ property, className = '' }) => {
+    const { label, className: colour } = getAvailability(property);
+    return <span className={`${colour} backdrop-blur-sm rounded-full px-3 py-1 text-xs font-semibold text-white ${className}`}>{label}</span>;
+};
+
+// The amenity catalogue rarely changes, so it is fetched once and shared by every component that needs it
+let amenityCatalogueCache = null;
+const useAmenityCatalogue = () => {
+    const [catalogue, setCatalogue] = useState(amenityCatalogueCache || []);
+    useEffect(() => {
+        if (amenityCatalogueCache) return;
+        api.get('/api/properties/amenities')
+            .then(({ data }) => {
+                amenityCatalogueCache = data;
+                setCatalogue(data);
+            })
+            .catch(() => console.error("Could not fetch amenities"));
+    }, []);
+    return catalogue;
+};
+
+const AmenityCheckboxes = ({ selected, onChange }) => {
+    const catalogue = useAmenityCatalogue();
+    const toggle = (key) => onChange(selected.includes(key) ? selected.filter(k => k !== key) : [...selected, key]);
+    return (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            {catalogue.map(({ key, label }) => (
+                <label key={key} className="flex items-center gap-2 text-sm text-slate-300">
+                    <input type="checkbox" checked={selected.includes(key)} onChange={() => toggle(key)} className="h-4 w-4 rounded border-slate-600 bg-slate-900 text-indigo-600" />
+                    {label}
+                </label>
+            ))}
+        </div>
+    );
+};
+
+const AmenityList = ({ property }) => {
+    const catalogue = useAmenityCatalogue();
+    const labels = [
+        ...(property.amenities || []).map(key => catalogue.find(a => a.key === key)?.label || key),
+        ...(property.extraAmenities || []),
+    ];
+    if (labels.length === 0) return null;
+    return (
+        <div className="mb-8">
+            <h3 className="text-2xl font-bold text-white mb-3">Amenities</h3>
+            <div className="flex flex-wrap gap-3">
+                {labels.map(label => <span key={label} className="px-4 py-2 bg-slate-700 text-indigo-300 rounded-full text-sm font-medium">{label}</span>)}
+            </div>
+        </div>
+    );
+};
+
+// Renders a search snippet from the API, highlighting the [start, end) ranges of the matched words
+const SearchSnippet = ({ snippet, className = 'text-slate-400 text-sm -mt-2 mb-4 line-clamp-3' }) => {
+    if (!snippet) return null;
+    const parts = [];
+    let position = 0;
+    snippet.matches.forEach(([start, end], i) => {
+        if (start > position) parts.push(snippet.text.slice(position, start));
+        parts.push(<mark key={i} className="bg-amber-400/30 text-amber-200 rounded px-0.5">{snippet.text.slice(start, end)}</mark>);
+        position = end;
+    });
+    parts.push(snippet.text.slice(position));
+    return <p className={className}>{parts}</p>;
+};
+
 const PropertyCard = ({ property, isFavorite, onToggleFavorite, onEdit, onDelete }) => {
     const { currentUser } = useAuth();
     return (
@@ -427,6 +655,7 @@ const PropertyCard = ({ property, isFavorite, onToggleFavorite, onEdit, onDelete
             <Link to={`/properties/${property._id}`} className="block">
                 <div className="overflow-hidden h-48 relative">
                     <img src={property.image_url || 'https://placehold.co/400x300/1e293b/94a3b8?text=No+Image'} alt={property.title} className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-300"/>
+                    <AvailabilityBadge property={property} className="absolute top-2 right-2" />
                     {property.averageRating > 0 && (
                         <div className="absolute bottom-2 left-2 bg-black/60 backdrop-blur-sm rounded-full px-3 py-1 text-sm text-white flex items-center gap-1">
                             <Star size={14} className="text-amber-400 fill-amber-400" />
@@ -437,7 +666,12 @@ const PropertyCard = ({ property, isFavorite, onToggleFavorite, onEdit, onDelete
             </Link>
             <div className="p-5 flex flex-col flex-1">
                 <h3 className="text-lg font-bold text-white mb-2 truncate">{property.title}</h3>
+                <VerifiedBadges property={property} className="mb-2" />
                 <p className="text-slate-400 text-sm mb-4 flex items-center gap-2 flex-grow"><MapPin size={16} />{property.address}, {property.city}</p>
+                <SearchSnippet snippet={property.snippet} />
+                {property.distanceKm !== undefined && (
+                    <p className="text-emerald-400 text-sm -mt-2 mb-4 flex items-center gap-2"><Compass size={16} />{property.distanceKm < 1 ? `${Math.round(property.distanceKm * 1000)} m` : `${property.distanceKm.toFixed(1)} km`} away</p>
+                )}
                 <div className="flex justify-between items-center mt-auto">
                     <p className="text-indigo-400 text-xl font-bold">₹{property.price.toLocaleString()}<span className="text-xs text-slate-400 font-normal">/mo</span></p>
                     <div className="flex items-center gap-3">
@@ -462,9 +696,70 @@ const PropertyCard = ({ property, isFavorite, onToggleFavorite, onEdit, onDelete
 };
 
 
+// The criteria a saved search keeps; location filters aren't part of it. Prices left at the
+// slider's defaults are no limit the user chose, so they aren't saved.
+const savedSearchCriteria = (filters, searchTerm) => ({
+    search: searchTerm,
+    city: filters.city,
+    minPrice: filters.minPrice === DEFAULT_FILTERS.minPrice ? '' : filters.minPrice,
+    maxPrice: filters.maxPrice === DEFAULT_FILTERS.maxPrice ? '' : filters.maxPrice,
+    bedrooms: filters.bedrooms,
+    propertyType: filters.propertyType,
+});
+
+const SaveSearchButton = () => {
+    const { currentUser } = useAuth();
+    const { searchTerm } = useSearch();
+    const { filters } = useFilters();
+    const [showForm, setShowForm] = useState(false);
+    const [name, setName] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    if (currentUser?.userType !== 'student') return null;
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            await api.post('/api/saved-searches', { name, criteria: savedSearchCriteria(filters, searchTerm) });
+            toast.success("Search saved! We'll notify you about new matching listings.");
+            setShowForm(false);
+            setName('');
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to save search.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setShowForm(!showForm)}
+                className="flex items-center gap-2 text-white bg-slate-800/50 px-4 py-2 rounded-lg border border-slate-700 hover:bg-slate-700"
+            >
+                <Bookmark size={20} />
+                <span>Save Search</span>
+            </button>
+            {showForm && (
+                <form onSubmit={handleSave} className="absolute z-20 mt-2 w-72 bg-slate-800 border border-slate-700 rounded-lg p-4 shadow-xl space-y-3">
+                    <label className="block text-sm font-medium text-slate-300">Name this search</label>
+                    <input value={name} onChange={e => setName(e.target.value)} required maxLength={80} placeholder="e.g., 2BHK near campus" className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white" />
+                    <p className="text-xs text-slate-400">Saves the current text, city, price, bedroom and type filters.</p>
+                    <button type="submit" disabled={saving} className="w-full bg-indigo-600 text-white font-bold py-2 rounded-lg hover:bg-indigo-500 disabled:bg-indigo-800">
+                        {saving ? 'Saving...' : 'Save'}
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+};
+
 const Filters = () => {
     const { filters, setFilters, resetFilters } = useFilters();
+    const { searchTerm } = useSearch();
     const [cities, setCities] = useState([]);
+    const [campuses, setCampuses] = useState([]);
     const [showFilters, setShowFilters] = useState(false);
     const [geoLoading, setGeoLoading] = useState(false);
 
@@ -478,16 +773,35 @@ const Filters = () => {
             }
         };
         fetchCities();
+
+        const fetchCampuses = async () => {
+            try {
+                const { data } = await api.get('/api/campuses');
+                setCampuses(data);
+            } catch (error) {
+                console.error("Could not fetch campuses");
+            }
+        };
+        fetchCampuses();
     }, []);
 
+    const isGeoSearch = Boolean(filters.lat || filters.campus);
+
     const handleFilterChange = (e) => {
-        setFilters(prev => ({ ...prev, [e.target.name]: e.target.value, lat: null, lng: null })); // Clear geo-filter
+        const { name, value } = e.target;
+        // A campus is a search area of its own, so it replaces a dragged map area
+        setFilters(prev => ({ ...prev, [name]: value, lat: null, lng: null, ...(name === 'campus' ? { bbox: '' } : {}) })); // Clear geo-filter
     };
     
     const handleButtonClick = (name, value) => {
         setFilters(prev => ({ ...prev, [name]: value, lat: null, lng: null })); // Clear geo-filter
     };
 
+    // Radius and sort order refine the current search instead of replacing it
+    const handleSearchOptionChange = (e) => {
+        setFilters(prev => ({ ...prev, [e.target.name]: e.target.value }));
+    };
+
     const handleNearMe = () => {
         if (!navigator.geolocation) {
             toast.error("Geolocation is not supported by your browser.");
@@ -530,12 +844,32 @@ const Filters = () => {
                     <Compass size={20} />
                     <span>{geoLoading ? "Finding..." : "Find Near Me"}</span>
                 </button>
+                <SaveSearchButton />
                 {filters.lat && (
                     <div className="flex items-center gap-2 text-green-400 bg-green-900/50 px-4 py-2 rounded-lg">
                         <span>Active: Near Me</span>
                         <button onClick={resetFilters} className="text-slate-400 hover:text-white">&times;</button>
                     </div>
                 )}
+                {filters.bbox && (
+                    <div className="flex items-center gap-2 text-green-400 bg-green-900/50 px-4 py-2 rounded-lg">
+                        <span>Active: Map Area</span>
+                        <button onClick={() => setFilters(prev => ({ ...prev, bbox: '' }))} className="text-slate-400 hover:text-white">&times;</button>
+                    </div>
+                )}
+                {isGeoSearch && (
+                    <select name="radius" value={filters.radius} onChange={handleSearchOptionChange} className="bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-white">
+                        {['1', '2', '5', '10', '25'].map(km => <option key={km} value={km}>Within {km} km</option>)}
+                    </select>
+                )}
+                <select name="sort" value={filters.sort} onChange={handleSearchOptionChange} className="ml-auto bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-white">
+                    {/* The default order is best match for a text search, nearest first around a point and newest otherwise */}
+                    <option value="">{searchTerm ? 'Best match' : isGeoSearch ? 'Nearest first' : 'Newest first'}</option>
+                    {searchTerm && isGeoSearch && <option value="distance">Nearest first</option>}
+                    {(searchTerm || isGeoSearch) && <option value="newest">Newest first</option>}
+                    <option value="price_asc">Price: low to high</option>
+                    <option value="price_desc">Price: high to low</option>
+                </select>
             </div>
             
             {showFilters && (
@@ -553,6 +887,27 @@ const Filters = () => {
                             <input type="range" name="maxPrice" min="50000" max="100000" step="1000" value={filters.maxPrice} onChange={handleFilterChange} className="w-1/2"/>
                         </div>
                     </div>
+                    {campuses.length > 0 && (
+                        <div>
+                            <label className="block text-sm font-medium text-slate-300 mb-1">Near Campus</label>
+                            <select name="campus" value={filters.campus} onChange={handleFilterChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5">
+                                <option value="">Any location</option>
+                                {campuses.map(c => <option key={c._id} value={c._id}>{c.name} ({c.city})</option>)}
+                            </select>
+                        </div>
+                    )}
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Move-in Date</label>
+                        <input type="date" name="moveIn" value={filters.moveIn} onChange={handleFilterChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2 text-white"/>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-slate-300 mb-1">Verification</label>
+                        <select name="verified" value={filters.verified} onChange={handleFilterChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5">
+                            <option value="">All listings</option>
+                            <option value="landlord">Verified landlords only</option>
+                            <option value="listing">Verified listings only</option>
+                        </select>
+                    </div>
                     <div className="flex items-end">
                         <button onClick={resetFilters} className="w-full bg-slate-600 text-white font-bold py-2.5 rounded-lg hover:bg-slate-500">Reset Filters</button>
                     </div>
@@ -572,6 +927,18 @@ const Filters = () => {
                             ))}
                         </div>
                     </div>
+                    <div className="md:col-span-2 lg:col-span-4">
+                        <div className="flex items-center justify-between mb-2">
+                            <label className="block text-sm font-medium text-slate-300">Amenities</label>
+                            {filters.amenities.length > 1 && (
+                                <select value={filters.amenitiesMatch} onChange={e => handleButtonClick('amenitiesMatch', e.target.value)} className="bg-slate-900 border border-slate-600 rounded-lg px-2 py-1 text-sm text-white">
+                                    <option value="all">Must have all</option>
+                                    <option value="any">Any of them</option>
+                                </select>
+                            )}
+                        </div>
+                        <AmenityCheckboxes selected={filters.amenities} onChange={value => handleButtonClick('amenities', value)} />
+                    </div>
                  </div>
             )}
         </div>
@@ -622,142 +989,2397 @@ const ReviewSummary = ({ propertyId }) => {
     );
 };
 
+// --- APPLICATION COMPONENTS ---
+const APPLICATION_STATUS_STYLES = {
+    forming: 'bg-violet-900/30 text-violet-300 border-violet-700',
+    pending: 'bg-orange-900/30 text-orange-300 border-orange-700',
+    shortlisted: 'bg-sky-900/30 text-sky-300 border-sky-700',
+    offered: 'bg-indigo-900/30 text-indigo-300 border-indigo-700',
+    accepted: 'bg-green-900/30 text-green-300 border-green-700',
+    lease_signed: 'bg-emerald-900/30 text-emerald-300 border-emerald-700',
+    declined: 'bg-red-900/30 text-red-300 border-red-700',
+    rejected: 'bg-red-900/30 text-red-300 border-red-700',
+    withdrawn: 'bg-slate-700/30 text-slate-300 border-slate-600',
+    expired: 'bg-slate-700/30 text-slate-300 border-slate-600',
+};
 
-// --- PAGE COMPONENTS (VIEWS) ---
-
-const DashboardView = () => {
-    const { currentUser } = useAuth();
+// Button label for moving an application *to* each status
+const APPLICATION_ACTION_LABELS = {
+    shortlisted: 'Shortlist',
+    offered: 'Make Offer',
+    rejected: 'Reject',
+    withdrawn: 'Withdraw',
+    accepted: 'Accept Offer',
+    declined: 'Decline Offer',
+    lease_signed: 'Mark Lease Signed',
+};
+const DESTRUCTIVE_APPLICATION_ACTIONS = ['rejected', 'withdrawn', 'declined'];
 
-    const navigate = useNavigate();
-    
-    useEffect(() => {
-        if (currentUser?.userType === 'admin') {
-            navigate('/admin');
-        }
-    }, [currentUser, navigate]);
+const ApplicationStatusBadge = ({ status }) => (
+    <span className={`px-4 py-2 rounded-full text-sm font-bold capitalize border ${APPLICATION_STATUS_STYLES[status] || APPLICATION_STATUS_STYLES.pending}`}>
+        {status.replace('_', ' ')}
+    </span>
+);
 
-    // Landlord state
-    const [stats, setStats] = useState(null);
-    // Student state
-    const [featured, setFeatured] = useState([]);
-    const [favorites, setFavorites] = useState([]);
+const ApplicationHistory = ({ history = [] }) => (
+    <ol className="mt-3 space-y-1 border-l border-slate-700 pl-4">
+        {history.map((entry, index) => (
+            <li key={entry._id || index} className="text-xs text-slate-400">
+                <span className="capitalize text-slate-300">{entry.to.replace('_', ' ')}</span>
+                {' '}by {entry.actor_role} on {new Date(entry.at).toLocaleString()}
+                {entry.note && <span className="italic"> — "{entry.note}"</span>}
+            </li>
+        ))}
+    </ol>
+);
 
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState('');
+const MEMBER_STATUS_STYLES = {
+    invited: 'text-orange-300',
+    accepted: 'text-green-300',
+    declined: 'text-red-300 line-through',
+};
 
-    useEffect(() => {
-        const fetchData = async () => {
-            setLoading(true);
-            try {
-                if (currentUser && currentUser.userType === 'landlord') {
-                    const { data } = await api.get('/api/dashboard/stats');
-                    setStats(data);
-                } else if (currentUser && currentUser.userType === 'student') {
-                    const [featuredRes, favoritesRes] = await Promise.all([
-                        api.get('/api/properties/featured?limit=3'),
-                        api.get('/api/favorites?limit=3')
-                    ]);
-                    setFeatured(featuredRes.data);
-                    setFavorites(favoritesRes.data);
-                }
-                setError('');
-            } catch (err) {
-                if (err.response?.status !== 401 && err.response?.status !== 403) {
-                    setError('Failed to load dashboard data. Please try again later.');
-                }
-                console.error(err);
-            } finally {
-                setLoading(false);
-            }
-        };
-        fetchData();
-    }, [currentUser]);
+// The students of a group application: the lead first, then everyone they invited
+const GroupMembers = ({ application }) => {
+    if (!application.members?.length) return null;
+    return (
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+            <Users size={16} className="text-slate-400" />
+            <span className="text-slate-300">{application.student_id?.username || 'Deleted User'} <span className="text-slate-500">(lead)</span></span>
+            {application.members.map(member => (
+                <span key={member.student_id?._id || member._id} className={MEMBER_STATUS_STYLES[member.status]} title={member.status}>
+                    • {member.student_id?.username || 'Deleted User'}
+                </span>
+            ))}
+        </div>
+    );
+};
 
+// Join or turn down an invitation to someone else's group application
+const GroupInvitationActions = ({ application, onUpdated }) => {
+    const [updating, setUpdating] = useState(false);
 
-    if (loading) return <div className="text-center text-slate-400">Loading dashboard...</div>;
-    if (error) return <div className="text-center text-red-400">{error}</div>;
+    const respond = async (accept) => {
+        setUpdating(true);
+        try {
+            await api.post(`/api/applications/${application._id}/invitation`, { accept });
+            toast.success(accept ? 'You joined the group!' : 'Invitation declined.');
+            onUpdated();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to answer the invitation.');
+        } finally {
+            setUpdating(false);
+        }
+    };
 
-    // --- LANDLORD VIEW ---
-    if (currentUser.userType === 'landlord' && stats) {
-        const propertyViewsData = stats.properties?.map(p => ({
-            name: p.title.substring(0, 15) + (p.title.length > 15 ? '...' : ''),
-            Views: p.view_count,
-        })) || [];
-        
-        const favoritesData = [{ 
-            name: 'Favorites', 
-            value: stats.summary?.totalFavorites || 0,
-            fill: '#f43f5e'
-        }];
+    if (application.status !== 'forming' || application.invitationStatus !== 'invited') return null;
 
-        return (
-            <div className="space-y-8">
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-                    <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700 flex items-center gap-4"><div className="p-3 bg-indigo-600/20 rounded-lg"><Building size={28} className="text-indigo-400" /></div><div><p className="text-3xl font-bold text-white">{stats.summary.totalProperties}</p><p className="text-slate-400">Total Properties</p></div></div>
-                    <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700 flex items-center gap-4"><div className="p-3 bg-sky-600/20 rounded-lg"><Search size={28} className="text-sky-400" /></div><div><p className="text-3xl font-bold text-white">{stats.summary.totalViews}</p><p className="text-slate-400">Total Views</p></div></div>
-                    <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700 flex items-center gap-4"><div className="p-3 bg-rose-600/20 rounded-lg"><Heart size={28} className="text-rose-400" /></div><div><p className="text-3xl font-bold text-white">{stats.summary.totalFavorites}</p><p className="text-slate-400">Total Favorites</p></div></div>
-                    <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700 flex items-center gap-4"><div className="p-3 bg-emerald-600/20 rounded-lg"><MessageSquare size={28} className="text-emerald-400" /></div><div><p className="text-3xl font-bold text-white">{stats.summary.totalConversations}</p><p className="text-slate-400">Conversations</p></div></div>
-                </div>
-                <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
-                    <div className="lg:col-span-2 bg-slate-800/50 p-6 rounded-2xl border border-slate-700"><h2 className="text-xl font-bold text-white mb-4">Property Views Analytics</h2>{propertyViewsData.length > 0 ? (<ResponsiveContainer width="100%" height={250}><BarChart data={propertyViewsData} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}><CartesianGrid strokeDasharray="3 3" stroke="#374151" /><XAxis dataKey="name" stroke="#9ca3af" /><YAxis stroke="#9ca3af" /><Tooltip contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #374151' }} cursor={{ fill: 'rgba(129, 140, 248, 0.1)' }}/><Bar dataKey="Views" fill="#818cf8" /></BarChart></ResponsiveContainer>) : (<div className="h-[250px] flex items-center justify-center text-slate-500">Add a property to see view analytics.</div>)}</div>
-                    <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700 flex flex-col items-center justify-center"><h2 className="text-xl font-bold text-white mb-4">Total Favorites</h2><ResponsiveContainer width="100%" height={250}><RadialBarChart innerRadius="70%" outerRadius="90%" data={favoritesData} startAngle={90} endAngle={-270} barSize={30}><RadialBar minAngle={15} dataKey='value' cornerRadius={15} /><text x="50%" y="50%" textAnchor="middle" dominantBaseline="middle" className="text-4xl font-bold fill-white">{stats.summary.totalFavorites}</text></RadialBarChart></ResponsiveContainer></div>
-                </div>
-            </div>
-        );
-    }
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <span className="text-sm text-slate-300">{application.student_id?.username} invited you to apply together.</span>
+            <button onClick={() => respond(true)} disabled={updating} className="px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">Join Group</button>
+            <button onClick={() => respond(false)} disabled={updating} className="px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-slate-600 hover:bg-red-600 disabled:opacity-50">Decline</button>
+        </div>
+    );
+};
 
-    // --- STUDENT VIEW ---
-    if (currentUser.userType === 'student') {
-        return (
-            <div className="space-y-10">
-                <div className="bg-slate-800/50 p-8 rounded-2xl border border-slate-700">
-                    <h1 className="text-3xl font-bold text-white mb-2">Welcome back, {currentUser.username}!</h1>
-                    <p className="text-slate-300 text-lg">Let's find your next place. Start by searching or check out some popular listings.</p>
-                </div>
+// The buttons for every status the current user may move this application to.
+// `application.nextStatuses` comes from the backend, which owns the state machine.
+const ApplicationActions = ({ application, onUpdated }) => {
+    const [updating, setUpdating] = useState(false);
 
-                <div>
-                    <div className="flex justify-between items-center mb-4">
-                        <h2 className="text-2xl font-bold text-white flex items-center gap-2"><Star className="text-amber-400"/> Featured Properties</h2>
-                        <Link to="/properties" className="text-indigo-400 hover:text-indigo-300 font-semibold transition">View All &rarr;</Link>
-                    </div>
-                    {featured.length > 0 ? (
-                        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
-                            {featured.map(prop => <PropertyCard key={prop._id} property={prop} />)}
-                        </div>
-                    ) : (
-                         <div className="text-center py-10 text-slate-500">No featured properties available right now.</div>
-                    )}
-                </div>
+    const handleTransition = async (status) => {
+        if (DESTRUCTIVE_APPLICATION_ACTIONS.includes(status) && !window.confirm(`Are you sure you want to ${APPLICATION_ACTION_LABELS[status].toLowerCase()}?`)) return;
+        setUpdating(true);
+        try {
+            await api.post(`/api/applications/${application._id}/status`, { status });
+            toast.success('Application updated!');
+            onUpdated();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to update application.');
+        } finally {
+            setUpdating(false);
+        }
+    };
 
-                <div>
-                    <div className="flex justify-between items-center mb-4">
-                        <h2 className="text-2xl font-bold text-white flex items-center gap-2"><Heart className="text-rose-500"/> Your Recent Favorites</h2>
-                         <Link to="/favorites" className="text-indigo-400 hover:text-indigo-300 font-semibold transition">View All &rarr;</Link>
-                    </div>
-                    {favorites.length > 0 ? (
-                        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
-                            {favorites.map(prop => <PropertyCard key={prop._id} property={prop} />)}
-                        </div>
-                    ) : (
-                         <div className="text-center py-10 text-slate-500">You haven't favorited any properties yet. Click the heart icon on a listing to save it!</div>
-                    )}
-                </div>
-            </div>
-        );
-    }
+    if (!application.nextStatuses?.length) return null;
 
-    return null;
+    return (
+        <div className="flex flex-wrap gap-2">
+            {application.nextStatuses.map(status => (
+                <button
+                    key={status}
+                    onClick={() => handleTransition(status)}
+                    disabled={updating}
+                    className={`px-3 py-1.5 rounded-lg text-sm font-semibold text-white disabled:opacity-50 ${DESTRUCTIVE_APPLICATION_ACTIONS.includes(status) ? 'bg-slate-600 hover:bg-red-600' : 'bg-indigo-600 hover:bg-indigo-500'}`}
+                >
+                    {APPLICATION_ACTION_LABELS[status]}
+                </button>
+            ))}
+        </div>
+    );
 };
 
-const PropertiesView = () => {
-    const { currentUser } = useAuth();
+const LandlordApplications = () => {
+    const [applications, setApplications] = useState([]);
+    const [expandedId, setExpandedId] = useState(null);
+
+    const fetchApplications = useCallback(async () => {
+        try {
+            const { data } = await api.get('/api/applications/landlord');
+            setApplications(data);
+        } catch (err) {
+            console.error("Failed to fetch applications", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchApplications();
+    }, [fetchApplications]);
+
+    return (
+        <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700">
+            <h2 className="text-xl font-bold text-white mb-4">Applications</h2>
+            {applications.length === 0 ? (
+                <div className="text-slate-500">No applications yet.</div>
+            ) : (
+                <div className="space-y-4">
+                    {applications.map(app => (
+                        <div key={app._id} className="bg-slate-900/50 p-4 rounded-xl border border-slate-700">
+                            <div className="flex flex-col md:flex-row justify-between md:items-center gap-4">
+                                <div className="flex items-center gap-3">
+                                    <img className="h-10 w-10 rounded-full object-cover" src={app.student_id?.profilePictureUrl || `https://placehold.co/100x100/1e293b/a78bfa?text=${(app.student_id?.username || 'U').charAt(0).toUpperCase()}`} alt="Student" />
+                                    <div>
+                                        <h3 className="font-bold text-white">
+                                            {app.student_id?.username || 'Deleted User'}
+                                            {app.members?.length > 0 && <span className="font-normal text-slate-400"> + {app.members.length} (group of {app.members.length + 1})</span>}
+                                            {' '}<span className="font-normal text-slate-400">for</span> {app.property_id?.title || 'Property Deleted'}
+                                        </h3>
+                                        <p className="text-sm text-slate-400">Applied: {new Date(app.createdAt).toLocaleDateString()}</p>
+                                    </div>
+                                </div>
+                                <ApplicationStatusBadge status={app.status} />
+                            </div>
+                            <GroupMembers application={app} />
+                            {app.message && <p className="text-slate-400 text-sm mt-2 italic">"{app.message}"</p>}
+                            <div className="flex flex-wrap justify-between items-center gap-2 mt-3">
+                                <div className="flex flex-wrap items-center gap-2">
+                                    <ApplicationActions application={app} onUpdated={fetchApplications} />
+                                    {app.status === 'accepted' && !app.lease?.signatureCount && (
+                                        <PrepareLeaseForm application={app} onCreated={fetchApplications} />
+                                    )}
+                                    {['accepted', 'lease_signed'].includes(app.status) && !app.tenancy_id && (
+                                        <StartTenancyForm application={app} onCreated={fetchApplications} />
+                                    )}
+                                </div>
+                                <button onClick={() => setExpandedId(expandedId === app._id ? null : app._id)} className="text-sm text-indigo-400 hover:underline">
+                                    {expandedId === app._id ? 'Hide history' : 'Show history'}
+                                </button>
+                            </div>
+                            {expandedId === app._id && <ApplicationHistory history={app.history} />}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- VIEWING COMPONENTS ---
+const formatViewingTime = (date) => new Date(date).toLocaleString([], { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+const formatViewingHour = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// File endpoints (calendars, receipts) need the auth header, so the file is fetched and handed to the browser as a download
+const downloadFile = async (url, filename) => {
+    try {
+        const { data } = await api.get(url, { responseType: 'blob' });
+        const href = URL.createObjectURL(data);
+        const link = document.createElement('a');
+        link.href = href;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(href);
+    } catch (err) {
+        toast.error('Could not download the file.');
+    }
+};
+
+const VIEWING_DURATIONS = [15, 30, 45, 60, 90];
+
+// Viewing slots on the property page: the owner publishes and cancels them, students book a place.
+const ViewingSlots = ({ property }) => {
+    const { currentUser } = useAuth();
+    const [slots, setSlots] = useState([]);
+    const [form, setForm] = useState({ start: '', duration: '30', capacity: '1' });
+    const [busyId, setBusyId] = useState(null);
+    const isOwner = currentUser?.userType === 'landlord' && currentUser.uid === property.landlord_id;
+
+    const fetchSlots = useCallback(async () => {
+        try {
+            const { data } = await api.get(`/api/properties/${property._id}/viewing-slots`);
+            setSlots(data);
+        } catch (err) {
+            console.error("Failed to fetch viewing slots", err);
+        }
+    }, [property._id]);
+
+    useEffect(() => {
+        if (currentUser) fetchSlots();
+    }, [currentUser, fetchSlots]);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const start = new Date(form.start);
+        const end = new Date(start.getTime() + Number(form.duration) * 60 * 1000);
+        setBusyId('new');
+        try {
+            await api.post(`/api/properties/${property._id}/viewing-slots`, { start: start.toISOString(), end: end.toISOString(), capacity: form.capacity });
+            toast.success('Viewing slot published!');
+            setForm({ ...form, start: '' });
+            fetchSlots();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to publish slot.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const runAction = async (id, request, successMessage) => {
+        setBusyId(id);
+        try {
+            await request();
+            toast.success(successMessage);
+            fetchSlots();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Something went wrong.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleCancelSlot = (slot) => {
+        const warning = slot.bookings?.length ? ` ${slot.bookings.length} booked student(s) will be notified.` : '';
+        if (!window.confirm(`Cancel this viewing slot?${warning}`)) return;
+        runAction(slot._id, () => api.delete(`/api/viewing-slots/${slot._id}`), 'Viewing slot cancelled.');
+    };
+
+    if (!currentUser || (!isOwner && currentUser.userType !== 'student')) return null;
+    if (!isOwner && slots.length === 0) return null;
+
+    return (
+        <div className="bg-slate-800/50 p-8 rounded-2xl border border-slate-700 max-w-6xl mx-auto">
+            <h2 className="text-2xl font-bold text-white mb-6 flex items-center gap-2"><CalendarDays className="text-indigo-400" /> Viewings</h2>
+
+            {isOwner && (
+                <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-3 mb-6">
+                    <div>
+                        <label className="block text-sm text-slate-400 mb-1">Start</label>
+                        <input type="datetime-local" required value={form.start} onChange={(e) => setForm({ ...form, start: e.target.value })} className="bg-slate-900 border border-slate-600 rounded-lg p-2 text-white" />
+                    </div>
+                    <div>
+                        <label className="block text-sm text-slate-400 mb-1">Duration</label>
+                        <select value={form.duration} onChange={(e) => setForm({ ...form, duration: e.target.value })} className="bg-slate-900 border border-slate-600 rounded-lg p-2 text-white">
+                            {VIEWING_DURATIONS.map(minutes => <option key={minutes} value={minutes}>{minutes} min</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm text-slate-400 mb-1">Places</label>
+                        <input type="number" min="1" max="20" value={form.capacity} onChange={(e) => setForm({ ...form, capacity: e.target.value })} className="w-20 bg-slate-900 border border-slate-600 rounded-lg p-2 text-white" />
+                    </div>
+                    <button type="submit" disabled={busyId === 'new'} className="bg-indigo-600 hover:bg-indigo-500 text-white font-semibold py-2 px-4 rounded-lg disabled:opacity-50">Add Slot</button>
+                </form>
+            )}
+
+            {slots.length === 0 ? (
+                <p className="text-slate-400">No upcoming viewing slots. Add one so students can book a visit.</p>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    {slots.map(slot => (
+                        <div key={slot._id} className="bg-slate-900/50 p-4 rounded-xl border border-slate-700">
+                            <div className="flex justify-between items-center gap-3">
+                                <div>
+                                    <p className="font-semibold text-white flex items-center gap-2"><Clock size={16} className="text-slate-400" />{formatViewingTime(slot.start)} – {formatViewingHour(slot.end)}</p>
+                                    <p className="text-sm text-slate-400">{slot.spotsLeft} of {slot.capacity} place(s) left</p>
+                                </div>
+                                {isOwner ? (
+                                    <button onClick={() => handleCancelSlot(slot)} disabled={busyId === slot._id} className="text-sm text-red-400 hover:underline disabled:opacity-50">Cancel slot</button>
+                                ) : slot.myViewingId ? (
+                                    <button onClick={() => runAction(slot._id, () => api.post(`/api/viewings/${slot.myViewingId}/cancel`), 'Viewing cancelled.')} disabled={busyId === slot._id} className="px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-slate-600 hover:bg-red-600 disabled:opacity-50">Cancel booking</button>
+                                ) : (
+                                    <button onClick={() => runAction(slot._id, () => api.post(`/api/viewing-slots/${slot._id}/book`), 'Viewing booked!')} disabled={busyId === slot._id || slot.spotsLeft === 0} className="px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">{slot.spotsLeft === 0 ? 'Full' : 'Book'}</button>
+                                )}
+                            </div>
+                            {isOwner && slot.bookings?.length > 0 && (
+                                <p className="text-sm text-slate-300 mt-2">Booked: {slot.bookings.map(booking => booking.student_id?.username || 'Deleted User').join(', ')}</p>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// A student's booked viewings, on their profile
+const MyViewings = () => {
+    const [viewings, setViewings] = useState([]);
+
+    const fetchViewings = useCallback(async () => {
+        try {
+            const { data } = await api.get('/api/viewings');
+            setViewings(data);
+        } catch (err) {
+            console.error("Failed to fetch viewings", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchViewings();
+    }, [fetchViewings]);
+
+    const handleCancel = async (viewing) => {
+        if (!window.confirm('Cancel this viewing?')) return;
+        try {
+            await api.post(`/api/viewings/${viewing._id}/cancel`);
+            toast.success('Viewing cancelled.');
+            fetchViewings();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to cancel viewing.');
+        }
+    };
+
+    const booked = viewings.filter(viewing => viewing.status === 'booked');
+
+    return (
+        <div className="space-y-4">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold text-white">My Viewings</h2>
+                {booked.length > 0 && (
+                    <button onClick={() => downloadFile('/api/viewings/calendar.ics', 'housing-hub-viewings.ics')} className="flex items-center gap-2 text-sm text-indigo-400 hover:underline">
+                        <Download size={16} /> Export all (.ics)
+                    </button>
+                )}
+            </div>
+            {viewings.length === 0 ? (
+                <div className="p-8 text-center bg-slate-800/50 rounded-xl border border-slate-700 text-slate-400">
+                    You have no upcoming viewings. Book one from a property's page.
+                </div>
+            ) : (
+                viewings.map(viewing => (
+                    <div key={viewing._id} className={`bg-slate-800 p-4 rounded-xl border border-slate-700 flex flex-col md:flex-row justify-between md:items-center gap-3 ${viewing.status === 'cancelled' ? 'opacity-60' : ''}`}>
+                        <div>
+                            <Link to={`/properties/${viewing.property_id?._id}`} className="font-bold text-white text-lg hover:text-indigo-400">{viewing.property_id?.title || 'Property Deleted'}</Link>
+                            <p className="text-sm text-slate-400 flex items-center gap-2"><Clock size={14} />{formatViewingTime(viewing.start)} – {formatViewingHour(viewing.end)}</p>
+                            {viewing.property_id?.address && <p className="text-sm text-slate-500">{viewing.property_id.address}, {viewing.property_id.city}</p>}
+                        </div>
+                        {viewing.status === 'cancelled' ? (
+                            <span className="text-sm text-red-300">Cancelled{viewing.cancelledBy === 'landlord' ? ' by the landlord' : ''}</span>
+                        ) : (
+                            <div className="flex gap-3">
+                                <button onClick={() => downloadFile(`/api/viewings/${viewing._id}/ics`, `viewing-${viewing._id}.ics`)} className="flex items-center gap-1 text-sm text-indigo-400 hover:underline"><Download size={14} /> Add to calendar</button>
+                                <button onClick={() => handleCancel(viewing)} className="text-sm text-red-400 hover:underline">Cancel</button>
+                            </div>
+                        )}
+                    </div>
+                ))
+            )}
+        </div>
+    );
+};
+
+const startOfWeek = (date) => {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7)); // Weeks start on Monday
+    return start;
+};
+
+// Week-by-week calendar of the landlord's viewing slots and who booked them, on the dashboard
+const ViewingCalendar = () => {
+    const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+    const [slots, setSlots] = useState([]);
+
+    useEffect(() => {
+        const to = new Date(weekStart);
+        to.setDate(to.getDate() + 7);
+        api.get('/api/viewing-slots', { params: { from: weekStart.toISOString(), to: to.toISOString() } })
+            .then(res => setSlots(res.data))
+            .catch(err => console.error("Failed to fetch viewing slots", err));
+    }, [weekStart]);
+
+    const shiftWeek = (weeks) => {
+        const next = new Date(weekStart);
+        next.setDate(next.getDate() + weeks * 7);
+        setWeekStart(next);
+    };
+
+    const days = Array.from({ length: 7 }, (_, i) => {
+        const day = new Date(weekStart);
+        day.setDate(day.getDate() + i);
+        return day;
+    });
+    const today = new Date().toDateString();
+
+    return (
+        <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700">
+            <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+                <h2 className="text-xl font-bold text-white flex items-center gap-2"><CalendarDays className="text-indigo-400" /> Viewing Calendar</h2>
+                <div className="flex items-center gap-2">
+                    <button onClick={() => shiftWeek(-1)} className="p-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-white" aria-label="Previous week"><ChevronLeft size={18} /></button>
+                    <span className="text-sm text-slate-300 w-40 text-center">Week of {weekStart.toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' })}</span>
+                    <button onClick={() => shiftWeek(1)} className="p-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-white" aria-label="Next week"><ChevronRight size={18} /></button>
+                    <button onClick={() => downloadFile('/api/viewings/calendar.ics', 'housing-hub-viewings.ics')} className="ml-2 flex items-center gap-1 text-sm text-indigo-400 hover:underline"><Download size={16} /> Export .ics</button>
+                </div>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-7 gap-2">
+                {days.map(day => {
+                    const daySlots = slots.filter(slot => new Date(slot.start).toDateString() === day.toDateString());
+                    return (
+                        <div key={day.toISOString()} className={`min-h-[8rem] rounded-xl border p-2 ${day.toDateString() === today ? 'border-indigo-500 bg-indigo-900/10' : 'border-slate-700 bg-slate-900/50'}`}>
+                            <p className="text-xs font-semibold text-slate-400 mb-2">{day.toLocaleDateString([], { weekday: 'short', day: 'numeric' })}</p>
+                            <div className="space-y-2">
+                                {daySlots.map(slot => (
+                                    <Link key={slot._id} to={`/properties/${slot.property_id?._id}`} className={`block rounded-lg p-2 text-xs ${slot.bookings.length ? 'bg-indigo-600/30 text-indigo-100' : 'bg-slate-700/50 text-slate-300'}`}>
+                                        <p className="font-semibold">{formatViewingHour(slot.start)} – {formatViewingHour(slot.end)}</p>
+                                        <p className="truncate">{slot.property_id?.title || 'Property Deleted'}</p>
+                                        <p className="text-slate-400">
+                                            {slot.bookings.length
+                                                ? slot.bookings.map(booking => booking.student_id?.username || 'Deleted User').join(', ')
+                                                : 'No bookings yet'}
+                                        </p>
+                                    </Link>
+                                ))}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+// --- RENT COMPONENTS ---
+const RENT_STATUS_STYLES = {
+    due: 'bg-orange-900/30 text-orange-300 border-orange-700',
+    overdue: 'bg-red-900/30 text-red-300 border-red-700',
+    processing: 'bg-sky-900/30 text-sky-300 border-sky-700',
+    paid: 'bg-green-900/30 text-green-300 border-green-700',
+};
+
+const formatRentPeriod = (period) => new Date(`${period}-01T00:00:00`).toLocaleDateString([], { month: 'long', year: 'numeric' });
+
+// Landlord: start the tenancy of an accepted application, which creates the rent schedule
+const StartTenancyForm = ({ application, onCreated }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [terms, setTerms] = useState({ startDate: new Date().toISOString().slice(0, 10), months: '12', dueDay: '' });
+    const [saving, setSaving] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            await api.post(`/api/applications/${application._id}/tenancy`, terms);
+            toast.success('Tenancy started! The rent schedule has been created.');
+            setIsOpen(false);
+            onCreated();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to start tenancy.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!isOpen) {
+        return <button onClick={() => setIsOpen(true)} className="px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-500">Start Tenancy</button>;
+    }
+    return (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-2">
+            <div>
+                <label className="block text-xs text-slate-400 mb-1">Move-in date</label>
+                <input type="date" required value={terms.startDate} onChange={(e) => setTerms({ ...terms, startDate: e.target.value })} className="bg-slate-900 border border-slate-600 rounded-lg p-1.5 text-white text-sm" />
+            </div>
+            <div>
+                <label className="block text-xs text-slate-400 mb-1">Months</label>
+                <input type="number" min="1" max="36" required value={terms.months} onChange={(e) => setTerms({ ...terms, months: e.target.value })} className="w-20 bg-slate-900 border border-slate-600 rounded-lg p-1.5 text-white text-sm" />
+            </div>
+            <div>
+                <label className="block text-xs text-slate-400 mb-1">Rent due on day</label>
+                <input type="number" min="1" max="28" placeholder="Move-in day" value={terms.dueDay} onChange={(e) => setTerms({ ...terms, dueDay: e.target.value })} className="w-28 bg-slate-900 border border-slate-600 rounded-lg p-1.5 text-white text-sm" />
+            </div>
+            <button type="submit" disabled={saving} className="px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50">Create Schedule</button>
+            <button type="button" onClick={() => setIsOpen(false)} className="px-3 py-1.5 rounded-lg text-sm text-slate-300 hover:text-white">Cancel</button>
+        </form>
+    );
+};
+
+// The payments of one tenancy: landlords can record payments by hand, tenants pay and download receipts
+const RentPayments = ({ tenancy, onChanged }) => {
+    const { currentUser } = useAuth();
+    const [payments, setPayments] = useState([]);
+    const [busyId, setBusyId] = useState(null);
+    const isLandlord = currentUser.userType === 'landlord';
+
+    const fetchPayments = useCallback(async () => {
+        try {
+            const { data } = await api.get(`/api/tenancies/${tenancy._id}/payments`);
+            setPayments(data);
+        } catch (err) {
+            console.error("Failed to fetch rent payments", err);
+        }
+    }, [tenancy._id]);
+
+    useEffect(() => {
+        fetchPayments();
+    }, [fetchPayments]);
+
+    const runAction = async (payment, request, successMessage) => {
+        setBusyId(payment._id);
+        try {
+            await request();
+            toast.success(successMessage);
+            fetchPayments();
+            onChanged();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Something went wrong.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleMarkPaid = (payment) => {
+        const note = window.prompt(`Record ${payment.tenant_id?.username || 'the tenant'}'s rent for ${formatRentPeriod(payment.period)} as paid? Add a note (optional):`, '');
+        if (note === null) return;
+        runAction(payment, () => api.post(`/api/rent-payments/${payment._id}/mark-paid`, { note }), 'Payment recorded.');
+    };
+
+    const handlePay = (payment) => {
+        if (!window.confirm(`Pay ₹${payment.amount.toLocaleString()} rent for ${formatRentPeriod(payment.period)}?`)) return;
+        runAction(payment, () => api.post(`/api/rent-payments/${payment._id}/pay`), 'Rent paid!');
+    };
+
+    return (
+        <div className="overflow-x-auto mt-4">
+            <table className="w-full text-sm text-left">
+                <thead className="text-slate-400 border-b border-slate-700">
+                    <tr>
+                        <th className="py-2 pr-4">Month</th>
+                        {isLandlord && tenancy.tenant_ids?.length > 1 && <th className="py-2 pr-4">Tenant</th>}
+                        <th className="py-2 pr-4">Due</th>
+                        <th className="py-2 pr-4">Amount</th>
+                        <th className="py-2 pr-4">Status</th>
+                        <th className="py-2"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {payments.map(payment => (
+                        <tr key={payment._id} className="border-b border-slate-800 text-slate-300">
+                            <td className="py-2 pr-4">{formatRentPeriod(payment.period)}</td>
+                            {isLandlord && tenancy.tenant_ids?.length > 1 && <td className="py-2 pr-4">{payment.tenant_id?.username || 'Deleted User'}</td>}
+                            <td className="py-2 pr-4">{new Date(payment.dueDate).toLocaleDateString()}</td>
+                            <td className="py-2 pr-4">₹{payment.amount.toLocaleString()}</td>
+                            <td className="py-2 pr-4">
+                                <span className={`px-2 py-0.5 rounded-full text-xs font-bold capitalize border ${RENT_STATUS_STYLES[payment.status]}`}>{payment.status}</span>
+                                {payment.paidAt && <span className="text-xs text-slate-500 ml-2">{new Date(payment.paidAt).toLocaleDateString()}</span>}
+                            </td>
+                            <td className="py-2 text-right whitespace-nowrap">
+                                {payment.status === 'paid' ? (
+                                    <button onClick={() => downloadFile(`/api/rent-payments/${payment._id}/receipt`, `${payment.receiptNumber}.pdf`)} className="inline-flex items-center gap-1 text-indigo-400 hover:underline"><Download size={14} /> Receipt</button>
+                                ) : isLandlord ? (
+                                    <button onClick={() => handleMarkPaid(payment)} disabled={busyId === payment._id} className="text-emerald-400 hover:underline disabled:opacity-50">Mark paid</button>
+                                ) : (
+                                    <button onClick={() => handlePay(payment)} disabled={busyId === payment._id} className="px-3 py-1 rounded-lg font-semibold text-white bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">Pay now</button>
+                                )}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+// Tenancies with their rent ledgers: on the landlord dashboard and the student's profile
+const RentLedger = () => {
+    const { currentUser } = useAuth();
+    const [tenancies, setTenancies] = useState([]);
+    const [expandedId, setExpandedId] = useState(null);
+    const isLandlord = currentUser.userType === 'landlord';
+
+    const fetchTenancies = useCallback(async () => {
+        try {
+            const { data } = await api.get('/api/tenancies');
+            setTenancies(data);
+        } catch (err) {
+            console.error("Failed to fetch tenancies", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchTenancies();
+    }, [fetchTenancies]);
+
+    const handleMoveOut = async (tenancy) => {
+        if (!window.confirm(`Record that the tenants of '${tenancy.property_id?.title || 'this property'}' have moved out? Rent due after today is removed and the deposit can be settled.`)) return;
+        try {
+            await api.post(`/api/tenancies/${tenancy._id}/move-out`);
+            toast.success('Move-out recorded.');
+            fetchTenancies();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to record the move-out.');
+        }
+    };
+
+    return (
+        <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700">
+            <h2 className="text-xl font-bold text-white mb-4">{isLandlord ? 'Tenancies & Rent' : 'My Rent'}</h2>
+            {tenancies.length === 0 ? (
+                <div className="text-slate-500">{isLandlord ? 'Start a tenancy from an accepted application to track rent here.' : 'Your rent schedule appears here once your landlord starts your tenancy.'}</div>
+            ) : (
+                <div className="space-y-4">
+                    {tenancies.map(tenancy => (
+                        <div key={tenancy._id} className="bg-slate-900/50 p-4 rounded-xl border border-slate-700">
+                            <div className="flex flex-col md:flex-row justify-between md:items-center gap-3">
+                                <div>
+                                    <h3 className="font-bold text-white">{tenancy.property_id?.title || 'Property Deleted'}</h3>
+                                    <p className="text-sm text-slate-400">
+                                        {isLandlord
+                                            ? `Tenants: ${tenancy.tenant_ids.map(tenant => tenant?.username || 'Deleted User').join(', ')}`
+                                            : `Landlord: ${tenancy.landlord_id?.username || 'Deleted User'}`}
+                                        {' • '}{new Date(tenancy.startDate).toLocaleDateString()} – {new Date(tenancy.endDate).toLocaleDateString()}
+                                        {' • '}₹{tenancy.monthlyRent.toLocaleString()}/month{isLandlord && tenancy.tenant_ids.length > 1 ? ' each' : ''}
+                                    </p>
+                                </div>
+                                <div className="flex items-center gap-3 text-sm">
+                                    {tenancy.summary.overdue > 0 && <span className="px-2 py-0.5 rounded-full font-bold border bg-red-900/30 text-red-300 border-red-700">{tenancy.summary.overdue} overdue</span>}
+                                    {tenancy.summary.outstanding > 0 && <span className="text-orange-300">₹{tenancy.summary.outstanding.toLocaleString()} outstanding</span>}
+                                    {tenancy.summary.nextDue && <span className="text-slate-400">Next due {new Date(tenancy.summary.nextDue).toLocaleDateString()}</span>}
+                                    {tenancy.movedOutAt && <span className="text-slate-400">Moved out {new Date(tenancy.movedOutAt).toLocaleDateString()}</span>}
+                                    {isLandlord && tenancy.status === 'active' && (
+                                        <button onClick={() => handleMoveOut(tenancy)} className="text-slate-300 hover:underline">Record move-out</button>
+                                    )}
+                                    {tenancy.lease_id && (
+                                        <button onClick={() => downloadFile(`/api/leases/${tenancy.lease_id}/pdf`, `lease-${tenancy.lease_id}.pdf`)} className="flex items-center gap-1 text-indigo-400 hover:underline"><Download size={14} /> Signed lease</button>
+                                    )}
+                                    <button onClick={() => setExpandedId(expandedId === tenancy._id ? null : tenancy._id)} className="text-indigo-400 hover:underline">
+                                        {expandedId === tenancy._id ? 'Hide details' : 'Payments & deposit'}
+                                    </button>
+                                </div>
+                            </div>
+                            {expandedId === tenancy._id && (
+                                <>
+                                    <RentPayments tenancy={tenancy} onChanged={fetchTenancies} />
+                                    <TenancyDeposits tenancy={tenancy} />
+                                </>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- DEPOSIT COMPONENTS ---
+const DEPOSIT_STATUS_LABELS = {
+    held: { label: 'Held', style: 'bg-slate-700/30 text-slate-300 border-slate-600' },
+    proposed: { label: 'Deductions proposed', style: 'bg-orange-900/30 text-orange-300 border-orange-700' },
+    accepted: { label: 'Agreed', style: 'bg-green-900/30 text-green-300 border-green-700' },
+    disputed: { label: 'In dispute', style: 'bg-red-900/30 text-red-300 border-red-700' },
+    resolved: { label: 'Resolved by admin', style: 'bg-emerald-900/30 text-emerald-300 border-emerald-700' },
+};
+
+const DepositStatusBadge = ({ status }) => (
+    <span className={`px-2 py-0.5 rounded-full text-xs font-bold border ${DEPOSIT_STATUS_LABELS[status].style}`}>{DEPOSIT_STATUS_LABELS[status].label}</span>
+);
+
+// The itemised deductions of a deposit with their photo evidence
+const DeductionList = ({ deposit }) => {
+    if (!deposit.deductions.length) {
+        return deposit.status === 'held' ? null : <p className="text-sm text-slate-400 mt-2">No deductions: the full deposit is refunded.</p>;
+    }
+    return (
+        <ul className="mt-2 space-y-2">
+            {deposit.deductions.map((item, index) => (
+                <li key={item._id || index} className="text-sm text-slate-300">
+                    <div className="flex justify-between gap-3">
+                        <span>{item.description}</span>
+                        <span className="whitespace-nowrap">
+                            ₹{item.amount.toLocaleString()}
+                            {item.approvedAmount !== null && item.approvedAmount !== undefined && item.approvedAmount !== item.amount && (
+                                <span className="text-emerald-300"> → ₹{item.approvedAmount.toLocaleString()} approved</span>
+                            )}
+                        </span>
+                    </div>
+                    {item.photos?.length > 0 && (
+                        <div className="flex gap-2 mt-1">
+                            {item.photos.map(url => (
+                                <a key={url} href={url} target="_blank" rel="noopener noreferrer"><img src={url} alt="Evidence" className="h-14 w-14 object-cover rounded border border-slate-600 hover:opacity-80" /></a>
+                            ))}
+                        </div>
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+// Landlord: list the move-out deductions. Photos already uploaded are kept unless removed.
+const DeductionForm = ({ deposit, onSaved, onCancel }) => {
+    const [items, setItems] = useState(() => deposit.deductions.map(item => ({ description: item.description, amount: item.amount, photos: item.photos, files: [] })));
+    const [saving, setSaving] = useState(false);
+
+    const updateItem = (index, changes) => setItems(items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+    const total = items.reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const formData = new FormData();
+        formData.append('deductions', JSON.stringify(items.map(({ description, amount, photos }) => ({ description, amount, photos }))));
+        items.forEach((item, index) => item.files.forEach(file => formData.append(`photos_${index}`, file)));
+        setSaving(true);
+        try {
+            await api.post(`/api/deposits/${deposit._id}/deductions`, formData);
+            toast.success(items.length ? 'Deductions sent to the tenant.' : 'Full refund proposed.');
+            onSaved();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to save deductions.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-3 space-y-3">
+            {items.map((item, index) => (
+                <div key={index} className="p-3 bg-slate-800 rounded-lg border border-slate-700 space-y-2">
+                    <div className="flex gap-2">
+                        <input required placeholder="What is deducted, e.g. broken window" value={item.description} onChange={(e) => updateItem(index, { description: e.target.value })} className="flex-1 bg-slate-900 border border-slate-600 rounded-lg p-1.5 text-white text-sm" />
+                        <input required type="number" min="1" placeholder="₹" value={item.amount} onChange={(e) => updateItem(index, { amount: e.target.value })} className="w-28 bg-slate-900 border border-slate-600 rounded-lg p-1.5 text-white text-sm" />
+                        <button type="button" onClick={() => setItems(items.filter((_, i) => i !== index))} className="text-slate-400 hover:text-red-400" aria-label="Remove deduction"><Trash2 size={16} /></button>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2">
+                        {item.photos.map(url => (
+                            <button key={url} type="button" onClick={() => updateItem(index, { photos: item.photos.filter(photo => photo !== url) })} title="Remove photo">
+                                <img src={url} alt="Evidence" className="h-12 w-12 object-cover rounded border border-slate-600 hover:opacity-50" />
+                            </button>
+                        ))}
+                        <input type="file" accept="image/*" multiple onChange={(e) => updateItem(index, { files: Array.from(e.target.files) })} className="text-xs text-slate-400" />
+                    </div>
+                </div>
+            ))}
+            <div className="flex flex-wrap items-center gap-3">
+                <button type="button" onClick={() => setItems([...items, { description: '', amount: '', photos: [], files: [] }])} className="text-sm text-indigo-400 hover:underline">+ Add deduction</button>
+                <span className="text-sm text-slate-400">Total ₹{total.toLocaleString()} of ₹{deposit.amount.toLocaleString()} · refund ₹{Math.max(0, deposit.amount - total).toLocaleString()}</span>
+            </div>
+            <div className="flex gap-2">
+                <button type="submit" disabled={saving} className="px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">{items.length ? 'Send to Tenant' : 'Propose Full Refund'}</button>
+                <button type="button" onClick={onCancel} className="px-3 py-1.5 rounded-lg text-sm text-slate-300 hover:text-white">Cancel</button>
+            </div>
+        </form>
+    );
+};
+
+// The deposits of a tenancy, shown with its rent ledger
+const TenancyDeposits = ({ tenancy }) => {
+    const { currentUser } = useAuth();
+    const [deposits, setDeposits] = useState([]);
+    const [editingId, setEditingId] = useState(null);
+    const isLandlord = currentUser.userType === 'landlord';
+    const movedOut = tenancy.status === 'ended' || new Date(tenancy.endDate) <= new Date();
+
+    const fetchDeposits = useCallback(async () => {
+        try {
+            const { data } = await api.get(`/api/tenancies/${tenancy._id}/deposits`);
+            setDeposits(data);
+        } catch (err) {
+            console.error("Failed to fetch deposits", err);
+        }
+    }, [tenancy._id]);
+
+    useEffect(() => {
+        fetchDeposits();
+    }, [fetchDeposits]);
+
+    const respond = async (deposit, accept) => {
+        const reason = accept ? '' : window.prompt('Why do you dispute these deductions? An admin will review your explanation and the evidence.');
+        if (!accept && !reason) return;
+        try {
+            await api.post(`/api/deposits/${deposit._id}/respond`, { accept, reason });
+            toast.success(accept ? 'Deductions accepted.' : 'Dispute sent to an admin.');
+            fetchDeposits();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to send your answer.');
+        }
+    };
+
+    if (deposits.length === 0) return null;
+
+    return (
+        <div className="mt-4 space-y-3">
+            <h4 className="font-semibold text-white">Security Deposit</h4>
+            {deposits.map(deposit => (
+                <div key={deposit._id} className="p-3 bg-slate-800/60 rounded-lg border border-slate-700">
+                    <div className="flex flex-wrap justify-between items-center gap-2">
+                        <span className="text-sm text-slate-300">
+                            {isLandlord && `${deposit.tenant_id?.username || 'Deleted User'} · `}₹{deposit.amount.toLocaleString()}
+                            {deposit.status !== 'held' && <span className="text-slate-400"> · ₹{deposit.deducted.toLocaleString()} deducted, ₹{deposit.refund.toLocaleString()} refunded</span>}
+                        </span>
+                        <DepositStatusBadge status={deposit.status} />
+                    </div>
+                    {editingId === deposit._id ? (
+                        <DeductionForm deposit={deposit} onSaved={() => { setEditingId(null); fetchDeposits(); }} onCancel={() => setEditingId(null)} />
+                    ) : (
+                        <DeductionList deposit={deposit} />
+                    )}
+                    {deposit.disputeReason && <p className="text-sm text-red-300 mt-2 italic">Disputed: "{deposit.disputeReason}"</p>}
+                    {deposit.resolution?.note && <p className="text-sm text-emerald-300 mt-1 italic">Admin: "{deposit.resolution.note}"</p>}
+                    {isLandlord && deposit.status === 'held' && !movedOut && (
+                        <p className="mt-2 text-sm text-slate-500">Deductions can be proposed once the tenant has moved out.</p>
+                    )}
+                    {isLandlord && movedOut && ['held', 'proposed'].includes(deposit.status) && editingId !== deposit._id && (
+                        <button onClick={() => setEditingId(deposit._id)} className="mt-2 text-sm text-indigo-400 hover:underline">
+                            {deposit.status === 'held' ? 'Settle at move-out' : 'Revise deductions'}
+                        </button>
+                    )}
+                    {!isLandlord && deposit.status === 'proposed' && (
+                        <div className="flex gap-2 mt-3">
+                            <button onClick={() => respond(deposit, true)} className="px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-500">Accept</button>
+                            <button onClick={() => respond(deposit, false)} className="px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-slate-600 hover:bg-red-600">Dispute</button>
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Admin: disputed deductions, settled by approving an amount for each item
+const DepositDisputeQueue = () => {
+    const [disputes, setDisputes] = useState([]);
+    const [decisions, setDecisions] = useState({});
+
+    const fetchDisputes = useCallback(async () => {
+        try {
+            const { data } = await api.get('/api/admin/deposit-disputes');
+            setDisputes(data);
+            setDecisions(Object.fromEntries(data.map(deposit => [deposit._id, { amounts: deposit.deductions.map(item => item.amount), note: '' }])));
+        } catch (err) {
+            console.error("Failed to load deposit disputes", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchDisputes();
+    }, [fetchDisputes]);
+
+    const setDecision = (depositId, changes) => setDecisions({ ...decisions, [depositId]: { ...decisions[depositId], ...changes } });
+
+    const handleResolve = async (deposit) => {
+        const decision = decisions[deposit._id];
+        if (!window.confirm('Resolve this dispute? Both parties will be notified.')) return;
+        try {
+            await api.post(`/api/admin/deposit-disputes/${deposit._id}/resolve`, { approvedAmounts: decision.amounts, note: decision.note });
+            toast.success('Dispute resolved.');
+            setDisputes(disputes.filter(d => d._id !== deposit._id));
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to resolve dispute.');
+        }
+    };
+
+    return (
+        <div>
+            <h2 className="text-2xl font-bold mb-4">Deposit Disputes</h2>
+            {disputes.length === 0 ? (
+                <div className="text-slate-400 text-lg bg-slate-800/50 p-6 rounded-xl border border-slate-700">
+                    ✅ No open deposit disputes.
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    {disputes.map(deposit => (
+                        <div key={deposit._id} className="bg-slate-800 border border-slate-700 p-6 rounded-xl shadow-lg">
+                            <h3 className="font-bold text-lg">{deposit.property_id?.title || 'Property Deleted'}</h3>
+                            <p className="text-sm text-slate-400">
+                                Tenant: {deposit.tenant_id?.username || 'Deleted User'} · Landlord: {deposit.landlord_id?.username || 'Deleted User'} · Deposit ₹{deposit.amount.toLocaleString()}
+                            </p>
+                            <p className="text-sm text-red-300 mt-2 italic">"{deposit.disputeReason}"</p>
+                            <div className="mt-4 space-y-3">
+                                {deposit.deductions.map((item, index) => (
+                                    <div key={item._id} className="bg-slate-900 p-3 rounded-lg">
+                                        <div className="flex justify-between items-center gap-3">
+                                            <span className="text-sm">{item.description} <span className="text-slate-400">(claimed ₹{item.amount.toLocaleString()})</span></span>
+                                            <input
+                                                type="number" min="0" max={item.amount}
+                                                value={decisions[deposit._id]?.amounts[index] ?? ''}
+                                                onChange={(e) => setDecision(deposit._id, { amounts: decisions[deposit._id].amounts.map((amount, i) => (i === index ? e.target.value : amount)) })}
+                                                className="w-28 bg-slate-800 border border-slate-600 rounded-lg p-1.5 text-white text-sm"
+                                                aria-label="Approved amount"
+                                            />
+                                        </div>
+                                        {item.photos?.length > 0 && (
+                                            <div className="flex gap-2 mt-2">
+                                                {item.photos.map(url => (
+                                                    <a key={url} href={url} target="_blank" rel="noopener noreferrer"><img src={url} alt="Evidence" className="h-16 w-16 object-cover rounded border border-slate-600 hover:opacity-80" /></a>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                            <textarea
+                                value={decisions[deposit._id]?.note || ''}
+                                onChange={(e) => setDecision(deposit._id, { note: e.target.value })}
+                                placeholder="Explain the decision to both parties..."
+                                className="w-full mt-4 bg-slate-900 border border-slate-600 rounded-lg p-2 text-white text-sm h-20"
+                            />
+                            <button onClick={() => handleResolve(deposit)} className="w-full mt-3 bg-green-600 hover:bg-green-500 text-white py-2 rounded-lg font-bold transition">Resolve Dispute</button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- LEASE COMPONENTS ---
+
+// Landlord: lease texts with {{placeholders}} that are filled in for each tenancy
+const LeaseTemplates = () => {
+    const [templates, setTemplates] = useState([]);
+    const [placeholders, setPlaceholders] = useState({});
+    const [defaultBody, setDefaultBody] = useState('');
+    const [editing, setEditing] = useState(null); // { _id?, name, body }
+    const bodyRef = useRef(null);
+
+    const fetchTemplates = useCallback(async () => {
+        try {
+            const { data } = await api.get('/api/lease-templates');
+            setTemplates(data);
+        } catch (err) {
+            console.error("Failed to fetch lease templates", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchTemplates();
+        api.get('/api/lease-templates/placeholders')
+            .then(res => {
+                setPlaceholders(res.data.placeholders);
+                setDefaultBody(res.data.defaultBody);
+            })
+            .catch(err => console.error("Failed to fetch placeholders", err));
+    }, [fetchTemplates]);
+
+    // Inserts the placeholder where the cursor is
+    const insertPlaceholder = (key) => {
+        const textarea = bodyRef.current;
+        const position = textarea ? textarea.selectionStart : editing.body.length;
+        const body = `${editing.body.slice(0, position)}{{${key}}}${editing.body.slice(position)}`;
+        setEditing({ ...editing, body });
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        try {
+            if (editing._id) await api.put(`/api/lease-templates/${editing._id}`, editing);
+            else await api.post('/api/lease-templates', editing);
+            toast.success('Template saved.');
+            setEditing(null);
+            fetchTemplates();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to save template.');
+        }
+    };
+
+    const handleDelete = async (template) => {
+        if (!window.confirm(`Delete the template '${template.name}'?`)) return;
+        try {
+            await api.delete(`/api/lease-templates/${template._id}`);
+            fetchTemplates();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to delete template.');
+        }
+    };
+
+    if (editing) {
+        return (
+            <form onSubmit={handleSave} className="bg-slate-900/50 p-4 rounded-xl border border-slate-700 space-y-3 mb-6">
+                <input value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} required maxLength={80} placeholder="Template name, e.g. Standard 12-month lease" className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2 text-white" />
+                <div className="flex flex-wrap gap-2">
+                    {Object.entries(placeholders).map(([key, description]) => (
+                        <button key={key} type="button" title={description} onClick={() => insertPlaceholder(key)} className="px-2 py-0.5 rounded text-xs font-mono bg-slate-700 text-indigo-300 hover:bg-slate-600">{`{{${key}}}`}</button>
+                    ))}
+                </div>
+                <textarea ref={bodyRef} value={editing.body} onChange={(e) => setEditing({ ...editing, body: e.target.value })} required className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2 text-white text-sm font-mono h-72" />
+                <div className="flex gap-2">
+                    <button type="submit" className="bg-indigo-600 hover:bg-indigo-500 text-white font-semibold py-2 px-4 rounded-lg">Save Template</button>
+                    <button type="button" onClick={() => setEditing(null)} className="px-4 py-2 rounded-lg text-slate-300 hover:text-white">Cancel</button>
+                </div>
+            </form>
+        );
+    }
+
+    return (
+        <div className="bg-slate-900/50 p-4 rounded-xl border border-slate-700 mb-6">
+            <div className="flex justify-between items-center mb-3">
+                <h3 className="font-bold text-white">Lease Templates</h3>
+                <button onClick={() => setEditing({ name: '', body: defaultBody })} className="flex items-center gap-1 text-sm text-indigo-400 hover:underline"><PlusCircle size={14} /> New template</button>
+            </div>
+            {templates.length === 0 ? (
+                <p className="text-sm text-slate-500">Create a template to generate leases for accepted applications.</p>
+            ) : (
+                <ul className="space-y-2">
+                    {templates.map(template => (
+                        <li key={template._id} className="flex justify-between items-center text-sm">
+                            <span className="text-slate-200">{template.name} <span className="text-slate-500">· updated {new Date(template.updatedAt).toLocaleDateString()}</span></span>
+                            <span className="flex gap-3">
+                                <button onClick={() => setEditing(template)} className="text-indigo-400 hover:text-indigo-300"><Edit size={14} /></button>
+                                <button onClick={() => handleDelete(template)} className="text-red-400 hover:text-red-300"><Trash2 size={14} /></button>
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// Landlord: generate the lease of an accepted application. The dates are only asked for when no
+// tenancy has started yet.
+const PrepareLeaseForm = ({ application, onCreated }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [templates, setTemplates] = useState([]);
+    const [form, setForm] = useState({ template_id: '', startDate: new Date().toISOString().slice(0, 10), months: '12' });
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        api.get('/api/lease-templates')
+            .then(res => {
+                setTemplates(res.data);
+                if (res.data.length) setForm(prev => ({ ...prev, template_id: prev.template_id || res.data[0]._id }));
+            })
+            .catch(err => console.error("Failed to fetch lease templates", err));
+    }, [isOpen]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            await api.post(`/api/applications/${application._id}/lease`, form);
+            toast.success('Lease generated and sent for signing.');
+            setIsOpen(false);
+            onCreated();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to generate lease.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!isOpen) {
+        return <button onClick={() => setIsOpen(true)} className="px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-sky-600 hover:bg-sky-500">{application.lease ? 'Regenerate Lease' : 'Prepare Lease'}</button>;
+    }
+    if (templates.length === 0) {
+        return <span className="text-sm text-slate-400">Create a lease template under Leases first. <button onClick={() => setIsOpen(false)} className="text-indigo-400 hover:underline">OK</button></span>;
+    }
+    return (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-2">
+            <div>
+                <label className="block text-xs text-slate-400 mb-1">Template</label>
+                <select value={form.template_id} onChange={(e) => setForm({ ...form, template_id: e.target.value })} className="bg-slate-900 border border-slate-600 rounded-lg p-1.5 text-white text-sm">
+                    {templates.map(template => <option key={template._id} value={template._id}>{template.name}</option>)}
+                </select>
+            </div>
+            {!application.tenancy_id && (
+                <>
+                    <div>
+                        <label className="block text-xs text-slate-400 mb-1">Move-in date</label>
+                        <input type="date" required value={form.startDate} onChange={(e) => setForm({ ...form, startDate: e.target.value })} className="bg-slate-900 border border-slate-600 rounded-lg p-1.5 text-white text-sm" />
+                    </div>
+                    <div>
+                        <label className="block text-xs text-slate-400 mb-1">Months</label>
+                        <input type="number" min="1" max="36" required value={form.months} onChange={(e) => setForm({ ...form, months: e.target.value })} className="w-20 bg-slate-900 border border-slate-600 rounded-lg p-1.5 text-white text-sm" />
+                    </div>
+                </>
+            )}
+            <button type="submit" disabled={saving} className="px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-sky-600 hover:bg-sky-500 disabled:opacity-50">Generate</button>
+            <button type="button" onClick={() => setIsOpen(false)} className="px-3 py-1.5 rounded-lg text-sm text-slate-300 hover:text-white">Cancel</button>
+        </form>
+    );
+};
+
+// Typed signature: the name plus an explicit agreement, tied to the text that was shown
+const LeaseSignForm = ({ lease, onSigned }) => {
+    const [signature, setSignature] = useState('');
+    const [agree, setAgree] = useState(false);
+    const [saving, setSaving] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            await api.post(`/api/leases/${lease._id}/sign`, { signature, agree, documentHash: lease.documentHash });
+            toast.success('Lease signed.');
+            onSigned();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to sign lease.');
+            if (err.response?.status === 409) onSigned();
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-3 p-3 rounded-lg border border-sky-700 bg-sky-900/20 space-y-2">
+            <label className="flex items-start gap-2 text-sm text-slate-300">
+                <input type="checkbox" checked={agree} onChange={(e) => setAgree(e.target.checked)} className="mt-1" />
+                I have read this lease and agree to its terms. Typing my name below is my signature.
+            </label>
+            <div className="flex flex-wrap gap-2">
+                <input value={signature} onChange={(e) => setSignature(e.target.value)} required minLength={2} placeholder="Type your full name" className="flex-1 min-w-[12rem] bg-slate-900 border border-slate-600 rounded-lg p-2 text-white font-serif italic text-lg" />
+                <button type="submit" disabled={saving || !agree} className="px-4 py-2 rounded-lg font-semibold text-white bg-sky-600 hover:bg-sky-500 disabled:opacity-50">Sign Lease</button>
+            </div>
+        </form>
+    );
+};
+
+// Leases of the current user, on the landlord dashboard and the student's profile
+const Leases = () => {
+    const { currentUser } = useAuth();
+    const [leases, setLeases] = useState([]);
+    const [expandedId, setExpandedId] = useState(null);
+    const [showTemplates, setShowTemplates] = useState(false);
+    const isLandlord = currentUser.userType === 'landlord';
+
+    const fetchLeases = useCallback(async () => {
+        try {
+            const { data } = await api.get('/api/leases');
+            setLeases(data);
+        } catch (err) {
+            console.error("Failed to fetch leases", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchLeases();
+    }, [fetchLeases]);
+
+    return (
+        <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-bold text-white">Leases</h2>
+                {isLandlord && (
+                    <button onClick={() => setShowTemplates(!showTemplates)} className="text-sm text-indigo-400 hover:underline">
+                        {showTemplates ? 'Hide templates' : 'Manage templates'}
+                    </button>
+                )}
+            </div>
+            {showTemplates && <LeaseTemplates />}
+            {leases.length === 0 ? (
+                <div className="text-slate-500">{isLandlord ? 'Prepare a lease from an accepted application to have it signed here.' : 'Your lease appears here once your landlord prepares it.'}</div>
+            ) : (
+                <div className="space-y-4">
+                    {leases.map(lease => (
+                        <div key={lease._id} className="bg-slate-900/50 p-4 rounded-xl border border-slate-700">
+                            <div className="flex flex-col md:flex-row justify-between md:items-center gap-3">
+                                <div>
+                                    <h3 className="font-bold text-white">{lease.property_id?.title || 'Property Deleted'}</h3>
+                                    <p className="text-sm text-slate-400">
+                                        {new Date(lease.terms.startDate).toLocaleDateString()} – {new Date(lease.terms.endDate).toLocaleDateString()}
+                                        {' • '}₹{lease.terms.monthlyRent.toLocaleString()}/month
+                                        {lease.status === 'awaiting_signatures' && ` • Waiting for ${lease.awaiting.map(party => party.username).join(', ')}`}
+                                    </p>
+                                </div>
+                                <div className="flex items-center gap-3 text-sm">
+                                    <span className={`px-2 py-0.5 rounded-full text-xs font-bold border ${lease.status === 'signed' ? 'bg-green-900/30 text-green-300 border-green-700' : 'bg-sky-900/30 text-sky-300 border-sky-700'}`}>
+                                        {lease.status === 'signed' ? `Signed ${new Date(lease.signedAt).toLocaleDateString()}` : `${lease.signatures.length} of ${lease.tenant_ids.length + 1} signed`}
+                                    </span>
+                                    <button onClick={() => downloadFile(`/api/leases/${lease._id}/pdf`, `lease-${lease._id}.pdf`)} className="flex items-center gap-1 text-indigo-400 hover:underline"><Download size={14} /> PDF</button>
+                                    <button onClick={() => setExpandedId(expandedId === lease._id ? null : lease._id)} className="text-indigo-400 hover:underline">
+                                        {expandedId === lease._id ? 'Hide' : lease.needsMySignature ? 'Review & sign' : 'Read lease'}
+                                    </button>
+                                </div>
+                            </div>
+                            {expandedId === lease._id && (
+                                <>
+                                    <div className="mt-3 max-h-96 overflow-y-auto whitespace-pre-wrap bg-slate-950/50 p-4 rounded-lg text-sm text-slate-300 border border-slate-700">{lease.body}</div>
+                                    {lease.signatures.length > 0 && (
+                                        <ul className="mt-3 space-y-1">
+                                            {lease.signatures.map(signature => (
+                                                <li key={signature._id} className="text-sm text-slate-400">
+                                                    <span className="font-serif italic text-lg text-white">{signature.name}</span>
+                                                    {' '}({signature.role === 'landlord' ? 'Landlord' : 'Tenant'}, {signature.user_id?.username || 'Deleted User'}) · {new Date(signature.signedAt).toLocaleString()} · IP {signature.ip || 'unknown'}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                    {lease.needsMySignature && <LeaseSignForm lease={lease} onSigned={fetchLeases} />}
+                                </>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- MAINTENANCE COMPONENTS ---
+const MAINTENANCE_CATEGORIES = {
+    plumbing: 'Plumbing', electrical: 'Electrical', appliances: 'Appliances', heating_cooling: 'Heating & cooling',
+    internet: 'Internet', pest_control: 'Pest control', furniture: 'Furniture', structural: 'Structural',
+    cleaning: 'Cleaning', other: 'Other',
+};
+const MAINTENANCE_PRIORITY_STYLES = {
+    urgent: 'bg-red-900/30 text-red-300 border-red-700',
+    high: 'bg-orange-900/30 text-orange-300 border-orange-700',
+    medium: 'bg-sky-900/30 text-sky-300 border-sky-700',
+    low: 'bg-slate-700/30 text-slate-300 border-slate-600',
+};
+const MAINTENANCE_STATUS_STYLES = {
+    open: 'bg-orange-900/30 text-orange-300 border-orange-700',
+    in_progress: 'bg-indigo-900/30 text-indigo-300 border-indigo-700',
+    resolved: 'bg-green-900/30 text-green-300 border-green-700',
+};
+const MAINTENANCE_ACTION_LABELS = { in_progress: 'Start Work', resolved: 'Mark Resolved', open: 'Reopen' };
+
+// The current time, refreshed every `intervalMs` so countdowns stay live
+const useNow = (intervalMs = 60 * 1000) => {
+    const [now, setNow] = useState(() => Date.now());
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), intervalMs);
+        return () => clearInterval(timer);
+    }, [intervalMs]);
+    return now;
+};
+
+const formatDuration = (ms) => {
+    const minutes = Math.round(Math.abs(ms) / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+// Counts down to the SLA deadline that applies right now: responding, then resolving
+const SlaTimer = ({ ticket, now }) => {
+    if (ticket.status === 'resolved') {
+        return <span className={`text-xs ${ticket.sla.resolutionBreached ? 'text-red-300' : 'text-green-300'}`}>{ticket.sla.resolutionBreached ? 'Resolved after the SLA deadline' : 'Resolved within SLA'}</span>;
+    }
+    const awaitingResponse = !ticket.respondedAt;
+    const deadline = new Date(awaitingResponse ? ticket.sla.respondBy : ticket.sla.resolveBy).getTime();
+    const label = awaitingResponse ? 'Response' : 'Resolution';
+    const left = deadline - now;
+    return (
+        <span className={`text-xs flex items-center gap-1 ${left < 0 ? 'text-red-300 font-semibold' : 'text-slate-400'}`}>
+            <Clock size={12} />
+            {left < 0 ? `${label} overdue by ${formatDuration(left)}` : `${label} due in ${formatDuration(left)}`}
+        </span>
+    );
+};
+
+// Tenant: report a problem at one of their active tenancies
+const MaintenanceRequestForm = ({ onCreated }) => {
+    const [tenancies, setTenancies] = useState([]);
+    const [form, setForm] = useState({ tenancy: '', title: '', category: 'plumbing', priority: 'medium', description: '' });
+    const [photos, setPhotos] = useState([]);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        api.get('/api/tenancies')
+            .then(res => {
+                const active = res.data.filter(tenancy => tenancy.status === 'active');
+                setTenancies(active);
+                if (active.length) setForm(prev => ({ ...prev, tenancy: active[0]._id }));
+            })
+            .catch(err => console.error("Failed to fetch tenancies", err));
+    }, []);
+
+    const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const formData = new FormData();
+        ['title', 'category', 'priority', 'description'].forEach(key => formData.append(key, form[key]));
+        photos.forEach(photo => formData.append('photos', photo));
+        setSaving(true);
+        try {
+            await api.post(`/api/tenancies/${form.tenancy}/maintenance`, formData);
+            toast.success('Maintenance request sent to your landlord.');
+            setForm({ ...form, title: '', description: '' });
+            setPhotos([]);
+            onCreated();
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to send request.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (tenancies.length === 0) return null;
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-slate-900/50 p-4 rounded-xl border border-slate-700 grid grid-cols-1 md:grid-cols-2 gap-3 mb-6">
+            <h3 className="md:col-span-2 font-bold text-white">Report a Problem</h3>
+            {tenancies.length > 1 && (
+                <select name="tenancy" value={form.tenancy} onChange={handleChange} className="md:col-span-2 bg-slate-900 border border-slate-600 rounded-lg p-2 text-white">
+                    {tenancies.map(tenancy => <option key={tenancy._id} value={tenancy._id}>{tenancy.property_id?.title}</option>)}
+                </select>
+            )}
+            <input name="title" required maxLength={120} value={form.title} onChange={handleChange} placeholder="What's wrong? e.g. Kitchen tap leaking" className="md:col-span-2 bg-slate-900 border border-slate-600 rounded-lg p-2 text-white" />
+            <select name="category" value={form.category} onChange={handleChange} className="bg-slate-900 border border-slate-600 rounded-lg p-2 text-white">
+                {Object.entries(MAINTENANCE_CATEGORIES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            <select name="priority" value={form.priority} onChange={handleChange} className="bg-slate-900 border border-slate-600 rounded-lg p-2 text-white">
+                <option value="urgent">Urgent (safety, no water/power)</option>
+                <option value="high">High</option>
+                <option value="medium">Medium</option>
+                <option value="low">Low</option>
+            </select>
+            <textarea name="description" value={form.description} onChange={handleChange} placeholder="Any details that help the landlord fix it..." className="md:col-span-2 bg-slate-900 border border-slate-600 rounded-lg p-2 text-white h-24" />
+            <input type="file" accept="image/*" multiple onChange={(e) => setPhotos(Array.from(e.target.files).slice(0, 5))} className="text-sm text-slate-400" />
+            <button type="submit" disabled={saving} className="bg-indigo-600 hover:bg-indigo-500 text-white font-semibold py-2 px-4 rounded-lg disabled:opacity-50">{saving ? 'Sending...' : 'Send Request'}</button>
+        </form>
+    );
+};
+
+const MaintenanceTicketCard = ({ ticket, now, onChanged }) => {
+    const { currentUser } = useAuth();
+    const [note, setNote] = useState('');
+    const [assignee, setAssignee] = useState(ticket.assignee || '');
+    const [busy, setBusy] = useState(false);
+    const isLandlord = currentUser.userType === 'landlord';
+
+    const run = async (request, successMessage) => {
+        setBusy(true);
+        try {
+            const { data } = await request();
+            toast.success(successMessage);
+            setNote('');
+            onChanged(data);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Update failed.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleNote = (e) => {
+        e.preventDefault();
+        const body = isLandlord && assignee !== (ticket.assignee || '') ? { text: note, assignee } : { text: note };
+        run(() => api.post(`/api/maintenance/${ticket._id}/notes`, body), 'Note added.');
+    };
+
+    return (
+        <div className="bg-slate-900/50 p-4 rounded-xl border border-slate-700">
+            <div className="flex flex-col md:flex-row justify-between md:items-start gap-3">
+                <div>
+                    <h3 className="font-bold text-white">{ticket.title}</h3>
+                    <p className="text-sm text-slate-400">
+                        {ticket.property_id?.title || 'Property Deleted'} · {MAINTENANCE_CATEGORIES[ticket.category]}
+                        {isLandlord && ` · ${ticket.student_id?.username || 'Deleted User'}`} · {new Date(ticket.openedAt).toLocaleString()}
+                    </p>
+                    <SlaTimer ticket={ticket} now={now} />
+                </div>
+                <div className="flex gap-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-bold capitalize border ${MAINTENANCE_PRIORITY_STYLES[ticket.priority]}`}>{ticket.priority}</span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-bold capitalize border ${MAINTENANCE_STATUS_STYLES[ticket.status]}`}>{ticket.status.replace('_', ' ')}</span>
+                </div>
+            </div>
+            {ticket.description && <p className="text-slate-300 text-sm mt-2">{ticket.description}</p>}
+            {ticket.photos?.length > 0 && (
+                <div className="flex gap-2 mt-2">
+                    {ticket.photos.map(url => (
+                        <a key={url} href={url} target="_blank" rel="noopener noreferrer"><img src={url} alt="Problem" className="h-16 w-16 object-cover rounded border border-slate-600 hover:opacity-80" /></a>
+                    ))}
+                </div>
+            )}
+            {ticket.assignee && <p className="text-sm text-slate-300 mt-2">Assigned to: <span className="font-semibold">{ticket.assignee}</span></p>}
+            {ticket.notes?.length > 0 && (
+                <ul className="mt-2 space-y-1 border-l border-slate-700 pl-3">
+                    {ticket.notes.map(n => (
+                        <li key={n._id} className="text-xs text-slate-400">
+                            <span className="text-slate-300">{n.author_id?.username || n.author_role}:</span> {n.text} <span className="text-slate-500">({new Date(n.at).toLocaleString()})</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            <div className="flex flex-wrap items-center gap-2 mt-3">
+                {ticket.nextStatuses.map(status => (
+                    <button key={status} onClick={() => run(() => api.post(`/api/maintenance/${ticket._id}/status`, { status }), 'Request updated.')} disabled={busy} className="px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50">
+                        {MAINTENANCE_ACTION_LABELS[status]}
+                    </button>
+                ))}
+                {ticket.status !== 'resolved' && (
+                    <form onSubmit={handleNote} className="flex flex-1 flex-wrap gap-2">
+                        {isLandlord && <input value={assignee} onChange={(e) => setAssignee(e.target.value)} placeholder="Assigned to" className="w-36 bg-slate-900 border border-slate-600 rounded-lg p-1.5 text-white text-sm" />}
+                        <input value={note} onChange={(e) => setNote(e.target.value)} placeholder="Add a note..." className="flex-1 min-w-[10rem] bg-slate-900 border border-slate-600 rounded-lg p-1.5 text-white text-sm" />
+                        <button type="submit" disabled={busy || (!note.trim() && assignee === (ticket.assignee || ''))} className="px-3 py-1.5 rounded-lg text-sm text-white bg-slate-600 hover:bg-slate-500 disabled:opacity-50">Save</button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Maintenance requests: on the student's profile and the landlord dashboard. Updates from the other
+// side arrive over the WebSocket.
+const MaintenanceTickets = () => {
+    const { currentUser } = useAuth();
+    const { lastMessage } = useWebSocket();
+    const [tickets, setTickets] = useState([]);
+    const now = useNow();
+
+    const fetchTickets = useCallback(async () => {
+        try {
+            const { data } = await api.get('/api/maintenance');
+            setTickets(data);
+        } catch (err) {
+            console.error("Failed to fetch maintenance requests", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchTickets();
+    }, [fetchTickets]);
+
+    const upsertTicket = useCallback((ticket) => {
+        setTickets(prev => (prev.some(t => t._id === ticket._id) ? prev.map(t => (t._id === ticket._id ? ticket : t)) : [ticket, ...prev]));
+    }, []);
+
+    useEffect(() => {
+        if (!lastMessage) return;
+        const data = JSON.parse(lastMessage);
+        if (data.type === 'maintenanceUpdate') upsertTicket(data.payload);
+    }, [lastMessage, upsertTicket]);
+
+    const openCount = tickets.filter(ticket => ticket.status !== 'resolved').length;
+
+    return (
+        <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700">
+            <h2 className="text-xl font-bold text-white mb-4">Maintenance Requests {openCount > 0 && <span className="text-sm font-normal text-orange-300">({openCount} open)</span>}</h2>
+            {currentUser.userType === 'student' && <MaintenanceRequestForm onCreated={fetchTickets} />}
+            {tickets.length === 0 ? (
+                <div className="text-slate-500">No maintenance requests.</div>
+            ) : (
+                <div className="space-y-4">
+                    {tickets.map(ticket => <MaintenanceTicketCard key={ticket._id} ticket={ticket} now={now} onChanged={upsertTicket} />)}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- VERIFICATION COMPONENTS ---
+
+// Private files (verification documents) need the auth header too, so they're fetched and opened in a new tab
+const openFile = async (url) => {
+    try {
+        const { data } = await api.get(url, { responseType: 'blob' });
+        window.open(URL.createObjectURL(data), '_blank', 'noopener');
+    } catch (err) {
+        toast.error('Could not open the file.');
+    }
+};
+
+const VERIFICATION_REQUEST_STYLES = {
+    pending: 'bg-orange-900/30 text-orange-300 border-orange-700',
+    approved: 'bg-green-900/30 text-green-300 border-green-700',
+    rejected: 'bg-red-900/30 text-red-300 border-red-700',
+};
+
+const VerificationDocumentLinks = ({ request, documentTypes }) => (
+    <div className="flex flex-wrap gap-2 mt-2">
+        {request.documents.map(document => (
+            <button key={document._id} onClick={() => openFile(`/api/verification/${request._id}/documents/${document._id}`)} className="px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 text-xs text-slate-200">
+                {documentTypes?.[document.type]?.replace(/ \(.*\)$/, '') || document.type.replace('_', ' ')}: {document.originalName}
+            </button>
+        ))}
+    </div>
+);
+
+// One file input per document type, posted as multipart fields named after the type
+const VerificationDocumentsForm = ({ url, documentTypes, requiredDocumentTypes, intro, submitLabel, onSubmitted }) => {
+    const [files, setFiles] = useState({});
+    const [uploading, setUploading] = useState(false);
+
+    const handleFiles = (type, fileList) => {
+        const selected = Array.from(fileList);
+        if (selected.some(file => file.size > 5 * 1024 * 1024)) return toast.error("File too large! Max 5MB.");
+        setFiles({ ...files, [type]: selected });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const formData = new FormData();
+        Object.entries(files).forEach(([type, selected]) => selected.forEach(file => formData.append(type, file)));
+        setUploading(true);
+        try {
+            await api.post(url, formData);
+            toast.success("Documents submitted! Admin will review shortly.");
+            setFiles({});
+            onSubmitted();
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Upload failed.");
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-3">
+            <p className="text-slate-400">{intro}</p>
+            {Object.entries(documentTypes).map(([type, label]) => (
+                <div key={type}>
+                    <label className="block text-sm text-slate-300 mb-1">{label}{requiredDocumentTypes.includes(type) ? ' *' : ' (optional)'}</label>
+                    <input
+                        type="file"
+                        accept="image/*,application/pdf"
+                        multiple
+                        required={requiredDocumentTypes.includes(type)}
+                        onChange={(e) => handleFiles(type, e.target.files)}
+                        className="block w-full text-sm text-slate-400 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-indigo-600 file:text-white hover:file:bg-indigo-500"
+                    />
+                </div>
+            ))}
+            <button type="submit" disabled={uploading} className="bg-green-600 text-white font-bold py-2 px-6 rounded-lg hover:bg-green-500 disabled:bg-slate-700">
+                {uploading ? "Uploading..." : submitLabel}
+            </button>
+        </form>
+    );
+};
+
+const VerificationHistory = ({ requests, documentTypes }) => (
+    <div className="mt-6">
+        <h3 className="text-sm font-bold text-slate-300 mb-2">Your submissions</h3>
+        <ul className="space-y-3">
+            {requests.map(request => (
+                <li key={request._id} className="text-sm text-slate-400 border-l border-slate-700 pl-3">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-bold capitalize border ${VERIFICATION_REQUEST_STYLES[request.status]}`}>{request.status}</span>
+                    {' '}Submitted {new Date(request.createdAt).toLocaleDateString()}
+                    {request.reviewedAt && `, reviewed ${new Date(request.reviewedAt).toLocaleDateString()}`}
+                    {request.rejectionReason && <p className="text-red-300 mt-1">Reason: {request.rejectionReason}</p>}
+                    <VerificationDocumentLinks request={request} documentTypes={documentTypes} />
+                </li>
+            ))}
+        </ul>
+    </div>
+);
+
+const VerifiedBadges = ({ property, className = '' }) => {
+    if (!property.landlordVerified && !property.isVerified) return null;
+    return (
+        <div className={`flex flex-wrap gap-2 ${className}`}>
+            {property.landlordVerified && (
+                <span title="An admin has checked this landlord's ID and ownership documents" className="flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-semibold border bg-sky-900/30 text-sky-300 border-sky-700">
+                    <ShieldCheck size={12} /> Verified landlord
+                </span>
+            )}
+            {property.isVerified && (
+                <span title="An admin has checked the ownership proof for this property" className="flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-semibold border bg-emerald-900/30 text-emerald-300 border-emerald-700">
+                    <BadgeCheck size={12} /> Verified listing
+                </span>
+            )}
+        </div>
+    );
+};
+
+// Owner of a listing: its verification status and the ownership proof upload
+const ListingVerification = ({ property }) => {
+    const [verification, setVerification] = useState(null);
+
+    const fetchVerification = useCallback(async () => {
+        try {
+            const { data } = await api.get(`/api/properties/${property._id}/verification`);
+            setVerification(data);
+        } catch (err) {
+            console.error("Failed to fetch listing verification", err);
+        }
+    }, [property._id]);
+
+    useEffect(() => {
+        fetchVerification();
+    }, [fetchVerification]);
+
+    if (!verification) return null;
+    const latest = verification.requests[0];
+
+    return (
+        <div className="bg-slate-800/50 p-8 rounded-2xl border border-slate-700 max-w-6xl mx-auto">
+            <h2 className="text-2xl font-bold text-white mb-4 flex items-center gap-2">
+                <BadgeCheck className="text-emerald-400"/> Listing Verification
+            </h2>
+            {verification.verificationStatus === 'approved' && <p className="text-emerald-300">This listing is verified and shows a "Verified listing" badge.</p>}
+            {verification.verificationStatus === 'pending' && <p className="text-orange-300">Your ownership proof is under review.</p>}
+            {verification.verificationStatus === 'rejected' && latest?.rejectionReason && <p className="text-red-300 mb-4">Rejected: {latest.rejectionReason}</p>}
+            {['none', 'rejected'].includes(verification.verificationStatus) && (
+                <VerificationDocumentsForm
+                    url={`/api/properties/${property._id}/verification`}
+                    documentTypes={verification.documentTypes}
+                    requiredDocumentTypes={verification.requiredDocumentTypes}
+                    intro="Verified listings get a badge and show up when students filter for verified listings. Upload proof that you own this property (images or PDF, max 5MB each)."
+                    submitLabel={verification.requests.length ? "Resubmit Listing" : "Verify Listing"}
+                    onSubmitted={fetchVerification}
+                />
+            )}
+            {verification.requests.length > 0 && <VerificationHistory requests={verification.requests} documentTypes={verification.documentTypes} />}
+        </div>
+    );
+};
+
+// Landlord: verification status, the document upload and earlier submissions
+const LandlordVerification = () => {
+    const { currentUser, setCurrentUser } = useAuth();
+    const [verification, setVerification] = useState(null);
+
+    const fetchVerification = useCallback(async () => {
+        try {
+            const { data } = await api.get('/api/verification');
+            setVerification(data);
+        } catch (err) {
+            console.error("Failed to fetch verification status", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchVerification();
+    }, [fetchVerification]);
+
+    // Keep the stored user in step, since it decides whether "Add Property" is shown
+    useEffect(() => {
+        if (!verification) return;
+        if (verification.isVerified !== currentUser.isVerified || verification.verificationStatus !== currentUser.verificationStatus) {
+            const updatedUser = { ...currentUser, isVerified: verification.isVerified, verificationStatus: verification.verificationStatus };
+            setCurrentUser(updatedUser);
+            localStorage.setItem('currentUser', JSON.stringify(updatedUser));
+        }
+    }, [verification, currentUser, setCurrentUser]);
+
+    if (!verification) return null;
+    const { documentTypes, requiredDocumentTypes } = verification;
+    const latest = verification.requests[0];
+
+    return (
+        <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700 mb-6">
+            <h2 className="text-xl font-bold text-white mb-4 flex items-center gap-2">
+                <ShieldCheck className="text-indigo-400"/> Landlord Verification
+            </h2>
+
+            {verification.isVerified && (
+                <div className="p-4 bg-green-900/20 border border-green-700/50 rounded-lg text-green-300 flex items-center gap-3 mb-4">
+                    <ShieldCheck size={32} />
+                    <div>
+                        <p className="font-bold">Verified Landlord</p>
+                        <p className="text-sm">
+                            You have full access to post properties
+                            {verification.verificationExpiresAt && ` until ${new Date(verification.verificationExpiresAt).toLocaleDateString()}`}.
+                        </p>
+                    </div>
+                </div>
+            )}
+
+            {verification.verificationStatus === 'pending' && (
+                <div className="p-4 bg-orange-900/20 border border-orange-700/50 rounded-lg text-orange-300 flex items-center gap-3 mb-4">
+                    <div className="animate-pulse text-2xl">⏳</div>
+                    <div>
+                        <p className="font-bold">Verification Pending</p>
+                        <p className="text-sm">Your documents are under review. You will be notified once they have been checked.</p>
+                    </div>
+                </div>
+            )}
+
+            {verification.verificationStatus === 'rejected' && latest?.status === 'rejected' && (
+                <div className="p-4 bg-red-900/20 border border-red-700/50 rounded-lg text-red-300 flex items-center gap-3 mb-4">
+                    <div className="text-2xl">❌</div>
+                    <div>
+                        <p className="font-bold">Verification Rejected</p>
+                        <p className="text-sm">{latest.rejectionReason}</p>
+                    </div>
+                </div>
+            )}
+
+            {verification.verificationStatus === 'expired' && (
+                <div className="p-4 bg-red-900/20 border border-red-700/50 rounded-lg text-red-300 mb-4">
+                    <p className="font-bold">Verification Expired</p>
+                    <p className="text-sm">Please upload your documents again to keep posting properties.</p>
+                </div>
+            )}
+
+            {verification.canSubmit && (
+                <VerificationDocumentsForm
+                    url="/api/upload-verification"
+                    documentTypes={documentTypes}
+                    requiredDocumentTypes={requiredDocumentTypes}
+                    intro={verification.isVerified ? 'Your verification expires soon. Upload current documents to renew it.' : 'To post properties, please upload the documents below (images or PDF, max 5MB each).'}
+                    submitLabel={verification.requests.length ? "Resubmit Verification" : "Submit for Verification"}
+                    onSubmitted={fetchVerification}
+                />
+            )}
+
+            {verification.requests.length > 0 && <VerificationHistory requests={verification.requests} documentTypes={documentTypes} />}
+        </div>
+    );
+};
+
+// Admin: one pending request with its documents, the landlord's history and the decision form
+const VerificationReview = ({ request, onDecided }) => {
+    const [notes, setNotes] = useState('');
+    const [reason, setReason] = useState('');
+    const [busy, setBusy] = useState(false);
+    const user = request.user_id;
+    const listing = request.kind === 'property' ? request.property_id : null;
+
+    const handleAction = async (action) => {
+        if (action === 'reject' && !reason.trim()) return toast.error('Please give the landlord a reason for the rejection.');
+        if (!window.confirm(`Are you sure you want to ${action} this ${listing ? 'listing' : 'user'}?`)) return;
+        setBusy(true);
+        try {
+            await api.post('/api/admin/verify-action', { requestId: request._id, action, notes, reason });
+            toast.success(`${listing ? 'Listing' : 'User'} ${action}d successfully!`);
+            onDecided(request._id);
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Action failed.");
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="bg-slate-800 border border-slate-700 p-6 rounded-xl shadow-lg">
+            <div className="flex items-center gap-4 mb-4">
+                <img
+                    src={user.profilePictureUrl || `https://placehold.co/100x100/1e293b/a78bfa?text=${user.username.charAt(0)}`}
+                    className="h-12 w-12 rounded-full object-cover"
+                    alt="User"
+                />
+                <div>
+                    <h3 className="font-bold text-lg text-white">{user.username}</h3>
+                    <p className="text-sm text-slate-400">{user.email}</p>
+                    <span className="text-xs bg-orange-900/50 text-orange-200 px-2 py-1 rounded border border-orange-700 mt-1 inline-block">
+                        {listing ? 'Listing' : user.isVerified ? 'Renewal' : 'Pending Review'} · submitted {new Date(request.createdAt).toLocaleDateString()}
+                    </span>
+                </div>
+            </div>
+
+            {listing && (
+                <Link to={`/properties/${listing._id}`} className="flex items-center gap-3 mb-4 bg-slate-900 p-2 rounded-lg hover:bg-slate-700">
+                    <img src={listing.image_url || 'https://placehold.co/80x60/1e293b/a78bfa?text=Home'} className="h-12 w-16 rounded object-cover" alt={listing.title} />
+                    <div>
+                        <p className="font-semibold text-white">{listing.title}</p>
+                        <p className="text-xs text-slate-400">{listing.address}, {listing.city}</p>
+                    </div>
+                </Link>
+            )}
+
+            <div className="mb-4 bg-slate-900 p-2 rounded-lg">
+                <p className="text-xs text-slate-500 mb-1 uppercase font-bold">Documents</p>
+                <VerificationDocumentLinks request={request} />
+            </div>
+
+            {request.previousDecisions.length > 0 && (
+                <div className="mb-4 text-xs text-slate-400">
+                    <p className="uppercase font-bold text-slate-500 mb-1">Earlier decisions</p>
+                    {request.previousDecisions.map(entry => (
+                        <p key={entry._id}>
+                            {new Date(entry.createdAt).toLocaleDateString()}: <span className="capitalize">{entry.action}</span>
+                            {entry.admin_id && ` by ${entry.admin_id.username}`}{entry.reason && ` – ${entry.reason}`}
+                        </p>
+                    ))}
+                </div>
+            )}
+
+            <textarea value={notes} onChange={(e) => setNotes(e.target.value)} placeholder="Reviewer notes (admins only)" className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2 text-white text-sm mb-2" rows="2" />
+            <input value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Rejection reason (sent to the landlord)" className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2 text-white text-sm" />
+
+            <div className="flex gap-3 mt-4">
+                <button onClick={() => handleAction('approve')} disabled={busy} className="flex-1 bg-green-600 hover:bg-green-500 text-white py-2 rounded-lg font-bold transition disabled:opacity-50">Accept</button>
+                <button onClick={() => handleAction('reject')} disabled={busy} className="flex-1 bg-red-600 hover:bg-red-500 text-white py-2 rounded-lg font-bold transition disabled:opacity-50">Reject</button>
+            </div>
+        </div>
+    );
+};
+
+// Admin: every verification decision, newest first
+const VerificationAuditLog = ({ refreshKey }) => {
+    const [entries, setEntries] = useState([]);
+
+    useEffect(() => {
+        api.get('/api/admin/verification-audit')
+            .then(res => setEntries(res.data))
+            .catch(err => console.error("Failed to fetch the verification audit log", err));
+    }, [refreshKey]);
+
+    return (
+        <div>
+            <h2 className="text-2xl font-bold mb-4">Verification Audit Log</h2>
+            {entries.length === 0 ? (
+                <div className="text-slate-400 bg-slate-800/50 p-6 rounded-xl border border-slate-700">No decisions yet.</div>
+            ) : (
+                <div className="overflow-x-auto bg-slate-800/50 rounded-xl border border-slate-700">
+                    <table className="w-full text-sm text-left">
+                        <thead className="text-slate-400 border-b border-slate-700">
+                            <tr><th className="p-3">When</th><th className="p-3">Landlord</th><th className="p-3">Listing</th><th className="p-3">Decision</th><th className="p-3">By</th><th className="p-3">Reason / notes</th></tr>
+                        </thead>
+                        <tbody>
+                            {entries.map(entry => (
+                                <tr key={entry._id} className="border-b border-slate-800 text-slate-300">
+                                    <td className="p-3 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                                    <td className="p-3">{entry.user_id?.username || 'Deleted User'}</td>
+                                    <td className="p-3">{entry.property_id ? entry.property_id.title : '—'}</td>
+                                    <td className="p-3 capitalize">{entry.action}</td>
+                                    <td className="p-3">{entry.admin_id?.username || 'System'}</td>
+                                    <td className="p-3">{[entry.reason, entry.notes].filter(Boolean).join(' · ')}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- MODERATION COMPONENTS ---
+
+// Student: report a listing as fraudulent or misleading
+const ReportListing = ({ property }) => {
+    const [open, setOpen] = useState(false);
+    const [reasons, setReasons] = useState({});
+    const [reason, setReason] = useState('');
+    const [details, setDetails] = useState('');
+    const [sending, setSending] = useState(false);
+    const [reported, setReported] = useState(false);
+
+    useEffect(() => {
+        if (!open || Object.keys(reasons).length) return;
+        api.get('/api/report-reasons')
+            .then(res => setReasons(res.data))
+            .catch(err => console.error("Failed to fetch report reasons", err));
+    }, [open, reasons]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSending(true);
+        try {
+            const { data } = await api.post(`/api/properties/${property._id}/reports`, { reason, details });
+            toast.success(data.message);
+            setReported(true);
+            setOpen(false);
+        } catch (err) {
+            toast.error(err.response?.data?.message || "Failed to report the listing.");
+            if (err.response?.status === 409) setReported(true);
+        } finally {
+            setSending(false);
+        }
+    };
+
+    if (reported) return <p className="mt-4 text-sm text-slate-500 flex items-center justify-center gap-2"><Flag size={14} /> You reported this listing.</p>;
+
+    return (
+        <div className="mt-4">
+            {!open ? (
+                <button onClick={() => setOpen(true)} className="w-full text-sm text-slate-400 hover:text-red-300 flex items-center justify-center gap-2">
+                    <Flag size={14} /> Report this listing
+                </button>
+            ) : (
+                <form onSubmit={handleSubmit} className="bg-slate-900 border border-slate-700 rounded-xl p-4 space-y-3">
+                    <h4 className="font-bold text-white flex items-center gap-2"><Flag size={16} className="text-red-400" /> Report this listing</h4>
+                    <select value={reason} onChange={(e) => setReason(e.target.value)} required className="w-full bg-slate-800 border border-slate-600 rounded-lg p-2 text-white text-sm">
+                        <option value="">What's wrong?</option>
+                        {Object.entries(reasons).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                    <textarea
+                        value={details}
+                        onChange={(e) => setDetails(e.target.value)}
+                        required={reason === 'other'}
+                        maxLength={1000}
+                        placeholder="Anything that helps our moderators (optional)"
+                        className="w-full bg-slate-800 border border-slate-600 rounded-lg p-2 text-white text-sm h-20"
+                    />
+                    <div className="flex gap-2">
+                        <button type="submit" disabled={sending} className="flex-1 bg-red-600 hover:bg-red-500 text-white font-bold py-2 rounded-lg disabled:opacity-50">{sending ? 'Sending...' : 'Send Report'}</button>
+                        <button type="button" onClick={() => setOpen(false)} className="px-4 bg-slate-700 hover:bg-slate-600 text-white rounded-lg">Cancel</button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+};
+
+// Landlord (and admins): why a listing is hidden, and the appeal against the takedown
+const HiddenListingNotice = ({ property, isOwner }) => {
+    const [moderation, setModeration] = useState(property);
+    const [message, setMessage] = useState('');
+    const [sending, setSending] = useState(false);
+
+    const handleAppeal = async (e) => {
+        e.preventDefault();
+        setSending(true);
+        try {
+            const { data } = await api.post(`/api/properties/${property._id}/appeal`, { message });
+            setModeration(data);
+            toast.success("Appeal sent. A moderator will review it.");
+        } catch (err) {
+            toast.error(err.response?.data?.message || "Failed to send the appeal.");
+        } finally {
+            setSending(false);
+        }
+    };
+
+    return (
+        <div className="p-6 bg-red-900/20 border border-red-700/50 rounded-2xl text-red-200 max-w-6xl mx-auto">
+            <h2 className="text-xl font-bold flex items-center gap-2"><EyeOff /> This listing is hidden</h2>
+            <p className="mt-2 text-sm">
+                Taken down {new Date(moderation.hiddenAt).toLocaleDateString()}: {moderation.hiddenReason}. Students can't find or open it.
+            </p>
+            {moderation.appealStatus === 'pending' && (
+                <p className="mt-3 text-sm text-orange-300">Appeal sent {new Date(moderation.appealedAt).toLocaleDateString()} and waiting for a moderator: "{moderation.appealMessage}"</p>
+            )}
+            {moderation.appealStatus === 'rejected' && (
+                <p className="mt-3 text-sm">Your appeal was rejected: {moderation.appealResponse}</p>
+            )}
+            {isOwner && moderation.appealStatus === 'none' && (
+                <form onSubmit={handleAppeal} className="mt-4 space-y-2">
+                    <textarea
+                        value={message}
+                        onChange={(e) => setMessage(e.target.value)}
+                        required
+                        maxLength={1000}
+                        placeholder="Explain why this listing is genuine, e.g. what you have fixed..."
+                        className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2 text-white text-sm h-24"
+                    />
+                    <button type="submit" disabled={sending} className="bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-2 px-6 rounded-lg disabled:opacity-50">{sending ? 'Sending...' : 'Appeal Takedown'}</button>
+                </form>
+            )}
+        </div>
+    );
+};
+
+const REPORT_REASON_LABELS = {
+    scam: 'Scam or fraud',
+    fake_photos: 'Fake photos',
+    not_available: 'Not available',
+    wrong_price: 'Wrong price',
+    offensive: 'Offensive',
+    other: 'Other',
+};
+
+// Admin: one reported or appealed listing with its reports and the moderation actions
+const ModerationCase = ({ listing, onModerated }) => {
+    const [reason, setReason] = useState('');
+    const [busy, setBusy] = useState(false);
+    const appealPending = listing.appealStatus === 'pending';
+
+    const handleAction = async (action, confirmText) => {
+        if (['hide', 'delete', 'reject_appeal'].includes(action) && !reason.trim()) return toast.error('Please write a reason for the landlord first.');
+        if (!window.confirm(confirmText)) return;
+        setBusy(true);
+        try {
+            const { data } = await api.post(`/api/admin/listings/${listing._id}/moderate`, { action, reason });
+            toast.success(data.message);
+            onModerated(listing._id);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Action failed.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="bg-slate-800 border border-slate-700 p-6 rounded-xl shadow-lg">
+            <Link to={`/properties/${listing._id}`} className="flex items-center gap-3 hover:opacity-80">
+                <img src={listing.image_url || 'https://placehold.co/80x60/1e293b/a78bfa?text=Home'} className="h-12 w-16 rounded object-cover" alt={listing.title} />
+                <div>
+                    <h3 className="font-bold text-lg">{listing.title}</h3>
+                    <p className="text-xs text-slate-400">{listing.address}, {listing.city} · by {listing.landlord_id?.username || 'Deleted User'}{listing.landlord_id?.isVerified && ' (verified)'}</p>
+                </div>
+            </Link>
+
+            <div className="flex flex-wrap gap-2 mt-3 text-xs">
+                {listing.isHidden
+                    ? <span className="px-2 py-0.5 rounded-full border bg-red-900/30 text-red-300 border-red-700">Hidden {listing.hiddenBy ? `by ${listing.hiddenBy.username}` : 'automatically'}</span>
+                    : <span className="px-2 py-0.5 rounded-full border bg-green-900/30 text-green-300 border-green-700">Visible</span>}
+                {appealPending && <span className="px-2 py-0.5 rounded-full border bg-orange-900/30 text-orange-300 border-orange-700">Appeal pending</span>}
+                <span className="px-2 py-0.5 rounded-full border bg-slate-900 text-slate-300 border-slate-600">{listing.reports.length} open report{listing.reports.length === 1 ? '' : 's'}</span>
+            </div>
+
+            {appealPending && (
+                <p className="mt-3 text-sm text-orange-200 italic">Appeal: "{listing.appealMessage}"</p>
+            )}
+
+            {listing.reports.length > 0 && (
+                <ul className="mt-3 space-y-2 max-h-48 overflow-y-auto">
+                    {listing.reports.map(report => (
+                        <li key={report._id} className="text-sm bg-slate-900 p-2 rounded-lg">
+                            <span className="font-semibold text-red-300">{REPORT_REASON_LABELS[report.reason]}</span>
+                            <span className="text-slate-500"> · {report.reporter_id?.username || 'Deleted User'}, {new Date(report.createdAt).toLocaleDateString()}</span>
+                            {report.details && <p className="text-slate-300 mt-1">{report.details}</p>}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <input value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Reason (sent to the landlord)" className="w-full mt-4 bg-slate-900 border border-slate-600 rounded-lg p-2 text-white text-sm" />
+            <div className="grid grid-cols-2 gap-2 mt-3 text-sm">
+                {listing.isHidden ? (
+                    <button onClick={() => handleAction('unhide', 'Make this listing visible again and dismiss its reports?')} disabled={busy} className="bg-green-600 hover:bg-green-500 text-white py-2 rounded-lg font-bold disabled:opacity-50 flex items-center justify-center gap-1"><Eye size={16} /> Unhide</button>
+                ) : (
+                    <button onClick={() => handleAction('hide', 'Hide this listing from students?')} disabled={busy} className="bg-orange-600 hover:bg-orange-500 text-white py-2 rounded-lg font-bold disabled:opacity-50 flex items-center justify-center gap-1"><EyeOff size={16} /> Hide</button>
+                )}
+                {appealPending ? (
+                    <button onClick={() => handleAction('reject_appeal', 'Reject the appeal? The listing stays hidden.')} disabled={busy} className="bg-slate-600 hover:bg-slate-500 text-white py-2 rounded-lg font-bold disabled:opacity-50">Reject Appeal</button>
+                ) : !listing.isHidden && (
+                    <button onClick={() => handleAction('dismiss', 'Dismiss these reports and keep the listing up?')} disabled={busy} className="bg-slate-600 hover:bg-slate-500 text-white py-2 rounded-lg font-bold disabled:opacity-50">Dismiss Reports</button>
+                )}
+                <button onClick={() => handleAction('delete', 'Delete this listing for good?')} disabled={busy} className="col-span-2 bg-red-600 hover:bg-red-500 text-white py-2 rounded-lg font-bold disabled:opacity-50 flex items-center justify-center gap-1"><Trash2 size={16} /> Delete Listing</button>
+            </div>
+        </div>
+    );
+};
+
+// Admin: reported listings and appeals against takedowns
+const ModerationQueue = () => {
+    const [queue, setQueue] = useState([]);
+
+    const fetchQueue = useCallback(async () => {
+        try {
+            const { data } = await api.get('/api/admin/moderation');
+            setQueue(data);
+        } catch (err) {
+            console.error("Failed to load the moderation queue", err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchQueue();
+    }, [fetchQueue]);
+
+    return (
+        <div>
+            <h2 className="text-2xl font-bold mb-4 flex items-center gap-2"><Flag className="text-red-400" /> Listing Moderation</h2>
+            {queue.length === 0 ? (
+                <div className="text-slate-400 text-lg bg-slate-800/50 p-6 rounded-xl border border-slate-700">
+                    ✅ No reported listings or appeals.
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                    {queue.map(listing => (
+                        <ModerationCase key={listing._id} listing={listing} onModerated={fetchQueue} />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- PAGE COMPONENTS (VIEWS) ---
+
+const DashboardView = () => {
+    const { currentUser } = useAuth();
+
+    const navigate = useNavigate();
+    
+    useEffect(() => {
+        if (currentUser?.userType === 'admin') {
+            navigate('/admin');
+        }
+    }, [currentUser, navigate]);
+
+    // Landlord state
+    const [stats, setStats] = useState(null);
+    // Student state
+    const [featured, setFeatured] = useState([]);
+    const [favorites, setFavorites] = useState([]);
+
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchData = async () => {
+            setLoading(true);
+            try {
+                if (currentUser && currentUser.userType === 'landlord') {
+                    const { data } = await api.get('/api/dashboard/stats');
+                    setStats(data);
+                } else if (currentUser && currentUser.userType === 'student') {
+                    const [featuredRes, favoritesRes] = await Promise.all([
+                        api.get('/api/properties/featured?limit=3'),
+                        api.get('/api/favorites?limit=3')
+                    ]);
+                    setFeatured(featuredRes.data);
+                    setFavorites(favoritesRes.data);
+                }
+                setError('');
+            } catch (err) {
+                if (err.response?.status !== 401 && err.response?.status !== 403) {
+                    setError('Failed to load dashboard data. Please try again later.');
+                }
+                console.error(err);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchData();
+    }, [currentUser]);
+
+
+    if (loading) return <div className="text-center text-slate-400">Loading dashboard...</div>;
+    if (error) return <div className="text-center text-red-400">{error}</div>;
+
+    // --- LANDLORD VIEW ---
+    if (currentUser.userType === 'landlord' && stats) {
+        const propertyViewsData = stats.properties?.map(p => ({
+            name: p.title.substring(0, 15) + (p.title.length > 15 ? '...' : ''),
+            Views: p.view_count,
+        })) || [];
+        
+        const favoritesData = [{ 
+            name: 'Favorites', 
+            value: stats.summary?.totalFavorites || 0,
+            fill: '#f43f5e'
+        }];
+
+        return (
+            <div className="space-y-8">
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+                    <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700 flex items-center gap-4"><div className="p-3 bg-indigo-600/20 rounded-lg"><Building size={28} className="text-indigo-400" /></div><div><p className="text-3xl font-bold text-white">{stats.summary.totalProperties}</p><p className="text-slate-400">Total Properties</p></div></div>
+                    <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700 flex items-center gap-4"><div className="p-3 bg-sky-600/20 rounded-lg"><Search size={28} className="text-sky-400" /></div><div><p className="text-3xl font-bold text-white">{stats.summary.totalViews}</p><p className="text-slate-400">Total Views</p></div></div>
+                    <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700 flex items-center gap-4"><div className="p-3 bg-rose-600/20 rounded-lg"><Heart size={28} className="text-rose-400" /></div><div><p className="text-3xl font-bold text-white">{stats.summary.totalFavorites}</p><p className="text-slate-400">Total Favorites</p></div></div>
+                    <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700 flex items-center gap-4"><div className="p-3 bg-emerald-600/20 rounded-lg"><MessageSquare size={28} className="text-emerald-400" /></div><div><p className="text-3xl font-bold text-white">{stats.summary.totalConversations}</p><p className="text-slate-400">Conversations</p></div></div>
+                </div>
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                    <div className="lg:col-span-2 bg-slate-800/50 p-6 rounded-2xl border border-slate-700"><h2 className="text-xl font-bold text-white mb-4">Property Views Analytics</h2>{propertyViewsData.length > 0 ? (<ResponsiveContainer width="100%" height={250}><BarChart data={propertyViewsData} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}><CartesianGrid strokeDasharray="3 3" stroke="#374151" /><XAxis dataKey="name" stroke="#9ca3af" /><YAxis stroke="#9ca3af" /><Tooltip contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #374151' }} cursor={{ fill: 'rgba(129, 140, 248, 0.1)' }}/><Bar dataKey="Views" fill="#818cf8" /></BarChart></ResponsiveContainer>) : (<div className="h-[250px] flex items-center justify-center text-slate-500">Add a property to see view analytics.</div>)}</div>
+                    <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700 flex flex-col items-center justify-center"><h2 className="text-xl font-bold text-white mb-4">Total Favorites</h2><ResponsiveContainer width="100%" height={250}><RadialBarChart innerRadius="70%" outerRadius="90%" data={favoritesData} startAngle={90} endAngle={-270} barSize={30}><RadialBar minAngle={15} dataKey='value' cornerRadius={15} /><text x="50%" y="50%" textAnchor="middle" dominantBaseline="middle" className="text-4xl font-bold fill-white">{stats.summary.totalFavorites}</text></RadialBarChart></ResponsiveContainer></div>
+                </div>
+                <ViewingCalendar />
+                <RentLedger />
+                <Leases />
+                <MaintenanceTickets />
+                <LandlordApplications />
+            </div>
+        );
+    }
+
+    // --- STUDENT VIEW ---
+    if (currentUser.userType === 'student') {
+        return (
+            <div className="space-y-10">
+                <div className="bg-slate-800/50 p-8 rounded-2xl border border-slate-700">
+                    <h1 className="text-3xl font-bold text-white mb-2">Welcome back, {currentUser.username}!</h1>
+                    <p className="text-slate-300 text-lg">Let's find your next place. Start by searching or check out some popular listings.</p>
+                </div>
+
+                <div>
+                    <div className="flex justify-between items-center mb-4">
+                        <h2 className="text-2xl font-bold text-white flex items-center gap-2"><Star className="text-amber-400"/> Featured Properties</h2>
+                        <Link to="/properties" className="text-indigo-400 hover:text-indigo-300 font-semibold transition">View All &rarr;</Link>
+                    </div>
+                    {featured.length > 0 ? (
+                        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+                            {featured.map(prop => <PropertyCard key={prop._id} property={prop} />)}
+                        </div>
+                    ) : (
+                         <div className="text-center py-10 text-slate-500">No featured properties available right now.</div>
+                    )}
+                </div>
+
+                <div>
+                    <div className="flex justify-between items-center mb-4">
+                        <h2 className="text-2xl font-bold text-white flex items-center gap-2"><Heart className="text-rose-500"/> Your Recent Favorites</h2>
+                         <Link to="/favorites" className="text-indigo-400 hover:text-indigo-300 font-semibold transition">View All &rarr;</Link>
+                    </div>
+                    {favorites.length > 0 ? (
+                        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+                            {favorites.map(prop => <PropertyCard key={prop._id} property={prop} />)}
+                        </div>
+                    ) : (
+                         <div className="text-center py-10 text-slate-500">You haven't favorited any properties yet. Click the heart icon on a listing to save it!</div>
+                    )}
+                </div>
+            </div>
+        );
+    }
+
+    return null;
+};
+
+// --- Map view of the search results ---
+const DEFAULT_MAP_CENTER = [20.5937, 78.9629]; // India, until there are results to fit
+const MAP_TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const MAP_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+// GeoJSON stores [lng, lat]; Leaflet wants [lat, lng]
+const toLatLng = (point) => [point.coordinates[1], point.coordinates[0]];
+
+const priceIcon = (price) => L.divIcon({
+    className: '',
+    iconSize: null,
+    html: `<div class="-translate-x-1/2 -translate-y-full whitespace-nowrap rounded-full border border-indigo-300 bg-indigo-600 px-2 py-1 text-xs font-bold text-white shadow-lg">₹${Number(price).toLocaleString()}</div>`,
+});
+
+// Bounds as the API's "minLng,minLat,maxLng,maxLat", clamped because a panned map can wrap past ±180
+const boundsToBbox = (bounds) => {
+    const clamp = (value, limit) => Math.min(Math.max(value, -limit), limit).toFixed(5);
+    return [
+        clamp(bounds.getWest(), 180), clamp(bounds.getSouth(), 90),
+        clamp(bounds.getEast(), 180), clamp(bounds.getNorth(), 90),
+    ].join(',');
+};
+
+// Fits the map to a new search and reports the bounds whenever the user pans or zooms.
+// Fitting is skipped while the search is the map area itself, otherwise every drag would snap back.
+const MapSearchController = ({ markers, center, radiusKm, fitKey, onUserMove }) => {
+    const map = useMap();
+    const programmaticMove = useRef(false);
+    const fittedKey = useRef(null);
+
+    useEffect(() => {
+        if (!fitKey || fittedKey.current === fitKey) return;
+        let bounds = null;
+        if (center) bounds = L.latLng(toLatLng(center)).toBounds(radiusKm * 2000);
+        else if (markers.length) bounds = L.latLngBounds(markers.map(m => toLatLng(m.location)));
+        if (!bounds) return;
+
+        fittedKey.current = fitKey;
+        // Without animation the moveend fires synchronously, so the flag only covers this move
+        programmaticMove.current = true;
+        map.fitBounds(bounds, { padding: [40, 40], maxZoom: 15, animate: false });
+        programmaticMove.current = false;
+    }, [map, markers, center, radiusKm, fitKey]);
+
+    useMapEvents({
+        moveend: () => {
+            if (!programmaticMove.current) onUserMove(map.getBounds());
+        },
+    });
+    return null;
+};
+
+const PropertiesMap = ({ currentUser, searchTerm }) => {
+    const { filters, setFilters } = useFilters();
+    const [result, setResult] = useState({ markers: [], truncated: false, center: null, radiusKm: null });
+    const [loading, setLoading] = useState(true);
+    const [searchAsMove, setSearchAsMove] = useState(true);
+    const [pendingBounds, setPendingBounds] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        const fetchMarkers = async () => {
+            setLoading(true);
+            try {
+                const params = buildPropertySearchParams(filters, searchTerm, currentUser);
+                const { data } = await api.get(`/api/properties/map?${params.toString()}`);
+                if (!cancelled) setResult(data);
+            } catch (error) {
+                if (!cancelled) toast.error(error.response?.data?.message || 'Failed to load the map.');
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+        fetchMarkers();
+        return () => { cancelled = true; };
+    }, [filters, searchTerm, currentUser]);
+
+    const searchArea = (bounds) => {
+        setPendingBounds(null);
+        // Searching the visible area replaces "near me" and campus searches
+        setFilters(prev => ({ ...prev, bbox: boundsToBbox(bounds), lat: null, lng: null, campus: '' }));
+    };
+
+    const handleUserMove = (bounds) => {
+        if (searchAsMove) searchArea(bounds);
+        else setPendingBounds(bounds);
+    };
+
+    // Refit whenever the search changes, except while it is driven by the map itself
+    const { bbox, ...searchFilters } = filters;
+    const fitKey = !bbox && !loading ? JSON.stringify({ searchFilters, searchTerm }) : null;
+
+    return (
+        <div className="relative z-0">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                <label className="flex items-center gap-2 text-slate-300 text-sm">
+                    <input type="checkbox" checked={searchAsMove} onChange={e => setSearchAsMove(e.target.checked)} className="h-4 w-4 rounded border-slate-600 bg-slate-900 text-indigo-600" />
+                    Search as I move the map
+                </label>
+                <span className="text-slate-400 text-sm">
+                    {loading ? 'Loading...' : `${result.markers.length} ${result.markers.length === 1 ? 'property' : 'properties'} on the map`}
+                    {result.truncated && ' (zoom in to see more)'}
+                </span>
+            </div>
+            <div className="relative overflow-hidden rounded-2xl border border-slate-700 h-[70vh]">
+                {pendingBounds && (
+                    <button onClick={() => searchArea(pendingBounds)} className="absolute top-4 left-1/2 -translate-x-1/2 z-[1000] bg-indigo-600 text-white px-4 py-2 rounded-full shadow-lg hover:bg-indigo-500 flex items-center gap-2">
+                        <Search size={16} /> Search this area
+                    </button>
+                )}
+                <MapContainer center={DEFAULT_MAP_CENTER} zoom={5} className="h-full w-full">
+                    <TileLayer url={MAP_TILE_URL} attribution={MAP_ATTRIBUTION} />
+                    <MapSearchController markers={result.markers} center={result.center} radiusKm={result.radiusKm} fitKey={fitKey} onUserMove={handleUserMove} />
+                    {result.center && (
+                        <Circle center={toLatLng(result.center)} radius={result.radiusKm * 1000} pathOptions={{ color: '#6366f1', fillOpacity: 0.05 }} />
+                    )}
+                    <MarkerClusterGroup chunkedLoading>
+                        {result.markers.map(property => (
+                            <Marker key={property._id} position={toLatLng(property.location)} icon={priceIcon(property.price)}>
+                                <Popup>
+                                    <div className="w-48">
+                                        {property.image_url && <img src={property.image_url} alt={property.title} className="w-full h-24 object-cover rounded mb-2" />}
+                                        <p className="font-bold">{property.title}</p>
+                                        <p className="text-slate-600">{property.city} · {property.bedrooms} bed · ₹{property.price.toLocaleString()}/mo</p>
+                                        <Link to={`/properties/${property._id}`} className="text-indigo-600 font-semibold">View details</Link>
+                                    </div>
+                                </Popup>
+                            </Marker>
+                        ))}
+                    </MarkerClusterGroup>
+                </MapContainer>
+            </div>
+        </div>
+    );
+};
+
+// Query string for the property search, shared by the list and the map so both show the same results.
+const buildPropertySearchParams = (filters, searchTerm, currentUser) => {
+    const params = new URLSearchParams({
+        search: searchTerm,
+        city: filters.city,
+        minPrice: filters.minPrice,
+        maxPrice: filters.maxPrice,
+        bedrooms: filters.bedrooms,
+        propertyType: filters.propertyType,
+    });
+
+    if (filters.lat && filters.lng) {
+        params.append('near', `${filters.lat},${filters.lng}`);
+    } else if (filters.campus) {
+        params.append('campus', filters.campus);
+    }
+    if (filters.lat || filters.campus) params.append('radius', filters.radius);
+    if (filters.bbox) params.append('bbox', filters.bbox);
+    if (filters.amenities.length) {
+        params.append('amenities', filters.amenities.join(','));
+        params.append('amenitiesMatch', filters.amenitiesMatch);
+    }
+    if (filters.moveIn) params.append('moveIn', filters.moveIn);
+    if (filters.verified) params.append('verified', filters.verified);
+    // Landlords manage their let listings too, so they see everything
+    if (currentUser.userType === 'landlord') params.append('includeLet', 'true');
+    return params;
+};
+
+const PropertiesView = () => {
+    const { currentUser } = useAuth();
     const navigate = useNavigate();
     const { searchTerm } = useSearch();
     const { filters } = useFilters();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const view = searchParams.get('view') === 'map' ? 'map' : 'list';
     
     const [properties, setProperties] = useState([]);
     const [currentPage, setCurrentPage] = useState(1);
     const [totalPages, setTotalPages] = useState(1);
+    const [correctedSearch, setCorrectedSearch] = useState(null);
     
     const [favorites, setFavorites] = useState(new Set());
     const [loading, setLoading] = useState(true);
@@ -766,21 +3388,10 @@ const PropertiesView = () => {
         if (!currentUser) return;
         setLoading(true);
         try {
-            const params = new URLSearchParams({
-                search: searchTerm,
-                page,
-                city: filters.city,
-                minPrice: filters.minPrice,
-                maxPrice: filters.maxPrice,
-                bedrooms: filters.bedrooms,
-                propertyType: filters.propertyType,
-            });
-            
-            if (filters.lat && filters.lng) {
-                params.append('lat', filters.lat);
-                params.append('lng', filters.lng);
-            }
-            
+            const params = buildPropertySearchParams(filters, searchTerm, currentUser);
+            params.append('page', page);
+            if (filters.sort) params.append('sort', filters.sort);
+
             const [propsRes, favsRes] = await Promise.all([
                 api.get(`/api/properties?${params.toString()}`),
                 currentUser.userType === 'student' ? api.get('/api/favorites') : Promise.resolve({ data: [] })
@@ -789,6 +3400,7 @@ const PropertiesView = () => {
             setProperties(propsRes.data.properties);
             setCurrentPage(propsRes.data.currentPage);
             setTotalPages(propsRes.data.totalPages);
+            setCorrectedSearch(propsRes.data.correctedSearch);
             setFavorites(new Set(favsRes.data.map(fav => fav._id)));
         } catch (error) {
             toast.error("Failed to fetch properties.");
@@ -798,8 +3410,13 @@ const PropertiesView = () => {
     }, [currentUser, searchTerm, filters]);
 
     useEffect(() => {
-        fetchData(1); 
-    }, [fetchData]);
+        // The map loads its own markers
+        if (view === 'list') fetchData(1);
+    }, [fetchData, view]);
+
+    const setView = (nextView) => {
+        setSearchParams(nextView === 'map' ? { view: 'map' } : {}, { replace: true });
+    };
 
     const handlePageChange = (newPage) => {
         if (newPage >= 1 && newPage <= totalPages) {
@@ -844,10 +3461,25 @@ const PropertiesView = () => {
     return (
         <div>
             <Filters />
-            {loading ? (
+            <div className="flex justify-end mb-6">
+                <div className="inline-flex rounded-lg border border-slate-700 overflow-hidden">
+                    <button onClick={() => setView('list')} className={`flex items-center gap-2 px-4 py-2 ${view === 'list' ? 'bg-indigo-600 text-white' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'}`}>
+                        <List size={16} /> List
+                    </button>
+                    <button onClick={() => setView('map')} className={`flex items-center gap-2 px-4 py-2 ${view === 'map' ? 'bg-indigo-600 text-white' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'}`}>
+                        <MapIcon size={16} /> Map
+                    </button>
+                </div>
+            </div>
+            {view === 'map' ? (
+                <PropertiesMap currentUser={currentUser} searchTerm={searchTerm} />
+            ) : loading ? (
                 <div className="text-center text-slate-400 mt-10">Loading properties...</div>
             ) : (
                 <>
+                    {correctedSearch && (
+                        <p className="text-slate-400 mb-6">Showing results for <span className="text-white font-semibold">{correctedSearch}</span></p>
+                    )}
                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
                         {properties.length > 0 ? properties.map(prop => (
                             <PropertyCard 
@@ -903,9 +3535,10 @@ const AddPropertyView = () => {
     }, [currentUser, navigate]);
 
     const [details, setDetails] = useState({ 
-        title: '', description: '', address: '', city: '', price: '', 
-        property_type: 'apartment', bedrooms: '', bathrooms: '', amenities: '',
-        lat: '', lng: '', virtual_tour_url: '' 
+        title: '', description: '', address: '', city: '', price: '', deposit: '',
+        property_type: 'apartment', bedrooms: '', bathrooms: '', amenities: [], extraAmenities: '',
+        lat: '', lng: '', virtual_tour_url: '',
+        availableFrom: '', availableUntil: '', totalUnits: '1'
     });
     const [images, setImages] = useState([]);
     const [loading, setLoading] = useState(false);
@@ -940,7 +3573,8 @@ const AddPropertyView = () => {
         setError('');
 
         const formData = new FormData();
-        Object.keys(details).forEach(key => formData.append(key, details[key]));
+        // Arrays (the amenity keys) go in as repeated fields
+        Object.keys(details).forEach(key => [].concat(details[key]).forEach(value => formData.append(key, value)));
         for (let i = 0; i < images.length; i++) {
             formData.append('images', images[i]);
         }
@@ -965,6 +3599,7 @@ const AddPropertyView = () => {
                 <div><label className="block text-sm font-medium text-slate-300 mb-1">Address</label><input name="address" required value={details.address} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"/></div>
                 <div><label className="block text-sm font-medium text-slate-300 mb-1">City</label><input name="city" required value={details.city} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"/></div>
                 <div><label className="block text-sm font-medium text-slate-300 mb-1">Price (per month)</label><input name="price" type="number" required value={details.price} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"/></div>
+                <div><label className="block text-sm font-medium text-slate-300 mb-1">Security Deposit</label><input name="deposit" type="number" min="0" placeholder="0" value={details.deposit} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"/></div>
                 <div><label className="block text-sm font-medium text-slate-300 mb-1">Property Type</label><select name="property_type" value={details.property_type} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"><option value="apartment">Apartment</option><option value="house">House</option><option value="room">Room</option></select></div>
                 <div><label className="block text-sm font-medium text-slate-300 mb-1">Bedrooms</label><input name="bedrooms" type="number" value={details.bedrooms} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"/></div>
                 <div><label className="block text-sm font-medium text-slate-300 mb-1">Bathrooms</label><input name="bathrooms" type="number" value={details.bathrooms} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"/></div>
@@ -994,8 +3629,14 @@ const AddPropertyView = () => {
 
                 <div className="md:col-span-2"><label className="block text-sm font-medium text-slate-300 mb-1">Description</label><textarea name="description" rows="5" value={details.description} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"></textarea></div>
                 
-                <div className="md:col-span-2"><label className="block text-sm font-medium text-slate-300 mb-1">Amenities (comma-separated)</label><input name="amenities" value={details.amenities} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"/></div>
+                <div className="md:col-span-2"><label className="block text-sm font-medium text-slate-300 mb-2">Amenities</label><AmenityCheckboxes selected={details.amenities} onChange={amenities => setDetails(prev => ({ ...prev, amenities }))} /></div>
+                <div className="md:col-span-2"><label className="block text-sm font-medium text-slate-300 mb-1">Other Amenities (comma-separated, optional)</label><input name="extraAmenities" value={details.extraAmenities} onChange={handleChange} placeholder="e.g., Rooftop terrace, Garden" className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"/></div>
                 
+                <div><label className="block text-sm font-medium text-slate-300 mb-1">Available From (Optional)</label><input name="availableFrom" type="date" value={details.availableFrom} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"/></div>
+                <div><label className="block text-sm font-medium text-slate-300 mb-1">Available Until (Optional)</label><input name="availableUntil" type="date" value={details.availableUntil} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"/></div>
+                <div><label className="block text-sm font-medium text-slate-300 mb-1">Rooms Let Separately</label><input name="totalUnits" type="number" min="1" value={details.totalUnits} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"/></div>
+                <p className="md:col-span-2 text-xs text-slate-400 -mt-4">Use 1 when the whole property is rented together, or the number of rooms you rent out individually.</p>
+
                 <div className="md:col-span-2"><label className="block text-sm font-medium text-slate-300 mb-1">Virtual Tour URL (Optional)</label><input name="virtual_tour_url" value={details.virtual_tour_url} onChange={handleChange} placeholder="https://my.matterport.com/show/..." className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"/></div>
                 <div><label className="block text-sm font-medium text-slate-300 mb-1">Latitude (Optional)</label><input name="lat" type="number" value={details.lat} onChange={handleChange} placeholder="e.g., 19.0760" className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"/></div>
                 <div><label className="block text-sm font-medium text-slate-300 mb-1">Longitude (Optional)</label><input name="lng" type="number" value={details.lng} onChange={handleChange} placeholder="e.g., 72.8777" className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white"/></div>
@@ -1023,7 +3664,8 @@ const EditPropertyView = () => {
             setLoading(true);
             try {
                 const response = await api.get(`/api/properties/${propertyId}`);
-                setDetails(response.data);
+                // Extras are edited as one comma-separated text field
+                setDetails({ ...response.data, extraAmenities: (response.data.extraAmenities || []).join(', ') });
             } catch (err) {
                 setError('Failed to fetch property details.');
                 toast.error('Failed to load property data.');
@@ -1067,11 +3709,17 @@ const EditPropertyView = () => {
                     <div><label className="block text-sm font-medium text-slate-300 mb-1">Address</label><input name="address" required value={details.address} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white focus:ring-indigo-500 focus:border-indigo-500"/></div>
                     <div><label className="block text-sm font-medium text-slate-300 mb-1">City</label><input name="city" required value={details.city} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white focus:ring-indigo-500 focus:border-indigo-500"/></div>
                     <div><label className="block text-sm font-medium text-slate-300 mb-1">Price (per month)</label><input name="price" type="number" required value={details.price} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white focus:ring-indigo-500 focus:border-indigo-500"/></div>
+                    <div><label className="block text-sm font-medium text-slate-300 mb-1">Security Deposit</label><input name="deposit" type="number" min="0" value={details.deposit ?? 0} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white focus:ring-indigo-500 focus:border-indigo-500"/></div>
                     <div><label className="block text-sm font-medium text-slate-300 mb-1">Property Type</label><select name="property_type" value={details.property_type} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white focus:ring-indigo-500 focus:border-indigo-500"><option value="apartment">Apartment</option><option value="house">House</option><option value="room">Room</option></select></div>
                     <div><label className="block text-sm font-medium text-slate-300 mb-1">Bedrooms</label><input name="bedrooms" type="number" value={details.bedrooms} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white focus:ring-indigo-500 focus:border-indigo-500"/></div>
                     <div><label className="block text-sm font-medium text-slate-300 mb-1">Bathrooms</label><input name="bathrooms" type="number" value={details.bathrooms} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white focus:ring-indigo-500 focus:border-indigo-500"/></div>
                     <div className="md:col-span-2"><label className="block text-sm font-medium text-slate-300 mb-1">Description</label><textarea name="description" rows="4" value={details.description} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white focus:ring-indigo-500 focus:border-indigo-500"></textarea></div>
-                    <div className="md:col-span-2"><label className="block text-sm font-medium text-slate-300 mb-1">Amenities (comma-separated)</label><input name="amenities" value={details.amenities} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white focus:ring-indigo-500 focus:border-indigo-500"/></div>
+                    <div className="md:col-span-2"><label className="block text-sm font-medium text-slate-300 mb-2">Amenities</label><AmenityCheckboxes selected={details.amenities || []} onChange={amenities => setDetails(prev => ({ ...prev, amenities }))} /></div>
+                    <div className="md:col-span-2"><label className="block text-sm font-medium text-slate-300 mb-1">Other Amenities (comma-separated, optional)</label><input name="extraAmenities" value={details.extraAmenities} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white focus:ring-indigo-500 focus:border-indigo-500"/></div>
+                    <div><label className="block text-sm font-medium text-slate-300 mb-1">Available From</label><input name="availableFrom" type="date" value={details.availableFrom?.slice(0, 10) || ''} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white focus:ring-indigo-500 focus:border-indigo-500"/></div>
+                    <div><label className="block text-sm font-medium text-slate-300 mb-1">Available Until</label><input name="availableUntil" type="date" value={details.availableUntil?.slice(0, 10) || ''} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white focus:ring-indigo-500 focus:border-indigo-500"/></div>
+                    <div><label className="block text-sm font-medium text-slate-300 mb-1">Rooms Let Separately</label><input name="totalUnits" type="number" min="1" value={details.totalUnits ?? 1} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white focus:ring-indigo-500 focus:border-indigo-500"/></div>
+                    <div><label className="block text-sm font-medium text-slate-300 mb-1">Rooms Occupied</label><input name="occupiedUnits" type="number" min="0" value={details.occupiedUnits ?? 0} onChange={handleChange} className="w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white focus:ring-indigo-500 focus:border-indigo-500"/></div>
                     <div className="md:col-span-2 mt-4"><button type="submit" disabled={loading} className="w-full bg-indigo-600 text-white py-3 rounded-lg font-semibold hover:bg-indigo-500 transition disabled:bg-indigo-800 disabled:cursor-not-allowed">{loading ? 'Updating...' : 'Save Changes'}</button></div>
                 </form>
             )}
@@ -1084,6 +3732,7 @@ const PropertyDetailsView = () => {
     const navigate = useNavigate();
     const [isApplyModalOpen, setIsApplyModalOpen] = useState(false);
 const [applicationMsg, setApplicationMsg] = useState('');
+const [applicationInvites, setApplicationInvites] = useState('');
     const { propertyId } = useParams();
     const [property, setProperty] = useState(null);
     const [reviews, setReviews] = useState([]);
@@ -1142,9 +3791,10 @@ const [applicationMsg, setApplicationMsg] = useState('');
         await api.post('/api/applications', {
             property_id: property._id,
             landlord_id: property.landlord_id,
-            message: applicationMsg
+            message: applicationMsg,
+            invite: applicationInvites
         });
-        toast.success("Application Sent! Good luck!");
+        toast.success(applicationInvites.trim() ? "Group created! The landlord sees it once everyone has answered." : "Application Sent! Good luck!");
         setIsApplyModalOpen(false);
     } catch (error) {
         toast.error(error.response?.data?.message || "Failed to apply");
@@ -1196,6 +3846,7 @@ const [applicationMsg, setApplicationMsg] = useState('');
 
     return (
         <div className="space-y-8">
+            {property.isHidden && <HiddenListingNotice property={property} isOwner={currentUser?.uid === property.landlord_id} />}
             <div className="bg-slate-800/50 p-8 rounded-2xl border border-slate-700 max-w-6xl mx-auto">
                  <Link to="/properties" className="mb-6 inline-flex items-center px-4 py-2 border border-slate-600 rounded-full hover:bg-slate-700 text-slate-300 transition-colors"><ArrowLeft size={20} className="mr-2" /> Back to Listings</Link>
                 <div className="grid grid-cols-1 lg:grid-cols-5 gap-8">
@@ -1213,13 +3864,16 @@ const [applicationMsg, setApplicationMsg] = useState('');
                     </div>
                     <div className="lg:col-span-2">
                         <h1 className="text-4xl font-extrabold text-white mb-2">{property.title}</h1>
+                        <VerifiedBadges property={property} className="mb-3" />
                         
                         <div className="flex items-center gap-2 mb-4">
                             <StarRating rating={averageRating} />
                             <span className="text-slate-400 text-sm">({reviews.length} reviews)</span>
                         </div>
 
-                        <p className="text-indigo-400 text-3xl font-bold mb-6">₹{property.price.toLocaleString()}<span className="text-base text-slate-400 font-normal"> / month</span></p>
+                        <p className="text-indigo-400 text-3xl font-bold mb-2">₹{property.price.toLocaleString()}<span className="text-base text-slate-400 font-normal"> / month</span></p>
+                        {property.deposit > 0 && <p className="text-slate-400 mb-2">Security deposit: ₹{property.deposit.toLocaleString()}</p>}
+                        <AvailabilityBadge property={property} className="inline-block mb-6" />
                         
                         <div className="space-y-4 text-slate-300 text-lg my-8 border-y border-slate-700 py-6">
                             <div className="flex items-center"><MapPin className="mr-3 text-indigo-400" size={20} /><span>{property.address}, {property.city}</span></div>
@@ -1229,7 +3883,7 @@ const [applicationMsg, setApplicationMsg] = useState('');
                         </div>
 
                         {property.description && <div className="mb-8"><h3 className="text-2xl font-bold text-white mb-3">Description</h3><p className="leading-relaxed text-slate-300">{property.description}</p></div>}
-                        {property.amenities && <div className="mb-8"><h3 className="text-2xl font-bold text-white mb-3">Amenities</h3><div className="flex flex-wrap gap-3">{property.amenities.split(',').map((a, i) => <span key={i} className="px-4 py-2 bg-slate-700 text-indigo-300 rounded-full text-sm font-medium">{a.trim()}</span>)}</div></div>}
+                        <AmenityList property={property} />
                         
                         {property.virtual_tour_url && (
                              <a href={property.virtual_tour_url} target="_blank" rel="noopener noreferrer" className="w-full mb-4 bg-indigo-600 text-white font-bold py-3 px-6 rounded-full shadow-lg flex items-center justify-center hover:bg-indigo-500 transition-colors">
@@ -1243,7 +3897,7 @@ const [applicationMsg, setApplicationMsg] = useState('');
                             </button>
                         )}
 
-                        {currentUser?.userType === 'student' && (
+                        {currentUser?.userType === 'student' && !getAvailability(property).isLet && (
     <button 
         onClick={() => setIsApplyModalOpen(true)}
         className="w-full mt-3 bg-indigo-600 text-white font-bold py-3 px-6 rounded-full shadow-lg flex items-center justify-center hover:bg-indigo-500 transition-colors"
@@ -1251,6 +3905,7 @@ const [applicationMsg, setApplicationMsg] = useState('');
         📝 Apply Now
     </button>
 )}
+                        {currentUser?.userType === 'student' && <ReportListing property={property} />}
 
 
                     </div>
@@ -1276,6 +3931,10 @@ const [applicationMsg, setApplicationMsg] = useState('');
                 </div>
             )}
 
+            {currentUser?.uid === property.landlord_id && <ListingVerification property={property} />}
+
+            <ViewingSlots property={property} />
+
             <div className="bg-slate-800/50 p-8 rounded-2xl border border-slate-700 max-w-6xl mx-auto">
                 <h2 className="text-2xl font-bold text-white mb-6">Reviews ({reviews.length})</h2>
                 
@@ -1343,6 +4002,14 @@ const [applicationMsg, setApplicationMsg] = useState('');
                             placeholder="Tell the landlord why you are a good tenant..."
                             className="w-full bg-slate-900 border border-slate-600 rounded-lg p-3 text-white mb-4 h-32"
                         />
+                        <label className="block text-sm text-slate-400 mb-1">Applying with friends? (optional)</label>
+                        <input
+                            type="text"
+                            value={applicationInvites}
+                            onChange={(e) => setApplicationInvites(e.target.value)}
+                            placeholder="Their usernames, separated by commas"
+                            className="w-full bg-slate-900 border border-slate-600 rounded-lg p-3 text-white mb-4"
+                        />
                         <div className="flex gap-3">
                             <button onClick={handleApply} className="flex-1 bg-green-600 text-white font-bold py-2 rounded-lg">Send Application</button>
                             <button onClick={() => setIsApplyModalOpen(false)} className="flex-1 bg-slate-600 text-white font-bold py-2 rounded-lg">Cancel</button>
@@ -1361,111 +4028,582 @@ const FavoritesView = () => {
     // ... This component is now fully implemented below
     const [favoriteProperties, setFavoriteProperties] = useState([]);
     const [loading, setLoading] = useState(true);
-    const [error, setError] = useState('');
+    const [error, setError] = useState('');
+
+    const fetchFavorites = useCallback(async () => {
+        setLoading(true);
+        try {
+            const response = await api.get('/api/favorites');
+            setFavoriteProperties(response.data);
+        } catch (err) {
+            setError('Failed to fetch your favorite properties.');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchFavorites();
+    }, [fetchFavorites]);
+
+    if (loading) return <div className="text-center text-slate-400">Loading favorites...</div>;
+    if (error) return <div className="text-center text-red-400">{error}</div>;
+
+    return (
+        <div>
+            {favoriteProperties.length === 0 ? (
+                <p className="text-center text-slate-400 text-lg">You haven't saved any properties yet.</p>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+                    {favoriteProperties.map(prop => (
+                        <PropertyCard key={prop._id} property={prop} />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- ROOMMATES ---
+const ROOMMATE_HABITS = {
+    smoking: { label: 'Smoking', options: { no: 'Non-smoker', outside_only: 'Smokes outside only', yes: 'Smoker' } },
+    sleepSchedule: { label: 'Sleep schedule', options: { early_bird: 'Early bird', night_owl: 'Night owl', flexible: 'Flexible' } },
+    diet: { label: 'Diet', options: { vegetarian: 'Vegetarian', vegan: 'Vegan', eggetarian: 'Eggetarian', non_vegetarian: 'Non-vegetarian', no_preference: 'No preference' } },
+    guests: { label: 'Guests over', options: { rarely: 'Rarely', sometimes: 'Sometimes', often: 'Often' } },
+};
+const COMPATIBILITY_LABELS = {
+    budget: 'Budget', city: 'City', moveIn: 'Move-in date', smoking: 'Smoking', sleepSchedule: 'Sleep',
+    diet: 'Diet', cleanliness: 'Cleanliness', guests: 'Guests',
+};
+
+const emptyRoommateProfile = {
+    budgetMin: '', budgetMax: '', city: '', moveInDate: '', bio: '', lookingForRoommate: true,
+    habits: { smoking: '', sleepSchedule: '', diet: '', guests: '', cleanliness: '' },
+};
+
+const RoommateProfileForm = ({ profile, onSaved, onCancel }) => {
+    const [form, setForm] = useState(() => profile ? {
+        ...emptyRoommateProfile,
+        ...profile,
+        budgetMin: profile.budgetMin ?? '',
+        budgetMax: profile.budgetMax ?? '',
+        moveInDate: profile.moveInDate?.slice(0, 10) || '',
+        habits: { ...emptyRoommateProfile.habits, ...Object.fromEntries(Object.entries(profile.habits || {}).map(([k, v]) => [k, v ?? ''])) },
+    } : emptyRoommateProfile);
+    const [saving, setSaving] = useState(false);
+
+    const handleChange = (e) => setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+    const handleHabitChange = (e) => setForm(prev => ({ ...prev, habits: { ...prev.habits, [e.target.name]: e.target.value } }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        try {
+            const { data } = await api.put('/api/roommates/profile', form);
+            toast.success('Roommate profile saved!');
+            onSaved(data);
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to save roommate profile.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = "w-full bg-slate-900 border border-slate-600 rounded-lg p-2.5 text-white";
+    return (
+        <form onSubmit={handleSubmit} className="bg-slate-800/50 p-8 rounded-2xl border border-slate-700 grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="md:col-span-2">
+                <h2 className="text-2xl font-bold text-white">Your Roommate Profile</h2>
+                <p className="text-slate-400 mt-1">Other students see this when looking for someone to share with.</p>
+            </div>
+            <div><label className="block text-sm font-medium text-slate-300 mb-1">Preferred City</label><input name="city" value={form.city} onChange={handleChange} required className={inputClass} /></div>
+            <div><label className="block text-sm font-medium text-slate-300 mb-1">Move-in Date</label><input name="moveInDate" type="date" value={form.moveInDate} onChange={handleChange} className={inputClass} /></div>
+            <div><label className="block text-sm font-medium text-slate-300 mb-1">Budget From (₹/mo)</label><input name="budgetMin" type="number" min="0" value={form.budgetMin} onChange={handleChange} className={inputClass} /></div>
+            <div><label className="block text-sm font-medium text-slate-300 mb-1">Budget Up To (₹/mo)</label><input name="budgetMax" type="number" min="0" value={form.budgetMax} onChange={handleChange} className={inputClass} /></div>
+            {Object.entries(ROOMMATE_HABITS).map(([habit, { label, options }]) => (
+                <div key={habit}>
+                    <label className="block text-sm font-medium text-slate-300 mb-1">{label}</label>
+                    <select name={habit} value={form.habits[habit]} onChange={handleHabitChange} className={inputClass}>
+                        <option value="">Prefer not to say</option>
+                        {Object.entries(options).map(([value, optionLabel]) => <option key={value} value={value}>{optionLabel}</option>)}
+                    </select>
+                </div>
+            ))}
+            <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">Tidiness ({form.habits.cleanliness || '-'}/5)</label>
+                <input name="cleanliness" type="range" min="1" max="5" value={form.habits.cleanliness || 3} onChange={handleHabitChange} className="w-full" />
+            </div>
+            <div className="md:col-span-2"><label className="block text-sm font-medium text-slate-300 mb-1">About You</label><textarea name="bio" rows="3" maxLength={500} value={form.bio} onChange={handleChange} placeholder="Course, hobbies, what you're looking for in a roommate..." className={inputClass}></textarea></div>
+            <label className="md:col-span-2 flex items-center gap-2 text-slate-300">
+                <input type="checkbox" checked={form.lookingForRoommate} onChange={e => setForm(prev => ({ ...prev, lookingForRoommate: e.target.checked }))} className="h-4 w-4" />
+                Show me to other students looking for a roommate
+            </label>
+            <div className="md:col-span-2 flex gap-4">
+                <button type="submit" disabled={saving} className="flex-1 bg-indigo-600 text-white py-3 rounded-lg font-semibold hover:bg-indigo-500 disabled:bg-indigo-800">{saving ? 'Saving...' : 'Save Profile'}</button>
+                {onCancel && <button type="button" onClick={onCancel} className="px-6 bg-slate-600 text-white rounded-lg hover:bg-slate-500">Cancel</button>}
+            </div>
+        </form>
+    );
+};
+
+const RoommateMatchCard = ({ match, onMessage }) => {
+    const { profile, score, breakdown } = match;
+    const student = profile.user_id;
+    const scoreColor = score >= 75 ? 'text-green-400' : score >= 50 ? 'text-amber-400' : 'text-slate-400';
+    return (
+        <div className="bg-slate-800 p-5 rounded-xl border border-slate-700 flex flex-col gap-3">
+            <div className="flex items-center gap-4">
+                <img src={student.profilePictureUrl || `https://ui-avatars.com/api/?name=${encodeURIComponent(student.username)}&background=4f46e5&color=fff`} alt={student.username} className="w-14 h-14 rounded-full object-cover" />
+                <div className="flex-1">
+                    <h3 className="font-bold text-white text-lg">{student.username}</h3>
+                    <p className="text-sm text-slate-400">
+                        {profile.city}
+                        {profile.budgetMax ? ` · ₹${(profile.budgetMin || 0).toLocaleString()} - ₹${profile.budgetMax.toLocaleString()}` : ''}
+                        {profile.moveInDate ? ` · from ${new Date(profile.moveInDate).toLocaleDateString()}` : ''}
+                    </p>
+                </div>
+                <div className="text-right">
+                    <p className={`text-3xl font-bold ${scoreColor}`}>{score}%</p>
+                    <p className="text-xs text-slate-500">match</p>
+                </div>
+            </div>
+            {profile.bio && <p className="text-slate-300 text-sm italic">"{profile.bio}"</p>}
+            <div className="flex flex-wrap gap-2">
+                {Object.entries(ROOMMATE_HABITS).map(([habit, { options }]) => profile.habits?.[habit] && (
+                    <span key={habit} className="px-3 py-1 bg-slate-700 text-indigo-300 rounded-full text-xs">{options[profile.habits[habit]]}</span>
+                ))}
+            </div>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-500">
+                {Object.entries(breakdown).map(([factor, value]) => (
+                    <span key={factor}>{COMPATIBILITY_LABELS[factor] || factor}: <span className={value >= 0.75 ? 'text-green-400' : value >= 0.4 ? 'text-amber-400' : 'text-red-400'}>{Math.round(value * 100)}%</span></span>
+                ))}
+            </div>
+            <button onClick={() => onMessage(student._id)} className="self-start flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-500">
+                <MessageSquare size={16} /> Message
+            </button>
+        </div>
+    );
+};
+
+const RoommatesView = () => {
+    const navigate = useNavigate();
+    const [profile, setProfile] = useState(null);
+    const [matches, setMatches] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [editing, setEditing] = useState(false);
+    const [anyCity, setAnyCity] = useState(false);
 
-    const fetchFavorites = useCallback(async () => {
-        setLoading(true);
+    const fetchMatches = useCallback(async () => {
         try {
-            const response = await api.get('/api/favorites');
-            setFavoriteProperties(response.data);
-        } catch (err) {
-            setError('Failed to fetch your favorite properties.');
-        } finally {
-            setLoading(false);
+            const { data } = await api.get(`/api/roommates/matches${anyCity ? '?city=any' : ''}`);
+            setMatches(data);
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to find roommates.');
         }
+    }, [anyCity]);
+
+    useEffect(() => {
+        const fetchProfile = async () => {
+            try {
+                const { data } = await api.get('/api/roommates/profile');
+                setProfile(data);
+            } catch (error) {
+                toast.error('Failed to load your roommate profile.');
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchProfile();
     }, []);
 
     useEffect(() => {
-        fetchFavorites();
-    }, [fetchFavorites]);
+        if (profile) fetchMatches();
+    }, [profile, fetchMatches]);
 
-    if (loading) return <div className="text-center text-slate-400">Loading favorites...</div>;
-    if (error) return <div className="text-center text-red-400">{error}</div>;
+    const handleMessage = async (roommateId) => {
+        try {
+            const { data } = await api.post('/api/conversations', { roommate_id: roommateId });
+            navigate(`/messages/${data.conversationId}`);
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Could not start conversation.');
+        }
+    };
+
+    if (loading) return <div className="text-center text-slate-400">Loading...</div>;
+
+    if (!profile || editing) {
+        return (
+            <div className="max-w-3xl mx-auto">
+                <RoommateProfileForm
+                    profile={profile}
+                    onSaved={(saved) => { setProfile(saved); setEditing(false); }}
+                    onCancel={profile ? () => setEditing(false) : null}
+                />
+            </div>
+        );
+    }
 
     return (
-        <div>
-            {favoriteProperties.length === 0 ? (
-                <p className="text-center text-slate-400 text-lg">You haven't saved any properties yet.</p>
+        <div className="space-y-6">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+                <p className="text-slate-400">
+                    {profile.lookingForRoommate ? 'Students looking for a roommate' : 'Your profile is hidden from other students'}
+                    {anyCity ? ' in any city' : ` in ${profile.city}`}, best match first.
+                </p>
+                <div className="flex items-center gap-4">
+                    <label className="flex items-center gap-2 text-sm text-slate-300">
+                        <input type="checkbox" checked={anyCity} onChange={e => setAnyCity(e.target.checked)} className="h-4 w-4" />
+                        Any city
+                    </label>
+                    <button onClick={() => setEditing(true)} className="flex items-center gap-2 bg-slate-700 text-white px-4 py-2 rounded-lg hover:bg-slate-600"><Edit size={16} /> Edit My Profile</button>
+                </div>
+            </div>
+            {matches.length === 0 ? (
+                <div className="text-center text-slate-400 py-10 bg-slate-800/50 rounded-xl border border-slate-700">
+                    No other students are looking for a roommate here yet. Check back soon!
+                </div>
             ) : (
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
-                    {favoriteProperties.map(prop => (
-                        <PropertyCard key={prop._id} property={prop} />
-                    ))}
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    {matches.map(match => <RoommateMatchCard key={match.profile._id} match={match} onMessage={handleMessage} />)}
                 </div>
             )}
         </div>
     );
 };
 
+// The person on the other side of a conversation
+const conversationPartner = (convo, currentUser) => {
+    if (convo.kind === 'roommate') return convo.participants?.find(p => p._id !== currentUser.uid);
+    return currentUser.userType === 'student' ? convo.landlord_id : convo.student_id;
+};
+
+const byLatestActivity = (a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt);
+const TYPING_SEND_INTERVAL_MS = 3000;
+const TYPING_TIMEOUT_MS = 6000;
+
+const formatChatTime = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// ✓ sent, ✓✓ delivered, blue ✓✓ read
+const MessageReceipt = ({ message }) => {
+    if (message.readAt) return <span title={`Read ${new Date(message.readAt).toLocaleString()}`} className="text-sky-400">✓✓</span>;
+    if (message.deliveredAt) return <span title={`Delivered ${new Date(message.deliveredAt).toLocaleString()}`}>✓✓</span>;
+    return <span title="Sent">✓</span>;
+};
+
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_ACCEPT = 'image/jpeg,image/png,image/webp,image/gif,application/pdf,text/plain,.doc,.docx';
+
+const formatFileSize = (bytes) => (bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+// Attachments are fetched with the user's token, so they are shown through object URLs
+const AttachmentThumbnail = ({ url, attachment }) => {
+    const [src, setSrc] = useState(null);
+    const [failed, setFailed] = useState(false);
+
+    useEffect(() => {
+        let objectUrl = null;
+        api.get(`${url}?thumbnail=1`, { responseType: 'blob' })
+            .then(({ data }) => {
+                // Without a preview from the storage a PDF comes back as itself
+                if (!data.type.startsWith('image/')) return setFailed(true);
+                objectUrl = URL.createObjectURL(data);
+                setSrc(objectUrl);
+            })
+            .catch(() => setFailed(true));
+        return () => { if (objectUrl) URL.revokeObjectURL(objectUrl); };
+    }, [url]);
+
+    if (failed) return <AttachmentFile url={url} attachment={attachment} />;
+    return (
+        <button type="button" onClick={() => openFile(url)} title={attachment.originalName} className="block rounded-lg overflow-hidden bg-slate-800">
+            {src ? <img src={src} alt={attachment.originalName} className="max-h-48 max-w-[12rem] object-cover" /> : <div className="h-32 w-40 animate-pulse bg-slate-700" />}
+        </button>
+    );
+};
+
+const AttachmentFile = ({ url, attachment }) => (
+    <button type="button" onClick={() => (attachment.hasPreview ? openFile(url) : downloadFile(url, attachment.originalName))} className="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-800/60 hover:bg-slate-800 text-left text-sm">
+        <FileText size={18} className="shrink-0" />
+        <span className="truncate max-w-[12rem]">{attachment.originalName}</span>
+        <span className="text-xs text-slate-400 shrink-0">{formatFileSize(attachment.size)}</span>
+    </button>
+);
+
+const MessageAttachments = ({ message }) => (
+    <div className="flex flex-wrap gap-2 mb-1">
+        {message.attachments.map(attachment => {
+            const url = `/api/messages/${message._id}/attachments/${attachment._id}`;
+            return attachment.hasPreview
+                ? <AttachmentThumbnail key={attachment._id} url={url} attachment={attachment} />
+                : <AttachmentFile key={attachment._id} url={url} attachment={attachment} />;
+        })}
+    </div>
+);
+
 const MessagesView = () => {
     const { currentUser } = useAuth();
     const { conversationId } = useParams();
-    const { lastMessage, sendMessage } = useWebSocket();
+    const { lastMessage, sendMessage, connected } = useWebSocket();
     const [conversations, setConversations] = useState([]);
     const [messages, setMessages] = useState([]);
     const [newMessage, setNewMessage] = useState("");
     const [loading, setLoading] = useState(true);
     const [aiLoading, setAiLoading] = useState(false);
+    const [files, setFiles] = useState([]);
+    const [uploading, setUploading] = useState(false);
+    const [typing, setTyping] = useState({}); // conversation id -> { username, until }
+    const [hasOlder, setHasOlder] = useState(false);
+    const [hasNewer, setHasNewer] = useState(false);
+    const [loadingPage, setLoadingPage] = useState(false);
+    const [reloadCount, setReloadCount] = useState(0); // Bumped when the open chat has to be fetched again
+    const [searchQuery, setSearchQuery] = useState('');
+    const [searchResults, setSearchResults] = useState(null); // null while not searching
+    const [searchParams, setSearchParams] = useSearchParams();
+    const targetMessageId = searchParams.get('message'); // Set when jumping to a search result
     const navigate = useNavigate();
     const messagesEndRef = useRef(null);
+    const scrollRef = useRef(null);
+    const scrollAnchor = useRef(null);
+    const jumpedTo = useRef(null);
+    const lastTypingSentAt = useRef(0);
+    const handledEvent = useRef(null);
 
     const activeConversation = conversations.find(c => c._id === conversationId);
 
+    const fetchConversations = useCallback(async () => {
+        try {
+            const response = await api.get('/api/conversations');
+            setConversations(response.data);
+        } catch (error) {
+            console.error("Failed to fetch conversations", error);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
     useEffect(() => {
-        const fetchConversations = async () => {
-            setLoading(true);
-            try {
-                const response = await api.get('/api/conversations');
-                setConversations(response.data);
-            } catch (error) {
-                console.error("Failed to fetch conversations", error);
-            } finally {
-                setLoading(false);
-            }
-        };
         fetchConversations();
-    }, []);
+    }, [fetchConversations]);
 
+    const markRead = useCallback(() => {
+        if (!conversationId) return;
+        sendMessage(JSON.stringify({ type: 'read', payload: { conversation_id: conversationId } }));
+        setConversations(prev => prev.map(c => (c._id === conversationId ? { ...c, unreadCount: 0 } : c)));
+    }, [conversationId, sendMessage]);
+
+    useEffect(() => {
+        markRead();
+    }, [markRead]);
+
+    // Drop typing indicators whose sender went quiet without saying they stopped
+    useEffect(() => {
+        const active = Object.values(typing).filter(Boolean);
+        if (!active.length) return;
+        const timer = setTimeout(() => {
+            setTyping(prev => Object.fromEntries(Object.entries(prev).filter(([, entry]) => entry?.until > Date.now())));
+        }, Math.max(0, Math.min(...active.map(entry => entry.until)) - Date.now()));
+        return () => clearTimeout(timer);
+    }, [typing]);
+
+    // The latest page of the chat, or the page around the message being jumped to
     useEffect(() => {
         if (!conversationId) return;
         const fetchMessages = async () => {
             try {
-                const response = await api.get(`/api/conversations/${conversationId}/messages`);
-                setMessages(response.data);
+                const { data } = await api.get(`/api/conversations/${conversationId}/messages`, { params: targetMessageId ? { around: targetMessageId } : {} });
+                setMessages(data.messages);
+                setHasOlder(data.hasOlder);
+                setHasNewer(data.hasNewer);
             } catch (error) {
+                if (targetMessageId) toast.error("That message is no longer available.");
                 console.error("Failed to fetch messages", error);
             }
         };
         fetchMessages();
-    }, [conversationId]);
+    }, [conversationId, targetMessageId, reloadCount]);
+
+    const loadPage = async (direction) => {
+        const cursor = direction === 'older' ? messages[0] : messages[messages.length - 1];
+        if (loadingPage || typeof cursor?._id !== 'string') return;
+        setLoadingPage(true);
+        try {
+            const { data } = await api.get(`/api/conversations/${conversationId}/messages`, { params: direction === 'older' ? { before: cursor._id } : { after: cursor._id } });
+            if (direction === 'older') {
+                // Keep what the user is looking at in place once the older messages are added above it
+                scrollAnchor.current = { height: scrollRef.current.scrollHeight, top: scrollRef.current.scrollTop };
+                setMessages(prev => [...data.messages, ...prev]);
+                setHasOlder(data.hasOlder);
+            } else {
+                setMessages(prev => [...prev, ...data.messages.filter(msg => !prev.some(known => known._id === msg._id))]);
+                setHasNewer(data.hasNewer);
+            }
+        } catch (error) {
+            toast.error("Failed to load more messages.");
+        } finally {
+            setLoadingPage(false);
+        }
+    };
+
+    const handleScroll = (e) => {
+        const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+        if (hasOlder && scrollTop < 80) loadPage('older');
+        else if (hasNewer && scrollHeight - scrollTop - clientHeight < 80) loadPage('newer');
+    };
+
+    useLayoutEffect(() => {
+        if (!scrollAnchor.current || !scrollRef.current) return;
+        scrollRef.current.scrollTop = scrollRef.current.scrollHeight - scrollAnchor.current.height + scrollAnchor.current.top;
+        scrollAnchor.current = null;
+    }, [messages]);
+
+    const jumpToLatest = () => setSearchParams({});
+
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        if (!searchQuery.trim()) return setSearchResults(null);
+        try {
+            const { data } = await api.get('/api/messages/search', { params: { q: searchQuery } });
+            setSearchResults(data);
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Search failed.");
+        }
+    };
+
+    const clearSearch = () => {
+        setSearchQuery('');
+        setSearchResults(null);
+    };
 
     useEffect(() => {
-        if (lastMessage) {
-            const data = JSON.parse(lastMessage);
-            if (data.type === 'newMessage' && data.payload.conversation_id === conversationId) {
-                setMessages(prev => {
-                    if (prev.some(msg => msg._id === data.payload._id)) {
-                        return prev;
-                    }
-                    return [...prev, data.payload];
-                });
+        // The effect also re-runs when e.g. the open chat changes; handle every event once
+        if (!lastMessage || handledEvent.current === lastMessage) return;
+        handledEvent.current = lastMessage;
+        const data = JSON.parse(lastMessage);
+        const { payload } = data;
+        if (data.type === 'newMessage') {
+            const isMine = String(payload.sender_id) === currentUser.uid;
+            const isOpen = payload.conversation_id === conversationId;
+            if (isOpen) {
+                // Further down than the loaded page it arrives with the pages that follow
+                if (!hasNewer) setMessages(prev => (prev.some(msg => msg._id === payload._id) ? prev : [...prev, payload]));
+                if (!isMine) markRead();
             }
+            if (!isMine) setTyping(prev => ({ ...prev, [payload.conversation_id]: undefined }));
+            // A chat someone else just started isn't in the list yet
+            if (!conversations.some(c => c._id === payload.conversation_id)) {
+                fetchConversations();
+                return;
+            }
+            setConversations(prev => prev.map(c => (c._id === payload.conversation_id ? {
+                ...c,
+                lastMessage: payload,
+                lastActivityAt: payload.createdAt,
+                unreadCount: isMine || isOpen ? c.unreadCount : c.unreadCount + 1,
+            } : c)).sort(byLatestActivity));
+        } else if (data.type === 'delivered' && payload.conversation_id === conversationId) {
+            setMessages(prev => prev.map(msg => (payload.messageIds.includes(msg._id) && !msg.deliveredAt ? { ...msg, deliveredAt: payload.deliveredAt } : msg)));
+        } else if (data.type === 'read') {
+            if (payload.reader_id === currentUser.uid) {
+                // Read on another device or tab
+                setConversations(prev => prev.map(c => (c._id === payload.conversation_id ? { ...c, unreadCount: 0 } : c)));
+            } else if (payload.conversation_id === conversationId) {
+                setMessages(prev => prev.map(msg => (String(msg.sender_id) === currentUser.uid && !msg.readAt
+                    ? { ...msg, readAt: payload.readAt, deliveredAt: msg.deliveredAt || payload.readAt }
+                    : msg)));
+            }
+        } else if (data.type === 'typing') {
+            setTyping(prev => ({ ...prev, [payload.conversation_id]: payload.isTyping ? { username: payload.username, until: Date.now() + TYPING_TIMEOUT_MS } : undefined }));
+        } else if (data.type === 'ready' && !payload.complete) {
+            // Too much was missed to replay it all
+            fetchConversations();
+            setReloadCount(count => count + 1);
         }
-    }, [lastMessage, conversationId]);
+    }, [lastMessage, conversations, conversationId, hasNewer, currentUser.uid, markRead, fetchConversations]);
+
+    const sendTyping = (isTyping) => {
+        if (isTyping && Date.now() - lastTypingSentAt.current < TYPING_SEND_INTERVAL_MS) return;
+        lastTypingSentAt.current = isTyping ? Date.now() : 0;
+        sendMessage(JSON.stringify({ type: 'typing', payload: { conversation_id: conversationId, isTyping } }));
+    };
 
+    const handleInputChange = (e) => {
+        setNewMessage(e.target.value);
+        if (e.target.value.trim()) sendTyping(true);
+        else if (lastTypingSentAt.current) sendTyping(false);
+    };
+
+    // Follow new messages at the bottom, unless the user is reading further up after a jump
+    const lastMessageId = messages[messages.length - 1]?._id;
     useEffect(() => {
+        if (targetMessageId || hasNewer) return;
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-    }, [messages]);
+    }, [lastMessageId, targetMessageId, hasNewer]);
+
+    // Scroll to the message jumped to once it has loaded
+    useEffect(() => {
+        if (!targetMessageId) {
+            jumpedTo.current = null;
+            return;
+        }
+        const element = jumpedTo.current !== targetMessageId && document.getElementById(`message-${targetMessageId}`);
+        if (element) {
+            element.scrollIntoView({ block: 'center' });
+            jumpedTo.current = targetMessageId;
+        }
+    }, [targetMessageId, messages]);
+
+    const handleFiles = (e) => {
+        const selected = [...files, ...Array.from(e.target.files)];
+        e.target.value = '';
+        if (selected.length > MAX_ATTACHMENTS) return toast.error(`You can attach at most ${MAX_ATTACHMENTS} files.`);
+        if (selected.some(file => file.size > MAX_ATTACHMENT_BYTES)) return toast.error("File too large! Max 10MB.");
+        setFiles(selected);
+    };
+
+    // Attachments are uploaded over HTTP; the message then arrives over the WebSocket like any other
+    const sendAttachments = async () => {
+        const formData = new FormData();
+        files.forEach(file => formData.append('attachments', file));
+        formData.append('content', newMessage);
+        setUploading(true);
+        try {
+            const { data } = await api.post(`/api/conversations/${conversationId}/messages`, formData);
+            setMessages(prev => (prev.some(msg => msg._id === data._id) ? prev : [...prev, data]));
+            setFiles([]);
+            setNewMessage("");
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Failed to send the attachments.");
+        } finally {
+            setUploading(false);
+        }
+    };
 
     const handleSendMessage = (e) => {
         e.preventDefault();
+        // Whatever is sent shows up at the bottom, so go back there first
+        if (targetMessageId) jumpToLatest();
+        if (files.length) return sendAttachments();
         if (!newMessage.trim()) return;
         
-        sendMessage(JSON.stringify({
+        const sent = sendMessage(JSON.stringify({
             type: 'message',
             payload: { conversation_id: conversationId, content: newMessage }
         }));
+        if (!sent) sendOverHttp(newMessage);
         setNewMessage("");
+        lastTypingSentAt.current = 0;
+    };
+
+    // While the socket is reconnecting; the message comes back over it only once it's open again
+    const sendOverHttp = async (content) => {
+        try {
+            const { data } = await api.post(`/api/conversations/${conversationId}/messages`, { content });
+            setMessages(prev => (prev.some(msg => msg._id === data._id) ? prev : [...prev, data]));
+        } catch (error) {
+            setNewMessage(content);
+            toast.error(error.response?.data?.message || "Failed to send the message.");
+        }
     };
 
     // NEW: Handle "Ask AI"
@@ -1498,85 +4636,295 @@ const MessagesView = () => {
         } finally {
             setAiLoading(false);
         }
-    };
+    };
+
+
+    if (loading) return <div className="text-center text-slate-400">Loading conversations...</div>;
+
+    return (
+        <div className="h-[calc(100vh-12rem)] bg-slate-800/50 rounded-2xl border border-slate-700 flex">
+            <div className="w-1/3 border-r border-slate-700 overflow-y-auto">
+                <form onSubmit={handleSearch} className="p-3 border-b border-slate-700 flex items-center gap-2">
+                    <Search size={16} className="text-slate-400 shrink-0" />
+                    <input type="search" value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} placeholder="Search messages..." className="flex-1 bg-transparent text-sm text-white placeholder-slate-500 focus:outline-none" />
+                    {searchResults && <button type="button" onClick={clearSearch} className="text-slate-400 hover:text-white" aria-label="Clear search"><X size={16} /></button>}
+                </form>
+                {searchResults && (searchResults.length === 0 ? (
+                    <p className="p-4 text-sm text-slate-500">No messages found.</p>
+                ) : searchResults.map(result => {
+                    const convo = conversations.find(c => c._id === result.conversation_id);
+                    return (
+                        <div key={result._id} onClick={() => navigate(`/messages/${result.conversation_id}?message=${result._id}`)} className={`p-4 cursor-pointer hover:bg-slate-700/50 transition-colors ${targetMessageId === result._id ? 'bg-indigo-900/50' : ''}`}>
+                            <div className="flex items-center justify-between gap-2">
+                                <p className="font-semibold text-white truncate">{convo ? conversationPartner(convo, currentUser)?.username || 'Unknown User' : 'Conversation'}</p>
+                                <span className="text-xs text-slate-500 shrink-0">{new Date(result.createdAt).toLocaleDateString()}</span>
+                            </div>
+                            <SearchSnippet snippet={result.snippet} className="text-sm text-slate-400 line-clamp-2" />
+                        </div>
+                    );
+                }))}
+                {!searchResults && conversations.map(convo => {
+                    const otherUser = conversationPartner(convo, currentUser);
+                    return (
+                        <div key={convo._id} onClick={() => navigate(`/messages/${convo._id}`)} className={`p-4 cursor-pointer hover:bg-slate-700/50 transition-colors ${conversationId === convo._id ? 'bg-indigo-900/50' : ''}`}>
+                            <div className="flex items-center justify-between gap-2">
+                                <p className={`truncate ${convo.unreadCount ? 'font-bold text-white' : 'font-semibold text-white'}`}>{otherUser?.username || 'Unknown User'}</p>
+                                {convo.lastMessage && <span className="text-xs text-slate-500 shrink-0">{formatChatTime(convo.lastActivityAt)}</span>}
+                            </div>
+                            <p className="text-sm text-slate-400 truncate">{convo.kind === 'roommate' ? 'Roommate chat' : convo.property_id?.title || 'Property Deleted'}</p>
+                            <div className="flex items-center justify-between gap-2">
+                                {typing[convo._id] ? (
+                                    <p className="text-sm text-indigo-300 italic truncate">typing...</p>
+                                ) : (
+                                    <p className={`text-sm truncate ${convo.unreadCount ? 'text-slate-200' : 'text-slate-500'}`}>{convo.lastMessage?.content || (convo.lastMessage?.attachmentCount ? '📎 Attachment' : 'No messages yet')}</p>
+                                )}
+                                {convo.unreadCount > 0 && (
+                                    <span className="bg-indigo-600 text-white text-xs font-bold rounded-full min-w-[1.25rem] h-5 px-1.5 flex items-center justify-center shrink-0">{convo.unreadCount}</span>
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+            <div className="w-2/3 flex flex-col">
+                {activeConversation ? (
+                    <>
+                        <div className="p-4 border-b border-slate-700">
+                            <h3 className="font-bold text-lg text-white">{conversationPartner(activeConversation, currentUser)?.username || 'Unknown User'}</h3>
+                            <p className="text-sm text-slate-400">
+                                {typing[conversationId]
+                                    ? <span className="text-indigo-300 italic">{typing[conversationId].username} is typing...</span>
+                                    : activeConversation.kind === 'roommate' ? 'Roommate chat' : activeConversation.property_id?.title || 'Property Deleted'}
+                            </p>
+                        </div>
+                        <div ref={scrollRef} onScroll={handleScroll} className="flex-1 p-4 overflow-y-auto bg-slate-900/50 relative">
+                            {hasOlder && (
+                                <button onClick={() => loadPage('older')} disabled={loadingPage} className="block mx-auto mb-4 text-xs text-slate-400 hover:text-white">
+                                    {loadingPage ? 'Loading...' : 'Load older messages'}
+                                </button>
+                            )}
+                            {messages.map((msg, index) => (
+                                <div key={msg._id || index} id={`message-${msg._id}`} className={`mb-4 flex flex-col ${String(msg.sender_id) === currentUser.uid ? 'items-end' : 'items-start'}`}>
+                                    <div className={`rounded-xl px-4 py-2 max-w-md text-white ${String(msg.sender_id) === currentUser.uid ? 'bg-indigo-600' : 'bg-slate-700'} ${msg._id === targetMessageId ? 'ring-2 ring-amber-400' : ''}`}>
+                                        {msg.attachments?.length > 0 && <MessageAttachments message={msg} />}
+                                        {msg.content}
+                                    </div>
+                                    {msg.createdAt && (
+                                        <span className="text-xs text-slate-500 mt-1 flex gap-1">
+                                            {formatChatTime(msg.createdAt)}
+                                            {String(msg.sender_id) === currentUser.uid && typeof msg._id === 'string' && <MessageReceipt message={msg} />}
+                                        </span>
+                                    )}
+                                </div>
+                            ))}
+                            <div ref={messagesEndRef} />
+                            {hasNewer && (
+                                <button onClick={jumpToLatest} className="sticky bottom-0 block ml-auto bg-indigo-600 hover:bg-indigo-500 text-white text-xs font-bold px-3 py-1.5 rounded-full shadow-lg">
+                                    Jump to latest ↓
+                                </button>
+                            )}
+                        </div>
+                        {files.length > 0 && (
+                            <div className="px-4 pt-3 border-t border-slate-700 flex flex-wrap gap-2">
+                                {files.map((file, index) => (
+                                    <span key={`${file.name}-${index}`} className="flex items-center gap-1 px-2 py-1 rounded-full bg-slate-700 text-xs text-slate-200">
+                                        <Paperclip size={12} /> <span className="truncate max-w-[10rem]">{file.name}</span> {formatFileSize(file.size)}
+                                        <button type="button" onClick={() => setFiles(files.filter((_, i) => i !== index))} className="text-slate-400 hover:text-white" aria-label={`Remove ${file.name}`}><X size={14} /></button>
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+                        {!connected && (
+                            <p className="px-4 pt-2 text-xs text-amber-400">Reconnecting... Messages you send now will still go through.</p>
+                        )}
+                        <form className="p-4 border-t border-slate-700 flex items-center gap-2">
+                            <label className="text-slate-400 hover:text-white p-2 cursor-pointer" title="Attach files">
+                                <Paperclip size={20} />
+                                <input type="file" multiple accept={ATTACHMENT_ACCEPT} onChange={handleFiles} className="hidden" />
+                            </label>
+                            <input type="text" value={newMessage} onChange={handleInputChange} onBlur={() => lastTypingSentAt.current && sendTyping(false)} placeholder="Type a message..." className="flex-1 px-4 py-2 bg-slate-700 border border-slate-600 rounded-full text-white focus:ring-indigo-500 focus:border-indigo-500"/>
+                            
+                            {/* UPDATED: Send and Ask AI buttons */}
+                            {currentUser.userType === 'student' && activeConversation.kind !== 'roommate' && (
+                                <button 
+                                    type="button" 
+                                    onClick={handleAskAI} 
+                                    disabled={aiLoading || !newMessage.trim()} 
+                                    className="bg-purple-600 text-white p-3 rounded-full hover:bg-purple-500 transition-colors disabled:bg-purple-800"
+                                    title="Ask AI about this property"
+                                >
+                                    {aiLoading ? <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div> : <Brain size={20} />}
+                                </button>
+                            )}
+                            <button 
+                                type="submit" 
+                                onClick={handleSendMessage} 
+                                className="bg-indigo-600 text-white p-3 rounded-full hover:bg-indigo-500 transition-colors disabled:bg-indigo-800" 
+                                disabled={(!newMessage.trim() && !files.length) || uploading}
+                                title="Send Message"
+                            >
+                                {uploading ? <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div> : <Send size={20} />}
+                            </button>
+                        </form>
+                    </>
+                ) : (
+                    <div className="flex-1 flex items-center justify-center"><p className="text-slate-500 text-lg">Select a conversation to start chatting.</p></div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const describeSavedSearch = ({ criteria }) => {
+    const parts = [];
+    if (criteria.search) parts.push(`"${criteria.search}"`);
+    if (criteria.city) parts.push(criteria.city);
+    if (criteria.minPrice || criteria.maxPrice) parts.push(`₹${(criteria.minPrice || 0).toLocaleString()} - ${criteria.maxPrice ? `₹${criteria.maxPrice.toLocaleString()}` : 'any'}`);
+    if (criteria.bedrooms) parts.push(`${criteria.bedrooms} bed`);
+    if (criteria.propertyType) parts.push(criteria.propertyType);
+    return parts.length ? parts.join(' · ') : 'All listings';
+};
+
+const SavedSearches = () => {
+    const navigate = useNavigate();
+    const { setSearchTerm } = useSearch();
+    const { setFilters, resetFilters } = useFilters();
+    const [searches, setSearches] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    const fetchSearches = useCallback(async () => {
+        try {
+            const { data } = await api.get('/api/saved-searches');
+            setSearches(data);
+        } catch (error) {
+            toast.error('Failed to load saved searches.');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchSearches();
+    }, [fetchSearches]);
+
+    const handleToggle = async (search, field) => {
+        try {
+            const { data } = await api.put(`/api/saved-searches/${search._id}`, { [field]: !search[field] });
+            setSearches(prev => prev.map(s => s._id === data._id ? data : s));
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to update saved search.');
+        }
+    };
+
+    const handleDelete = async (search) => {
+        if (!window.confirm(`Delete the saved search "${search.name}"?`)) return;
+        try {
+            await api.delete(`/api/saved-searches/${search._id}`);
+            setSearches(prev => prev.filter(s => s._id !== search._id));
+            toast.success('Saved search deleted.');
+        } catch (error) {
+            toast.error('Failed to delete saved search.');
+        }
+    };
+
+    const handleRun = ({ criteria }) => {
+        resetFilters();
+        setFilters(prev => ({
+            ...prev,
+            city: criteria.city || 'All',
+            minPrice: String(criteria.minPrice ?? prev.minPrice),
+            maxPrice: String(criteria.maxPrice ?? prev.maxPrice),
+            bedrooms: criteria.bedrooms || 'Any',
+            propertyType: criteria.propertyType || 'All',
+        }));
+        setSearchTerm(criteria.search || '');
+        navigate('/properties');
+    };
+
+    if (loading) return <div className="text-center text-slate-400">Loading saved searches...</div>;
+
+    if (searches.length === 0) {
+        return (
+            <div className="text-center text-slate-400 py-10 bg-slate-800/50 rounded-xl border border-slate-700">
+                No saved searches yet. Use "Save Search" on the properties page to get alerts for new listings.
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            {searches.map(search => (
+                <div key={search._id} className="bg-slate-800 p-4 rounded-xl border border-slate-700 flex flex-col md:flex-row justify-between md:items-center gap-4">
+                    <div>
+                        <h3 className="font-bold text-white text-lg">{search.name}</h3>
+                        <p className="text-sm text-slate-400">{describeSavedSearch(search)}</p>
+                        <div className="flex gap-4 mt-2 text-sm text-slate-300">
+                            <label className="flex items-center gap-2">
+                                <input type="checkbox" checked={search.alertsEnabled} onChange={() => handleToggle(search, 'alertsEnabled')} className="h-4 w-4" />
+                                Alerts
+                            </label>
+                            <label className={`flex items-center gap-2 ${search.alertsEnabled ? '' : 'opacity-50'}`}>
+                                <input type="checkbox" checked={search.emailDigest} disabled={!search.alertsEnabled} onChange={() => handleToggle(search, 'emailDigest')} className="h-4 w-4" />
+                                Daily email digest
+                            </label>
+                        </div>
+                    </div>
+                    <div className="flex gap-2">
+                        <button onClick={() => handleRun(search)} className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-500"><Search size={16} /> Run</button>
+                        <button onClick={() => handleDelete(search)} className="p-2 bg-slate-700 rounded-md hover:bg-red-600 transition-colors"><Trash2 size={16} /></button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Where the user is connected right now; updates as devices come and go
+const ConnectedDevices = () => {
+    const { lastMessage } = useWebSocket();
+    const [devices, setDevices] = useState([]);
+
+    const fetchDevices = useCallback(async () => {
+        try {
+            const { data } = await api.get('/api/profile/devices');
+            setDevices(data);
+        } catch (error) {
+            console.error("Failed to fetch devices", error);
+        }
+    }, []);
 
+    useEffect(() => {
+        fetchDevices();
+    }, [fetchDevices]);
 
-    if (loading) return <div className="text-center text-slate-400">Loading conversations...</div>;
+    useEffect(() => {
+        if (lastMessage && JSON.parse(lastMessage).type === 'devicesChanged') fetchDevices();
+    }, [lastMessage, fetchDevices]);
 
     return (
-        <div className="h-[calc(100vh-12rem)] bg-slate-800/50 rounded-2xl border border-slate-700 flex">
-            <div className="w-1/3 border-r border-slate-700 overflow-y-auto">
-                {conversations.map(convo => {
-                    const otherUser = currentUser.userType === 'student' ? convo.landlord_id : convo.student_id;
-                    return (
-                        <div key={convo._id} onClick={() => navigate(`/messages/${convo._id}`)} className={`p-4 cursor-pointer hover:bg-slate-700/50 transition-colors ${conversationId === convo._id ? 'bg-indigo-900/50' : ''}`}>
-                            <p className="font-semibold text-white truncate">{otherUser?.username || 'Unknown User'}</p>
-                            <p className="text-sm text-slate-400 truncate">{convo.property_id?.title || 'Property Deleted'}</p>
-                        </div>
-                    );
-                })}
-            </div>
-            <div className="w-2/3 flex flex-col">
-                {activeConversation ? (
-                    <>
-                        <div className="p-4 border-b border-slate-700">
-                            <h3 className="font-bold text-lg text-white">{(currentUser.userType === 'student' ? activeConversation.landlord_id?.username : activeConversation.student_id?.username) || 'Unknown User'}</h3>
-                            <p className="text-sm text-slate-400">{activeConversation.property_id?.title || 'Property Deleted'}</p>
-                        </div>
-                        <div className="flex-1 p-4 overflow-y-auto bg-slate-900/50">
-                            {messages.map((msg, index) => (
-                                <div key={msg._id || index} className={`mb-4 flex flex-col ${String(msg.sender_id) === currentUser.uid ? 'items-end' : 'items-start'}`}>
-                                    <div className={`rounded-xl px-4 py-2 max-w-md text-white ${String(msg.sender_id) === currentUser.uid ? 'bg-indigo-600' : 'bg-slate-700'}`}>{msg.content}</div>
-                                </div>
-                            ))}
-                            <div ref={messagesEndRef} />
+        <div className="bg-slate-800/50 p-8 rounded-2xl border border-slate-700 mt-6">
+            <h2 className="text-2xl font-bold text-white">Connected Devices</h2>
+            <p className="text-slate-400 mt-1">Messages and notifications reach all of these at once.</p>
+            <ul className="mt-6 divide-y divide-slate-700">
+                {devices.map(device => (
+                    <li key={device.deviceId} className="py-3 flex items-center justify-between gap-4">
+                        <div>
+                            <p className="text-white font-semibold">
+                                {device.label}
+                                {device.deviceId === getDeviceId() && <span className="ml-2 text-xs font-bold text-emerald-400">This device</span>}
+                            </p>
+                            <p className="text-xs text-slate-500">Connected since {new Date(device.connectedAt).toLocaleString()}</p>
                         </div>
-                        <form className="p-4 border-t border-slate-700 flex items-center gap-2">
-                            <input type="text" value={newMessage} onChange={(e) => setNewMessage(e.target.value)} placeholder="Type a message..." className="flex-1 px-4 py-2 bg-slate-700 border border-slate-600 rounded-full text-white focus:ring-indigo-500 focus:border-indigo-500"/>
-                            
-                            {/* UPDATED: Send and Ask AI buttons */}
-                            {currentUser.userType === 'student' && (
-                                <button 
-                                    type="button" 
-                                    onClick={handleAskAI} 
-                                    disabled={aiLoading || !newMessage.trim()} 
-                                    className="bg-purple-600 text-white p-3 rounded-full hover:bg-purple-500 transition-colors disabled:bg-purple-800"
-                                    title="Ask AI about this property"
-                                >
-                                    {aiLoading ? <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div> : <Brain size={20} />}
-                                </button>
-                            )}
-                            <button 
-                                type="submit" 
-                                onClick={handleSendMessage} 
-                                className="bg-indigo-600 text-white p-3 rounded-full hover:bg-indigo-500 transition-colors disabled:bg-indigo-800" 
-                                disabled={!newMessage.trim()}
-                                title="Send Message"
-                            >
-                                <Send size={20} />
-                            </button>
-                        </form>
-                    </>
-                ) : (
-                    <div className="flex-1 flex items-center justify-center"><p className="text-slate-500 text-lg">Select a conversation to start chatting.</p></div>
-                )}
-            </div>
+                        <span className="w-2.5 h-2.5 rounded-full bg-emerald-400 shrink-0" title="Online" />
+                    </li>
+                ))}
+                {devices.length === 0 && <li className="py-3 text-slate-500">No devices connected right now.</li>}
+            </ul>
         </div>
     );
 };
 
 const ProfileView = () => {
-    // --- APPLICATIONS LOGIC ---
-    const [myApplications, setMyApplications] = useState([]);
-    
-    useEffect(() => {
-        // Fetch applications when the tab is clicked
-        if (activeTab === 'applications') {
-            api.get('/api/applications/student')
-               .then(res => setMyApplications(res.data))
-               .catch(err => console.error(err));
-        }
-    }, [activeTab]);
     const { currentUser, setCurrentUser, logout } = useAuth();
     const navigate = useNavigate();
     const [stats, setStats] = useState(null);
@@ -1585,6 +4933,20 @@ const ProfileView = () => {
     
     const [activeTab, setActiveTab] = useState('profile');
 
+    // --- APPLICATIONS LOGIC ---
+    const [myApplications, setMyApplications] = useState([]);
+
+    const fetchMyApplications = useCallback(() => {
+        api.get('/api/applications/student')
+           .then(res => setMyApplications(res.data))
+           .catch(err => console.error(err));
+    }, []);
+
+    useEffect(() => {
+        // Fetch applications when the tab is clicked
+        if (activeTab === 'applications') fetchMyApplications();
+    }, [activeTab, fetchMyApplications]);
+
     const [isEditingUsername, setIsEditingUsername] = useState(false);
     const [newUsername, setNewUsername] = useState(currentUser.username);
     const [usernameLoading, setUsernameLoading] = useState(false);
@@ -1602,53 +4964,13 @@ const ProfileView = () => {
     const [pictureLoading, setPictureLoading] = useState(false);
     const fileInputRef = useRef(null);
 
+    const [resendLoading, setResendLoading] = useState(false);
+
     const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
     const [deletePassword, setDeletePassword] = useState('');
     const [deleteLoading, setDeleteLoading] = useState(false);
 
 
-    const [verificationFile, setVerificationFile] = useState("");
-    const [verificationStatus, setVerificationStatus] = useState(currentUser?.verificationStatus || 'none');
-    const [uploading, setUploading] = useState(false);
-
-    const handleFileChange = (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            if (file.size > 5 * 1024 * 1024) return toast.error("File too large! Max 5MB.");
-            const reader = new FileReader();
-            reader.readAsDataURL(file);
-            reader.onloadend = () => {
-                setVerificationFile(reader.result);
-            };
-        }
-    };
-
-    const submitVerification = async () => {
-        if (!verificationFile) return toast.error("Please select an ID image first!");
-        setUploading(true);
-        try {
-            // Use currentUser.uid or currentUser._id depending on your backend
-            await api.post('/api/upload-verification', {
-                userId: currentUser.uid || currentUser._id, 
-                documentImage: verificationFile
-            });
-
-            toast.success("Documents submitted! Admin will review shortly.");
-            setVerificationStatus('pending');
-            
-            // Update local user so the UI updates immediately
-            const updatedUser = { ...currentUser, verificationStatus: 'pending' };
-            setCurrentUser(updatedUser);
-            localStorage.setItem('currentUser', JSON.stringify(updatedUser));
-            
-        } catch (error) {
-            console.error(error);
-            toast.error("Upload failed. Try a smaller image.");
-        } finally {
-            setUploading(false);
-        }
-    };
-
     useEffect(() => {
         const fetchStats = async () => {
             try {
@@ -1683,6 +5005,18 @@ const ProfileView = () => {
         }
     };
 
+    const handleResendVerification = async () => {
+        setResendLoading(true);
+        try {
+            const { data } = await api.post('/api/auth/resend-verification');
+            toast.success(data.message);
+        } catch (err) {
+            toast.error(err.response?.data?.message || 'Failed to send verification email.');
+        } finally {
+            setResendLoading(false);
+        }
+    };
+
     const handlePasswordChange = async (e) => {
         e.preventDefault();
         if (newPassword !== confirmPassword) {
@@ -1697,6 +5031,9 @@ const ProfileView = () => {
         setPasswordLoading(true);
         try {
             const { data } = await api.post('/api/profile/change-password', { currentPassword, newPassword });
+            // Every other session was revoked; keep this one going with the new tokens
+            localStorage.setItem('token', data.token);
+            localStorage.setItem('refreshToken', data.refreshToken);
             toast.success(data.message);
             setCurrentPassword('');
             setNewPassword('');
@@ -1778,6 +5115,21 @@ const ProfileView = () => {
                     {currentUser.userType === 'student' && (
                         <button onClick={() => setActiveTab('applications')} className={`py-4 px-1 border-b-2 font-medium text-sm ${activeTab === 'applications' ? 'border-indigo-500 text-indigo-400' : 'border-transparent text-slate-400 hover:text-white'}`}>My Applications</button>
                     )}
+                    {currentUser.userType === 'student' && (
+                        <button onClick={() => setActiveTab('rent')} className={`py-4 px-1 border-b-2 font-medium text-sm ${activeTab === 'rent' ? 'border-indigo-500 text-indigo-400' : 'border-transparent text-slate-400 hover:text-white'}`}>Rent</button>
+                    )}
+                    {currentUser.userType === 'student' && (
+                        <button onClick={() => setActiveTab('lease')} className={`py-4 px-1 border-b-2 font-medium text-sm ${activeTab === 'lease' ? 'border-indigo-500 text-indigo-400' : 'border-transparent text-slate-400 hover:text-white'}`}>Lease</button>
+                    )}
+                    {currentUser.userType === 'student' && (
+                        <button onClick={() => setActiveTab('maintenance')} className={`py-4 px-1 border-b-2 font-medium text-sm ${activeTab === 'maintenance' ? 'border-indigo-500 text-indigo-400' : 'border-transparent text-slate-400 hover:text-white'}`}>Maintenance</button>
+                    )}
+                    {currentUser.userType === 'student' && (
+                        <button onClick={() => setActiveTab('viewings')} className={`py-4 px-1 border-b-2 font-medium text-sm ${activeTab === 'viewings' ? 'border-indigo-500 text-indigo-400' : 'border-transparent text-slate-400 hover:text-white'}`}>Viewings</button>
+                    )}
+                    {currentUser.userType === 'student' && (
+                        <button onClick={() => setActiveTab('searches')} className={`py-4 px-1 border-b-2 font-medium text-sm ${activeTab === 'searches' ? 'border-indigo-500 text-indigo-400' : 'border-transparent text-slate-400 hover:text-white'}`}>Saved Searches</button>
+                    )}
                     <button onClick={() => setActiveTab('security')} className={`py-4 px-1 border-b-2 font-medium text-sm ${activeTab === 'security' ? 'border-indigo-500 text-indigo-400' : 'border-transparent text-slate-400 hover:text-white hover:border-slate-500'}`}>Security</button>
                     <button onClick={() => setActiveTab('danger')} className={`py-4 px-1 border-b-2 font-medium text-sm ${activeTab === 'danger' ? 'border-red-500 text-red-400' : 'border-transparent text-slate-400 hover:text-white hover:border-slate-500'}`}>Danger Zone</button>
                 </nav>
@@ -1829,6 +5181,12 @@ const ProfileView = () => {
                                     </form>
                                 )}
                                 <p className="text-slate-400 mt-1">{currentUser.email}</p>
+                                {currentUser.emailVerified === false && (
+                                    <p className="text-sm text-orange-300 mt-1">
+                                        Email not verified.{' '}
+                                        <button onClick={handleResendVerification} disabled={resendLoading} className="text-indigo-400 hover:underline disabled:text-slate-500">{resendLoading ? 'Sending...' : 'Resend verification link'}</button>
+                                    </p>
+                                )}
                                 <span className="mt-2 inline-block px-3 py-1 text-xs font-semibold rounded-full bg-indigo-600 text-white">{currentUser.userType}</span>
                             </div>
                         </div>
@@ -1861,94 +5219,7 @@ const ProfileView = () => {
                             )}
                         </div>
 
-                        {currentUser.userType === 'landlord' && (
-                            <div className="bg-slate-800/50 p-6 rounded-2xl border border-slate-700 mb-6">
-                                <h2 className="text-xl font-bold text-white mb-4 flex items-center gap-2">
-                                    <ShieldCheck className="text-indigo-400"/> Landlord Verification
-                                </h2>
-                                
-                                {/* CASE 1: NOT VERIFIED */}
-                                {verificationStatus === 'none' && !currentUser.isVerified && (
-                                    <div>
-                                        <p className="text-slate-400 mb-4">To post properties, please upload a photo of your Government ID (Aadhaar/PAN).</p>
-                                        <input 
-                                            type="file" 
-                                            accept="image/*" 
-                                            onChange={handleFileChange} 
-                                            className="block w-full text-sm text-slate-400 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-indigo-600 file:text-white hover:file:bg-indigo-500"
-                                        />
-                                        
-                                        {verificationFile && (
-                                            <img src={verificationFile} alt="Preview" className="mt-4 w-32 h-32 object-cover rounded-lg border border-slate-600" />
-                                        )}
-
-                                        <button 
-                                            onClick={submitVerification} 
-                                            disabled={uploading}
-                                            className="mt-4 bg-green-600 text-white font-bold py-2 px-6 rounded-lg hover:bg-green-500 disabled:bg-slate-700"
-                                        >
-                                            {uploading ? "Uploading..." : "Submit for Verification"}
-                                        </button>
-                                    </div>
-                                )}
-
-                                {/* CASE 2: PENDING */}
-                                {verificationStatus === 'pending' && (
-                                    <div className="p-4 bg-orange-900/20 border border-orange-700/50 rounded-lg text-orange-300 flex items-center gap-3">
-                                        <div className="animate-pulse text-2xl">⏳</div>
-                                        <div>
-                                            <p className="font-bold">Verification Pending</p>
-                                            <p className="text-sm">Your documents are under review. You will be notified once approved.</p>
-                                        </div>
-                                    </div>
-                                )}
-
-                                {/* CASE 3: APPROVED */}
-                                {(currentUser.isVerified || verificationStatus === 'approved') && (
-                                    <div className="p-4 bg-green-900/20 border border-green-700/50 rounded-lg text-green-300 flex items-center gap-3">
-                                        <ShieldCheck size={32} />
-                                        <div>
-                                            <p className="font-bold">Verified Landlord</p>
-                                            <p className="text-sm">You have full access to post properties.</p>
-                                        </div>
-                                    </div>
-                                )}
-                            </div>
-                        )}
-
-                                {/* CASE 4: REJECTED (Add this new block) */}
-                                {verificationStatus === 'rejected' && (
-                                    <div className="mt-4">
-                                        <div className="p-4 bg-red-900/20 border border-red-700/50 rounded-lg text-red-300 flex items-center gap-3 mb-4">
-                                            <div className="text-2xl">❌</div>
-                                            <div>
-                                                <p className="font-bold">Verification Rejected</p>
-                                                <p className="text-sm">Your ID was unclear or invalid. Please upload a valid Government ID.</p>
-                                            </div>
-                                        </div>
-
-                                        {/* Allow them to upload again */}
-                                        <p className="text-slate-400 mb-2">Upload New ID Proof:</p>
-                                        <input 
-                                            type="file" 
-                                            accept="image/*" 
-                                            onChange={handleFileChange} 
-                                            className="block w-full text-sm text-slate-400 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-indigo-600 file:text-white hover:file:bg-indigo-500"
-                                        />
-                                        
-                                        {verificationFile && (
-                                            <img src={verificationFile} alt="Preview" className="mt-4 w-32 h-32 object-cover rounded-lg border border-slate-600" />
-                                        )}
-
-                                        <button 
-                                            onClick={submitVerification} 
-                                            disabled={uploading}
-                                            className="mt-4 bg-indigo-600 text-white font-bold py-2 px-6 rounded-lg hover:bg-indigo-500 disabled:bg-slate-700"
-                                        >
-                                            {uploading ? "Uploading..." : "Resubmit Verification"}
-                                        </button>
-                                    </div>
-                                )}
+                        {currentUser.userType === 'landlord' && <LandlordVerification />}
 
                         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                             {statCards.map(stat => (
@@ -1974,28 +5245,41 @@ const ProfileView = () => {
                             </div>
                         ) : (
                             myApplications.map(app => (
-                                <div key={app._id} className="bg-slate-800 p-4 rounded-xl border border-slate-700 flex flex-col md:flex-row justify-between items-center gap-4">
-                                    <div>
-                                        <h3 className="font-bold text-white text-lg">{app.property_id?.title || 'Property Deleted'}</h3>
-                                        <div className="flex items-center gap-2 text-sm text-slate-400">
-                                            <span>Landlord: {app.landlord_id?.username}</span>
-                                            <span>•</span>
-                                            <span>Sent: {new Date(app.createdAt).toLocaleDateString()}</span>
+                                <div key={app._id} className="bg-slate-800 p-4 rounded-xl border border-slate-700">
+                                    <div className="flex flex-col md:flex-row justify-between items-center gap-4">
+                                        <div>
+                                            <h3 className="font-bold text-white text-lg">{app.property_id?.title || 'Property Deleted'}</h3>
+                                            <div className="flex items-center gap-2 text-sm text-slate-400">
+                                                <span>Landlord: {app.landlord_id?.username}</span>
+                                                <span>•</span>
+                                                <span>Sent: {new Date(app.createdAt).toLocaleDateString()}</span>
+                                            </div>
+                                            <p className="text-slate-500 text-sm mt-1 italic">"{app.message}"</p>
+                                            <GroupMembers application={app} />
                                         </div>
-                                        <p className="text-slate-500 text-sm mt-1 italic">"{app.message}"</p>
+                                        <ApplicationStatusBadge status={app.status} />
                                     </div>
-                                    <span className={`px-4 py-2 rounded-full text-sm font-bold capitalize border ${
-                                        app.status === 'accepted' ? 'bg-green-900/30 text-green-300 border-green-700' : 
-                                        app.status === 'rejected' ? 'bg-red-900/30 text-red-300 border-red-700' : 'bg-orange-900/30 text-orange-300 border-orange-700'
-                                    }`}>
-                                        {app.status}
-                                    </span>
+                                    <div className="mt-3 space-y-2">
+                                        <GroupInvitationActions application={app} onUpdated={fetchMyApplications} />
+                                        <ApplicationActions application={app} onUpdated={fetchMyApplications} />
+                                    </div>
+                                    <ApplicationHistory history={app.history} />
                                 </div>
                             ))
                         )}
                     </div>
                 )}
                 
+                {activeTab === 'rent' && <RentLedger />}
+
+                {activeTab === 'lease' && <Leases />}
+
+                {activeTab === 'maintenance' && <MaintenanceTickets />}
+
+                {activeTab === 'viewings' && <MyViewings />}
+
+                {activeTab === 'searches' && <SavedSearches />}
+
                 {activeTab === 'security' && (
                     <div className="bg-slate-800/50 p-8 rounded-2xl border border-slate-700">
                         <div className="flex justify-between items-center">
@@ -2035,6 +5319,7 @@ const ProfileView = () => {
                         )}
                     </div>
                 )}
+                {activeTab === 'security' && <ConnectedDevices />}
 
                 {activeTab === 'danger' && (
                     <div className="bg-slate-800/50 p-8 rounded-2xl border border-red-500/50">
@@ -2079,6 +5364,7 @@ const ProfileView = () => {
 const AdminDashboard = () => {
     const [requests, setRequests] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [auditRefreshKey, setAuditRefreshKey] = useState(0);
     const { currentUser } = useAuth();
     const navigate = useNavigate();
 
@@ -2103,15 +5389,10 @@ const AdminDashboard = () => {
         }
     };
 
-    const handleAction = async (userId, action) => {
-        if (!window.confirm(`Are you sure you want to ${action} this user?`)) return;
-        try {
-            await api.post('/api/admin/verify-action', { userId, action });
-            setRequests(requests.filter(req => req._id !== userId));
-            toast.success(`User ${action}d successfully!`);
-        } catch (error) {
-            toast.error("Action failed.");
-        }
+    // A decision also adds a line to the audit log
+    const handleDecided = (requestId) => {
+        setRequests(requests.filter(request => request._id !== requestId));
+        setAuditRefreshKey(key => key + 1);
     };
 
     if (loading) return <div className="p-8 text-white">Loading Admin Panel...</div>;
@@ -2119,53 +5400,34 @@ const AdminDashboard = () => {
     return (
         <div className="min-h-screen p-8 text-white">
             <h1 className="text-3xl font-bold mb-8 flex items-center gap-3">
-                <ShieldCheck className="text-indigo-500" size={32}/> Admin Verification Dashboard
+                <ShieldCheck className="text-indigo-500" size={32}/> Admin Dashboard
             </h1>
 
+            <h2 className="text-2xl font-bold mb-4">Verification Requests</h2>
+
             {requests.length === 0 ? (
                 <div className="text-slate-400 text-lg bg-slate-800/50 p-6 rounded-xl border border-slate-700">
                     ✅ All caught up! No pending verifications.
                 </div>
             ) : (
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                    {requests.map(user => (
-                        <div key={user._id} className="bg-slate-800 border border-slate-700 p-6 rounded-xl shadow-lg">
-                            <div className="flex items-center gap-4 mb-4">
-                                <img 
-                                    src={user.profilePictureUrl || `https://placehold.co/100x100/1e293b/a78bfa?text=${user.username.charAt(0)}`} 
-                                    className="h-12 w-12 rounded-full object-cover"
-                                    alt="User"
-                                />
-                                <div>
-                                    <h3 className="font-bold text-lg text-white">{user.username}</h3>
-                                    <p className="text-sm text-slate-400">{user.email}</p>
-                                    <span className="text-xs bg-orange-900/50 text-orange-200 px-2 py-1 rounded border border-orange-700 mt-1 inline-block">Pending Review</span>
-                                </div>
-                            </div>
-
-                            <div className="mb-4 bg-slate-900 p-2 rounded-lg">
-                                <p className="text-xs text-slate-500 mb-2 uppercase font-bold">ID Proof</p>
-                                {user.verificationDocument ? (
-                                    <a href={user.verificationDocument} target="_blank" rel="noopener noreferrer">
-                                        <img 
-                                            src={user.verificationDocument} 
-                                            alt="ID Proof" 
-                                            className="w-full h-32 object-cover rounded border border-slate-600 hover:opacity-80 transition"
-                                        />
-                                    </a>
-                                ) : (
-                                    <div className="h-32 flex items-center justify-center text-slate-600 text-sm">No Document Uploaded</div>
-                                )}
-                            </div>
-
-                            <div className="flex gap-3 mt-4">
-                                <button onClick={() => handleAction(user._id, 'approve')} className="flex-1 bg-green-600 hover:bg-green-500 text-white py-2 rounded-lg font-bold transition">Accept</button>
-                                <button onClick={() => handleAction(user._id, 'reject')} className="flex-1 bg-red-600 hover:bg-red-500 text-white py-2 rounded-lg font-bold transition">Reject</button>
-                            </div>
-                        </div>
+                    {requests.map(request => (
+                        <VerificationReview key={request._id} request={request} onDecided={handleDecided} />
                     ))}
                 </div>
             )}
+
+            <div className="mt-12">
+                <VerificationAuditLog refreshKey={auditRefreshKey} />
+            </div>
+
+            <div className="mt-12">
+                <ModerationQueue />
+            </div>
+
+            <div className="mt-12">
+                <DepositDisputeQueue />
+            </div>
         </div>
     );
 };
@@ -2203,6 +5465,7 @@ const AuthForm = ({ isLogin }) => {
                 username: data.username,
                 profilePictureUrl: data.profilePictureUrl,
                 bio: data.bio,
+                emailVerified: data.emailVerified,
                 isVerified: data.isVerified,          // Saves the checkmark
                 verificationStatus: data.verificationStatus // Saves "pending"/"approved"
             };
@@ -2212,10 +5475,12 @@ const AuthForm = ({ isLogin }) => {
 
             // --- STEP 3: Update Storage (THE FIX) ---
             localStorage.setItem("token", data.token);
+            localStorage.setItem("refreshToken", data.refreshToken);
             
             // NOW we save the 'userData' object we created above, NOT 'data.user'
             localStorage.setItem('currentUser', JSON.stringify(userData)); 
 
+            if (!isLogin) toast.success("Welcome! We've sent you an email to verify your address.");
             navigate("/");
         } catch (err) {
             console.error("Login Error:", err); // Added console log for debugging
@@ -2237,6 +5502,7 @@ const AuthForm = ({ isLogin }) => {
                     <div><label htmlFor="email" className="block text-sm font-medium text-slate-300">Email address</label><input id="email" type="email" required value={email} onChange={(e) => setEmail(e.target.value)} className="mt-1 block w-full px-4 py-2 bg-slate-900 border border-slate-600 rounded-lg shadow-sm text-white focus:ring-indigo-500 focus:border-indigo-500" placeholder="your@email.com" /></div>
                     <div><label htmlFor="password" className="block text-sm font-medium text-slate-300">Password</label><input id="password" type="password" required value={password} onChange={(e) => setPassword(e.target.value)} className="mt-1 block w-full px-4 py-2 bg-slate-900 border border-slate-600 rounded-lg shadow-sm text-white focus:ring-indigo-500 focus:border-indigo-500" placeholder="••••••••" /></div>
                     {!isLogin && (<><div><label htmlFor="confirmPassword" className="block text-sm font-medium text-slate-300">Confirm Password</label><input id="confirmPassword" type="password" required value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} className="mt-1 block w-full px-4 py-2 bg-slate-900 border border-slate-600 rounded-lg shadow-sm text-white focus:ring-indigo-500 focus:border-indigo-500" placeholder="••••••••" /></div><div><label className="block text-sm font-medium text-slate-300 mb-2">I am a:</label><div className="flex space-x-2 bg-slate-900 p-1 rounded-lg"><label className={`w-1/2 text-center p-2 rounded-md cursor-pointer transition-colors ${userType === 'student' ? 'bg-indigo-600 text-white' : 'text-slate-300 hover:bg-slate-700'}`}><input type="radio" className="sr-only" name="userType" value="student" checked={userType === 'student'} onChange={() => setUserType('student')} />Student</label><label className={`w-1/2 text-center p-2 rounded-md cursor-pointer transition-colors ${userType === 'landlord' ? 'bg-indigo-600 text-white' : 'text-slate-300 hover:bg-slate-700'}`}><input type="radio" className="sr-only" name="userType" value="landlord" checked={userType === 'landlord'} onChange={() => setUserType('landlord')} />Landlord</label></div></div></>)}
+                    {isLogin && (<div className="text-right -mt-3"><Link to="/forgot-password" className="text-sm text-indigo-400 hover:text-indigo-300">Forgot password?</Link></div>)}
                     <button type="submit" disabled={loading} className="w-full bg-indigo-600 text-white py-2.5 rounded-lg hover:bg-indigo-500 transition disabled:bg-indigo-800 disabled:cursor-not-allowed font-semibold">{loading ? "Processing..." : (isLogin ? "Login" : "Sign Up")}</button>
                 </form>
                 <p className="mt-6 text-center text-sm text-slate-400">{isLogin ? "Don't have an account? " : "Already have an account? "}<Link to={isLogin ? "/signup" : "/login"} className="text-indigo-400 hover:text-indigo-300 font-semibold">{isLogin ? "Sign Up" : "Login"}</Link></p>
@@ -2245,6 +5511,139 @@ const AuthForm = ({ isLogin }) => {
     );
 };
 
+const ForgotPasswordView = () => {
+    const [email, setEmail] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+        try {
+            const { data } = await api.post('/api/auth/forgot-password', { email });
+            setMessage(data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || 'An error occurred.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-slate-900 p-4">
+            <div className="max-w-md w-full bg-slate-800/60 backdrop-blur-sm border border-slate-700 shadow-2xl shadow-indigo-900/50 rounded-2xl p-8">
+                <h2 className="text-3xl font-extrabold text-center text-white mb-6">Forgot Password</h2>
+                {error && (<div className="bg-red-900/50 border border-red-700 text-red-300 px-4 py-3 rounded-xl mb-4 text-center">{error}</div>)}
+                {message ? (
+                    <div className="bg-green-900/50 border border-green-700 text-green-300 px-4 py-3 rounded-xl mb-4 text-center">{message}</div>
+                ) : (
+                    <form className="space-y-6" onSubmit={handleSubmit}>
+                        <p className="text-slate-400 text-sm">Enter the email you signed up with and we'll send you a link to reset your password.</p>
+                        <div><label htmlFor="email" className="block text-sm font-medium text-slate-300">Email address</label><input id="email" type="email" required value={email} onChange={(e) => setEmail(e.target.value)} className="mt-1 block w-full px-4 py-2 bg-slate-900 border border-slate-600 rounded-lg shadow-sm text-white focus:ring-indigo-500 focus:border-indigo-500" placeholder="your@email.com" /></div>
+                        <button type="submit" disabled={loading} className="w-full bg-indigo-600 text-white py-2.5 rounded-lg hover:bg-indigo-500 transition disabled:bg-indigo-800 disabled:cursor-not-allowed font-semibold">{loading ? "Sending..." : "Send Reset Link"}</button>
+                    </form>
+                )}
+                <p className="mt-6 text-center text-sm text-slate-400"><Link to="/login" className="text-indigo-400 hover:text-indigo-300 font-semibold">Back to Login</Link></p>
+            </div>
+        </div>
+    );
+};
+
+const ResetPasswordView = () => {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+    const navigate = useNavigate();
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (password !== confirmPassword) {
+            return setError('Passwords do not match');
+        }
+        setLoading(true);
+        setError('');
+        try {
+            const { data } = await api.post('/api/auth/reset-password', { token, newPassword: password });
+            toast.success(data.message);
+            navigate('/login');
+        } catch (err) {
+            setError(err.response?.data?.message || 'An error occurred.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-slate-900 p-4">
+            <div className="max-w-md w-full bg-slate-800/60 backdrop-blur-sm border border-slate-700 shadow-2xl shadow-indigo-900/50 rounded-2xl p-8">
+                <h2 className="text-3xl font-extrabold text-center text-white mb-6">Choose a New Password</h2>
+                {!token ? (
+                    <div className="bg-red-900/50 border border-red-700 text-red-300 px-4 py-3 rounded-xl mb-4 text-center">This reset link is incomplete. Please request a new one.</div>
+                ) : (
+                    <>
+                        {error && (<div className="bg-red-900/50 border border-red-700 text-red-300 px-4 py-3 rounded-xl mb-4 text-center">{error}</div>)}
+                        <form className="space-y-6" onSubmit={handleSubmit}>
+                            <div><label htmlFor="password" className="block text-sm font-medium text-slate-300">New Password</label><input id="password" type="password" required minLength={6} value={password} onChange={(e) => setPassword(e.target.value)} className="mt-1 block w-full px-4 py-2 bg-slate-900 border border-slate-600 rounded-lg shadow-sm text-white focus:ring-indigo-500 focus:border-indigo-500" placeholder="••••••••" /></div>
+                            <div><label htmlFor="confirmPassword" className="block text-sm font-medium text-slate-300">Confirm New Password</label><input id="confirmPassword" type="password" required value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} className="mt-1 block w-full px-4 py-2 bg-slate-900 border border-slate-600 rounded-lg shadow-sm text-white focus:ring-indigo-500 focus:border-indigo-500" placeholder="••••••••" /></div>
+                            <button type="submit" disabled={loading} className="w-full bg-indigo-600 text-white py-2.5 rounded-lg hover:bg-indigo-500 transition disabled:bg-indigo-800 disabled:cursor-not-allowed font-semibold">{loading ? "Saving..." : "Reset Password"}</button>
+                        </form>
+                    </>
+                )}
+                <p className="mt-6 text-center text-sm text-slate-400"><Link to="/forgot-password" className="text-indigo-400 hover:text-indigo-300 font-semibold">Request a new link</Link></p>
+            </div>
+        </div>
+    );
+};
+
+const VerifyEmailView = () => {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+    const { currentUser, setCurrentUser } = useAuth();
+    const [status, setStatus] = useState('verifying');
+    const [message, setMessage] = useState('');
+    const effectRan = useRef(false);
+
+    useEffect(() => {
+        // Only verify once, even when StrictMode runs effects twice
+        if (effectRan.current) return;
+        effectRan.current = true;
+
+        const verify = async () => {
+            try {
+                const { data } = await api.post('/api/auth/verify-email', { token });
+                setMessage(data.message);
+                setStatus('success');
+                if (currentUser) {
+                    const updatedUser = { ...currentUser, emailVerified: true };
+                    setCurrentUser(updatedUser);
+                    localStorage.setItem('currentUser', JSON.stringify(updatedUser));
+                }
+            } catch (err) {
+                setMessage(err.response?.data?.message || 'Could not verify your email.');
+                setStatus('error');
+            }
+        };
+        verify();
+    }, [token, currentUser, setCurrentUser]);
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-slate-900 p-4">
+            <div className="max-w-md w-full bg-slate-800/60 backdrop-blur-sm border border-slate-700 shadow-2xl shadow-indigo-900/50 rounded-2xl p-8 text-center">
+                <h2 className="text-3xl font-extrabold text-white mb-6">Email Verification</h2>
+                {status === 'verifying' && <p className="text-slate-400">Verifying your email...</p>}
+                {status === 'success' && <div className="bg-green-900/50 border border-green-700 text-green-300 px-4 py-3 rounded-xl mb-4">{message}</div>}
+                {status === 'error' && <div className="bg-red-900/50 border border-red-700 text-red-300 px-4 py-3 rounded-xl mb-4">{message}</div>}
+                <Link to={currentUser ? "/" : "/login"} className="text-indigo-400 hover:text-indigo-300 font-semibold">{currentUser ? "Go to Dashboard" : "Go to Login"}</Link>
+            </div>
+        </div>
+    );
+};
+
 
 // --- MAIN APP ROUTER ---
 const AppRoutes = () => {
@@ -2259,7 +5658,10 @@ const AppRoutes = () => {
                 <Route path="properties/:propertyId" element={<PropertyDetailsView />} />
                 
                 {currentUser?.userType === 'student' ? (
-                    <Route path="favorites" element={<FavoritesView />} />
+                    <>
+                        <Route path="favorites" element={<FavoritesView />} />
+                        <Route path="roommates" element={<RoommatesView />} />
+                    </>
                 ) : (
                     <Route path="my-properties" element={<PropertiesView />} />
                 )}
@@ -2271,6 +5673,9 @@ const AppRoutes = () => {
             </Route>
             <Route path="/login" element={<AuthForm isLogin />} />
             <Route path="/signup" element={<AuthForm isLogin={false} />} />
+            <Route path="/forgot-password" element={<ForgotPasswordView />} />
+            <Route path="/reset-password" element={<ResetPasswordView />} />
+            <Route path="/verify-email" element={<VerifyEmailView />} />
         </Routes>
     );
 }